@@ -0,0 +1,116 @@
+(function () {
+  var code = new URLSearchParams(window.location.search).get('code');
+  var api = '/api/v1/surveys/respond/' + encodeURIComponent(code || '');
+  var $ = function (id) { return document.getElementById(id); };
+  var questions = [];
+
+  function showMessage(text, isError) {
+    $('message').textContent = text;
+    $('message').className = isError ? 'error' : '';
+  }
+
+  function scale(question, from, to) {
+    var wrapper = document.createElement('div');
+    wrapper.className = 'scale';
+    for (var value = from; value <= to; value++) {
+      var label = document.createElement('label');
+      var input = document.createElement('input');
+      input.type = 'radio';
+      input.name = question.key;
+      input.value = value;
+      input.required = question.required;
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(value));
+      wrapper.appendChild(label);
+    }
+    return wrapper;
+  }
+
+  function choices(question) {
+    var wrapper = document.createElement('div');
+    wrapper.className = 'choice';
+    question.options.forEach(function (option) {
+      var label = document.createElement('label');
+      var input = document.createElement('input');
+      input.type = 'radio';
+      input.name = question.key;
+      input.value = option;
+      input.required = question.required;
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(' ' + option));
+      wrapper.appendChild(label);
+    });
+    return wrapper;
+  }
+
+  function render(survey) {
+    questions = survey.questions;
+    $('department').textContent = survey.departmentName ? ' to ' + survey.departmentName : '';
+
+    questions.forEach(function (question) {
+      var fieldset = document.createElement('fieldset');
+      var legend = document.createElement('legend');
+      legend.textContent = question.label;
+      fieldset.appendChild(legend);
+
+      if (question.type === 'nps') fieldset.appendChild(scale(question, 0, 10));
+      else if (question.type === 'rating') fieldset.appendChild(scale(question, 1, 5));
+      else if (question.type === 'choice') fieldset.appendChild(choices(question));
+      else {
+        var textarea = document.createElement('textarea');
+        textarea.name = question.key;
+        textarea.maxLength = 1000;
+        textarea.required = question.required;
+        fieldset.appendChild(textarea);
+      }
+
+      $('questions').appendChild(fieldset);
+    });
+
+    $('survey').hidden = false;
+  }
+
+  function answers() {
+    var form = $('survey');
+    var result = {};
+    questions.forEach(function (question) {
+      var field = form.elements[question.key];
+      var value = field ? field.value : '';
+      if (value === '') return;
+      result[question.key] = question.type === 'nps' || question.type === 'rating' ? Number(value) : value;
+    });
+    return result;
+  }
+
+  function request(method, body) {
+    return fetch(api, {
+      method: method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    }).then(function (res) {
+      return res.json().then(function (json) {
+        if (!res.ok) throw new Error(json.error || json.message || 'Request failed');
+        return json;
+      });
+    });
+  }
+
+  $('survey').addEventListener('submit', function (event) {
+    event.preventDefault();
+    request('POST', { answers: answers() }).then(function (json) {
+      $('survey').hidden = true;
+      showMessage(json.message);
+    }).catch(function (error) { showMessage(error.message, true); });
+  });
+
+  if (!code) {
+    showMessage('Missing survey code', true);
+    return;
+  }
+
+  request('GET').then(function (json) {
+    render(json.data.survey);
+  }).catch(function (error) {
+    showMessage(error.message, true);
+  });
+})();
@@ -0,0 +1,66 @@
+(function () {
+  var code = new URLSearchParams(window.location.search).get('code');
+  var api = '/api/v1/track/' + encodeURIComponent(code || '');
+  var $ = function (id) { return document.getElementById(id); };
+
+  function showMessage(text, isError) {
+    $('message').textContent = text;
+    $('message').className = isError ? 'error' : '';
+  }
+
+  function render(token) {
+    $('token').hidden = false;
+    $('displayNumber').textContent = token.displayNumber;
+    $('status').textContent = token.status.replace('_', ' ');
+    $('department').textContent = token.department ? token.department.name : '-';
+    $('position').textContent = token.position || '-';
+    $('eta').textContent = token.estimatedWaitTime !== null ? token.estimatedWaitTime + ' min' : '-';
+    $('counter').textContent = token.counter ? token.counter.name : '-';
+    $('late').hidden = !token.canReportLate;
+    $('cancel').hidden = !token.canCancel;
+  }
+
+  function request(method, path, body) {
+    return fetch(api + path, {
+      method: method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    }).then(function (res) {
+      return res.json().then(function (json) {
+        if (!res.ok) throw new Error(json.error || json.message || 'Request failed');
+        return json;
+      });
+    });
+  }
+
+  function refresh() {
+    request('GET', '').then(function (json) {
+      render(json.data.token);
+    }).catch(function (error) {
+      showMessage(error.message, true);
+    });
+  }
+
+  $('late').addEventListener('click', function () {
+    request('PUT', '/late', { minutes: Number(this.dataset.minutes) }).then(function (json) {
+      showMessage(json.message);
+      render(json.data.token);
+    }).catch(function (error) { showMessage(error.message, true); });
+  });
+
+  $('cancel').addEventListener('click', function () {
+    if (!window.confirm('Cancel your token? You will lose your place in the queue.')) return;
+    request('PUT', '/cancel').then(function (json) {
+      showMessage(json.message);
+      render(json.data.token);
+    }).catch(function (error) { showMessage(error.message, true); });
+  });
+
+  if (!code) {
+    showMessage('Missing tracking code', true);
+    return;
+  }
+
+  refresh();
+  setInterval(refresh, 30000);
+})();
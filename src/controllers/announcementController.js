@@ -0,0 +1,77 @@
+const Announcement = require('../models/Announcement');
+const announcementService = require('../services/announcements');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+/**
+ * Get announcements, newest first
+ */
+const getAnnouncements = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Announcement.find(), { sort: '-createdAt', ...req.query })
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const announcements = await features.query;
+
+  res.json({
+    success: true,
+    results: announcements.length,
+    data: { announcements }
+  });
+});
+
+/**
+ * Get a single announcement with its playlist
+ */
+const getAnnouncement = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.announcementId, 'Announcement ID');
+
+  const announcement = await Announcement.findById(req.params.announcementId).populate([
+    { path: 'token', select: 'tokenNumber displayNumber status' },
+    { path: 'counter', select: 'name number displaySettings.displayName' }
+  ]);
+  if (!announcement) {
+    return next(new AppError('Announcement not found', 404));
+  }
+
+  res.json({
+    success: true,
+    data: { announcement }
+  });
+});
+
+/**
+ * Queue an announcement again on its zone
+ */
+const replayAnnouncement = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.announcementId, 'Announcement ID');
+
+  const original = await Announcement.findById(req.params.announcementId);
+  if (!original) {
+    return next(new AppError('Announcement not found', 404));
+  }
+
+  const announcement = await announcementService.replay(original);
+  if (!announcement) {
+    return next(new AppError('Announcements are turned off for this counter or department', 409));
+  }
+
+  logger.info(`Announcement ${original._id} replayed by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: announcement.status === 'queued' ? 'Announcement queued' : 'Announcement could not be prepared',
+    data: { announcement }
+  });
+});
+
+module.exports = {
+  getAnnouncements,
+  getAnnouncement,
+  replayAnnouncement
+};
@@ -0,0 +1,165 @@
+const Appointment = require('../models/Appointment');
+const appointmentService = require('../services/appointmentService');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+
+/**
+ * Get bookable slots for a department service on a given day
+ */
+const getAvailableSlots = catchAsync(async (req, res, next) => {
+  const { departmentId, serviceType, date } = req.query;
+  validateObjectId(departmentId, 'Department ID');
+
+  if (!serviceType) {
+    return next(new AppError('Service type is required', 400));
+  }
+
+  const day = date ? new Date(date) : new Date();
+  if (isNaN(day.getTime())) {
+    return next(new AppError('Invalid date', 400));
+  }
+
+  const slots = await appointmentService.getAvailableSlots(departmentId, serviceType, day);
+
+  res.json({
+    success: true,
+    results: slots.length,
+    data: { slots }
+  });
+});
+
+/**
+ * Book an appointment
+ */
+const bookAppointment = catchAsync(async (req, res, next) => {
+  const appointment = await appointmentService.book(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Appointment booked successfully',
+    data: { appointment }
+  });
+});
+
+/**
+ * Get appointments with filtering and pagination
+ */
+const getAppointments = catchAsync(async (req, res, next) => {
+  const { date, ...query } = req.query;
+  const baseFilter = {};
+
+  if (date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    baseFilter.slotStart = { $gte: start, $lt: end };
+  }
+
+  const features = new APIFeatures(Appointment.find(baseFilter), query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  features.query = features.query.populate([
+    { path: 'customer', select: 'firstName lastName phone' },
+    { path: 'department', select: 'name code' },
+    { path: 'token', select: 'tokenNumber displayNumber status' }
+  ]);
+
+  const appointments = await features.query;
+
+  res.json({
+    success: true,
+    results: appointments.length,
+    data: { appointments }
+  });
+});
+
+/**
+ * Get appointment by ID
+ */
+const getAppointment = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.appointmentId, 'Appointment ID');
+
+  const appointment = await Appointment.findById(req.params.appointmentId).populate([
+    { path: 'customer', select: 'firstName lastName phone email' },
+    { path: 'department', select: 'name code' },
+    { path: 'token', select: 'tokenNumber displayNumber status queuePosition' }
+  ]);
+
+  if (!appointment) {
+    return next(new AppError('Appointment not found', 404));
+  }
+
+  res.json({
+    success: true,
+    data: { appointment }
+  });
+});
+
+/**
+ * Move an appointment to another slot
+ */
+const rescheduleAppointment = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.appointmentId, 'Appointment ID');
+
+  const appointment = await appointmentService.reschedule(
+    req.params.appointmentId,
+    req.body.slotStart,
+    req.user._id
+  );
+
+  res.json({
+    success: true,
+    message: 'Appointment rescheduled successfully',
+    data: { appointment }
+  });
+});
+
+/**
+ * Cancel an appointment
+ */
+const cancelAppointment = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.appointmentId, 'Appointment ID');
+
+  const appointment = await appointmentService.cancel(
+    req.params.appointmentId,
+    req.user._id,
+    req.body.reason
+  );
+
+  res.json({
+    success: true,
+    message: 'Appointment cancelled successfully',
+    data: { appointment }
+  });
+});
+
+/**
+ * Check a customer in for their appointment and issue a token
+ */
+const checkInAppointment = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.appointmentId, 'Appointment ID');
+
+  const { appointment, token } = await appointmentService.checkIn(req.params.appointmentId, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Customer checked in successfully',
+    data: { appointment, token }
+  });
+});
+
+module.exports = {
+  getAvailableSlots,
+  bookAppointment,
+  getAppointments,
+  getAppointment,
+  rescheduleAppointment,
+  cancelAppointment,
+  checkInAppointment
+};
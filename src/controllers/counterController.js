@@ -1,173 +1,879 @@
-// Counter Controller - Placeholder implementation
-// This file contains basic controller functions for counter management
-
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Department = require('../models/Department');
+const Token = require('../models/Token');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Printer = require('../models/Printer');
+const AppError = require('../utils/AppError');
 const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+const routingService = require('../services/routingService');
+const recallService = require('../services/recallService');
+const parkingService = require('../services/parkingService');
+const deviceService = require('../services/deviceService');
+const printService = require('../services/printing');
+const logger = require('../utils/logger');
+
+const OPEN_STATUSES = ['active', 'busy'];
+const BULK_UPDATABLE_FIELDS = ['name', 'counterType', 'serviceTypes', 'fallbackServiceTypes', 'settings', 'displaySettings', 'workingHours', 'location'];
+// Status, staffing and the department have dedicated endpoints with state checks
+const UPDATABLE_FIELDS = ['number', 'code', ...BULK_UPDATABLE_FIELDS];
+
+/**
+ * Load a non-archived counter or fail with 404
+ */
+const findCounter = async (counterId) => {
+  validateObjectId(counterId, 'Counter ID');
+
+  const counter = await Counter.findById(counterId);
+  if (!counter || counter.archived) {
+    throw new AppError('Counter not found', 404);
+  }
+
+  return counter;
+};
+
+/**
+ * Load the token the counter is currently working on, if any
+ */
+const findActiveToken = async (counter) => {
+  if (!counter.currentToken) return null;
+
+  const token = await Token.findById(counter.currentToken);
+  if (!token || !['called', 'in_service'].includes(token.status)) {
+    return null;
+  }
+
+  return token;
+};
+
+/**
+ * Sub admins may only drive counters they are operating; admins can drive any
+ */
+const ensureCounterOperator = (counter, user) => {
+  if (['super_admin', 'admin'].includes(user.role)) return;
 
-// Create counter stub
+  if (!counter.currentOperator || counter.currentOperator.toString() !== user._id.toString()) {
+    throw new AppError('You are not the operator of this counter', 403);
+  }
+};
+
+/**
+ * Make sure an operator is not already running another open counter
+ */
+const ensureOperatorIsFree = async (userId, counterId) => {
+  const otherCounter = await Counter.findOne({
+    _id: { $ne: counterId },
+    currentOperator: userId,
+    status: { $in: [...OPEN_STATUSES, 'break'] },
+    archived: false
+  });
+
+  if (otherCounter) {
+    throw new AppError(`Operator is already working at counter ${otherCounter.code}`, 409);
+  }
+};
+
+/**
+ * Create a new counter
+ */
 const createCounter = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - createCounter not implemented yet' 
+  const department = await Department.findById(req.body.department);
+  if (!department || department.archived) {
+    return next(new AppError('Department not found', 404));
+  }
+
+  const counter = await Counter.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  logger.info(`Counter ${counter.code} created in department ${department.code}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Counter created successfully',
+    data: { counter }
   });
 });
 
-// Get all counters stub
+/**
+ * Get all counters with filtering and pagination
+ */
 const getCounters = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - getCounters not implemented yet' 
+  const { departmentId, ...queryString } = req.query;
+  const baseFilter = { archived: false };
+  if (departmentId) baseFilter.department = departmentId;
+
+  const features = new APIFeatures(Counter.find(baseFilter), queryString)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  features.query = features.query.populate([
+    { path: 'department', select: 'name code' },
+    { path: 'currentOperator', select: 'firstName lastName' }
+  ]);
+
+  const counters = await features.query;
+  const total = await Counter.countDocuments(baseFilter);
+
+  res.json({
+    success: true,
+    results: counters.length,
+    total,
+    data: { counters }
   });
 });
 
-// Get counter by ID stub
+/**
+ * Get counter by ID
+ */
 const getCounter = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - getCounter not implemented yet' 
+  const counter = await findCounter(req.params.counterId);
+
+  await counter.populate([
+    { path: 'department', select: 'name code' },
+    { path: 'currentOperator', select: 'firstName lastName' },
+    { path: 'assignedOperators', select: 'firstName lastName' },
+    { path: 'currentToken', select: 'tokenNumber displayNumber status serviceType' }
+  ]);
+
+  res.json({
+    success: true,
+    data: { counter }
   });
 });
 
-// Update counter stub
+/**
+ * Update counter configuration
+ */
 const updateCounter = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - updateCounter not implemented yet' 
+  const counter = await findCounter(req.params.counterId);
+
+  UPDATABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) counter[field] = req.body[field];
+  });
+  counter.lastModifiedBy = req.user._id;
+  await counter.save();
+
+  res.json({
+    success: true,
+    message: 'Counter updated successfully',
+    data: { counter }
   });
 });
 
-// Delete counter stub
+/**
+ * Soft delete a counter
+ */
 const deleteCounter = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - deleteCounter not implemented yet' 
+  const counter = await findCounter(req.params.counterId);
+
+  if (await findActiveToken(counter)) {
+    return next(new AppError('Counter is serving a token and cannot be deleted', 409));
+  }
+
+  counter.archived = true;
+  counter.status = 'closed';
+  counter.currentOperator = undefined;
+  counter.currentToken = undefined;
+  counter.lastModifiedBy = req.user._id;
+  await counter.save();
+
+  logger.info(`Counter ${counter.code} archived by ${req.user._id}`);
+
+  res.json({
+    success: true,
+    message: 'Counter deleted successfully'
   });
 });
 
-// Update counter status stub
+/**
+ * Update counter status (active/inactive/closed/maintenance)
+ */
 const updateCounterStatus = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - updateCounterStatus not implemented yet' 
+  const { status, reason } = req.body;
+  const counter = await findCounter(req.params.counterId);
+  const activeToken = await findActiveToken(counter);
+
+  if (['inactive', 'closed', 'maintenance'].includes(status) && activeToken) {
+    return next(new AppError(`Complete token ${activeToken.displayNumber} before changing counter status`, 409));
+  }
+
+  counter.lastModifiedBy = req.user._id;
+
+  if (status === 'active') {
+    const operatorId = counter.currentOperator || req.user._id;
+    await ensureOperatorIsFree(operatorId, counter._id);
+    await counter.openCounter(operatorId);
+  } else if (status === 'closed') {
+    await counter.closeCounter();
+  } else {
+    counter.status = status;
+    counter.currentToken = undefined;
+    await counter.save();
+  }
+
+  logger.info(`Counter ${counter.code} status set to ${status}${reason ? `: ${reason}` : ''}`);
+
+  res.json({
+    success: true,
+    message: `Counter is now ${counter.status}`,
+    data: { counter }
   });
 });
 
-// Assign staff to counter stub
+/**
+ * Assign staff to counter
+ */
 const assignStaffToCounter = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - assignStaffToCounter not implemented yet' 
+  const { staffId } = req.body;
+  const counter = await findCounter(req.params.counterId);
+
+  const staff = await User.findById(staffId);
+  if (!staff || staff.status === 'suspended') {
+    return next(new AppError('Staff member not found', 404));
+  }
+
+  if (counter.currentOperator && counter.currentOperator.toString() !== staffId &&
+      [...OPEN_STATUSES, 'break'].includes(counter.status)) {
+    return next(new AppError('Counter already has an operator; remove them first', 409));
+  }
+
+  await ensureOperatorIsFree(staff._id, counter._id);
+  await counter.assignOperator(staff._id);
+
+  logger.info(`Operator ${staff._id} assigned to counter ${counter.code}`);
+
+  res.json({
+    success: true,
+    message: 'Staff assigned to counter',
+    data: { counter }
   });
 });
 
-// Remove staff from counter stub
+/**
+ * Remove staff from counter
+ */
 const removeStaffFromCounter = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - removeStaffFromCounter not implemented yet' 
+  const { staffId } = req.params;
+  validateObjectId(staffId, 'Staff ID');
+  const counter = await findCounter(req.params.counterId);
+
+  const isCurrentOperator = counter.currentOperator && counter.currentOperator.toString() === staffId;
+  if (isCurrentOperator && await findActiveToken(counter)) {
+    return next(new AppError('Operator is serving a token and cannot be removed', 409));
+  }
+
+  await counter.removeOperator(staffId);
+
+  res.json({
+    success: true,
+    message: 'Staff removed from counter',
+    data: { counter }
   });
 });
 
-// Get counter queue stub
+/**
+ * Get the waiting queue a counter will call from
+ */
 const getCounterQueue = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - getCounterQueue not implemented yet' 
+  const counter = await findCounter(req.params.counterId);
+
+  const waiting = await routingService.getEligibleQueue(counter);
+  const currentToken = await findActiveToken(counter);
+  const { primary, fallback } = routingService.getServiceTypes(counter);
+
+  res.json({
+    success: true,
+    data: {
+      counter: {
+        id: counter._id,
+        code: counter.code,
+        status: counter.status,
+        serviceTypes: primary,
+        fallbackServiceTypes: fallback
+      },
+      currentToken,
+      waiting,
+      queueLength: waiting.length
+    }
   });
 });
 
-// Call next token stub
+/**
+ * Call next token to counter
+ */
 const callNextToken = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - callNextToken not implemented yet' 
+  const counter = await findCounter(req.params.counterId);
+  ensureCounterOperator(counter, req.user);
+
+  if (counter.status === 'break') {
+    return next(new AppError('Counter is on break', 409));
+  }
+
+  if (!OPEN_STATUSES.includes(counter.status)) {
+    return next(new AppError(`Counter is ${counter.status}; open it before calling tokens`, 409));
+  }
+
+  if (!counter.currentOperator) {
+    return next(new AppError('Counter has no operator', 409));
+  }
+
+  const activeToken = await findActiveToken(counter);
+  if (activeToken) {
+    return next(new AppError(`Token ${activeToken.displayNumber} is still active at this counter`, 409));
+  }
+
+  const token = await counter.callNextToken({ serviceType: req.body.serviceType });
+
+  if (!token) {
+    return res.json({
+      success: true,
+      message: 'No eligible tokens waiting',
+      data: { token: null }
+    });
+  }
+
+  logger.info(`Token ${token.tokenNumber} called to counter ${counter.code}`);
+
+  res.json({
+    success: true,
+    message: `Token ${token.displayNumber} called`,
+    data: { token }
   });
 });
 
-// Recall token stub
+/**
+ * Recall the token currently called to the counter
+ */
 const recallToken = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - recallToken not implemented yet' 
+  const counter = await findCounter(req.params.counterId);
+  ensureCounterOperator(counter, req.user);
+
+  const token = await findActiveToken(counter);
+  if (!token || token.status !== 'called') {
+    return next(new AppError('No called token to recall', 409));
+  }
+
+  await recallService.recall(token, req.user._id);
+
+  res.json({
+    success: true,
+    message: `Token ${token.displayNumber} recalled`,
+    data: { token }
   });
 });
 
-// Get current token stub
+/**
+ * Skip the called token when the customer does not come forward. It is
+ * requeued or held for no-show according to the department's recall policy.
+ */
+const skipToken = catchAsync(async (req, res, next) => {
+  const counter = await findCounter(req.params.counterId);
+  ensureCounterOperator(counter, req.user);
+
+  const token = await findActiveToken(counter);
+  if (!token || token.status !== 'called') {
+    return next(new AppError('No called token to skip', 409));
+  }
+
+  await recallService.skip(token, counter, req.user._id);
+
+  res.json({
+    success: true,
+    message: token.status === 'waiting'
+      ? `Token ${token.displayNumber} moved back in the queue`
+      : `Token ${token.displayNumber} skipped`,
+    data: { token }
+  });
+});
+
+/**
+ * Start serving the token called to the counter
+ */
+const startTokenService = catchAsync(async (req, res, next) => {
+  const counter = await findCounter(req.params.counterId);
+  ensureCounterOperator(counter, req.user);
+
+  const token = await findActiveToken(counter);
+  if (!token || token.status !== 'called') {
+    return next(new AppError('No called token to serve', 409));
+  }
+
+  await token.startService(counter.currentOperator || req.user._id);
+
+  res.json({
+    success: true,
+    message: `Serving token ${token.displayNumber}`,
+    data: { token }
+  });
+});
+
+/**
+ * Complete the token being served at the counter
+ */
+const completeTokenService = catchAsync(async (req, res, next) => {
+  const { notes, rating } = req.body;
+  const counter = await findCounter(req.params.counterId);
+  ensureCounterOperator(counter, req.user);
+
+  const activeToken = await findActiveToken(counter);
+  if (!activeToken || activeToken.status !== 'in_service') {
+    return next(new AppError('No token in service at this counter', 409));
+  }
+
+  const token = await counter.completeCurrentService(notes, rating);
+
+  res.json({
+    success: true,
+    message: `Token ${token.displayNumber} completed`,
+    data: { token }
+  });
+});
+
+/**
+ * Park the token being served while the customer steps away; the counter
+ * moves on and the token comes back to it when the customer returns
+ */
+const parkToken = catchAsync(async (req, res, next) => {
+  const counter = await findCounter(req.params.counterId);
+  ensureCounterOperator(counter, req.user);
+
+  const token = await findActiveToken(counter);
+  if (!token || token.status !== 'in_service') {
+    return next(new AppError('No token in service at this counter', 409));
+  }
+
+  await parkingService.park(token, counter, req.user._id, req.body.reason);
+
+  res.json({
+    success: true,
+    message: `Token ${token.displayNumber} parked`,
+    data: { token }
+  });
+});
+
+/**
+ * Get currently serving token
+ */
 const getCurrentToken = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - getCurrentToken not implemented yet' 
+  const counter = await findCounter(req.params.counterId);
+  const token = await findActiveToken(counter);
+
+  if (token) {
+    await token.populate([
+      { path: 'customer', select: 'firstName lastName phone' },
+      { path: 'department', select: 'name code' }
+    ]);
+  }
+
+  res.json({
+    success: true,
+    data: { token }
   });
 });
 
-// Start counter break stub
+/**
+ * Start counter break
+ */
 const startCounterBreak = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - startCounterBreak not implemented yet' 
+  const { breakType = 'short', estimatedDuration, reason } = req.body;
+  const counter = await findCounter(req.params.counterId);
+  ensureCounterOperator(counter, req.user);
+
+  if (counter.status === 'break') {
+    return next(new AppError('Counter is already on break', 409));
+  }
+
+  if (!OPEN_STATUSES.includes(counter.status)) {
+    return next(new AppError(`Counter is ${counter.status} and cannot take a break`, 409));
+  }
+
+  if (await findActiveToken(counter)) {
+    return next(new AppError('Complete the current token before taking a break', 409));
+  }
+
+  const duration = estimatedDuration || counter.settings.breakDuration;
+  counter.currentToken = undefined;
+  await counter.takeBreak(duration, { breakType, reason });
+
+  logger.info(`Counter ${counter.code} on ${breakType} break for ${duration} minutes`);
+
+  res.json({
+    success: true,
+    message: 'Counter break started',
+    data: { counter }
   });
 });
 
-// End counter break stub
+/**
+ * End counter break
+ */
 const endCounterBreak = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - endCounterBreak not implemented yet' 
+  const counter = await findCounter(req.params.counterId);
+  ensureCounterOperator(counter, req.user);
+
+  if (counter.status !== 'break') {
+    return next(new AppError('Counter is not on break', 409));
+  }
+
+  await counter.openCounter(counter.currentOperator || req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Counter break ended',
+    data: { counter }
   });
 });
 
-// Get counter performance stub
+/**
+ * Build a date range from startDate/endDate query params (defaults to last 7 days)
+ */
+const getDateRange = (query) => {
+  const end = query.endDate ? new Date(query.endDate) : new Date();
+  end.setHours(23, 59, 59, 999);
+
+  const start = query.startDate ? new Date(query.startDate) : new Date(end.getTime() - 6 * 24 * 60 * 60 * 1000);
+  start.setHours(0, 0, 0, 0);
+
+  return { start, end };
+};
+
+/**
+ * Get counter performance metrics
+ */
 const getCounterPerformance = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - getCounterPerformance not implemented yet' 
+  const counter = await findCounter(req.params.counterId);
+  const { start, end } = getDateRange(req.query);
+
+  await counter.updateStats();
+
+  const daily = await Token.aggregate([
+    {
+      $match: {
+        counter: counter._id,
+        status: 'completed',
+        businessDate: { $gte: start, $lte: end }
+      }
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$businessDate' } },
+        tokensServed: { $sum: 1 },
+        avgServiceTime: { $avg: '$serviceTime' },
+        avgWaitTime: { $avg: '$waitTime' },
+        avgSatisfaction: { $avg: '$satisfactionRating' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      counter: { id: counter._id, code: counter.code, name: counter.name },
+      today: counter.stats,
+      period: { startDate: start, endDate: end },
+      daily
+    }
   });
 });
 
-// Get counter analytics stub
+/**
+ * Get counter analytics (token outcomes and hourly load)
+ */
 const getCounterAnalytics = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - getCounterAnalytics not implemented yet' 
+  const counter = await findCounter(req.params.counterId);
+  const { start, end } = getDateRange(req.query);
+  const match = {
+    counter: counter._id,
+    businessDate: { $gte: start, $lte: end }
+  };
+
+  const [byStatus, byHour, byServiceType] = await Promise.all([
+    Token.aggregate([
+      { $match: match },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Token.aggregate([
+      { $match: { ...match, calledAt: { $exists: true } } },
+      { $group: { _id: { $hour: '$calledAt' }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]),
+    Token.aggregate([
+      { $match: { ...match, status: 'completed' } },
+      {
+        $group: {
+          _id: '$serviceType',
+          count: { $sum: 1 },
+          avgServiceTime: { $avg: '$serviceTime' }
+        }
+      }
+    ])
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      counter: { id: counter._id, code: counter.code, name: counter.name },
+      period: { startDate: start, endDate: end },
+      byStatus,
+      byHour,
+      byServiceType
+    }
   });
 });
 
-// Update hardware config stub
+/**
+ * Resolve a hardware assignment to the registered device or printer it names
+ */
+const resolveHardware = async (counter, field, code) => {
+  const normalized = String(code).trim().toUpperCase();
+
+  if (field === 'ticketPrinterId') {
+    const printer = await Printer.findOne({ code: normalized, archived: false });
+    if (!printer) {
+      throw new AppError(`Printer ${normalized} not found`, 404);
+    }
+    if (!printer.department.equals(counter.department)) {
+      throw new AppError(`Printer ${normalized} belongs to another department`, 400);
+    }
+    return printer;
+  }
+
+  const device = await Device.findOne({ code: normalized, archived: false });
+  if (!device) {
+    throw new AppError(`Device ${normalized} not found`, 404);
+  }
+  if (device.hardwareField !== field) {
+    throw new AppError(`Device ${normalized} (${device.type.replace('_', ' ')}) cannot be used as ${field}`, 400);
+  }
+  if (!device.department.equals(counter.department)) {
+    throw new AppError(`Device ${normalized} belongs to another department`, 400);
+  }
+  if (device.counter && !device.counter.equals(counter._id)) {
+    throw new AppError(`Device ${normalized} is already assigned to another counter`, 409);
+  }
+  return device;
+};
+
+/**
+ * Assign registered devices and the ticket printer to a counter, and push
+ * config to its devices. Ids are device codes; null removes an assignment.
+ */
 const updateHardwareConfig = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - updateHardwareConfig not implemented yet' 
+  const counter = await findCounter(req.params.counterId);
+  const fields = [...Object.values(Device.HARDWARE_FIELDS), 'ticketPrinterId'];
+
+  // Check every assignment before changing anything
+  const assignments = [];
+  for (const field of fields) {
+    if (req.body[field] === undefined) continue;
+    const target = req.body[field] === null ? null : await resolveHardware(counter, field, req.body[field]);
+    assignments.push({ field, target });
+  }
+
+  const assigned = (field) => {
+    const assignment = assignments.find(candidate => candidate.field === field);
+    return assignment ? assignment.target : undefined;
+  };
+
+  const configs = [];
+  for (const [component, config] of Object.entries(req.body.config || {})) {
+    const field = `${component}Id`;
+    let device = assigned(field);
+    if (device === undefined && counter.hardware[field]) {
+      device = await Device.findOne({ code: counter.hardware[field], counter: counter._id, archived: false });
+    }
+    if (!device) {
+      return next(new AppError(`No device is assigned as ${field} on this counter`, 400));
+    }
+    configs.push({ device, config });
+  }
+
+  for (const { field, target } of assignments) {
+    const previous = counter.hardware[field];
+
+    if (field !== 'ticketPrinterId' && previous && (!target || target.code !== previous)) {
+      await Device.updateOne({ code: previous, counter: counter._id }, { $unset: { counter: 1 } });
+    }
+    if (target && field !== 'ticketPrinterId') {
+      await Device.updateOne({ _id: target._id }, { $set: { counter: counter._id } });
+    }
+
+    counter.hardware[field] = target ? target.code : undefined;
+  }
+  await counter.save();
+
+  for (const { device, config } of configs) {
+    device.setConfig(config);
+    await device.save();
+    await deviceService.pushConfig(device, req.user._id);
+  }
+
+  logger.info(`Hardware of counter ${counter.code} updated by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Hardware configuration updated successfully',
+    data: {
+      hardware: counter.hardware,
+      configured: configs.map(({ device }) => ({ code: device.code, configVersion: device.configVersion }))
+    }
   });
 });
 
-// Test hardware stub
+/**
+ * Test the counter's hardware: devices get a test command and are given a
+ * few seconds to answer; the ticket printer prints a test page
+ */
 const testHardware = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - testHardware not implemented yet' 
+  const counter = await findCounter(req.params.counterId);
+  const components = req.body.components || ['ledDisplay', 'audioSystem', 'callButton', 'statusLed', 'ticketPrinter'];
+
+  const results = [];
+  const devices = [];
+
+  for (const component of components) {
+    const code = counter.hardware[`${component}Id`];
+
+    if (!code) {
+      if (req.body.components) {
+        results.push({ component, outcome: 'not_assigned' });
+      }
+      continue;
+    }
+
+    if (component === 'ticketPrinter') {
+      const printer = await Printer.findOne({ code, archived: false });
+      if (!printer) {
+        results.push({ component, code, outcome: 'not_registered' });
+        continue;
+      }
+      const job = await printService.printTestPage(printer, req.user._id);
+      results.push({
+        component,
+        code,
+        outcome: job.status === 'printed' ? 'acknowledged' : 'failed',
+        printJob: String(job._id),
+        error: job.lastError
+      });
+      continue;
+    }
+
+    const device = await Device.findOne({ code, archived: false });
+    if (!device) {
+      results.push({ component, code, outcome: 'not_registered' });
+      continue;
+    }
+    devices.push({ component, device });
+  }
+
+  const answers = await deviceService.testDevices(devices.map(({ device }) => device), req.user._id);
+  answers.forEach((answer, index) => {
+    results.push({ component: devices[index].component, code: answer.device.code, ...answer });
+  });
+
+  const passed = results.every(result => result.outcome === 'acknowledged');
+
+  res.json({
+    success: true,
+    message: passed ? 'All hardware answered the test' : 'Some hardware did not pass the test',
+    data: {
+      counter: { id: counter._id, code: counter.code, name: counter.name },
+      results
+    }
   });
 });
 
-// Get counters by department stub
+/**
+ * Get all counters in a department
+ */
 const getCountersByDepartment = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - getCountersByDepartment not implemented yet' 
+  const { departmentId } = req.params;
+  validateObjectId(departmentId, 'Department ID');
+
+  const counters = await Counter.findByDepartment(departmentId, req.query.includeInactive === 'true');
+
+  res.json({
+    success: true,
+    results: counters.length,
+    data: { counters }
   });
 });
 
-// Get counters status overview stub
+/**
+ * Get overview of all counter statuses
+ */
 const getCountersStatusOverview = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - getCountersStatusOverview not implemented yet' 
+  const match = { archived: false };
+  if (req.query.departmentId) {
+    match.department = new mongoose.Types.ObjectId(req.query.departmentId);
+  }
+
+  const overview = await Counter.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { department: '$department', status: '$status' },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.department',
+        statuses: { $push: { status: '$_id.status', count: '$count' } },
+        total: { $sum: '$count' }
+      }
+    }
+  ]);
+
+  await Department.populate(overview, { path: '_id', model: 'Department', select: 'name code' });
+
+  res.json({
+    success: true,
+    data: {
+      departments: overview.map(entry => ({
+        department: entry._id,
+        total: entry.total,
+        statuses: entry.statuses
+      }))
+    }
   });
 });
 
-// Bulk update counters stub
+/**
+ * Bulk update configuration of multiple counters
+ */
 const bulkUpdateCounters = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Counter controller - bulkUpdateCounters not implemented yet' 
+  const { counterIds, updateData } = req.body;
+
+  const update = {};
+  BULK_UPDATABLE_FIELDS.forEach(field => {
+    if (updateData[field] !== undefined) update[field] = updateData[field];
+  });
+
+  if (Object.keys(update).length === 0) {
+    return next(new AppError('No updatable fields provided', 400));
+  }
+
+  update.lastModifiedBy = req.user._id;
+
+  const result = await Counter.updateMany(
+    { _id: { $in: counterIds }, archived: false },
+    { $set: update },
+    { runValidators: true }
+  );
+
+  res.json({
+    success: true,
+    message: `${result.modifiedCount} counters updated`,
+    data: { matched: result.matchedCount, modified: result.modifiedCount }
   });
 });
 
@@ -183,6 +889,10 @@ module.exports = {
   getCounterQueue,
   callNextToken,
   recallToken,
+  skipToken,
+  startTokenService,
+  completeTokenService,
+  parkToken,
   getCurrentToken,
   startCounterBreak,
   endCounterBreak,
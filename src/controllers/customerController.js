@@ -1,7 +1,6 @@
 const Customer = require('../models/Customer');
 const Token = require('../models/Token');
-const Department = require('../models/Department');
-const Counter = require('../models/Counter');
+const tokenService = require('../services/tokenService');
 const logger = require('../utils/logger');
 
 // Get all customers with filtering and pagination
@@ -267,68 +266,14 @@ exports.deleteCustomer = async (req, res) => {
 // Generate token for customer
 exports.generateToken = async (req, res) => {
   try {
-    const { departmentId, priority } = req.body;
-    const customerId = req.params.id;
+    const { departmentId, serviceType, priority } = req.body;
 
-    const customer = await Customer.findById(customerId);
-    if (!customer || customer.archived) {
-      return res.status(404).json({
-        success: false,
-        message: 'Customer not found'
-      });
-    }
-
-    const department = await Department.findById(departmentId);
-    if (!department || department.archived) {
-      return res.status(404).json({
-        success: false,
-        message: 'Department not found'
-      });
-    }
-
-    // Check if department is open
-    if (!department.isOpen) {
-      return res.status(400).json({
-        success: false,
-        message: 'Department is currently closed'
-      });
-    }
-
-    // Find available counter in department
-    const availableCounters = await Counter.findAvailable(departmentId);
-    if (availableCounters.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No available counters in this department'
-      });
-    }
-
-    // Check if customer already has an active token
-    const activeToken = await Token.findOne({
-      customer: customerId,
-      status: { $in: ['waiting', 'called', 'in_service'] },
-      businessDate: {
-        $gte: new Date(new Date().setHours(0, 0, 0, 0)),
-        $lt: new Date(new Date().setHours(23, 59, 59, 999))
-      }
-    });
-
-    if (activeToken) {
-      return res.status(400).json({
-        success: false,
-        message: 'Customer already has an active token',
-        data: activeToken
-      });
-    }
-
-    // Generate token
-    const token = await Token.generateToken(
+    const token = await tokenService.issueToken({
+      customerId: req.params.id,
       departmentId,
-      availableCounters[0]._id,
-      customerId,
-      priority || customer.priority,
-      req.user._id
-    );
+      serviceType,
+      priority
+    }, req.user._id);
 
     await token.populate([
       { path: 'customer', select: 'firstName lastName phone' },
@@ -336,17 +281,6 @@ exports.generateToken = async (req, res) => {
       { path: 'counter', select: 'name number' }
     ]);
 
-    // Update customer token history
-    customer.tokenHistory.push({
-      tokenNumber: token.tokenNumber,
-      department: departmentId,
-      counter: availableCounters[0]._id,
-      status: 'waiting'
-    });
-    await customer.save();
-
-    logger.info(`Token generated: ${token.tokenNumber} for ${customer.fullName}`);
-
     res.status(201).json({
       success: true,
       message: 'Token generated successfully',
@@ -354,6 +288,13 @@ exports.generateToken = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     logger.error('Error generating token:', error);
     res.status(500).json({
       success: false,
@@ -1,141 +1,590 @@
-// Department Controller - Placeholder implementation
-// This file contains basic controller functions for department management
-
+const Department = require('../models/Department');
+const Counter = require('../models/Counter');
+const Token = require('../models/Token');
+const User = require('../models/User');
+const Escalation = require('../models/Escalation');
+const AppError = require('../utils/AppError');
 const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+const ACTIVE_TOKEN_STATUSES = ['waiting', 'called', 'in_service', 'parked'];
+const BULK_UPDATABLE_FIELDS = ['status', 'queueSettings', 'displaySettings', 'operatingHours'];
+// Staff and status have dedicated endpoints; the code is checked for clashes first
+const UPDATABLE_FIELDS = ['name', 'description', 'serviceTypes', 'priorityRules', 'managedBy', 'location', 'contactInfo'];
+// Nested settings are merged so a partial update keeps the other keys
+const MERGED_SETTINGS = [
+  'queueSettings', 'displaySettings', 'operatingHours', 'appointmentSettings', 'tokenNumbering',
+  'recallPolicy', 'slaSettings', 'agingPolicy', 'announcementSettings', 'surveySettings'
+];
+
+/**
+ * Load a non-archived department or fail with 404
+ */
+const findDepartment = async (departmentId) => {
+  validateObjectId(departmentId, 'Department ID');
+
+  const department = await Department.findById(departmentId);
+  if (!department || department.archived) {
+    throw new AppError('Department not found', 404);
+  }
+
+  return department;
+};
 
-// Create department stub
+/**
+ * Merge a partial settings object into a nested schema path
+ */
+const mergeSettings = (department, path, updates) => {
+  Object.keys(updates).forEach(key => {
+    department.set(`${path}.${key}`, updates[key]);
+  });
+};
+
+/**
+ * Count today's active tokens for a department
+ */
+const countActiveTokens = (departmentId) => {
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+
+  return Token.countDocuments({
+    department: departmentId,
+    status: { $in: ACTIVE_TOKEN_STATUSES },
+    businessDate: { $gte: startOfDay }
+  });
+};
+
+/**
+ * Build a date range from startDate/endDate query params (defaults to last 7 days)
+ */
+const getDateRange = (query) => {
+  const end = query.endDate ? new Date(query.endDate) : new Date();
+  end.setHours(23, 59, 59, 999);
+
+  const start = query.startDate ? new Date(query.startDate) : new Date(end.getTime() - 6 * 24 * 60 * 60 * 1000);
+  start.setHours(0, 0, 0, 0);
+
+  return { start, end };
+};
+
+/**
+ * Create a new department
+ */
 const createDepartment = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - createDepartment not implemented yet' 
+  const existing = await Department.findOne({ code: req.body.code.toUpperCase() });
+  if (existing) {
+    return next(new AppError(`Department code ${req.body.code} is already in use`, 409));
+  }
+
+  const department = await Department.create({
+    ...req.body,
+    createdBy: req.user._id,
+    managedBy: req.body.managedBy || req.user._id
+  });
+
+  logger.info(`Department ${department.code} created by ${req.user._id}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Department created successfully',
+    data: { department }
   });
 });
 
-// Get all departments stub
+/**
+ * Get all departments with filtering and pagination
+ */
 const getDepartments = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - getDepartments not implemented yet' 
+  const baseFilter = { archived: false };
+
+  const features = new APIFeatures(Department.find(baseFilter), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const departments = await features.query;
+  const total = await Department.countDocuments(baseFilter);
+
+  res.json({
+    success: true,
+    results: departments.length,
+    total,
+    data: { departments }
   });
 });
 
-// Get department by ID stub
+/**
+ * Get department by ID
+ */
 const getDepartment = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - getDepartment not implemented yet' 
+  const department = await findDepartment(req.params.departmentId);
+
+  await department.populate([
+    { path: 'staff.user', select: 'firstName lastName email role' },
+    { path: 'managedBy', select: 'firstName lastName email' }
+  ]);
+
+  res.json({
+    success: true,
+    data: { department }
   });
 });
 
-// Update department stub
+/**
+ * Update department
+ */
 const updateDepartment = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - updateDepartment not implemented yet' 
+  const department = await findDepartment(req.params.departmentId);
+
+  const { code } = req.body;
+
+  if (code && code.toUpperCase() !== department.code) {
+    const existing = await Department.findOne({ code: code.toUpperCase(), _id: { $ne: department._id } });
+    if (existing) {
+      return next(new AppError(`Department code ${code} is already in use`, 409));
+    }
+    department.code = code;
+  }
+
+  UPDATABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) department[field] = req.body[field];
+  });
+  MERGED_SETTINGS.forEach(path => {
+    if (req.body[path]) mergeSettings(department, path, req.body[path]);
+  });
+
+  await department.save();
+
+  res.json({
+    success: true,
+    message: 'Department updated successfully',
+    data: { department }
   });
 });
 
-// Delete department stub
+/**
+ * Soft delete a department
+ */
 const deleteDepartment = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - deleteDepartment not implemented yet' 
+  const department = await findDepartment(req.params.departmentId);
+
+  const activeTokens = await countActiveTokens(department._id);
+  if (activeTokens > 0) {
+    return next(new AppError(`Department still has ${activeTokens} active tokens`, 409));
+  }
+
+  department.archived = true;
+  department.status = 'closed';
+  await department.save();
+
+  await Counter.updateMany(
+    { department: department._id, archived: false },
+    { $set: { status: 'closed', archived: true }, $unset: { currentOperator: 1, currentToken: 1 } }
+  );
+
+  logger.info(`Department ${department.code} archived by ${req.user._id}`);
+
+  res.json({
+    success: true,
+    message: 'Department deleted successfully'
   });
 });
 
-// Update department status stub
+/**
+ * Update department status (active/inactive/maintenance/closed)
+ */
 const updateDepartmentStatus = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - updateDepartmentStatus not implemented yet' 
+  const { status, reason } = req.body;
+  const department = await findDepartment(req.params.departmentId);
+
+  department.status = status;
+  await department.save();
+
+  logger.info(`Department ${department.code} status set to ${status}${reason ? `: ${reason}` : ''}`);
+
+  res.json({
+    success: true,
+    message: `Department is now ${status}`,
+    data: { department }
   });
 });
 
-// Get department counters stub
+/**
+ * Get all counters in a department
+ */
 const getDepartmentCounters = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - getDepartmentCounters not implemented yet' 
+  const department = await findDepartment(req.params.departmentId);
+  const counters = await Counter.findByDepartment(department._id, req.query.includeInactive === 'true');
+
+  res.json({
+    success: true,
+    results: counters.length,
+    data: { counters }
   });
 });
 
-// Get department staff stub
+/**
+ * Get staff assigned to a department
+ */
 const getDepartmentStaff = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - getDepartmentStaff not implemented yet' 
+  const department = await findDepartment(req.params.departmentId);
+
+  await department.populate([
+    { path: 'staff.user', select: 'firstName lastName email role status' },
+    { path: 'staff.assignedCounters', select: 'name code status' }
+  ]);
+
+  res.json({
+    success: true,
+    results: department.staff.length,
+    data: { staff: department.staff }
   });
 });
 
-// Assign staff to department stub
+/**
+ * Assign staff to department
+ */
 const assignStaffToDepartment = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - assignStaffToDepartment not implemented yet' 
+  const { staffIds, roles = 'operator', counterIds = [] } = req.body;
+  const department = await findDepartment(req.params.departmentId);
+
+  const users = await User.find({ _id: { $in: staffIds } }).select('_id status');
+  if (users.length !== staffIds.length) {
+    return next(new AppError('One or more staff members were not found', 404));
+  }
+
+  if (counterIds.length > 0) {
+    const counters = await Counter.countDocuments({
+      _id: { $in: counterIds },
+      department: department._id,
+      archived: false
+    });
+    if (counters !== counterIds.length) {
+      return next(new AppError('Counters must belong to this department', 400));
+    }
+  }
+
+  for (const [index, staffId] of staffIds.entries()) {
+    const role = Array.isArray(roles) ? roles[index] || 'operator' : roles;
+    await department.assignStaff(staffId, role, counterIds);
+  }
+
+  logger.info(`${staffIds.length} staff assigned to department ${department.code}`);
+
+  res.json({
+    success: true,
+    message: 'Staff assigned to department',
+    data: { staff: department.staff }
   });
 });
 
-// Remove staff from department stub
+/**
+ * Remove staff from department
+ */
 const removeStaffFromDepartment = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - removeStaffFromDepartment not implemented yet' 
+  const { staffId } = req.params;
+  validateObjectId(staffId, 'Staff ID');
+  const department = await findDepartment(req.params.departmentId);
+
+  const member = department.staff.find(s => s.user.toString() === staffId);
+  if (!member) {
+    return next(new AppError('Staff member is not assigned to this department', 404));
+  }
+
+  await department.removeStaff(staffId);
+
+  res.json({
+    success: true,
+    message: 'Staff removed from department',
+    data: { staff: department.staff }
   });
 });
 
-// Get department queue status stub
+/**
+ * Get current queue status for department
+ */
 const getDepartmentQueueStatus = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - getDepartmentQueueStatus not implemented yet' 
+  const department = await findDepartment(req.params.departmentId);
+
+  const [queue, counters] = await Promise.all([
+    Token.getQueueStatus(department._id),
+    Counter.findByDepartment(department._id)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      department: { id: department._id, name: department.name, code: department.code },
+      isOpen: department.isOpen,
+      queue,
+      activeCounters: counters.filter(counter => counter.isActive).length,
+      maxQueueSize: department.queueSettings.maxQueueSize
+    }
   });
 });
 
-// Update queue settings stub
+/**
+ * Update queue settings for department
+ */
 const updateQueueSettings = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - updateQueueSettings not implemented yet' 
+  const department = await findDepartment(req.params.departmentId);
+
+  mergeSettings(department, 'queueSettings', req.body);
+  await department.save();
+
+  res.json({
+    success: true,
+    message: 'Queue settings updated',
+    data: { queueSettings: department.queueSettings }
+  });
+});
+
+/**
+ * Add a service type to a department
+ */
+const addServiceType = catchAsync(async (req, res, next) => {
+  const { name, code, estimatedServiceTime, priority, prefix } = req.body;
+  const department = await findDepartment(req.params.departmentId);
+
+  if (department.serviceTypes.some(type => type.code === code.toUpperCase())) {
+    return next(new AppError(`Service type ${code} already exists`, 409));
+  }
+
+  await department.addServiceType(name, code, estimatedServiceTime, priority, prefix);
+
+  res.status(201).json({
+    success: true,
+    message: 'Service type added',
+    data: { serviceTypes: department.serviceTypes }
   });
 });
 
-// Get department analytics stub
+/**
+ * Get department analytics
+ */
 const getDepartmentAnalytics = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - getDepartmentAnalytics not implemented yet' 
+  const department = await findDepartment(req.params.departmentId);
+  const { start, end } = getDateRange(req.query);
+  const match = {
+    department: department._id,
+    businessDate: { $gte: start, $lte: end }
+  };
+
+  const [daily, byServiceType, byHour] = await Promise.all([
+    Token.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$businessDate' } },
+          issued: { $sum: 1 },
+          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          noShow: { $sum: { $cond: [{ $eq: ['$status', 'no_show'] }, 1, 0] } },
+          cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    Token.aggregate([
+      { $match: { ...match, status: 'completed' } },
+      {
+        $group: {
+          _id: '$serviceType',
+          count: { $sum: 1 },
+          avgWaitTime: { $avg: '$waitTime' },
+          avgServiceTime: { $avg: '$serviceTime' }
+        }
+      }
+    ]),
+    Token.aggregate([
+      { $match: match },
+      { $group: { _id: { $hour: '$issuedAt' }, issued: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      department: { id: department._id, name: department.name, code: department.code },
+      period: { startDate: start, endDate: end },
+      daily,
+      byServiceType,
+      byHour
+    }
+  });
+});
+
+/**
+ * Get SLA compliance per day: escalations raised and tokens served within
+ * the department's maximum wait
+ */
+const getDepartmentSla = catchAsync(async (req, res, next) => {
+  const department = await findDepartment(req.params.departmentId);
+  const { start, end } = getDateRange(req.query);
+  const slaMinutes = department.queueSettings.maxWaitTime;
+  const match = {
+    department: department._id,
+    businessDate: { $gte: start, $lte: end }
+  };
+  const byDay = { $dateToString: { format: '%Y-%m-%d', date: '$businessDate' } };
+  const countType = (type) => ({ $sum: { $cond: [{ $eq: ['$type', type] }, 1, 0] } });
+
+  const [escalations, served, open] = await Promise.all([
+    Escalation.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: byDay,
+          warnings: countType('sla_warning'),
+          breaches: countType('sla_breach'),
+          queueLengthAlerts: countType('queue_length')
+        }
+      }
+    ]),
+    Token.aggregate([
+      { $match: { ...match, serviceStartedAt: { $exists: true } } },
+      {
+        $group: {
+          _id: byDay,
+          served: { $sum: 1 },
+          withinSla: { $sum: { $cond: [{ $lte: ['$waitTime', slaMinutes] }, 1, 0] } },
+          maxWaitTime: { $max: '$waitTime' }
+        }
+      }
+    ]),
+    Escalation.countDocuments({ department: department._id, status: { $ne: 'resolved' } })
+  ]);
+
+  const days = new Map();
+  const dayFor = (date) => {
+    if (!days.has(date)) {
+      days.set(date, {
+        date, warnings: 0, breaches: 0, queueLengthAlerts: 0, served: 0, withinSla: 0, maxWaitTime: 0
+      });
+    }
+    return days.get(date);
+  };
+
+  escalations.forEach(({ _id, ...counts }) => Object.assign(dayFor(_id), counts));
+  served.forEach(({ _id, ...counts }) => Object.assign(dayFor(_id), counts));
+
+  const daily = Array.from(days.values())
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(day => ({
+      ...day,
+      compliancePercent: day.served > 0 ? Math.round(day.withinSla / day.served * 1000) / 10 : null
+    }));
+
+  res.json({
+    success: true,
+    data: {
+      department: { id: department._id, name: department.name, code: department.code },
+      period: { startDate: start, endDate: end },
+      slaMinutes,
+      settings: department.slaSettings,
+      openEscalations: open,
+      daily
+    }
   });
 });
 
-// Get department performance stub
+/**
+ * Get department performance metrics
+ */
 const getDepartmentPerformance = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - getDepartmentPerformance not implemented yet' 
+  const department = await findDepartment(req.params.departmentId);
+
+  await department.updateStats();
+  const counterStats = await Counter.getDepartmentCounterStats(department._id);
+
+  res.json({
+    success: true,
+    data: {
+      department: { id: department._id, name: department.name, code: department.code },
+      stats: department.stats,
+      counters: counterStats.map(({ counter, stats }) => ({
+        id: counter._id,
+        code: counter.code,
+        name: counter.name,
+        status: counter.status,
+        stats: counter.stats,
+        today: stats
+      }))
+    }
   });
 });
 
-// Update display settings stub
+/**
+ * Update display settings for department
+ */
 const updateDisplaySettings = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - updateDisplaySettings not implemented yet' 
+  const department = await findDepartment(req.params.departmentId);
+
+  mergeSettings(department, 'displaySettings', req.body);
+  await department.save();
+
+  res.json({
+    success: true,
+    message: 'Display settings updated',
+    data: { displaySettings: department.displaySettings }
   });
 });
 
-// Get all department operating hours stub
+/**
+ * Get operating hours for all departments
+ */
 const getAllDepartmentOperatingHours = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - getAllDepartmentOperatingHours not implemented yet' 
+  const departments = await Department.findActive().select('name code operatingHours status location');
+
+  res.json({
+    success: true,
+    results: departments.length,
+    data: {
+      departments: departments.map(department => ({
+        id: department._id,
+        name: department.name,
+        code: department.code,
+        isOpen: department.isOpen,
+        operatingHours: department.operatingHours,
+        location: department.location
+      }))
+    }
   });
 });
 
-// Bulk update departments stub
+/**
+ * Bulk update multiple departments
+ */
 const bulkUpdateDepartments = catchAsync(async (req, res, next) => {
-  res.json({ 
-    success: true, 
-    message: 'Department controller - bulkUpdateDepartments not implemented yet' 
+  const { departments: departmentIds, updateFields } = req.body;
+
+  const departments = await Department.find({ _id: { $in: departmentIds }, archived: false });
+  if (departments.length === 0) {
+    return next(new AppError('No departments found', 404));
+  }
+
+  for (const department of departments) {
+    BULK_UPDATABLE_FIELDS.forEach(field => {
+      if (updateFields[field] === undefined) return;
+
+      if (field === 'status') {
+        department.status = updateFields.status;
+      } else {
+        mergeSettings(department, field, updateFields[field]);
+      }
+    });
+    await department.save();
+  }
+
+  logger.info(`${departments.length} departments bulk updated by ${req.user._id}`);
+
+  res.json({
+    success: true,
+    message: `${departments.length} departments updated`,
+    data: { updated: departments.map(department => department._id) }
   });
 });
 
@@ -152,7 +601,9 @@ module.exports = {
   removeStaffFromDepartment,
   getDepartmentQueueStatus,
   updateQueueSettings,
+  addServiceType,
   getDepartmentAnalytics,
+  getDepartmentSla,
   getDepartmentPerformance,
   updateDisplaySettings,
   getAllDepartmentOperatingHours,
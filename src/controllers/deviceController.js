@@ -0,0 +1,248 @@
+const Device = require('../models/Device');
+const DeviceCommand = require('../models/DeviceCommand');
+const Counter = require('../models/Counter');
+const Department = require('../models/Department');
+const deviceService = require('../services/deviceService');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+/**
+ * Find a non-archived device or throw 404
+ */
+const findDevice = async (deviceId) => {
+  validateObjectId(deviceId, 'Device ID');
+
+  const device = await Device.findOne({ _id: deviceId, archived: false });
+  if (!device) {
+    throw new AppError('Device not found', 404);
+  }
+
+  return device;
+};
+
+/**
+ * Device as returned by the API, with the key only when it was just generated
+ */
+const withKey = (device, key) => {
+  const { keyHash, ...view } = device.toObject();
+  return { ...view, key };
+};
+
+/**
+ * Get all counter devices
+ */
+const getDevices = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Device.find({ archived: false }), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const devices = await features.query.populate([
+    { path: 'department', select: 'name code' },
+    { path: 'counter', select: 'name number' }
+  ]);
+
+  res.json({
+    success: true,
+    results: devices.length,
+    data: { devices }
+  });
+});
+
+/**
+ * Get a single device
+ */
+const getDevice = catchAsync(async (req, res, next) => {
+  const device = await findDevice(req.params.deviceId);
+  await device.populate([
+    { path: 'department', select: 'name code' },
+    { path: 'counter', select: 'name number' }
+  ]);
+
+  res.json({
+    success: true,
+    data: { device }
+  });
+});
+
+/**
+ * Register a counter device. Its key is only shown here and when it is rotated.
+ */
+const createDevice = catchAsync(async (req, res, next) => {
+  const department = await Department.findById(req.body.department);
+  if (!department) {
+    return next(new AppError('Department not found', 404));
+  }
+
+  const device = new Device({
+    ...req.body,
+    createdBy: req.user._id
+  });
+  const key = device.generateKey();
+  await device.save();
+
+  logger.info(`Device ${device.code} registered by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Device registered successfully',
+    data: { device: withKey(device, key) }
+  });
+});
+
+/**
+ * Update a device. A new config is versioned and pushed to the device.
+ */
+const updateDevice = catchAsync(async (req, res, next) => {
+  const device = await findDevice(req.params.deviceId);
+  const { config, ...updates } = req.body;
+
+  device.set(updates);
+  if (config) {
+    device.setConfig(config);
+  }
+  await device.save();
+
+  if (config) {
+    await deviceService.pushConfig(device, req.user._id);
+  }
+
+  res.json({
+    success: true,
+    message: 'Device updated successfully',
+    data: { device }
+  });
+});
+
+/**
+ * Archive a device and take it off its counter; its key stops working
+ */
+const deleteDevice = catchAsync(async (req, res, next) => {
+  const device = await findDevice(req.params.deviceId);
+
+  if (device.counter) {
+    await Counter.updateOne(
+      { _id: device.counter, [`hardware.${device.hardwareField}`]: device.code },
+      { $unset: { [`hardware.${device.hardwareField}`]: 1 } }
+    );
+  }
+
+  device.archived = true;
+  device.active = false;
+  device.counter = undefined;
+  await device.save();
+
+  logger.info(`Device ${device.code} deleted by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Device deleted successfully'
+  });
+});
+
+/**
+ * Replace a device's key, e.g. when it is swapped for a spare
+ */
+const rotateKey = catchAsync(async (req, res, next) => {
+  const device = await findDevice(req.params.deviceId);
+
+  const key = device.generateKey();
+  await device.save();
+
+  logger.info(`Device ${device.code} key rotated by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Device key rotated',
+    data: { device: withKey(device, key) }
+  });
+});
+
+/**
+ * Send the device a test command and wait briefly for its answer
+ */
+const testDevice = catchAsync(async (req, res, next) => {
+  const device = await findDevice(req.params.deviceId);
+
+  const [result] = await deviceService.testDevices([device], req.user._id);
+
+  res.json({
+    success: true,
+    message: result.outcome === 'acknowledged' ? 'Device answered the test' : 'Device did not pass the test',
+    data: { result }
+  });
+});
+
+/**
+ * Inspect a device's commands, newest first
+ */
+const getDeviceCommands = catchAsync(async (req, res, next) => {
+  const device = await findDevice(req.params.deviceId);
+
+  const features = new APIFeatures(DeviceCommand.find({ device: device._id }), { sort: '-createdAt', ...req.query })
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const commands = await features.query.populate('requestedBy', 'firstName lastName');
+
+  res.json({
+    success: true,
+    results: commands.length,
+    data: { commands }
+  });
+});
+
+/**
+ * Device push channel: commands arrive as Server-Sent Events
+ */
+const openChannel = catchAsync(async (req, res, next) => {
+  await deviceService.openChannel(req.device, req, res);
+});
+
+/**
+ * Device check-in; the answer carries its config when it is behind and any
+ * commands it has not received
+ */
+const heartbeat = catchAsync(async (req, res, next) => {
+  const data = await deviceService.heartbeat(req.device, req.body, req.ip);
+
+  res.json({
+    success: true,
+    data
+  });
+});
+
+/**
+ * Device answer to a command
+ */
+const acknowledgeCommand = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.commandId, 'Command ID');
+
+  const command = await deviceService.acknowledge(req.device, req.params.commandId, req.body);
+
+  res.json({
+    success: true,
+    message: 'Command acknowledged',
+    data: { command: { id: command._id, status: command.status } }
+  });
+});
+
+module.exports = {
+  getDevices,
+  getDevice,
+  createDevice,
+  updateDevice,
+  deleteDevice,
+  rotateKey,
+  testDevice,
+  getDeviceCommands,
+  openChannel,
+  heartbeat,
+  acknowledgeCommand
+};
@@ -0,0 +1,113 @@
+const Escalation = require('../models/Escalation');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+/**
+ * Find an escalation or throw 404
+ */
+const findEscalation = async (escalationId) => {
+  validateObjectId(escalationId, 'Escalation ID');
+
+  const escalation = await Escalation.findById(escalationId);
+  if (!escalation) {
+    throw new AppError('Escalation not found', 404);
+  }
+
+  return escalation;
+};
+
+/**
+ * Get escalations, newest first
+ */
+const getEscalations = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Escalation.find(), { sort: '-createdAt', ...req.query })
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const escalations = await features.query.populate([
+    { path: 'department', select: 'name code' },
+    { path: 'token', select: 'tokenNumber displayNumber status' },
+    { path: 'device', select: 'name code type status' }
+  ]);
+
+  res.json({
+    success: true,
+    results: escalations.length,
+    data: { escalations }
+  });
+});
+
+/**
+ * Get a single escalation
+ */
+const getEscalation = catchAsync(async (req, res, next) => {
+  const escalation = await findEscalation(req.params.escalationId);
+
+  await escalation.populate([
+    { path: 'department', select: 'name code' },
+    { path: 'token', select: 'tokenNumber displayNumber status issuedAt' },
+    { path: 'device', select: 'name code type status lastSeenAt' },
+    { path: 'notified', select: 'name email' },
+    { path: 'acknowledgedBy', select: 'name email' },
+    { path: 'resolvedBy', select: 'name email' }
+  ]);
+
+  res.json({
+    success: true,
+    data: { escalation }
+  });
+});
+
+/**
+ * Acknowledge an open escalation: someone is looking into it
+ */
+const acknowledgeEscalation = catchAsync(async (req, res, next) => {
+  const escalation = await findEscalation(req.params.escalationId);
+
+  if (escalation.status !== 'open') {
+    return next(new AppError(`Escalation is already ${escalation.status}`, 409));
+  }
+
+  await escalation.acknowledge(req.user._id);
+
+  logger.info(`Escalation ${escalation._id} acknowledged by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Escalation acknowledged',
+    data: { escalation }
+  });
+});
+
+/**
+ * Resolve an escalation with a note on what was done
+ */
+const resolveEscalation = catchAsync(async (req, res, next) => {
+  const escalation = await findEscalation(req.params.escalationId);
+
+  if (escalation.status === 'resolved') {
+    return next(new AppError('Escalation is already resolved', 409));
+  }
+
+  await escalation.resolve(req.user._id, req.body.resolution);
+
+  logger.info(`Escalation ${escalation._id} resolved by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Escalation resolved',
+    data: { escalation }
+  });
+});
+
+module.exports = {
+  getEscalations,
+  getEscalation,
+  acknowledgeEscalation,
+  resolveEscalation
+};
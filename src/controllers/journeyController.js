@@ -0,0 +1,224 @@
+const JourneyTemplate = require('../models/JourneyTemplate');
+const Token = require('../models/Token');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+/**
+ * Find a non-archived journey template or throw 404
+ */
+const findJourney = async (journeyId) => {
+  validateObjectId(journeyId, 'Journey ID');
+
+  const journey = await JourneyTemplate.findOne({ _id: journeyId, archived: false });
+  if (!journey) {
+    throw new AppError('Journey not found', 404);
+  }
+
+  return journey;
+};
+
+/**
+ * Reject steps whose department is missing or does not offer the service type
+ */
+const assertValidSteps = async (journey) => {
+  const problems = await journey.checkSteps();
+  if (problems.length > 0) {
+    throw new AppError(problems.join('; '), 400);
+  }
+};
+
+/**
+ * Build a date range from startDate/endDate query params (defaults to last 7 days)
+ */
+const getDateRange = (query) => {
+  const end = query.endDate ? new Date(query.endDate) : new Date();
+  end.setHours(23, 59, 59, 999);
+
+  const start = query.startDate ? new Date(query.startDate) : new Date(end.getTime() - 6 * 24 * 60 * 60 * 1000);
+  start.setHours(0, 0, 0, 0);
+
+  return { start, end };
+};
+
+/**
+ * Get all journey templates
+ */
+const getJourneys = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(JourneyTemplate.find({ archived: false }), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const journeys = await features.query.populate('steps.department', 'name code');
+
+  res.json({
+    success: true,
+    results: journeys.length,
+    data: { journeys }
+  });
+});
+
+/**
+ * Get a single journey template
+ */
+const getJourney = catchAsync(async (req, res, next) => {
+  const journey = await findJourney(req.params.journeyId);
+  await journey.populate('steps.department', 'name code');
+
+  res.json({
+    success: true,
+    data: { journey }
+  });
+});
+
+/**
+ * Create a journey template
+ */
+const createJourney = catchAsync(async (req, res, next) => {
+  const journey = new JourneyTemplate({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  await assertValidSteps(journey);
+  await journey.save();
+
+  logger.info(`Journey ${journey.code} created by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Journey created successfully',
+    data: { journey }
+  });
+});
+
+/**
+ * Update a journey template. Tokens already on the journey keep the steps
+ * they were issued with.
+ */
+const updateJourney = catchAsync(async (req, res, next) => {
+  const journey = await findJourney(req.params.journeyId);
+
+  journey.set(req.body);
+  if (req.body.steps) {
+    await assertValidSteps(journey);
+  }
+  await journey.save();
+
+  res.json({
+    success: true,
+    message: 'Journey updated successfully',
+    data: { journey }
+  });
+});
+
+/**
+ * Archive a journey template; tokens on it finish their steps
+ */
+const deleteJourney = catchAsync(async (req, res, next) => {
+  const journey = await findJourney(req.params.journeyId);
+
+  journey.archived = true;
+  journey.active = false;
+  await journey.save();
+
+  logger.info(`Journey ${journey.code} deleted by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Journey deleted successfully'
+  });
+});
+
+/**
+ * Per-step report: how many tokens reached, waited at and finished each step
+ */
+const getJourneyReport = catchAsync(async (req, res, next) => {
+  const journey = await findJourney(req.params.journeyId);
+  const { start, end } = getDateRange(req.query);
+  const match = {
+    'journey.template': journey._id,
+    businessDate: { $gte: start, $lte: end }
+  };
+
+  const [steps, outcomes] = await Promise.all([
+    Token.aggregate([
+      { $match: match },
+      { $unwind: { path: '$journey.steps', includeArrayIndex: 'stepIndex' } },
+      {
+        $addFields: {
+          step: '$journey.steps',
+          isCurrent: { $eq: ['$stepIndex', '$journey.currentStep'] },
+          isCompleted: { $eq: ['$journey.steps.status', 'completed'] }
+        }
+      },
+      {
+        $group: {
+          _id: '$stepIndex',
+          department: { $first: '$step.department' },
+          serviceType: { $first: '$step.serviceType' },
+          name: { $first: '$step.name' },
+          entered: { $sum: { $cond: [{ $ifNull: ['$step.enteredAt', false] }, 1, 0] } },
+          completed: { $sum: { $cond: ['$isCompleted', 1, 0] } },
+          waiting: {
+            $sum: { $cond: [{ $and: ['$isCurrent', { $eq: ['$status', 'waiting'] }] }, 1, 0] }
+          },
+          // Tokens that stopped at this step: cancelled or not turned up
+          dropped: {
+            $sum: { $cond: [{ $and: ['$isCurrent', { $in: ['$status', ['cancelled', 'no_show']] }] }, 1, 0] }
+          },
+          avgWaitTime: { $avg: { $cond: ['$step.serviceStartedAt', '$step.waitTime', null] } },
+          avgServiceTime: { $avg: { $cond: ['$isCompleted', '$step.serviceTime', null] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    Token.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          avgWaitTime: { $avg: '$waitTime' },
+          avgServiceTime: { $avg: '$serviceTime' }
+        }
+      }
+    ])
+  ]);
+
+  const completed = outcomes.find(outcome => outcome._id === 'completed');
+
+  res.json({
+    success: true,
+    data: {
+      journey: { id: journey._id, code: journey.code, name: journey.name },
+      period: { startDate: start, endDate: end },
+      summary: {
+        started: outcomes.reduce((total, outcome) => total + outcome.count, 0),
+        completed: completed ? completed.count : 0,
+        avgTotalWaitTime: completed ? Math.round(completed.avgWaitTime || 0) : 0,
+        avgTotalServiceTime: completed ? Math.round(completed.avgServiceTime || 0) : 0
+      },
+      byStatus: outcomes.map(({ _id, count }) => ({ _id, count })),
+      steps: steps.map(({ _id, ...step }) => ({
+        step: _id + 1,
+        ...step,
+        avgWaitTime: Math.round(step.avgWaitTime || 0),
+        avgServiceTime: Math.round(step.avgServiceTime || 0)
+      }))
+    }
+  });
+});
+
+module.exports = {
+  getJourneys,
+  getJourney,
+  createJourney,
+  updateJourney,
+  deleteJourney,
+  getJourneyReport
+};
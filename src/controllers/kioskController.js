@@ -0,0 +1,248 @@
+const Kiosk = require('../models/Kiosk');
+const Department = require('../models/Department');
+const kioskService = require('../services/kioskService');
+const waitTimeEstimator = require('../services/waitTimeEstimator');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_:.-]{8,100}$/;
+
+/**
+ * Find a non-archived kiosk or throw 404
+ */
+const findKiosk = async (kioskId) => {
+  validateObjectId(kioskId, 'Kiosk ID');
+
+  const kiosk = await Kiosk.findOne({ _id: kioskId, archived: false });
+  if (!kiosk) {
+    throw new AppError('Kiosk not found', 404);
+  }
+
+  return kiosk;
+};
+
+/**
+ * Every department must exist
+ */
+const assertDepartments = async (departmentIds) => {
+  const found = await Department.countDocuments({ _id: { $in: departmentIds }, archived: false });
+  if (found !== departmentIds.length) {
+    throw new AppError('Department not found', 404);
+  }
+};
+
+/**
+ * Kiosk as returned by the API, with the key only when it was just generated
+ */
+const withKey = (kiosk, key) => {
+  const { keyHash, ...view } = kiosk.toObject();
+  return { ...view, key };
+};
+
+/**
+ * What the kiosk screen shows once a token is issued
+ */
+const buildTicketView = async (token) => {
+  const baseUrl = process.env.APP_BASE_URL || '';
+
+  return {
+    displayNumber: token.displayNumber,
+    tokenNumber: token.tokenNumber,
+    status: token.status,
+    department: token.department,
+    serviceType: token.serviceType,
+    issuedAt: token.issuedAt,
+    position: token.status === 'waiting' ? await waitTimeEstimator.countTokensAhead(token) + 1 : null,
+    estimatedWaitTime: token.status === 'waiting' ? token.estimatedWaitTime : null,
+    trackingCode: token.trackingCode,
+    trackingUrl: token.trackingCode ? `${baseUrl}/track.html?code=${token.trackingCode}` : null
+  };
+};
+
+/**
+ * Get all kiosks
+ */
+const getKiosks = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Kiosk.find({ archived: false }), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const kiosks = await features.query.populate('departments', 'name code');
+
+  res.json({
+    success: true,
+    results: kiosks.length,
+    data: { kiosks }
+  });
+});
+
+/**
+ * Get a single kiosk
+ */
+const getKiosk = catchAsync(async (req, res, next) => {
+  const kiosk = await findKiosk(req.params.kioskId);
+  await kiosk.populate('departments', 'name code');
+
+  res.json({
+    success: true,
+    data: { kiosk }
+  });
+});
+
+/**
+ * Register a kiosk. Its key is only shown here and when it is rotated.
+ */
+const createKiosk = catchAsync(async (req, res, next) => {
+  await assertDepartments(req.body.departments);
+
+  const kiosk = new Kiosk({
+    ...req.body,
+    createdBy: req.user._id
+  });
+  const key = kiosk.generateKey();
+  await kiosk.save();
+
+  logger.info(`Kiosk ${kiosk.code} registered by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Kiosk registered successfully',
+    data: { kiosk: withKey(kiosk, key) }
+  });
+});
+
+/**
+ * Update a kiosk
+ */
+const updateKiosk = catchAsync(async (req, res, next) => {
+  const kiosk = await findKiosk(req.params.kioskId);
+
+  if (req.body.departments) {
+    await assertDepartments(req.body.departments);
+  }
+
+  kiosk.set(req.body);
+  await kiosk.save();
+
+  res.json({
+    success: true,
+    message: 'Kiosk updated successfully',
+    data: { kiosk }
+  });
+});
+
+/**
+ * Archive a kiosk; its key stops working
+ */
+const deleteKiosk = catchAsync(async (req, res, next) => {
+  const kiosk = await findKiosk(req.params.kioskId);
+
+  kiosk.archived = true;
+  kiosk.active = false;
+  await kiosk.save();
+
+  logger.info(`Kiosk ${kiosk.code} deleted by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Kiosk deleted successfully'
+  });
+});
+
+/**
+ * Replace a kiosk's key, e.g. when a device is lost or replaced
+ */
+const rotateKey = catchAsync(async (req, res, next) => {
+  const kiosk = await findKiosk(req.params.kioskId);
+
+  const key = kiosk.generateKey();
+  await kiosk.save();
+
+  logger.info(`Kiosk ${kiosk.code} key rotated by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Kiosk key rotated',
+    data: { kiosk: withKey(kiosk, key) }
+  });
+});
+
+/**
+ * Kiosk start screen: departments and service types with live ETAs
+ */
+const getMenu = catchAsync(async (req, res, next) => {
+  const departments = await kioskService.getMenu(req.kiosk);
+
+  res.json({
+    success: true,
+    data: {
+      kiosk: { name: req.kiosk.name, code: req.kiosk.code, allowWalkIns: req.kiosk.allowWalkIns },
+      departments
+    }
+  });
+});
+
+/**
+ * Look a customer up by phone number. Only a first name is returned for
+ * the greeting; the kiosk is a public screen.
+ */
+const lookupCustomer = catchAsync(async (req, res, next) => {
+  const customer = await kioskService.lookupCustomer(req.body.phone);
+
+  res.json({
+    success: true,
+    data: {
+      found: Boolean(customer),
+      firstName: customer ? customer.firstName : null,
+      canRegister: !customer && req.kiosk.allowWalkIns
+    }
+  });
+});
+
+/**
+ * Issue a token in one call: find or register the customer by phone and
+ * queue them. Requires an Idempotency-Key header; retries with the same key
+ * return the original token.
+ */
+const issueToken = catchAsync(async (req, res, next) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (!idempotencyKey || !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    return next(new AppError('An Idempotency-Key header of 8-100 letters, digits, _ : . or - is required', 400));
+  }
+
+  const { token, customerCreated, replayed } = await kioskService.issueToken(req.kiosk, req.body, idempotencyKey);
+
+  await token.populate('department', 'name code location');
+
+  if (replayed) {
+    res.set('Idempotent-Replayed', 'true');
+  } else {
+    logger.info(`Token ${token.tokenNumber} issued at kiosk ${req.kiosk.code}`);
+  }
+
+  res.status(replayed ? 200 : 201).json({
+    success: true,
+    message: replayed ? 'Token already issued for this request' : 'Token issued successfully',
+    data: {
+      token: await buildTicketView(token),
+      customerCreated
+    }
+  });
+});
+
+module.exports = {
+  getKiosks,
+  getKiosk,
+  createKiosk,
+  updateKiosk,
+  deleteKiosk,
+  rotateKey,
+  getMenu,
+  lookupCustomer,
+  issueToken
+};
@@ -0,0 +1,93 @@
+const NotificationLog = require('../models/NotificationLog');
+const notificationDispatcher = require('../services/notifications');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+
+/**
+ * Get the notification delivery log with filtering and pagination
+ */
+const getNotifications = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(NotificationLog.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const notifications = await features.query;
+
+  res.json({
+    success: true,
+    results: notifications.length,
+    data: { notifications }
+  });
+});
+
+/**
+ * Get a single delivery log entry
+ */
+const getNotification = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.notificationId, 'Notification ID');
+
+  const notification = await NotificationLog.findById(req.params.notificationId);
+  if (!notification) {
+    return next(new AppError('Notification not found', 404));
+  }
+
+  res.json({
+    success: true,
+    data: { notification }
+  });
+});
+
+/**
+ * Retry a failed or dead delivery now
+ */
+const retryNotification = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.notificationId, 'Notification ID');
+
+  const notification = await NotificationLog.findById(req.params.notificationId);
+  if (!notification) {
+    return next(new AppError('Notification not found', 404));
+  }
+
+  if (!['failed', 'dead'].includes(notification.status)) {
+    return next(new AppError(`Notification is ${notification.status} and cannot be retried`, 409));
+  }
+
+  await notificationDispatcher.retry(notification);
+
+  res.json({
+    success: true,
+    message: notification.status === 'sent' ? 'Notification delivered' : 'Retry failed',
+    data: { notification }
+  });
+});
+
+/**
+ * Send a test message through a channel to check its configuration
+ */
+const sendTestNotification = catchAsync(async (req, res, next) => {
+  const { channel, recipient } = req.body;
+
+  const [notification] = await notificationDispatcher.notify(
+    'test',
+    [{ channel, recipient }],
+    {},
+    { user: req.user._id }
+  );
+
+  res.json({
+    success: notification.status === 'sent',
+    message: notification.status === 'sent' ? 'Test notification sent' : `Delivery failed: ${notification.lastError}`,
+    data: { notification }
+  });
+});
+
+module.exports = {
+  getNotifications,
+  getNotification,
+  retryNotification,
+  sendTestNotification
+};
@@ -0,0 +1,215 @@
+const OverflowRule = require('../models/OverflowRule');
+const OverflowOffer = require('../models/OverflowOffer');
+const Department = require('../models/Department');
+const overflowService = require('../services/overflowService');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+/**
+ * Find a non-archived overflow rule or throw 404
+ */
+const findRule = async (ruleId) => {
+  validateObjectId(ruleId, 'Rule ID');
+
+  const rule = await OverflowRule.findOne({ _id: ruleId, archived: false });
+  if (!rule) {
+    throw new AppError('Overflow rule not found', 404);
+  }
+
+  return rule;
+};
+
+/**
+ * Both departments must exist
+ */
+const assertDepartments = async (...departmentIds) => {
+  const found = await Department.countDocuments({ _id: { $in: departmentIds }, archived: false });
+  if (found !== new Set(departmentIds.map(String)).size) {
+    throw new AppError('Department not found', 404);
+  }
+};
+
+/**
+ * Get all overflow rules
+ */
+const getRules = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(OverflowRule.find({ archived: false }), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const rules = await features.query.populate([
+    { path: 'sourceDepartment', select: 'name code' },
+    { path: 'targetDepartment', select: 'name code' }
+  ]);
+
+  res.json({
+    success: true,
+    results: rules.length,
+    data: { rules }
+  });
+});
+
+/**
+ * Get a single overflow rule
+ */
+const getRule = catchAsync(async (req, res, next) => {
+  const rule = await findRule(req.params.ruleId);
+
+  res.json({
+    success: true,
+    data: { rule }
+  });
+});
+
+/**
+ * Create an overflow rule
+ */
+const createRule = catchAsync(async (req, res, next) => {
+  await assertDepartments(req.body.sourceDepartment, req.body.targetDepartment);
+
+  const rule = await OverflowRule.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  logger.info(`Overflow rule ${rule.name} created by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Overflow rule created successfully',
+    data: { rule }
+  });
+});
+
+/**
+ * Update an overflow rule
+ */
+const updateRule = catchAsync(async (req, res, next) => {
+  const rule = await findRule(req.params.ruleId);
+
+  if (req.body.targetDepartment) {
+    await assertDepartments(req.body.targetDepartment);
+  }
+
+  const { conditions, ...updates } = req.body;
+  rule.set(updates);
+  if (conditions) {
+    // Merge so unspecified conditions keep their values
+    Object.assign(rule.conditions, conditions);
+  }
+  await rule.save();
+
+  res.json({
+    success: true,
+    message: 'Overflow rule updated successfully',
+    data: { rule }
+  });
+});
+
+/**
+ * Archive an overflow rule and withdraw its pending offers
+ */
+const deleteRule = catchAsync(async (req, res, next) => {
+  const rule = await findRule(req.params.ruleId);
+
+  rule.archived = true;
+  rule.active = false;
+  await rule.save();
+
+  await OverflowOffer.updateMany({ rule: rule._id, status: 'pending' }, { $set: { status: 'withdrawn' } });
+
+  logger.info(`Overflow rule ${rule.name} deleted by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Overflow rule deleted successfully'
+  });
+});
+
+/**
+ * Evaluate a rule now, ignoring its cooldown
+ */
+const runRule = catchAsync(async (req, res, next) => {
+  const rule = await findRule(req.params.ruleId);
+
+  const result = await overflowService.evaluate(rule, { force: true, userId: req.user._id });
+
+  res.json({
+    success: true,
+    message: result.fired ? `Rule fired: ${result.reason}` : `Rule did not fire: ${result.reason}`,
+    data: result
+  });
+});
+
+/**
+ * Get overflow offers, newest first
+ */
+const getOffers = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(OverflowOffer.find(), { sort: '-createdAt', ...req.query })
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const offers = await features.query.populate([
+    { path: 'token', select: 'tokenNumber displayNumber serviceType status estimatedWaitTime' },
+    { path: 'sourceDepartment', select: 'name code' },
+    { path: 'targetDepartment', select: 'name code' },
+    { path: 'rule', select: 'name' }
+  ]);
+
+  res.json({
+    success: true,
+    results: offers.length,
+    data: { offers }
+  });
+});
+
+/**
+ * Confirm an offer and transfer its token
+ */
+const acceptOffer = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.offerId, 'Offer ID');
+
+  const { offer, token } = await overflowService.acceptOffer(req.params.offerId, req.user._id, req.body.note);
+
+  logger.info(`Overflow offer ${offer._id} accepted by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: `Token ${token.displayNumber} transferred`,
+    data: { offer, token }
+  });
+});
+
+/**
+ * Turn an offer down
+ */
+const declineOffer = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.offerId, 'Offer ID');
+
+  const offer = await overflowService.declineOffer(req.params.offerId, req.user._id, req.body.note);
+
+  res.json({
+    success: true,
+    message: 'Offer declined',
+    data: { offer }
+  });
+});
+
+module.exports = {
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  runRule,
+  getOffers,
+  acceptOffer,
+  declineOffer
+};
@@ -1,6 +1,7 @@
 const Payment = require('../models/Payment');
 const Customer = require('../models/Customer');
 const Token = require('../models/Token');
+const paymentGateway = require('../services/payments');
 const { validateObjectId } = require('../utils/validation');
 const AppError = require('../utils/AppError');
 const catchAsync = require('../utils/catchAsync');
@@ -128,17 +129,10 @@ exports.createPayment = catchAsync(async (req, res, next) => {
   });
 });
 
-// Process UPI payment
+// Start a UPI payment through the configured gateway
 exports.processUpiPayment = catchAsync(async (req, res, next) => {
   const { paymentId } = req.params;
-  const {
-    upiId,
-    transactionId,
-    vpa,
-    pspName,
-    merchantTransactionId,
-    gatewayResponse = {}
-  } = req.body;
+  const { flow = 'intent', vpa } = req.body;
 
   const payment = await Payment.findById(paymentId);
   if (!payment) {
@@ -153,56 +147,99 @@ exports.processUpiPayment = catchAsync(async (req, res, next) => {
     return next(new AppError('Payment is not in pending status', 400));
   }
 
-  // Update UPI details
-  const upiDetails = {
-    upiId,
-    transactionId,
-    vpa,
-    pspName,
-    merchantTransactionId
-  };
+  await paymentGateway.initiateUpiPayment(payment, { flow, vpa }, req.user._id);
 
-  // Process payment
-  await payment.processPayment(req.user._id);
+  const upi = payment.paymentDetails.upi;
 
-  // Complete payment with UPI details
-  await payment.completePayment({ upi: upiDetails });
+  res.json({
+    success: true,
+    message: flow === 'collect'
+      ? `Collect request sent to ${vpa}`
+      : 'Scan the QR code or open the link in a UPI app to pay',
+    data: {
+      payment,
+      upi: {
+        flow,
+        intentUri: upi.intentUri,
+        qrPayload: upi.intentUri,
+        expiresAt: upi.expiresAt
+      }
+    }
+  });
+});
 
-  // Update gateway information if provided
-  if (Object.keys(gatewayResponse).length > 0) {
-    payment.gateway.gatewayResponse = gatewayResponse;
-    await payment.save();
+// Check a UPI payment's status with its gateway
+exports.getUpiPaymentStatus = catchAsync(async (req, res, next) => {
+  let payment = await Payment.findById(req.params.paymentId);
+  if (!payment) {
+    return next(new AppError('Payment not found', 404));
   }
 
-  // Update related token
-  if (payment.token) {
-    const token = await Token.findById(payment.token);
-    if (token) {
-      token.payment.status = 'completed';
-      token.payment.paidAt = payment.completedAt;
-      token.payment.transactionId = transactionId;
-      token.payment.receiptNumber = payment.receipt.receiptNumber;
-      await token.save();
+  if (payment.paymentMethod !== 'upi') {
+    return next(new AppError('This payment is not a UPI payment', 400));
+  }
+
+  if (payment.status === 'processing' && payment.gateway.gatewayOrderId) {
+    payment = await paymentGateway.checkStatus(payment);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      paymentId: payment.paymentId,
+      status: payment.status,
+      transactionId: payment.paymentDetails.upi.transactionId,
+      expiresAt: payment.paymentDetails.upi.expiresAt,
+      failureReason: payment.gateway.failureReason,
+      receiptNumber: payment.receipt.receiptNumber
     }
+  });
+});
+
+// Receive a signed payment result from a gateway
+exports.handleGatewayCallback = catchAsync(async (req, res, next) => {
+  const payment = await paymentGateway.handleCallback(req.params.gateway, {
+    headers: req.headers,
+    rawBody: req.rawBody,
+    body: req.body
+  });
+
+  // Acknowledge callbacks for unknown orders too, or the gateway keeps retrying
+  res.json({
+    success: true,
+    data: payment ? { paymentId: payment.paymentId, status: payment.status } : null
+  });
+});
+
+// Send a simulated gateway callback (simulator gateway, outside production)
+exports.simulateUpiPayment = catchAsync(async (req, res, next) => {
+  if (process.env.NODE_ENV === 'production') {
+    return next(new AppError('The payment simulator is disabled in production', 403));
   }
 
-  // Update customer payment summary
-  const customer = await Customer.findById(payment.customer);
-  if (customer) {
-    customer.paymentSummary.totalPaid += payment.totalAmount;
-    customer.paymentSummary.totalTransactions += 1;
-    customer.paymentSummary.averageTransactionAmount = 
-      customer.paymentSummary.totalPaid / customer.paymentSummary.totalTransactions;
-    customer.paymentSummary.lastTransactionDate = payment.completedAt;
-    customer.paymentSummary.paymentMethodUsage.upi += 1;
-    customer.lastPaymentDate = payment.completedAt;
-    await customer.save();
+  const payment = await Payment.findById(req.params.paymentId);
+  if (!payment) {
+    return next(new AppError('Payment not found', 404));
+  }
+
+  if (payment.gateway.gatewayName !== 'simulator') {
+    return next(new AppError('Only simulator payments can be simulated', 400));
   }
 
+  const simulator = paymentGateway.getGateway('simulator');
+  if (!simulator.isConfigured()) {
+    return next(new AppError('Payment gateway simulator is not configured', 503));
+  }
+
+  const updated = await paymentGateway.handleCallback(
+    'simulator',
+    simulator.buildCallback(payment, req.body.outcome)
+  );
+
   res.json({
     success: true,
-    message: 'UPI payment processed successfully',
-    data: payment
+    message: `Simulated ${req.body.outcome} callback sent`,
+    data: updated
   });
 });
 
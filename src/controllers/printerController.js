@@ -0,0 +1,157 @@
+const Printer = require('../models/Printer');
+const PrintJob = require('../models/PrintJob');
+const Department = require('../models/Department');
+const printService = require('../services/printing');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+/**
+ * Find a non-archived printer or throw 404
+ */
+const findPrinter = async (printerId) => {
+  validateObjectId(printerId, 'Printer ID');
+
+  const printer = await Printer.findOne({ _id: printerId, archived: false });
+  if (!printer) {
+    throw new AppError('Printer not found', 404);
+  }
+
+  return printer;
+};
+
+/**
+ * Get all ticket printers
+ */
+const getPrinters = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Printer.find({ archived: false }), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const printers = await features.query.populate('department', 'name code');
+
+  res.json({
+    success: true,
+    results: printers.length,
+    data: { printers }
+  });
+});
+
+/**
+ * Get a single printer
+ */
+const getPrinter = catchAsync(async (req, res, next) => {
+  const printer = await findPrinter(req.params.printerId);
+
+  res.json({
+    success: true,
+    data: { printer }
+  });
+});
+
+/**
+ * Register a ticket printer
+ */
+const createPrinter = catchAsync(async (req, res, next) => {
+  const department = await Department.findById(req.body.department);
+  if (!department) {
+    return next(new AppError('Department not found', 404));
+  }
+
+  const printer = await Printer.create({
+    ...req.body,
+    createdBy: req.user._id
+  });
+
+  logger.info(`Printer ${printer.code} created by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Printer created successfully',
+    data: { printer }
+  });
+});
+
+/**
+ * Update a printer's settings or connection
+ */
+const updatePrinter = catchAsync(async (req, res, next) => {
+  const printer = await findPrinter(req.params.printerId);
+
+  printer.set(req.body);
+  await printer.save();
+
+  res.json({
+    success: true,
+    message: 'Printer updated successfully',
+    data: { printer }
+  });
+});
+
+/**
+ * Archive a printer; its job history is kept
+ */
+const deletePrinter = catchAsync(async (req, res, next) => {
+  const printer = await findPrinter(req.params.printerId);
+
+  printer.archived = true;
+  printer.active = false;
+  await printer.save();
+
+  logger.info(`Printer ${printer.code} deleted by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Printer deleted successfully'
+  });
+});
+
+/**
+ * Print a test page to check the connection and paper
+ */
+const testPrinter = catchAsync(async (req, res, next) => {
+  const printer = await findPrinter(req.params.printerId);
+
+  const job = await printService.printTestPage(printer, req.user._id);
+
+  res.json({
+    success: true,
+    message: job.status === 'printed' ? 'Test page printed' : 'Test page failed',
+    data: { job }
+  });
+});
+
+/**
+ * Inspect a printer's jobs, newest first
+ */
+const getPrintJobs = catchAsync(async (req, res, next) => {
+  const printer = await findPrinter(req.params.printerId);
+
+  const features = new APIFeatures(PrintJob.find({ printer: printer._id }), { sort: '-createdAt', ...req.query })
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const jobs = await features.query.populate('token', 'tokenNumber displayNumber');
+
+  res.json({
+    success: true,
+    results: jobs.length,
+    data: { jobs }
+  });
+});
+
+module.exports = {
+  getPrinters,
+  getPrinter,
+  createPrinter,
+  updatePrinter,
+  deletePrinter,
+  testPrinter,
+  getPrintJobs
+};
@@ -0,0 +1,69 @@
+const Token = require('../models/Token');
+const Department = require('../models/Department');
+const Counter = require('../models/Counter');
+const tokenEvents = require('../services/tokenEvents');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const { validateObjectId } = require('../utils/validation');
+
+/**
+ * Attach the response as an SSE subscriber and send the current state
+ * so a freshly connected board does not have to wait for the next event.
+ */
+const openStream = async (req, res, scope, snapshotFilter) => {
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const activeTokens = await Token.find({
+    ...snapshotFilter,
+    status: { $in: ['called', 'in_service'] },
+    'recall.noShowAt': { $exists: false }, // skipped tokens are no longer at a counter
+    businessDate: { $gte: startOfDay }
+  }).sort({ calledAt: -1 });
+
+  const unsubscribe = tokenEvents.subscribe(scope, res);
+
+  const snapshot = {
+    type: 'snapshot',
+    tokens: activeTokens.map(token => tokenEvents.serializeToken(token)),
+    timestamp: new Date().toISOString()
+  };
+  res.write(`event: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
+
+  req.on('close', unsubscribe);
+};
+
+/**
+ * Stream token events for a department (lobby display boards)
+ */
+const streamDepartmentEvents = catchAsync(async (req, res, next) => {
+  const { departmentId } = req.params;
+  validateObjectId(departmentId, 'Department ID');
+
+  const department = await Department.findById(departmentId);
+  if (!department || department.archived) {
+    return next(new AppError('Department not found', 404));
+  }
+
+  await openStream(req, res, { departmentId }, { department: department._id });
+});
+
+/**
+ * Stream token events for a single counter (counter displays, operator consoles)
+ */
+const streamCounterEvents = catchAsync(async (req, res, next) => {
+  const { counterId } = req.params;
+  validateObjectId(counterId, 'Counter ID');
+
+  const counter = await Counter.findById(counterId);
+  if (!counter || counter.archived) {
+    return next(new AppError('Counter not found', 404));
+  }
+
+  await openStream(req, res, { counterId }, { counter: counter._id });
+});
+
+module.exports = {
+  streamDepartmentEvents,
+  streamCounterEvents
+};
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const Survey = require('../models/Survey');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const Department = require('../models/Department');
+const surveyService = require('../services/surveyService');
+const kioskService = require('../services/kioskService');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+
+const SURVEY_CODE_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+/**
+ * Get start and end dates from query, defaulting to the last 7 days
+ */
+const getDateRange = (query) => {
+  const end = query.endDate ? new Date(query.endDate) : new Date();
+  end.setHours(23, 59, 59, 999);
+
+  const start = query.startDate ? new Date(query.startDate) : new Date(end.getTime() - 6 * 24 * 60 * 60 * 1000);
+  start.setHours(0, 0, 0, 0);
+
+  return { start, end };
+};
+
+/**
+ * Open survey by code; malformed codes get the same 404 as unknown ones
+ */
+const findOpenSurvey = async (code) => {
+  if (!SURVEY_CODE_PATTERN.test(code)) {
+    throw new AppError('Survey not found or no longer open', 404);
+  }
+
+  return surveyService.findOpen(code);
+};
+
+/**
+ * Public view of a survey: the questions and where the visit was
+ */
+const buildSurveyView = async (survey) => {
+  const department = await Department.findById(survey.department).select('name');
+
+  return {
+    code: survey.code,
+    departmentName: department ? department.name : null,
+    serviceType: survey.serviceType,
+    expiresAt: survey.expiresAt,
+    questions: survey.questions.map(({ key, type, label, options, required }) => ({
+      key,
+      type,
+      label,
+      options: type === 'choice' ? options : undefined,
+      required: Boolean(required)
+    }))
+  };
+};
+
+/**
+ * Names for the keys of a grouped report
+ */
+const labelGroups = async (groups, groupBy) => {
+  const ids = groups.map(group => group.key).filter(Boolean);
+  let names = new Map();
+
+  if (groupBy === 'operator') {
+    const users = await User.find({ _id: { $in: ids } }).select('firstName lastName');
+    names = new Map(users.map(user => [String(user._id), user.fullName]));
+  } else if (groupBy === 'counter') {
+    const counters = await Counter.find({ _id: { $in: ids } }).select('name number');
+    names = new Map(counters.map(counter => [String(counter._id), counter.name]));
+  } else if (groupBy === 'department') {
+    const departments = await Department.find({ _id: { $in: ids } }).select('name');
+    names = new Map(departments.map(department => [String(department._id), department.name]));
+  }
+
+  return groups.map(group => ({
+    ...group,
+    name: names.get(String(group.key)) || (groupBy === 'serviceType' ? group.key : null)
+  }));
+};
+
+/**
+ * Get a survey to answer by its link code
+ */
+const getSurveyByCode = catchAsync(async (req, res, next) => {
+  const survey = await findOpenSurvey(req.params.code);
+
+  res.json({
+    success: true,
+    data: { survey: await buildSurveyView(survey) }
+  });
+});
+
+/**
+ * Answer a survey from its link
+ */
+const submitSurvey = catchAsync(async (req, res, next) => {
+  if (!SURVEY_CODE_PATTERN.test(req.params.code)) {
+    return next(new AppError('Survey not found or no longer open', 404));
+  }
+
+  await surveyService.submit(req.params.code, req.body.answers, 'link');
+
+  res.json({
+    success: true,
+    message: 'Thank you for your feedback'
+  });
+});
+
+/**
+ * Kiosk prompt: the open survey of the customer with this phone number
+ */
+const getKioskSurvey = catchAsync(async (req, res, next) => {
+  const customer = await kioskService.lookupCustomer(req.body.phone);
+  const survey = customer
+    ? await surveyService.findOpenForCustomer(customer._id, req.kiosk.departments)
+    : null;
+
+  res.json({
+    success: true,
+    data: { survey: survey ? await buildSurveyView(survey) : null }
+  });
+});
+
+/**
+ * Answer a survey at a kiosk
+ */
+const submitKioskSurvey = catchAsync(async (req, res, next) => {
+  const survey = await findOpenSurvey(req.params.code);
+
+  if (!req.kiosk.servesDepartment(survey.department)) {
+    return next(new AppError('Survey not found or no longer open', 404));
+  }
+
+  await surveyService.submit(req.params.code, req.body.answers, 'kiosk');
+
+  res.json({
+    success: true,
+    message: 'Thank you for your feedback'
+  });
+});
+
+/**
+ * Get survey responses, newest first
+ */
+const getSurveys = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Survey.find().select('-code'), { sort: '-createdAt', ...req.query })
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const surveys = await features.query.populate([
+    { path: 'department', select: 'name code' },
+    { path: 'counter', select: 'name number' },
+    { path: 'servedBy', select: 'firstName lastName' },
+    { path: 'token', select: 'tokenNumber displayNumber' }
+  ]);
+
+  res.json({
+    success: true,
+    results: surveys.length,
+    data: { surveys }
+  });
+});
+
+/**
+ * Get a single survey response
+ */
+const getSurvey = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.surveyId, 'Survey ID');
+
+  const survey = await Survey.findById(req.params.surveyId).select('-code').populate([
+    { path: 'department', select: 'name code' },
+    { path: 'counter', select: 'name number' },
+    { path: 'servedBy', select: 'firstName lastName' },
+    { path: 'customer', select: 'firstName lastName phone' },
+    { path: 'token', select: 'tokenNumber displayNumber completedAt' },
+    { path: 'notified', select: 'firstName lastName email' }
+  ]);
+
+  if (!survey) {
+    return next(new AppError('Survey not found', 404));
+  }
+
+  res.json({
+    success: true,
+    data: { survey }
+  });
+});
+
+/**
+ * Satisfaction analytics: responses, average rating and NPS per operator,
+ * counter, service type or department
+ */
+const getSurveyReport = catchAsync(async (req, res, next) => {
+  const { departmentId, groupBy = 'counter' } = req.query;
+  const { start, end } = getDateRange(req.query);
+
+  const match = { businessDate: { $gte: start, $lte: end } };
+  if (departmentId) {
+    validateObjectId(departmentId, 'Department ID');
+    match.department = new mongoose.Types.ObjectId(departmentId);
+  }
+
+  const [overall, groups] = await Promise.all([
+    surveyService.report(match),
+    surveyService.report(match, groupBy).then(results => labelGroups(results, groupBy))
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      period: { startDate: start, endDate: end },
+      groupBy,
+      summary: overall[0] || null,
+      groups
+    }
+  });
+});
+
+module.exports = {
+  getSurveyByCode,
+  submitSurvey,
+  getKioskSurvey,
+  submitKioskSurvey,
+  getSurveys,
+  getSurvey,
+  getSurveyReport
+};
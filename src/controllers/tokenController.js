@@ -5,89 +5,35 @@ const Counter = require('../models/Counter');
 const AppError = require('../utils/AppError');
 const catchAsync = require('../utils/catchAsync');
 const APIFeatures = require('../utils/APIFeatures');
+const routingService = require('../services/routingService');
+const waitTimeEstimator = require('../services/waitTimeEstimator');
+const tokenService = require('../services/tokenService');
+const recallService = require('../services/recallService');
+const parkingService = require('../services/parkingService');
+const printService = require('../services/printing');
 const logger = require('../utils/logger');
 
 /**
  * Generate a new token
  */
 const generateToken = catchAsync(async (req, res, next) => {
-  const { customerId, departmentId, serviceType, priority, scheduledTime } = req.body;
+  const { customerId, departmentId, journeyId, serviceType, priority, scheduledTime, counterId } = req.body;
 
-  // Verify customer exists
-  const customer = await Customer.findById(customerId);
-  if (!customer) {
-    return next(new AppError('Customer not found', 404));
-  }
-
-  // Verify department exists and is active
-  const department = await Department.findById(departmentId);
-  if (!department || !department.isActive) {
-    return next(new AppError('Department not found or inactive', 404));
-  }
-
-  // Check if department is open
-  const now = new Date();
-  const currentDay = now.getDay();
-  const currentTime = now.getHours() * 60 + now.getMinutes();
-
-  const todayHours = department.operatingHours.find(oh => oh.day === currentDay);
-  if (!todayHours || !todayHours.isOpen) {
-    return next(new AppError('Department is closed today', 400));
-  }
-
-  const openTime = todayHours.openTime.split(':');
-  const closeTime = todayHours.closeTime.split(':');
-  const openMinutes = parseInt(openTime[0]) * 60 + parseInt(openTime[1]);
-  const closeMinutes = parseInt(closeTime[0]) * 60 + parseInt(closeTime[1]);
-
-  if (currentTime < openMinutes || currentTime > closeMinutes) {
-    return next(new AppError('Department is currently closed', 400));
-  }
-
-  // Check daily token limit
-  const startOfDay = new Date();
-  startOfDay.setHours(0, 0, 0, 0);
-  const tokensToday = await Token.countDocuments({
-    department: departmentId,
-    createdAt: { $gte: startOfDay },
-    status: { $ne: 'cancelled' }
-  });
-
-  if (tokensToday >= department.maxTokensPerDay) {
-    return next(new AppError('Daily token limit reached', 400));
-  }
-
-  // Generate token number
-  const tokenNumber = await generateTokenNumber(departmentId, serviceType);
-
-  // Create token
-  const token = await Token.create({
-    tokenNumber,
-    customer: customerId,
-    department: departmentId,
+  const token = await tokenService.issueToken({
+    customerId,
+    departmentId,
+    journeyId,
     serviceType,
-    priority: priority || 'normal',
+    priority,
     scheduledTime,
-    generatedBy: req.user._id,
-    estimatedWaitTime: await calculateEstimatedWaitTime(departmentId, priority || 'normal')
-  });
-
-  await token.populate(['customer', 'department', 'generatedBy']);
+    counterId
+  }, req.user._id);
 
-  // Update customer token history
-  await Customer.findByIdAndUpdate(customerId, {
-    $push: {
-      tokenHistory: {
-        tokenId: token._id,
-        tokenNumber: token.tokenNumber,
-        department: departmentId,
-        serviceType,
-        generatedAt: new Date()
-      }
-    }
-  });
-
-  logger.info(`Token ${token.tokenNumber} generated for customer ${customer.name}`);
+  await token.populate([
+    { path: 'customer', select: 'firstName lastName phone' },
+    { path: 'department', select: 'name code' },
+    { path: 'counter', select: 'name number' }
+  ]);
 
   res.status(201).json({
     success: true,
@@ -95,7 +41,7 @@ const generateToken = catchAsync(async (req, res, next) => {
     data: {
       token,
       estimatedWaitTime: token.estimatedWaitTime,
-      position: await getQueuePosition(token._id)
+      position: await waitTimeEstimator.countTokensAhead(token) + 1
     }
   });
 });
@@ -139,7 +85,9 @@ const getToken = catchAsync(async (req, res, next) => {
     { path: 'counter', select: 'name number' },
     { path: 'generatedBy', select: 'name' },
     { path: 'calledBy', select: 'name' },
-    { path: 'servedBy', select: 'name' }
+    { path: 'servedBy', select: 'name' },
+    { path: 'recall.history.counter', select: 'name number' },
+    { path: 'recall.history.by', select: 'firstName lastName' }
   ]);
 
   if (!token) {
@@ -174,13 +122,15 @@ const callToken = catchAsync(async (req, res, next) => {
     return next(new AppError('Counter not available', 400));
   }
 
-  // Update token
-  token.status = 'called';
-  token.counter = counterId;
-  token.calledAt = new Date();
-  token.calledBy = req.user._id;
+  if (counter.department.toString() !== token.department.toString()) {
+    return next(new AppError('Counter belongs to a different department', 400));
+  }
 
-  await token.save();
+  if (!routingService.canServe(counter, token.serviceType)) {
+    return next(new AppError(`Counter ${counter.code} does not serve ${token.serviceType} tokens`, 409));
+  }
+
+  await token.callToken(counter._id, req.user._id);
 
   logger.info(`Token ${token.tokenNumber} called to counter ${counter.name}`);
 
@@ -279,7 +229,7 @@ const cancelToken = catchAsync(async (req, res, next) => {
     return next(new AppError('Token not found', 404));
   }
 
-  if (!['waiting', 'called'].includes(token.status)) {
+  if (!['waiting', 'called', 'parked'].includes(token.status)) {
     return next(new AppError('Token cannot be cancelled', 400));
   }
 
@@ -319,34 +269,78 @@ const transferToken = catchAsync(async (req, res, next) => {
     return next(new AppError('Token cannot be transferred', 400));
   }
 
-  const oldDepartment = token.department;
-  const oldCounter = token.counter;
+  // Reset to waiting in the new location
+  await token.transferToken(targetDepartmentId, targetCounterId, reason, req.user._id, { requeue: true });
 
-  // Update token
-  token.department = targetDepartmentId;
-  token.counter = targetCounterId;
-  token.status = 'waiting'; // Reset to waiting in new location
-  
-  // Add to transfer history
-  token.transferHistory.push({
-    from: { department: oldDepartment, counter: oldCounter },
-    to: { department: targetDepartmentId, counter: targetCounterId },
-    reason,
-    transferredBy: req.user._id,
-    transferredAt: new Date()
+  logger.info(`Token ${token.tokenNumber} transferred`);
+
+  res.json({
+    success: true,
+    message: 'Token transferred successfully',
+    data: { token }
   });
+});
 
-  await token.save();
+/**
+ * Reinstate a skipped or no-show token for a customer who turned up late
+ */
+const reinstateToken = catchAsync(async (req, res, next) => {
+  const token = await Token.findById(req.params.tokenId);
+  if (!token) {
+    return next(new AppError('Token not found', 404));
+  }
 
-  logger.info(`Token ${token.tokenNumber} transferred`);
+  await recallService.reinstate(token, req.user._id, req.body.reason);
 
   res.json({
     success: true,
-    message: 'Token transferred successfully',
+    message: `Token ${token.displayNumber} reinstated`,
     data: { token }
   });
 });
 
+/**
+ * Put a parked token back in line for its counter once the customer returns
+ */
+const resumeToken = catchAsync(async (req, res, next) => {
+  const token = await Token.findById(req.params.tokenId);
+  if (!token) {
+    return next(new AppError('Token not found', 404));
+  }
+
+  await parkingService.resume(token, req.user._id);
+
+  res.json({
+    success: true,
+    message: `Token ${token.displayNumber} is next at its counter`,
+    data: { token }
+  });
+});
+
+/**
+ * Reprint a token's ticket, e.g. when the customer lost it
+ */
+const printToken = catchAsync(async (req, res, next) => {
+  const token = await Token.findById(req.params.tokenId);
+  if (!token) {
+    return next(new AppError('Token not found', 404));
+  }
+
+  if (['completed', 'cancelled', 'no_show'].includes(token.status)) {
+    return next(new AppError(`Cannot print a ticket for a token that is ${token.status}`, 400));
+  }
+
+  const job = await printService.reprint(token, req.body.printerId, req.user._id);
+
+  logger.info(`Ticket for token ${token.displayNumber} reprinted by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: job.status === 'printed' ? 'Ticket printed' : 'Ticket queued for printing',
+    data: { job }
+  });
+});
+
 /**
  * Get department queue status
  */
@@ -440,69 +434,6 @@ const getCurrentTokenForCounter = catchAsync(async (req, res, next) => {
 });
 
 // Helper functions
-const generateTokenNumber = async (departmentId, serviceType) => {
-  const today = new Date();
-  const dateStr = today.toISOString().split('T')[0].replace(/-/g, '');
-  
-  const count = await Token.countDocuments({
-    department: departmentId,
-    createdAt: {
-      $gte: new Date(today.getFullYear(), today.getMonth(), today.getDate()),
-      $lt: new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1)
-    }
-  });
-
-  const servicePrefix = serviceType ? serviceType.charAt(0).toUpperCase() : 'T';
-  return `${servicePrefix}${dateStr}${String(count + 1).padStart(3, '0')}`;
-};
-
-const calculateEstimatedWaitTime = async (departmentId, priority) => {
-  // Get average service time from completed tokens
-  const avgServiceTime = await Token.aggregate([
-    {
-      $match: {
-        department: departmentId,
-        status: 'completed',
-        serviceTime: { $exists: true, $gt: 0 }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        averageTime: { $avg: '$serviceTime' }
-      }
-    }
-  ]);
-
-  const baseTime = avgServiceTime.length > 0 ? avgServiceTime[0].averageTime : 10; // Default 10 minutes
-
-  // Get queue position
-  const waitingCount = await Token.countDocuments({
-    department: departmentId,
-    status: 'waiting',
-    priority: { $lte: priority === 'high' ? 'high' : priority === 'urgent' ? 'urgent' : 'normal' }
-  });
-
-  return Math.round(waitingCount * baseTime);
-};
-
-const getQueuePosition = async (tokenId) => {
-  const token = await Token.findById(tokenId);
-  if (!token) return 0;
-
-  const position = await Token.countDocuments({
-    department: token.department,
-    status: 'waiting',
-    $or: [
-      { priority: 'urgent' },
-      { priority: 'high', createdAt: { $lt: token.createdAt } },
-      { priority: 'normal', createdAt: { $lt: token.createdAt } }
-    ]
-  });
-
-  return position + 1;
-};
-
 const updateCustomerStats = async (customerId, action) => {
   const update = {};
   update[`statistics.tokens.${action}`] = 1;
@@ -555,6 +486,9 @@ module.exports = {
   completeToken,
   cancelToken,
   transferToken,
+  reinstateToken,
+  resumeToken,
+  printToken,
   getDepartmentQueue,
   getCustomerTokens,
   getCurrentTokenForCounter,
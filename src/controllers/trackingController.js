@@ -0,0 +1,134 @@
+const Token = require('../models/Token');
+const Customer = require('../models/Customer');
+const waitTimeEstimator = require('../services/waitTimeEstimator');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const logger = require('../utils/logger');
+
+const TRACKING_CODE_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+/**
+ * Look up a token by its tracking code. Unknown and malformed codes
+ * get the same 404 so codes cannot be probed.
+ */
+const findByTrackingCode = async (code) => {
+  const token = TRACKING_CODE_PATTERN.test(code)
+    ? await Token.findOne({ trackingCode: code }).populate([
+      { path: 'department', select: 'name code location' },
+      { path: 'counter', select: 'name number displaySettings.displayName location' }
+    ])
+    : null;
+
+  if (!token) {
+    throw new AppError('Token not found', 404);
+  }
+
+  return token;
+};
+
+/**
+ * Public view of a token: no customer details, only what the holder needs
+ */
+const buildTrackingView = async (token) => {
+  const view = {
+    displayNumber: token.displayNumber,
+    status: token.status,
+    serviceType: token.serviceType,
+    department: token.department && {
+      name: token.department.name,
+      location: token.department.location
+    },
+    issuedAt: token.issuedAt,
+    calledAt: token.calledAt,
+    position: null,
+    estimatedWaitTime: null,
+    counter: null,
+    lateArrival: token.lateArrival && token.lateArrival.expectedAt ? token.lateArrival : null,
+    canCancel: token.status === 'waiting',
+    canReportLate: token.status === 'waiting'
+  };
+
+  if (token.status === 'waiting') {
+    view.position = await waitTimeEstimator.countTokensAhead(token) + 1;
+    view.estimatedWaitTime = token.estimatedWaitTime;
+  }
+
+  // Skipped tokens wait for a reinstate and are no longer called to a counter
+  const held = Boolean(token.recall && token.recall.noShowAt);
+  if (['called', 'in_service', 'parked'].includes(token.status) && token.counter && !held) {
+    view.counter = {
+      name: token.counter.displaySettings && token.counter.displaySettings.displayName || token.counter.name,
+      number: token.counter.number,
+      location: token.counter.location
+    };
+  }
+
+  return view;
+};
+
+/**
+ * Get the status of a token by its tracking code
+ */
+const getTrackedToken = catchAsync(async (req, res, next) => {
+  const token = await findByTrackingCode(req.params.trackingCode);
+
+  res.json({
+    success: true,
+    data: { token: await buildTrackingView(token) }
+  });
+});
+
+/**
+ * Let the customer cancel their own waiting token
+ */
+const cancelTrackedToken = catchAsync(async (req, res, next) => {
+  const token = await findByTrackingCode(req.params.trackingCode);
+
+  if (token.status !== 'waiting') {
+    return next(new AppError(`Token is ${token.status.replace('_', ' ')} and can no longer be cancelled`, 409));
+  }
+
+  await token.cancelToken(undefined, req.body.reason || 'Cancelled by customer');
+
+  await Customer.updateOne(
+    { _id: token.customer, 'tokenHistory.tokenNumber': token.tokenNumber },
+    { $set: { 'tokenHistory.$.status': 'cancelled' } }
+  );
+
+  logger.info(`Token ${token.tokenNumber} cancelled by customer`);
+
+  res.json({
+    success: true,
+    message: 'Token cancelled',
+    data: { token: await buildTrackingView(token) }
+  });
+});
+
+/**
+ * Let the customer say they are running late; the token keeps its place
+ * but is not called until the expected arrival time
+ */
+const reportLateArrival = catchAsync(async (req, res, next) => {
+  const token = await findByTrackingCode(req.params.trackingCode);
+
+  if (token.status !== 'waiting') {
+    return next(new AppError(`Token is ${token.status.replace('_', ' ')}`, 409));
+  }
+
+  await token.reportLate(req.body.minutes);
+  waitTimeEstimator.scheduleRefresh(token.department._id);
+
+  logger.info(`Token ${token.tokenNumber} running ${req.body.minutes} minutes late`);
+
+  res.json({
+    success: true,
+    message: `We will hold your place for ${req.body.minutes} minutes`,
+    data: { token: await buildTrackingView(token) }
+  });
+});
+
+module.exports = {
+  getTrackedToken,
+  cancelTrackedToken,
+  reportLateArrival
+};
@@ -0,0 +1,270 @@
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const AppError = require('../utils/AppError');
+const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/APIFeatures');
+const { validateObjectId } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+/**
+ * Find a non-archived subscription or throw 404
+ */
+const findSubscription = async (webhookId) => {
+  validateObjectId(webhookId, 'Webhook ID');
+
+  const subscription = await WebhookSubscription.findOne({ _id: webhookId, archived: false });
+  if (!subscription) {
+    throw new AppError('Webhook not found', 404);
+  }
+
+  return subscription;
+};
+
+/**
+ * Subscription as returned by the API, with the secret only when it was
+ * just generated
+ */
+const withSecret = (subscription, secret) => ({
+  ...subscription.toObject(),
+  secret
+});
+
+/**
+ * Get all webhook subscriptions
+ */
+const getWebhooks = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(WebhookSubscription.find({ archived: false }), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const webhooks = await features.query;
+
+  res.json({
+    success: true,
+    results: webhooks.length,
+    data: { webhooks }
+  });
+});
+
+/**
+ * Get a single webhook subscription
+ */
+const getWebhook = catchAsync(async (req, res, next) => {
+  const webhook = await findSubscription(req.params.webhookId);
+
+  res.json({
+    success: true,
+    data: { webhook }
+  });
+});
+
+/**
+ * Create a webhook subscription. The signing secret is only shown here
+ * and when it is rotated.
+ */
+const createWebhook = catchAsync(async (req, res, next) => {
+  if (req.body.customer) {
+    validateObjectId(req.body.customer, 'Customer ID');
+    await webhookService.assertWebhooksAllowed(req.body.customer);
+  }
+
+  const secret = webhookService.generateSecret();
+  const webhook = await WebhookSubscription.create({
+    ...req.body,
+    secret,
+    createdBy: req.user._id
+  });
+
+  logger.info(`Webhook ${webhook.name} created by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook created successfully',
+    data: { webhook: withSecret(webhook, secret) }
+  });
+});
+
+/**
+ * Update a webhook subscription
+ */
+const updateWebhook = catchAsync(async (req, res, next) => {
+  const webhook = await findSubscription(req.params.webhookId);
+
+  if (webhook.managedByQueue) {
+    return next(new AppError('This webhook is managed by its queue\'s notification settings', 409));
+  }
+
+  if (req.body.customer && String(req.body.customer) !== String(webhook.customer)) {
+    validateObjectId(req.body.customer, 'Customer ID');
+    await webhookService.assertWebhooksAllowed(req.body.customer);
+  }
+
+  webhook.set(req.body);
+  await webhook.save();
+
+  res.json({
+    success: true,
+    message: 'Webhook updated successfully',
+    data: { webhook }
+  });
+});
+
+/**
+ * Archive a webhook subscription; its delivery history is kept
+ */
+const deleteWebhook = catchAsync(async (req, res, next) => {
+  const webhook = await findSubscription(req.params.webhookId);
+
+  webhook.archived = true;
+  webhook.active = false;
+  await webhook.save();
+
+  logger.info(`Webhook ${webhook.name} deleted by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Webhook deleted successfully'
+  });
+});
+
+/**
+ * Replace the signing secret
+ */
+const rotateSecret = catchAsync(async (req, res, next) => {
+  const webhook = await findSubscription(req.params.webhookId);
+
+  const secret = webhookService.generateSecret();
+  webhook.secret = secret;
+  await webhook.save();
+
+  res.json({
+    success: true,
+    message: 'Signing secret rotated',
+    data: { webhook: withSecret(webhook, secret) }
+  });
+});
+
+/**
+ * Send a ping event to check the endpoint and signature handling
+ */
+const testWebhook = catchAsync(async (req, res, next) => {
+  const webhook = await findSubscription(req.params.webhookId);
+
+  const pending = await webhookService.enqueue(webhook, 'ping', {
+    message: 'Webhook test from Queue Management System'
+  });
+  const delivery = await webhookService.attempt(pending._id);
+
+  res.json({
+    success: true,
+    message: delivery.status === 'succeeded' ? 'Test event delivered' : 'Test event failed',
+    data: { delivery }
+  });
+});
+
+/**
+ * Inspect a subscription's deliveries and their attempts
+ */
+const getDeliveries = catchAsync(async (req, res, next) => {
+  const webhook = await findSubscription(req.params.webhookId);
+
+  const features = new APIFeatures(WebhookDelivery.find({ subscription: webhook._id }), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const deliveries = await features.query;
+
+  res.json({
+    success: true,
+    results: deliveries.length,
+    data: { deliveries }
+  });
+});
+
+/**
+ * Get a single delivery with its attempts and payload
+ */
+const getDelivery = catchAsync(async (req, res, next) => {
+  validateObjectId(req.params.deliveryId, 'Delivery ID');
+
+  const delivery = await WebhookDelivery.findOne({
+    _id: req.params.deliveryId,
+    subscription: req.params.webhookId
+  });
+  if (!delivery) {
+    return next(new AppError('Delivery not found', 404));
+  }
+
+  res.json({
+    success: true,
+    data: { delivery }
+  });
+});
+
+/**
+ * Send a delivery's payload again as a new delivery
+ */
+const replayDelivery = catchAsync(async (req, res, next) => {
+  const webhook = await findSubscription(req.params.webhookId);
+  validateObjectId(req.params.deliveryId, 'Delivery ID');
+
+  const original = await WebhookDelivery.findOne({
+    _id: req.params.deliveryId,
+    subscription: webhook._id
+  });
+  if (!original) {
+    return next(new AppError('Delivery not found', 404));
+  }
+
+  if (['pending', 'delivering'].includes(original.status)) {
+    return next(new AppError(`Delivery is ${original.status} and cannot be replayed yet`, 409));
+  }
+
+  const delivery = await webhookService.replay(original);
+
+  logger.info(`Webhook delivery ${original._id} replayed by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: delivery.status === 'succeeded' ? 'Delivery replayed' : 'Replay failed and will be retried',
+    data: { delivery }
+  });
+});
+
+/**
+ * Get deliveries that exhausted their retries, across all subscriptions
+ */
+const getDeadLetters = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(WebhookDelivery.find({ status: 'dead' }), { sort: '-deadAt', ...req.query })
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const deliveries = await features.query.populate('subscription', 'name url');
+
+  res.json({
+    success: true,
+    results: deliveries.length,
+    data: { deliveries }
+  });
+});
+
+module.exports = {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  testWebhook,
+  getDeliveries,
+  getDelivery,
+  replayDelivery,
+  getDeadLetters
+};
@@ -14,6 +14,13 @@ const connectMockDB = require('./config/mockDatabase');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const { initializeScheduler } = require('./services/scheduler');
+const waitTimeEstimator = require('./services/waitTimeEstimator');
+const notificationDispatcher = require('./services/notifications');
+const webhookService = require('./services/webhookService');
+const announcementService = require('./services/announcements');
+const printService = require('./services/printing');
+const displayService = require('./services/display');
+const surveyService = require('./services/surveyService');
 
 // Import routes
 const projectRoutes = require('./routes/projectRoutes');
@@ -27,6 +34,21 @@ const tokenRoutes = require('./routes/tokenRoutes');
 const departmentRoutes = require('./routes/departmentRoutes');
 const counterRoutes = require('./routes/counterRoutes');
 const authRoutes = require('./routes/authRoutes');
+const streamRoutes = require('./routes/streamRoutes');
+const appointmentRoutes = require('./routes/appointmentRoutes');
+const trackingRoutes = require('./routes/trackingRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const announcementRoutes = require('./routes/announcementRoutes');
+const printerRoutes = require('./routes/printerRoutes');
+const journeyRoutes = require('./routes/journeyRoutes');
+const escalationRoutes = require('./routes/escalationRoutes');
+const overflowRoutes = require('./routes/overflowRoutes');
+const kioskRoutes = require('./routes/kioskRoutes');
+const kioskDeviceRoutes = require('./routes/kioskDeviceRoutes');
+const surveyRoutes = require('./routes/surveyRoutes');
+const deviceRoutes = require('./routes/deviceRoutes');
+const deviceChannelRoutes = require('./routes/deviceChannelRoutes');
 
 // Initialize Express app
 const app = express();
@@ -36,7 +58,15 @@ const PORT = process.env.PORT || 3000;
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } })); // Logging
-app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes of payment callbacks for signature checks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes('/payments/callbacks/')) {
+      req.rawBody = buf;
+    }
+  }
+})); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // Parse URL-encoded bodies
 
 // Health check endpoint
@@ -65,6 +95,21 @@ app.use(`${API_BASE}/${API_VERSION}/tokens`, tokenRoutes);
 app.use(`${API_BASE}/${API_VERSION}/departments`, departmentRoutes);
 app.use(`${API_BASE}/${API_VERSION}/counters`, counterRoutes);
 app.use(`${API_BASE}/${API_VERSION}/dashboard`, dashboardRoutes);
+app.use(`${API_BASE}/${API_VERSION}/stream`, streamRoutes);
+app.use(`${API_BASE}/${API_VERSION}/appointments`, appointmentRoutes);
+app.use(`${API_BASE}/${API_VERSION}/track`, trackingRoutes);
+app.use(`${API_BASE}/${API_VERSION}/notifications`, notificationRoutes);
+app.use(`${API_BASE}/${API_VERSION}/webhooks`, webhookRoutes);
+app.use(`${API_BASE}/${API_VERSION}/announcements`, announcementRoutes);
+app.use(`${API_BASE}/${API_VERSION}/printers`, printerRoutes);
+app.use(`${API_BASE}/${API_VERSION}/journeys`, journeyRoutes);
+app.use(`${API_BASE}/${API_VERSION}/escalations`, escalationRoutes);
+app.use(`${API_BASE}/${API_VERSION}/overflow`, overflowRoutes);
+app.use(`${API_BASE}/${API_VERSION}/kiosks`, kioskRoutes);
+app.use(`${API_BASE}/${API_VERSION}/kiosk`, kioskDeviceRoutes);
+app.use(`${API_BASE}/${API_VERSION}/surveys`, surveyRoutes);
+app.use(`${API_BASE}/${API_VERSION}/devices`, deviceRoutes);
+app.use(`${API_BASE}/${API_VERSION}/device`, deviceChannelRoutes);
 
 // Serve static files for frontend (if any)
 app.use(express.static(path.join(__dirname, '../public')));
@@ -94,6 +139,27 @@ async function startServer() {
       await connectDB();
     }
     
+    // Keep waiting tokens' ETAs current as the queue moves
+    waitTimeEstimator.start();
+    
+    // Send customer notifications for token events
+    notificationDispatcher.start();
+    
+    // Deliver token events to webhook subscribers
+    webhookService.start();
+    
+    // Voice token calls on the lobby speakers
+    announcementService.start();
+    
+    // Print tickets for issued tokens
+    printService.start();
+    
+    // Show token calls on counter LED boards
+    displayService.start();
+    
+    // Send feedback surveys when service completes
+    surveyService.start();
+    
     // Initialize scheduler if enabled
     if (process.env.SCHEDULER_ENABLED === 'true') {
       await initializeScheduler();
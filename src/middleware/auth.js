@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Kiosk = require('../models/Kiosk');
+const Device = require('../models/Device');
 
 /**
  * Protect routes - verify JWT token
@@ -74,9 +76,11 @@ const protect = async (req, res, next) => {
 
 /**
  * Grant access to specific roles
- * @param {...string} roles - Allowed roles
+ * @param {...string|string[]} roles - Allowed roles, as arguments or a single array
  */
 const authorize = (...roles) => {
+  roles = roles.flat();
+
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
       return res.status(403).json({
@@ -213,10 +217,81 @@ const apiKeyAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Kiosk device authentication via the X-Kiosk-Key header
+ */
+const kioskAuth = async (req, res, next) => {
+  const key = req.headers['x-kiosk-key'];
+
+  if (!key) {
+    return res.status(401).json({
+      success: false,
+      error: 'Kiosk key required'
+    });
+  }
+
+  try {
+    const kiosk = await Kiosk.findByKey(key);
+
+    if (!kiosk) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid kiosk key'
+      });
+    }
+
+    await Kiosk.updateOne({ _id: kiosk._id }, { $set: { lastSeenAt: new Date(), lastSeenIp: req.ip } });
+
+    req.kiosk = kiosk;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Kiosk authentication failed'
+    });
+  }
+};
+
+/**
+ * Counter device authentication via the X-Device-Key header
+ * (liveness is recorded by the heartbeat, not on every request)
+ */
+const deviceAuth = async (req, res, next) => {
+  const key = req.headers['x-device-key'];
+
+  if (!key) {
+    return res.status(401).json({
+      success: false,
+      error: 'Device key required'
+    });
+  }
+
+  try {
+    const device = await Device.findByKey(key);
+
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid device key'
+      });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Device authentication failed'
+    });
+  }
+};
+
 module.exports = {
   protect,
   authorize,
   requirePermission,
   optionalAuth,
-  apiKeyAuth
+  apiKeyAuth,
+  kioskAuth,
+  deviceAuth
 };
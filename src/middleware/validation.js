@@ -194,6 +194,9 @@ const apiKeySchema = Joi.object({
   expiresIn: Joi.string().valid('1h', '24h', '7d', '30d', '90d', '1y', 'never')
 });
 
+const CUSTOMER_TYPES = ['individual', 'business', 'vip', 'premium'];
+const ACCESSIBILITY_NEEDS = Joi.string().valid('wheelchair', 'mobility', 'visual', 'hearing', 'pregnancy', 'other');
+
 // Customer validation schema
 const customerSchema = Joi.object({
   firstName: Joi.string().trim().min(2).max(50).required(),
@@ -209,8 +212,10 @@ const customerSchema = Joi.object({
     country: Joi.string().default('US')
   }).optional(),
   
-  customerType: Joi.string().valid('individual', 'business', 'vip', 'premium').default('individual'),
+  customerType: Joi.string().valid(...CUSTOMER_TYPES).default('individual'),
   priority: Joi.number().min(1).max(10).default(5),
+  dateOfBirth: Joi.date().max('now').optional(),
+  accessibilityNeeds: Joi.array().items(ACCESSIBILITY_NEEDS).unique().optional(),
   preferredServices: Joi.array().items(Joi.string()).optional(),
   
   subscription: Joi.object({
@@ -237,12 +242,158 @@ const customerSchema = Joi.object({
 
 // Token generation schema
 const tokenGenerationSchema = Joi.object({
-  departmentId: Joi.string().required(),
-  priority: Joi.number().min(1).max(10).optional(),
-  serviceType: Joi.string().optional()
+  customerId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+  departmentId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  journeyId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  counterId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  priority: Joi.number().integer().min(1).max(10).optional(),
+  serviceType: Joi.string().max(20).optional(),
+  scheduledTime: Joi.date().iso().optional()
+}).or('departmentId', 'journeyId');
+
+const customerTokenSchema = Joi.object({
+  departmentId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+  priority: Joi.number().integer().min(1).max(10).optional(),
+  serviceType: Joi.string().max(20).optional()
+});
+
+const reinstateTokenSchema = Joi.object({
+  reason: Joi.string().trim().max(500).optional()
+});
+
+// Department validation schemas
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{{#label}} must be a time in HH:MM format'
 });
 
-// Department validation schema
+const operatingDaySchema = Joi.object({
+  start: timeOfDay,
+  end: timeOfDay,
+  closed: Joi.boolean()
+}).custom((day, helpers) => {
+  if (day.closed) return day;
+  if (!day.start || !day.end) {
+    return helpers.message('{{#label}} must have both start and end unless closed');
+  }
+  // HH:MM strings compare correctly as text
+  if (day.start >= day.end) {
+    return helpers.message('{{#label}} start must be before end');
+  }
+  return day;
+});
+
+const operatingHoursSchema = Joi.object({
+  monday: operatingDaySchema,
+  tuesday: operatingDaySchema,
+  wednesday: operatingDaySchema,
+  thursday: operatingDaySchema,
+  friday: operatingDaySchema,
+  saturday: operatingDaySchema,
+  sunday: operatingDaySchema
+}).min(1);
+
+// No defaults here: partial updates must not reset fields the client left out
+const queueSettingsSchema = Joi.object({
+  maxQueueSize: Joi.number().integer().min(1).max(10000),
+  avgServiceTime: Joi.number().min(1).max(480),
+  maxWaitTime: Joi.number().min(1).max(1440),
+  priorityEnabled: Joi.boolean(),
+  transferEnabled: Joi.boolean(),
+  nearTurnThreshold: Joi.number().integer().min(0).max(50)
+}).min(1);
+
+const displaySettingsSchema = Joi.object({
+  showEstimatedWaitTime: Joi.boolean(),
+  showQueueLength: Joi.boolean(),
+  displayColor: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/),
+  displayOrder: Joi.number().integer().min(0)
+}).min(1);
+
+const appointmentSettingsSchema = Joi.object({
+  enabled: Joi.boolean(),
+  bookingWindowDays: Joi.number().integer().min(1).max(365),
+  reservedCapacityPercent: Joi.number().min(0).max(100),
+  checkInWindowMinutes: Joi.number().integer().min(0).max(240),
+  gracePeriodMinutes: Joi.number().integer().min(0).max(240),
+  priorityBump: Joi.number().integer().min(0).max(9)
+}).min(1);
+
+const tokenNumberingSchema = Joi.object({
+  prefix: Joi.string().trim().max(4).pattern(/^[A-Za-z0-9]+$/),
+  separator: Joi.string().valid('-', ' ', ''),
+  padding: Joi.number().integer().min(1).max(6),
+  reset: Joi.string().valid('daily', 'never'),
+  perServiceType: Joi.boolean(),
+  priorityPrefix: Joi.string().trim().max(4).pattern(/^[A-Za-z0-9]+$/).allow(''),
+  priorityThreshold: Joi.number().integer().min(1).max(10)
+}).min(1);
+
+const recallPolicySchema = Joi.object({
+  maxRecalls: Joi.number().integer().min(0).max(10),
+  requeueAction: Joi.string().valid('back', 'end', 'none'),
+  requeuePositions: Joi.number().integer().min(1).max(100),
+  maxRequeues: Joi.number().integer().min(0).max(10),
+  noShowTimeoutMinutes: Joi.number().integer().min(0).max(240),
+  reinstateGraceMinutes: Joi.number().integer().min(0).max(480)
+}).min(1);
+
+const slaSettingsSchema = Joi.object({
+  enabled: Joi.boolean(),
+  warningPercent: Joi.number().integer().min(0).max(99),
+  queueLengthThreshold: Joi.number().integer().min(0).max(10000)
+}).min(1);
+
+const agingPolicySchema = Joi.object({
+  enabled: Joi.boolean(),
+  intervalMinutes: Joi.number().integer().min(1).max(240),
+  step: Joi.number().integer().min(1).max(9),
+  maxBoost: Joi.number().integer().min(0).max(9),
+  enforceMaxWait: Joi.boolean()
+}).min(1);
+
+const priorityRuleSchema = Joi.object({
+  name: Joi.string().trim().max(60).required(),
+  customerTypes: Joi.array().items(Joi.string().valid(...CUSTOMER_TYPES)).min(1).unique(),
+  minAge: Joi.number().integer().min(0).max(150),
+  maxAge: Joi.number().integer().min(0).max(150)
+    .when('minAge', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minAge')) }),
+  accessibilityNeeds: Joi.array().items(ACCESSIBILITY_NEEDS).min(1).unique(),
+  serviceTypes: Joi.array().items(Joi.string().trim().max(10)).min(1).unique((a, b) => a.toUpperCase() === b.toUpperCase()),
+  appointment: Joi.string().valid('walk_in', 'booked', 'on_time', 'late'),
+  priority: Joi.number().integer().min(1).max(10).required(),
+  explanation: Joi.string().trim().max(200).required(),
+  active: Joi.boolean()
+}).or('customerTypes', 'minAge', 'maxAge', 'accessibilityNeeds', 'serviceTypes', 'appointment');
+
+const announcementSettingsSchema = Joi.object({
+  enabled: Joi.boolean(),
+  languages: Joi.array().items(Joi.string().trim().lowercase().pattern(/^[a-z]{2,3}(-[a-z]{2})?$/)).min(1).unique(),
+  chime: Joi.boolean(),
+  format: Joi.string().valid('wav', 'mp3')
+}).min(1);
+
+const surveyQuestionSchema = Joi.object({
+  key: Joi.string().trim().max(30).pattern(/^[a-z][a-z0-9_]*$/).required(),
+  type: Joi.string().valid('nps', 'rating', 'choice', 'text').required(),
+  label: Joi.string().max(200).required(),
+  options: Joi.when('type', {
+    is: 'choice',
+    then: Joi.array().items(Joi.string().max(100)).min(2).unique().required(),
+    otherwise: Joi.forbidden()
+  }),
+  required: Joi.boolean()
+});
+
+const surveySettingsSchema = Joi.object({
+  enabled: Joi.boolean(),
+  questions: Joi.array().items(surveyQuestionSchema).max(20).unique('key'),
+  lowNpsScore: Joi.number().integer().min(0).max(10),
+  lowRating: Joi.number().integer().min(1).max(5),
+  expiresAfterHours: Joi.number().integer().min(1).max(720),
+  alertManagers: Joi.boolean()
+}).min(1);
+
 const departmentSchema = Joi.object({
   name: Joi.string().trim().min(2).max(100).required(),
   code: Joi.string().trim().min(2).max(10).pattern(/^[A-Z0-9]+$/).required(),
@@ -253,27 +404,34 @@ const departmentSchema = Joi.object({
       name: Joi.string().required(),
       code: Joi.string().required(),
       estimatedServiceTime: Joi.number().min(1).default(15),
-      priority: Joi.number().min(1).max(10).default(5)
+      priority: Joi.number().min(1).max(10).default(5),
+      prefix: Joi.string().trim().max(4).pattern(/^[A-Za-z0-9]+$/).optional()
     })
   ).optional(),
   
-  operatingHours: Joi.object({
-    monday: Joi.object({ start: Joi.string(), end: Joi.string(), closed: Joi.boolean() }).optional(),
-    tuesday: Joi.object({ start: Joi.string(), end: Joi.string(), closed: Joi.boolean() }).optional(),
-    wednesday: Joi.object({ start: Joi.string(), end: Joi.string(), closed: Joi.boolean() }).optional(),
-    thursday: Joi.object({ start: Joi.string(), end: Joi.string(), closed: Joi.boolean() }).optional(),
-    friday: Joi.object({ start: Joi.string(), end: Joi.string(), closed: Joi.boolean() }).optional(),
-    saturday: Joi.object({ start: Joi.string(), end: Joi.string(), closed: Joi.boolean() }).optional(),
-    sunday: Joi.object({ start: Joi.string(), end: Joi.string(), closed: Joi.boolean() }).optional()
-  }).optional(),
+  operatingHours: operatingHoursSchema.optional(),
   
-  queueSettings: Joi.object({
-    maxQueueSize: Joi.number().min(1).default(100),
-    avgServiceTime: Joi.number().min(1).default(15),
-    maxWaitTime: Joi.number().min(1).default(120),
-    priorityEnabled: Joi.boolean().default(true),
-    transferEnabled: Joi.boolean().default(true)
-  }).optional(),
+  queueSettings: queueSettingsSchema.optional(),
+  
+  displaySettings: displaySettingsSchema.optional(),
+  
+  appointmentSettings: appointmentSettingsSchema.optional(),
+  
+  tokenNumbering: tokenNumberingSchema.optional(),
+  
+  recallPolicy: recallPolicySchema.optional(),
+  
+  slaSettings: slaSettingsSchema.optional(),
+  
+  agingPolicy: agingPolicySchema.optional(),
+  
+  priorityRules: Joi.array().items(priorityRuleSchema).max(50).unique('name').optional(),
+  
+  announcementSettings: announcementSettingsSchema.optional(),
+  
+  surveySettings: surveySettingsSchema.optional(),
+  
+  managedBy: objectId.optional(),
   
   location: Joi.object({
     floor: Joi.string().optional(),
@@ -289,6 +447,233 @@ const departmentSchema = Joi.object({
   }).optional()
 });
 
+const departmentUpdateSchema = departmentSchema.fork(['name', 'code'], (field) => field.optional()).min(1);
+
+const departmentStatusSchema = Joi.object({
+  status: Joi.string().valid('active', 'inactive', 'maintenance', 'closed').required(),
+  reason: Joi.string().max(500).optional()
+});
+
+const departmentStaffSchema = Joi.object({
+  staffIds: Joi.array().items(objectId).min(1).unique().required(),
+  roles: Joi.alternatives().try(
+    Joi.string().valid('manager', 'operator', 'support'),
+    Joi.array().items(Joi.string().valid('manager', 'operator', 'support'))
+  ).optional(),
+  counterIds: Joi.array().items(objectId).optional()
+});
+
+const serviceTypeSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  code: Joi.string().trim().max(10).pattern(/^[A-Za-z0-9]+$/).required(),
+  estimatedServiceTime: Joi.number().min(1).max(480).optional(),
+  priority: Joi.number().integer().min(1).max(10).optional(),
+  prefix: Joi.string().trim().max(4).pattern(/^[A-Za-z0-9]+$/).optional()
+});
+
+const bulkUpdateDepartmentsSchema = Joi.object({
+  departments: Joi.array().items(objectId).min(1).required(),
+  updateFields: Joi.object({
+    status: Joi.string().valid('active', 'inactive', 'maintenance', 'closed'),
+    queueSettings: queueSettingsSchema,
+    displaySettings: displaySettingsSchema,
+    operatingHours: operatingHoursSchema
+  }).min(1).required()
+});
+
+// Appointment validation schemas
+const bookAppointmentSchema = Joi.object({
+  customerId: objectId.required(),
+  departmentId: objectId.required(),
+  serviceType: Joi.string().trim().max(10).required(),
+  slotStart: Joi.date().iso().required(),
+  notes: Joi.string().max(500).allow('').optional()
+});
+
+const rescheduleAppointmentSchema = Joi.object({
+  slotStart: Joi.date().iso().required()
+});
+
+const cancelAppointmentSchema = Joi.object({
+  reason: Joi.string().max(500).optional()
+});
+
+// Token tracking validation schemas
+const cancelTrackedTokenSchema = Joi.object({
+  reason: Joi.string().max(200).optional()
+});
+
+const reportLateArrivalSchema = Joi.object({
+  minutes: Joi.number().integer().min(5).max(120).required()
+});
+
+// Notification validation schemas
+const testNotificationSchema = Joi.object({
+  channel: Joi.string().valid('email', 'sms', 'webhook', 'console').required(),
+  recipient: Joi.string().max(500).required()
+});
+
+// Webhook validation schemas
+const webhookEventPattern = Joi.string().pattern(/^(\*|[a-z_]+\.(\*|[a-z_]+)|ping)$/).messages({
+  'string.pattern.base': '{{#label}} must be an event name such as token.called, a wildcard such as token.* or *'
+});
+
+const webhookFiltersSchema = Joi.object({
+  departments: Joi.array().items(objectId).optional(),
+  queues: Joi.array().items(objectId).optional()
+});
+
+const webhookSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  description: Joi.string().max(500).allow('').optional(),
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  events: Joi.array().items(webhookEventPattern).min(1).optional(),
+  filters: webhookFiltersSchema.optional(),
+  active: Joi.boolean().optional(),
+  customer: objectId.optional()
+});
+
+const webhookUpdateSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  description: Joi.string().max(500).allow('').optional(),
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+  events: Joi.array().items(webhookEventPattern).min(1).optional(),
+  filters: webhookFiltersSchema.optional(),
+  active: Joi.boolean().optional(),
+  customer: objectId.optional()
+}).min(1);
+
+const resolveEscalationSchema = Joi.object({
+  resolution: Joi.string().trim().min(3).max(500).required()
+});
+
+// Kiosk validation schemas
+const kioskSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  code: Joi.string().max(20).required(),
+  location: Joi.string().max(200).optional(),
+  departments: Joi.array().items(objectId).min(1).unique().required(),
+  allowWalkIns: Joi.boolean().optional(),
+  active: Joi.boolean().optional()
+});
+
+const kioskUpdateSchema = kioskSchema.fork(['name', 'code', 'departments'], (field) => field.optional()).min(1);
+
+// Spaces, dashes and brackets are allowed as typed; they are stripped before lookup
+const kioskPhone = Joi.string().trim().pattern(/^\+?[\d\s\-()]{4,24}$/).messages({
+  'string.pattern.base': 'Please enter a valid phone number'
+});
+
+const kioskLookupSchema = Joi.object({
+  phone: kioskPhone.required()
+});
+
+const kioskTokenSchema = Joi.object({
+  phone: kioskPhone.required(),
+  departmentId: objectId.required(),
+  serviceType: Joi.string().max(20).optional(),
+  firstName: Joi.string().trim().min(1).max(50).optional(),
+  lastName: Joi.string().trim().min(1).max(50).optional()
+});
+
+// Survey validation schemas
+const submitSurveySchema = Joi.object({
+  answers: Joi.object().pattern(
+    Joi.string().max(30),
+    Joi.alternatives().try(Joi.number(), Joi.string().max(1000), null)
+  ).required()
+});
+
+const overflowConditionsSchema = Joi.object({
+  minWaiting: Joi.number().integer().min(0).max(10000),
+  minEtaMinutes: Joi.number().integer().min(0).max(1440),
+  targetMaxWaiting: Joi.number().integer().min(0).max(10000)
+});
+
+const overflowRuleSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  sourceDepartment: objectId.required(),
+  targetDepartment: objectId.invalid(Joi.ref('sourceDepartment')).required().messages({
+    'any.invalid': 'Target department must differ from the source'
+  }),
+  targetCounter: objectId.optional(),
+  serviceTypes: Joi.array().items(Joi.string().max(20)).unique().optional(),
+  targetServiceType: Joi.string().max(20).optional(),
+  conditions: overflowConditionsSchema.or('minWaiting', 'minEtaMinutes').required(),
+  mode: Joi.string().valid('auto', 'confirm').optional(),
+  batchSize: Joi.number().integer().min(1).max(50).optional(),
+  cooldownMinutes: Joi.number().integer().min(0).max(1440).optional(),
+  active: Joi.boolean().optional()
+});
+
+const overflowRuleUpdateSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  targetDepartment: objectId.optional(),
+  targetCounter: objectId.allow(null).optional(),
+  serviceTypes: Joi.array().items(Joi.string().max(20)).unique().optional(),
+  targetServiceType: Joi.string().max(20).allow(null).optional(),
+  conditions: overflowConditionsSchema.optional(),
+  mode: Joi.string().valid('auto', 'confirm').optional(),
+  batchSize: Joi.number().integer().min(1).max(50).optional(),
+  cooldownMinutes: Joi.number().integer().min(0).max(1440).optional(),
+  active: Joi.boolean().optional()
+}).min(1);
+
+const overflowDecisionSchema = Joi.object({
+  note: Joi.string().trim().max(500).optional()
+});
+
+const journeyStepSchema = Joi.object({
+  department: objectId.required(),
+  serviceType: Joi.string().max(20).required(),
+  name: Joi.string().max(100).optional()
+});
+
+const journeySchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  code: Joi.string().alphanum().max(20).required(),
+  description: Joi.string().max(500).allow('').optional(),
+  steps: Joi.array().items(journeyStepSchema).min(2).required(),
+  active: Joi.boolean().optional()
+});
+
+const journeyUpdateSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  description: Joi.string().max(500).allow('').optional(),
+  steps: Joi.array().items(journeyStepSchema).min(2).optional(),
+  active: Joi.boolean().optional()
+}).min(1);
+
+const printerConnectionSchema = Joi.object({
+  host: Joi.string().hostname().optional(),
+  port: Joi.number().integer().min(1).max(65535).optional(),
+  path: Joi.string().max(500).optional()
+});
+
+const printerSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  code: Joi.string().alphanum().max(20).required(),
+  department: objectId.required(),
+  autoPrint: Joi.boolean().optional(),
+  driver: Joi.string().valid('tcp', 'file').required(),
+  connection: printerConnectionSchema.required(),
+  paperWidth: Joi.number().valid(58, 80).optional(),
+  active: Joi.boolean().optional()
+});
+
+const printerUpdateSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  autoPrint: Joi.boolean().optional(),
+  driver: Joi.string().valid('tcp', 'file').optional(),
+  connection: printerConnectionSchema.optional(),
+  paperWidth: Joi.number().valid(58, 80).optional(),
+  active: Joi.boolean().optional()
+}).min(1);
+
+const printTokenSchema = Joi.object({
+  printerId: objectId.optional()
+});
+
 // Counter validation schema
 const counterSchema = Joi.object({
   name: Joi.string().trim().min(2).max(100).required(),
@@ -297,7 +682,8 @@ const counterSchema = Joi.object({
   department: Joi.string().required(),
   
   counterType: Joi.string().valid('service', 'consultation', 'payment', 'information', 'priority', 'general').default('general'),
-  serviceTypes: Joi.array().items(Joi.string()).optional(),
+  serviceTypes: Joi.array().items(Joi.string().trim().max(50)).optional(),
+  fallbackServiceTypes: Joi.array().items(Joi.string().trim().max(50)).optional(),
   
   settings: Joi.object({
     maxConcurrentTokens: Joi.number().min(1).default(1),
@@ -327,6 +713,98 @@ const counterSchema = Joi.object({
   }).optional()
 });
 
+// Counter update schema (all fields optional)
+const counterUpdateSchema = counterSchema.fork(['name', 'number', 'code', 'department'], (field) => field.optional());
+
+const counterStatusSchema = Joi.object({
+  status: Joi.string().valid('active', 'inactive', 'closed', 'maintenance').required(),
+  reason: Joi.string().max(500).optional()
+});
+
+const counterStaffSchema = Joi.object({
+  staffId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+  role: Joi.string().valid('operator', 'supervisor').default('operator'),
+  shift: Joi.string().max(50).optional()
+});
+
+const callNextTokenSchema = Joi.object({
+  serviceType: Joi.string().optional()
+});
+
+const completeTokenServiceSchema = Joi.object({
+  notes: Joi.string().max(1000).allow('').optional(),
+  rating: Joi.number().integer().min(1).max(5).optional()
+});
+
+const parkTokenSchema = Joi.object({
+  reason: Joi.string().trim().min(1).max(500).required()
+});
+
+const counterBreakSchema = Joi.object({
+  breakType: Joi.string().valid('short', 'lunch', 'personal', 'technical').default('short'),
+  estimatedDuration: Joi.number().integer().min(1).max(240).optional(),
+  reason: Joi.string().max(500).optional()
+});
+
+const bulkUpdateCountersSchema = Joi.object({
+  counterIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).min(1).required(),
+  updateData: Joi.object().min(1).required()
+});
+
+// Counter hardware: device codes per component, null to unassign
+const HARDWARE_COMPONENTS = ['ledDisplay', 'audioSystem', 'callButton', 'statusLed', 'ticketPrinter'];
+const hardwareCode = Joi.string().trim().max(20).allow(null);
+
+const counterHardwareSchema = Joi.object({
+  ledDisplayId: hardwareCode.optional(),
+  audioSystemId: hardwareCode.optional(),
+  callButtonId: hardwareCode.optional(),
+  statusLedId: hardwareCode.optional(),
+  ticketPrinterId: hardwareCode.optional(),
+  // Config pushed to the assigned device, per component (not ticket printers)
+  config: Joi.object({
+    ledDisplay: Joi.object().optional(),
+    audioSystem: Joi.object().optional(),
+    callButton: Joi.object().optional(),
+    statusLed: Joi.object().optional()
+  }).min(1).optional()
+}).min(1);
+
+const counterHardwareTestSchema = Joi.object({
+  components: Joi.array().items(Joi.string().valid(...HARDWARE_COMPONENTS)).min(1).unique().optional()
+});
+
+// Device validation schemas
+const deviceSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  code: Joi.string().alphanum().max(20).required(),
+  type: Joi.string().valid('led_display', 'audio_system', 'call_button', 'status_led').required(),
+  department: objectId.required(),
+  hardwareModel: Joi.string().max(50).optional(),
+  config: Joi.object().optional(),
+  heartbeatIntervalSeconds: Joi.number().integer().min(5).max(3600).optional(),
+  active: Joi.boolean().optional()
+});
+
+const deviceUpdateSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  hardwareModel: Joi.string().max(50).optional(),
+  config: Joi.object().optional(),
+  heartbeatIntervalSeconds: Joi.number().integer().min(5).max(3600).optional(),
+  active: Joi.boolean().optional()
+}).min(1);
+
+const deviceHeartbeatSchema = Joi.object({
+  firmwareVersion: Joi.string().max(50).optional(),
+  configVersion: Joi.number().integer().min(0).optional()
+});
+
+const deviceAckSchema = Joi.object({
+  success: Joi.boolean().required(),
+  result: Joi.object().optional(),
+  error: Joi.string().max(500).optional()
+});
+
 // Payment validation schemas
 const createPaymentSchema = Joi.object({
   customerId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
@@ -367,12 +845,18 @@ const createPaymentSchema = Joi.object({
 });
 
 const processUpiPaymentSchema = Joi.object({
-  upiId: Joi.string().required(),
-  transactionId: Joi.string().required(),
-  vpa: Joi.string().optional(),
-  pspName: Joi.string().optional(),
-  merchantTransactionId: Joi.string().optional(),
-  gatewayResponse: Joi.object().optional()
+  flow: Joi.string().valid('collect', 'intent', 'qr').default('intent'),
+  vpa: Joi.string().pattern(/^[\w.-]{2,256}@[a-zA-Z]{2,64}$/).when('flow', {
+    is: 'collect',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }).messages({
+    'string.pattern.base': 'VPA must look like name@bank'
+  })
+});
+
+const simulateUpiPaymentSchema = Joi.object({
+  outcome: Joi.string().valid('success', 'failure', 'pending').required()
 });
 
 const processCashPaymentSchema = Joi.object({
@@ -453,6 +937,7 @@ module.exports = {
   paymentValidation: {
     createPayment: validate(createPaymentSchema),
     processUpiPayment: validate(processUpiPaymentSchema),
+    simulateUpiPayment: validate(simulateUpiPaymentSchema),
     processCashPayment: validate(processCashPaymentSchema),
     refundPayment: validate(refundPaymentSchema),
     getPaymentById: validate(paymentIdSchema),
@@ -467,6 +952,9 @@ module.exports = {
   // Token validations
   tokenValidation: {
     generateToken: validate(tokenGenerationSchema),
+    generateCustomerToken: validate(customerTokenSchema),
+    reinstateToken: validate(reinstateTokenSchema),
+    printToken: validate(printTokenSchema),
     getTokenById: (req, res, next) => { next(); }, // Placeholder
     callToken: (req, res, next) => { next(); }, // Placeholder
     serveToken: (req, res, next) => { next(); }, // Placeholder
@@ -481,27 +969,100 @@ module.exports = {
   departmentValidation: {
     createDepartment: validate(departmentSchema),
     getDepartmentById: (req, res, next) => { next(); }, // Placeholder
-    updateDepartment: validate(departmentSchema),
+    updateDepartment: validate(departmentUpdateSchema),
     deleteDepartment: (req, res, next) => { next(); }, // Placeholder
-    updateDepartmentStatus: (req, res, next) => { next(); }, // Placeholder
-    assignStaffToDepartment: (req, res, next) => { next(); }, // Placeholder
-    updateQueueSettings: (req, res, next) => { next(); }, // Placeholder
-    updateDisplaySettings: (req, res, next) => { next(); }, // Placeholder
-    bulkUpdateDepartments: (req, res, next) => { next(); } // Placeholder
+    updateDepartmentStatus: validate(departmentStatusSchema),
+    assignStaffToDepartment: validate(departmentStaffSchema),
+    addServiceType: validate(serviceTypeSchema),
+    updateQueueSettings: validate(queueSettingsSchema.required()),
+    updateDisplaySettings: validate(displaySettingsSchema.required()),
+    bulkUpdateDepartments: validate(bulkUpdateDepartmentsSchema)
+  },
+  
+  // Appointment validations
+  appointmentValidation: {
+    bookAppointment: validate(bookAppointmentSchema),
+    rescheduleAppointment: validate(rescheduleAppointmentSchema),
+    cancelAppointment: validate(cancelAppointmentSchema)
+  },
+  
+  // Token tracking validations
+  trackingValidation: {
+    cancelTrackedToken: validate(cancelTrackedTokenSchema),
+    reportLateArrival: validate(reportLateArrivalSchema)
+  },
+  
+  // Notification validations
+  notificationValidation: {
+    sendTestNotification: validate(testNotificationSchema)
+  },
+  
+  // Webhook validations
+  webhookValidation: {
+    createWebhook: validate(webhookSchema),
+    updateWebhook: validate(webhookUpdateSchema)
+  },
+  
+  // Escalation validations
+  escalationValidation: {
+    resolveEscalation: validate(resolveEscalationSchema)
+  },
+  
+  // Kiosk validations
+  kioskValidation: {
+    createKiosk: validate(kioskSchema),
+    updateKiosk: validate(kioskUpdateSchema),
+    lookupCustomer: validate(kioskLookupSchema),
+    issueToken: validate(kioskTokenSchema),
+    lookupSurvey: validate(kioskLookupSchema)
+  },
+  
+  // Survey validations
+  surveyValidation: {
+    submitSurvey: validate(submitSurveySchema)
+  },
+  
+  // Overflow validations
+  overflowValidation: {
+    createRule: validate(overflowRuleSchema),
+    updateRule: validate(overflowRuleUpdateSchema),
+    decideOffer: validate(overflowDecisionSchema)
+  },
+  
+  // Journey validations
+  journeyValidation: {
+    createJourney: validate(journeySchema),
+    updateJourney: validate(journeyUpdateSchema)
+  },
+  
+  // Printer validations
+  printerValidation: {
+    createPrinter: validate(printerSchema),
+    updatePrinter: validate(printerUpdateSchema)
+  },
+  
+  // Device validations
+  deviceValidation: {
+    createDevice: validate(deviceSchema),
+    updateDevice: validate(deviceUpdateSchema),
+    heartbeat: validate(deviceHeartbeatSchema),
+    acknowledgeCommand: validate(deviceAckSchema)
   },
   
   // Counter validations
   counterValidation: {
     createCounter: validate(counterSchema),
     getCounterById: (req, res, next) => { next(); }, // Placeholder
-    updateCounter: validate(counterSchema),
+    updateCounter: validate(counterUpdateSchema),
     deleteCounter: (req, res, next) => { next(); }, // Placeholder
-    updateCounterStatus: (req, res, next) => { next(); }, // Placeholder
-    assignStaffToCounter: (req, res, next) => { next(); }, // Placeholder
-    callNextToken: (req, res, next) => { next(); }, // Placeholder
-    startCounterBreak: (req, res, next) => { next(); }, // Placeholder
-    updateHardwareConfig: (req, res, next) => { next(); }, // Placeholder
-    testHardware: (req, res, next) => { next(); }, // Placeholder
-    bulkUpdateCounters: (req, res, next) => { next(); } // Placeholder
+    updateCounterStatus: validate(counterStatusSchema),
+    assignStaffToCounter: validate(counterStaffSchema),
+    callNextToken: validate(callNextTokenSchema),
+    completeTokenService: validate(completeTokenServiceSchema),
+    parkToken: validate(parkTokenSchema),
+    startCounterBreak: validate(counterBreakSchema),
+    updateHardwareConfig: validate(counterHardwareSchema),
+    testHardware: validate(counterHardwareTestSchema),
+    bulkUpdateCounters: validate(bulkUpdateCountersSchema)
   }
 };
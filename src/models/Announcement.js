@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const announcementSchema = new mongoose.Schema({
+  token: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    required: true
+  },
+
+  counter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Counter',
+    required: true
+  },
+
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+
+  // Lobby audio system the call plays on; calls in one zone never overlap
+  zone: {
+    type: String,
+    required: true
+  },
+
+  displayNumber: String,
+
+  // Playlist manifest for the lobby player, in play order
+  playlist: [{
+    _id: false,
+    url: String,
+    language: String,
+    durationMs: Number,
+    gapMs: Number // silence before this clip
+  }],
+
+  languages: [String],
+  format: {
+    type: String,
+    enum: ['wav', 'mp3']
+  },
+
+  // Stitched file, when every clip could be joined
+  audioUrl: String,
+  audioPath: String,
+
+  durationMs: {
+    type: Number,
+    default: 0
+  },
+
+  // Playback State
+  status: {
+    type: String,
+    enum: ['queued', 'playing', 'played', 'expired', 'failed'],
+    default: 'queued'
+  },
+
+  startedAt: Date,
+  playedAt: Date,
+  error: String,
+
+  // Stale calls are dropped rather than played late
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Announcement'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+announcementSchema.index({ zone: 1, status: 1, createdAt: 1 });
+announcementSchema.index({ token: 1, createdAt: -1 });
+announcementSchema.index({ status: 1, createdAt: 1 });
+
+// Static methods
+announcementSchema.statics.claimNext = function(zone) {
+  // Atomically take the oldest queued call so it is played exactly once
+  return this.findOneAndUpdate(
+    { zone, status: 'queued', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'playing', startedAt: new Date() } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+module.exports = mongoose.model('Announcement', announcementSchema);
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+const appointmentSchema = new mongoose.Schema({
+  // Booking Information
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+
+  serviceType: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  // Reserved Slot
+  slotStart: {
+    type: Date,
+    required: true
+  },
+
+  slotEnd: {
+    type: Date,
+    required: true
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: ['booked', 'checked_in', 'cancelled', 'no_show'],
+    default: 'booked'
+  },
+
+  // Token issued on check-in
+  token: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token'
+  },
+
+  checkedInAt: Date,
+
+  cancelledAt: Date,
+  cancellationReason: String,
+
+  noShowRecordedAt: Date,
+
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Reschedule History
+  rescheduleHistory: [{
+    fromSlot: Date,
+    toSlot: Date,
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    },
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+
+  // System Fields
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+appointmentSchema.index({ department: 1, serviceType: 1, slotStart: 1, status: 1 });
+appointmentSchema.index({ customer: 1, slotStart: -1 });
+appointmentSchema.index({ status: 1, slotStart: 1 });
+
+// Statuses that hold a slot's capacity
+appointmentSchema.statics.RESERVING_STATUSES = ['booked', 'checked_in'];
+
+// Virtual properties
+appointmentSchema.virtual('isUpcoming').get(function() {
+  return this.status === 'booked' && this.slotStart > new Date();
+});
+
+// Instance methods
+appointmentSchema.methods.reschedule = function(slotStart, slotEnd, userId) {
+  this.rescheduleHistory.push({
+    fromSlot: this.slotStart,
+    toSlot: slotStart,
+    rescheduledBy: userId
+  });
+
+  this.slotStart = slotStart;
+  this.slotEnd = slotEnd;
+  this.lastModifiedBy = userId;
+
+  return this.save();
+};
+
+appointmentSchema.methods.cancel = function(userId, reason) {
+  this.status = 'cancelled';
+  this.cancelledAt = new Date();
+  this.cancellationReason = reason;
+  this.lastModifiedBy = userId;
+
+  return this.save();
+};
+
+appointmentSchema.methods.checkIn = function(tokenId, userId) {
+  this.status = 'checked_in';
+  this.token = tokenId;
+  this.checkedInAt = new Date();
+  this.lastModifiedBy = userId;
+
+  return this.save();
+};
+
+// Static methods
+appointmentSchema.statics.countReserved = function(departmentId, serviceType, slotStart, excludeId) {
+  const query = {
+    department: departmentId,
+    serviceType: serviceType.toUpperCase(),
+    slotStart,
+    status: { $in: this.RESERVING_STATUSES }
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.countDocuments(query);
+};
+
+const Appointment = mongoose.model('Appointment', appointmentSchema);
+
+module.exports = Appointment;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const logger = require('../utils/logger');
 
 const counterSchema = new mongoose.Schema({
   // Basic Information
@@ -38,12 +39,18 @@ const counterSchema = new mongoose.Schema({
     default: 'general'
   },
   
-  // Service Types this counter can handle
+  // Service Types this counter can handle (empty means all)
   serviceTypes: [{
     type: String,
     trim: true
   }],
   
+  // Service Types served only when none of the above are waiting
+  fallbackServiceTypes: [{
+    type: String,
+    trim: true
+  }],
+  
   // Current Status
   status: {
     type: String,
@@ -68,6 +75,14 @@ const counterSchema = new mongoose.Schema({
     ref: 'Token'
   },
   
+  // Current Break (set while status is 'break')
+  currentBreak: {
+    breakType: String,
+    reason: String,
+    startedAt: Date,
+    expectedEndAt: Date
+  },
+  
   // Last Activity
   lastTokenCalledAt: Date,
   lastServiceCompletedAt: Date,
@@ -250,6 +265,7 @@ counterSchema.methods.removeOperator = function(userId) {
 counterSchema.methods.openCounter = function(operatorId) {
   this.status = 'active';
   this.currentOperator = operatorId;
+  this.currentBreak = undefined;
   
   return this.save();
 };
@@ -258,36 +274,46 @@ counterSchema.methods.closeCounter = function() {
   this.status = 'closed';
   this.currentOperator = undefined;
   this.currentToken = undefined;
+  this.currentBreak = undefined;
   
   return this.save();
 };
 
-counterSchema.methods.takeBreak = function(duration) {
+counterSchema.methods.takeBreak = function(duration, details = {}) {
   this.status = 'break';
-  
-  // Auto-resume after break duration
+  this.currentBreak = {
+    breakType: details.breakType,
+    reason: details.reason,
+    startedAt: new Date(),
+    expectedEndAt: duration ? new Date(Date.now() + duration * 60 * 1000) : undefined
+  };
+  
+  // Auto-resume after break duration, unless the break was ended or the
+  // counter closed in the meantime
   if (duration) {
     setTimeout(() => {
-      this.status = 'active';
-      this.save();
+      this.constructor.updateOne(
+        { _id: this._id, status: 'break' },
+        { $set: { status: 'active' }, $unset: { currentBreak: 1 } }
+      ).exec().catch(error => {
+        logger.error(`Error ending break at counter ${this.code}:`, error);
+      });
     }, duration * 60 * 1000);
   }
   
   return this.save();
 };
 
-counterSchema.methods.callNextToken = async function() {
-  const Token = require('./Token');
+counterSchema.methods.callNextToken = async function(options = {}) {
+  const routingService = require('../services/routingService');
+  const agingService = require('../services/agingService');
   
-  // Find next token in queue for this counter's department
-  const nextToken = await Token.findOne({
-    department: this.department,
-    status: 'waiting',
-    businessDate: {
-      $gte: new Date(new Date().setHours(0, 0, 0, 0)),
-      $lt: new Date(new Date().setHours(23, 59, 59, 999))
-    }
-  }).sort({ priority: -1, queuePosition: 1 });
+  // Bring waiting priorities up to date so long waits are honoured at call time
+  await agingService.refreshDepartment(this.department);
+  
+  // Only offer tokens this counter is eligible to serve; the token is
+  // claimed for this counter before it is announced
+  const nextToken = await routingService.nextTokenFor(this, options);
   
   if (!nextToken) {
     return null;
@@ -323,16 +349,33 @@ counterSchema.methods.completeCurrentService = async function(notes, rating) {
   
   await this.save();
   
-  // Auto-call next token if enabled
+  // Auto-call next token if enabled, provided the counter is still open,
+  // staffed and free when the delay is up
   if (this.settings.autoCallNext) {
     setTimeout(() => {
-      this.callNextToken();
+      this.constructor.findById(this._id)
+        .then(counter => {
+          if (!counter || counter.archived || counter.status !== 'active') return null;
+          if (!counter.currentOperator || counter.currentToken) return null;
+          
+          return counter.callNextToken();
+        })
+        .catch(error => {
+          logger.error(`Error auto-calling next token at counter ${this.code}:`, error);
+        });
     }, 2000); // 2 second delay
   }
   
   return token;
 };
 
+counterSchema.methods.releaseCurrentToken = function() {
+  this.currentToken = undefined;
+  this.status = 'active';
+  
+  return this.save();
+};
+
 counterSchema.methods.updateStats = async function() {
   const Token = require('./Token');
   
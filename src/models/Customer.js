@@ -56,6 +56,14 @@ const customerSchema = new mongoose.Schema({
     default: 5
   },
   
+  // Matched by department priority rules
+  dateOfBirth: Date,
+  
+  accessibilityNeeds: [{
+    type: String,
+    enum: ['wheelchair', 'mobility', 'visual', 'hearing', 'pregnancy', 'other']
+  }],
+  
   // Service Preferences
   preferredServices: [String],
   
@@ -195,6 +203,10 @@ const customerSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    missedAppointments: {
+      type: Number,
+      default: 0
+    },
     lastVisitDate: Date,
     preferredTimeSlots: [String],
     satisfactionRating: {
@@ -283,6 +295,20 @@ customerSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+customerSchema.virtual('age').get(function() {
+  if (!this.dateOfBirth) return null;
+  
+  const today = new Date();
+  const birthday = new Date(this.dateOfBirth);
+  let age = today.getFullYear() - birthday.getFullYear();
+  if (today.getMonth() < birthday.getMonth() ||
+    (today.getMonth() === birthday.getMonth() && today.getDate() < birthday.getDate())) {
+    age--;
+  }
+  
+  return age;
+});
+
 customerSchema.virtual('currentToken').get(function() {
   return this.tokenHistory.find(token => ['waiting', 'in_service'].includes(token.status));
 });
@@ -292,10 +318,10 @@ customerSchema.virtual('totalTokensIssued').get(function() {
 });
 
 // Instance methods
-customerSchema.methods.issueToken = function(department, counter, priority = this.priority) {
-  const Token = require('./Token');
+customerSchema.methods.issueToken = function(department, userId, options = {}) {
+  const tokenService = require('../services/tokenService');
   
-  return Token.generateToken(department, counter, this._id, priority);
+  return tokenService.issueToken({ ...options, customerId: this._id, departmentId: department }, userId);
 };
 
 customerSchema.methods.updateStats = function() {
@@ -311,7 +337,9 @@ customerSchema.methods.updateStats = function() {
     this.stats.lastVisitDate = completedTokens[completedTokens.length - 1].completedTime;
   }
   
-  this.stats.noShowCount = this.tokenHistory.filter(token => token.status === 'no_show').length;
+  // Missed appointments never produce a token, so they are tracked separately
+  this.stats.noShowCount = this.tokenHistory.filter(token => token.status === 'no_show').length +
+    (this.stats.missedAppointments || 0);
   
   return this.save();
 };
@@ -37,6 +37,12 @@ const departmentSchema = new mongoose.Schema({
       min: 1,
       max: 10,
       default: 5
+    },
+    prefix: {
+      type: String, // own number series when tokenNumbering.perServiceType is on
+      uppercase: true,
+      trim: true,
+      maxlength: 4
     }
   }],
   
@@ -72,6 +78,289 @@ const departmentSchema = new mongoose.Schema({
     transferEnabled: {
       type: Boolean,
       default: true
+    },
+    nearTurnThreshold: {
+      type: Number, // notify customers this many places from the front (0 disables)
+      min: 0,
+      default: 3
+    }
+  },
+  
+  // Token Numbering, e.g. A-042
+  tokenNumbering: {
+    prefix: {
+      type: String, // defaults to the department code
+      uppercase: true,
+      trim: true,
+      maxlength: 4
+    },
+    separator: {
+      type: String,
+      enum: ['-', ' ', ''],
+      default: '-'
+    },
+    padding: {
+      type: Number, // zero-pad the number to this many digits
+      min: 1,
+      max: 6,
+      default: 3
+    },
+    reset: {
+      type: String,
+      enum: ['daily', 'never'],
+      default: 'daily'
+    },
+    perServiceType: {
+      type: Boolean, // separate series per service type, using its prefix
+      default: false
+    },
+    priorityPrefix: {
+      type: String, // separate series for priority tokens (empty shares the regular one)
+      uppercase: true,
+      trim: true,
+      maxlength: 4
+    },
+    priorityThreshold: {
+      type: Number, // tokens at or above this priority use the priority series
+      min: 1,
+      max: 10,
+      default: 8
+    }
+  },
+  
+  // Absent Customer Policy
+  recallPolicy: {
+    maxRecalls: {
+      type: Number, // recalls allowed each time a token is called
+      min: 0,
+      max: 10,
+      default: 2
+    },
+    requeueAction: {
+      type: String, // where a skipped token goes: K places back, to the end, or straight to the no-show hold
+      enum: ['back', 'end', 'none'],
+      default: 'back'
+    },
+    requeuePositions: {
+      type: Number, // K for requeueAction 'back'
+      min: 1,
+      default: 3
+    },
+    maxRequeues: {
+      type: Number, // skips that requeue before the token is held for no-show
+      min: 0,
+      default: 1
+    },
+    noShowTimeoutMinutes: {
+      type: Number, // how long a held token waits before it is marked no_show
+      min: 0,
+      default: 10
+    },
+    reinstateGraceMinutes: {
+      type: Number, // how long after no_show staff can still reinstate the token
+      min: 0,
+      default: 30
+    }
+  },
+  
+  // Escalations to department managers when queueSettings.maxWaitTime is at risk
+  slaSettings: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    warningPercent: {
+      type: Number, // warn once a token has waited this share of maxWaitTime (0 disables)
+      min: 0,
+      max: 99,
+      default: 80
+    },
+    queueLengthThreshold: {
+      type: Number, // escalate when more tokens than this are waiting (0 disables)
+      min: 0,
+      default: 0
+    }
+  },
+  
+  // Anti-starvation: waiting tokens gain priority as they wait
+  agingPolicy: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    intervalMinutes: {
+      type: Number, // minutes of waiting per step up
+      min: 1,
+      default: 10
+    },
+    step: {
+      type: Number, // priority gained each interval
+      min: 1,
+      default: 1
+    },
+    maxBoost: {
+      type: Number, // most priority a token can gain by waiting (effective priority never exceeds 10)
+      min: 0,
+      max: 9,
+      default: 3
+    },
+    enforceMaxWait: {
+      type: Boolean, // tokens waiting past queueSettings.maxWaitTime go ahead of everyone
+      default: false
+    }
+  },
+  
+  // Initial token priority by who the customer is and what they came for.
+  // A rule matches when all of its conditions that are set match; the token
+  // gets the highest priority of the matching rules and keeps their
+  // explanations. Applies when queueSettings.priorityEnabled is on.
+  priorityRules: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 60
+    },
+    customerTypes: [String], // any of, e.g. ['vip', 'premium']
+    minAge: {
+      type: Number, // from Customer.dateOfBirth
+      min: 0
+    },
+    maxAge: {
+      type: Number,
+      min: 0
+    },
+    accessibilityNeeds: [String], // the customer has any of these
+    serviceTypes: [{
+      type: String, // service type codes
+      trim: true,
+      uppercase: true
+    }],
+    appointment: {
+      type: String, // booked covers on_time and late check-ins
+      enum: ['walk_in', 'booked', 'on_time', 'late']
+    },
+    priority: {
+      type: Number,
+      min: 1,
+      max: 10,
+      required: true
+    },
+    // Shown to staff to justify the ordering, e.g. "Senior citizen (65+)"
+    explanation: {
+      type: String,
+      required: true,
+      maxlength: 200
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  }],
+
+  // Lobby Announcements
+  announcementSettings: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    languages: {
+      type: [String], // played in this order, e.g. ['en', 'hi']
+      default: ['en']
+    },
+    chime: {
+      type: Boolean,
+      default: true
+    },
+    format: {
+      type: String, // format of the recorded clips
+      enum: ['wav', 'mp3'],
+      default: 'wav'
+    }
+  },
+  
+  // Post-service feedback surveys
+  surveySettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Empty uses the default NPS question and comment box
+    questions: [{
+      key: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 30
+      },
+      type: {
+        type: String,
+        enum: ['nps', 'rating', 'choice', 'text'],
+        required: true
+      },
+      label: {
+        type: String,
+        required: true,
+        maxlength: 200
+      },
+      options: [String], // answers to pick from for 'choice'
+      required: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    lowNpsScore: {
+      type: Number, // alert managers at or below this NPS answer (0-10)
+      min: 0,
+      max: 10,
+      default: 6
+    },
+    lowRating: {
+      type: Number, // alert managers at or below this rating (1-5)
+      min: 1,
+      max: 5,
+      default: 2
+    },
+    expiresAfterHours: {
+      type: Number, // survey links stop working after this
+      min: 1,
+      default: 72
+    },
+    alertManagers: {
+      type: Boolean,
+      default: true
+    }
+  },
+  
+  // Appointment Settings
+  appointmentSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    bookingWindowDays: {
+      type: Number, // how far ahead slots can be booked
+      default: 14
+    },
+    reservedCapacityPercent: {
+      type: Number, // share of counter capacity held for appointments
+      min: 0,
+      max: 100,
+      default: 50
+    },
+    checkInWindowMinutes: {
+      type: Number, // how early before the slot a customer can check in
+      default: 30
+    },
+    gracePeriodMinutes: {
+      type: Number, // how late after slot start before it counts as a no-show
+      default: 15
+    },
+    priorityBump: {
+      type: Number, // added to the service type priority on check-in
+      min: 0,
+      max: 9,
+      default: 2
     }
   },
   
@@ -185,17 +474,17 @@ departmentSchema.index({ status: 1, archived: 1 });
 departmentSchema.index({ createdBy: 1, status: 1 });
 departmentSchema.index({ 'displaySettings.displayOrder': 1 });
 
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
 // Virtual properties
 departmentSchema.virtual('isOpen').get(function() {
   if (this.status !== 'active') return false;
   
   const now = new Date();
-  const day = now.toLocaleDateString('en', { weekday: 'lowercase' });
-  const currentTime = now.toTimeString().slice(0, 5);
-  
-  const todayHours = this.operatingHours[day];
-  if (!todayHours || todayHours.closed) return false;
+  const todayHours = this.getHoursFor(now);
+  if (!todayHours) return false;
   
+  const currentTime = now.toTimeString().slice(0, 5);
   return currentTime >= todayHours.start && currentTime <= todayHours.end;
 });
 
@@ -216,12 +505,25 @@ departmentSchema.virtual('estimatedWaitTime').get(function() {
 });
 
 // Instance methods
-departmentSchema.methods.addServiceType = function(name, code, estimatedTime = 15, priority = 5) {
+departmentSchema.methods.getHoursFor = function(date) {
+  const hours = this.operatingHours && this.operatingHours[WEEKDAYS[date.getDay()]];
+  if (!hours || hours.closed || !hours.start || !hours.end) return null;
+  
+  return { start: hours.start, end: hours.end };
+};
+
+departmentSchema.methods.getServiceType = function(code) {
+  if (!code) return null;
+  return this.serviceTypes.find(type => type.code === code.toUpperCase()) || null;
+};
+
+departmentSchema.methods.addServiceType = function(name, code, estimatedTime = 15, priority = 5, prefix) {
   this.serviceTypes.push({
     name,
     code: code.toUpperCase(),
     estimatedServiceTime: estimatedTime,
-    priority
+    priority,
+    prefix
   });
   
   return this.save();
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const { generateKey, hashKey } = require('../utils/deviceKeys');
+
+const KEY_PREFIX = 'dev_';
+
+// Counter.hardware field each device type is assigned through
+// (ticket printers have their own registry, see Printer)
+const HARDWARE_FIELDS = {
+  led_display: 'ledDisplayId',
+  audio_system: 'audioSystemId',
+  call_button: 'callButtonId',
+  status_led: 'statusLedId'
+};
+
+const deviceSchema = new mongoose.Schema({
+  // Basic Information
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // Referenced from the Counter.hardware ids
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: 20
+  },
+
+  type: {
+    type: String,
+    enum: Object.keys(HARDWARE_FIELDS),
+    required: true
+  },
+
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+
+  // Set while the device is assigned to a counter's hardware
+  counter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Counter'
+  },
+
+  // Manufacturer model, e.g. for display drivers to pick the board layout
+  hardwareModel: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+
+  // Device credential: only the SHA-256 hash is stored; the key itself is
+  // returned once, on creation and rotation
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  keyPrefix: String,
+
+  // Desired configuration; bumping configVersion tells the device to fetch it.
+  // LED displays: { driver, connection, columns, lines, arrow, blinkSeconds }
+  // (see services/display)
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  configVersion: {
+    type: Number,
+    default: 1
+  },
+
+  // What the device last reported running
+  firmwareVersion: String,
+  reportedConfigVersion: Number,
+
+  // Health
+  heartbeatIntervalSeconds: {
+    type: Number, // how often the device should check in
+    min: 5,
+    max: 3600,
+    default: 30
+  },
+
+  status: {
+    type: String,
+    enum: ['unknown', 'online', 'offline'],
+    default: 'unknown'
+  },
+
+  lastSeenAt: Date,
+  lastSeenIp: String,
+  offlineSince: Date,
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // System Information
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+deviceSchema.index({ keyHash: 1 }, { unique: true });
+deviceSchema.index({ department: 1, type: 1 });
+deviceSchema.index({ counter: 1 });
+deviceSchema.index({ status: 1, lastSeenAt: 1 });
+
+// Virtual fields
+deviceSchema.virtual('hardwareField').get(function() {
+  return HARDWARE_FIELDS[this.type];
+});
+
+// Three missed heartbeats and the device counts as offline
+deviceSchema.virtual('offlineAfterMs').get(function() {
+  return this.heartbeatIntervalSeconds * 3 * 1000;
+});
+
+// Instance methods
+deviceSchema.methods.generateKey = function() {
+  const { key, keyHash, keyPrefix } = generateKey(KEY_PREFIX);
+
+  this.keyHash = keyHash;
+  this.keyPrefix = keyPrefix;
+
+  return key;
+};
+
+deviceSchema.methods.setConfig = function(config) {
+  this.config = config;
+  this.configVersion += 1;
+  this.markModified('config');
+};
+
+// Static methods
+deviceSchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashKey(key), active: true, archived: false });
+};
+
+const Device = mongoose.model('Device', deviceSchema);
+Device.HARDWARE_FIELDS = HARDWARE_FIELDS;
+
+module.exports = Device;
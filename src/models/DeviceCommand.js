@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const deviceCommandSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+
+  // 'test' runs the device's self test, 'apply_config' fetches the current config
+  type: {
+    type: String,
+    enum: ['test', 'apply_config', 'reboot'],
+    required: true
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Workflow
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'acknowledged', 'failed', 'expired'],
+    default: 'pending'
+  },
+
+  sentAt: Date,
+  acknowledgedAt: Date,
+
+  // What the device reported back
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+
+  // Commands not acknowledged by then are given up on
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+deviceCommandSchema.index({ device: 1, status: 1, createdAt: 1 });
+deviceCommandSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DeviceCommand', deviceCommandSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const escalationSchema = new mongoose.Schema({
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+
+  // Set for per-token SLA escalations, absent for queue length ones
+  token: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token'
+  },
+
+  // Set for device health escalations
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device'
+  },
+
+  type: {
+    type: String,
+    enum: ['sla_warning', 'sla_breach', 'queue_length', 'device_offline'],
+    required: true
+  },
+
+  // Workflow
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+
+  message: String,
+
+  // What was measured when the escalation was raised
+  waitMinutes: Number,
+  slaMinutes: Number,
+  queueLength: Number,
+  threshold: Number,
+
+  // Managers who were alerted
+  notified: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  acknowledgedAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolution: String,
+
+  // Resolved by the monitor because the condition cleared
+  autoResolved: {
+    type: Boolean,
+    default: false
+  },
+
+  // Business Date (for reporting)
+  businessDate: {
+    type: Date,
+    required: true,
+    default: () => {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      return today;
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+escalationSchema.index({ department: 1, status: 1, createdAt: -1 });
+escalationSchema.index({ department: 1, businessDate: -1, type: 1 });
+escalationSchema.index({ device: 1, status: 1 }, { partialFilterExpression: { device: { $exists: true } } });
+// A token is escalated at most once per trigger
+escalationSchema.index(
+  { token: 1, type: 1 },
+  { unique: true, partialFilterExpression: { token: { $exists: true } } }
+);
+
+// Instance methods
+escalationSchema.methods.acknowledge = function(userId) {
+  if (this.status !== 'open') {
+    throw new Error(`Escalation is already ${this.status}`);
+  }
+
+  this.status = 'acknowledged';
+  this.acknowledgedAt = new Date();
+  this.acknowledgedBy = userId;
+
+  return this.save();
+};
+
+escalationSchema.methods.resolve = function(userId, resolution) {
+  if (this.status === 'resolved') {
+    throw new Error('Escalation is already resolved');
+  }
+
+  this.status = 'resolved';
+  this.resolvedAt = new Date();
+  this.resolvedBy = userId;
+  this.resolution = resolution;
+  this.autoResolved = !userId;
+
+  return this.save();
+};
+
+module.exports = mongoose.model('Escalation', escalationSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  // Who the key belongs to, e.g. 'kiosk:<id>'; keys are only unique per scope
+  scope: {
+    type: String,
+    required: true
+  },
+  
+  // Client-chosen key from the Idempotency-Key header
+  key: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  
+  // Fingerprint of the request body; reusing a key for a different request is an error
+  requestHash: {
+    type: String,
+    required: true
+  },
+  
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  
+  // Result of the original request, replayed to retries
+  token: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token'
+  },
+  customerCreated: Boolean,
+  
+  // Removed by MongoDB's TTL monitor once past
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const journeyTemplateSchema = new mongoose.Schema({
+  // Basic Information
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: 20
+  },
+
+  description: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Departments visited in order; a token moves to the next step when
+  // service at the current one is completed
+  steps: [{
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+      required: true
+    },
+    serviceType: {
+      type: String,
+      required: true,
+      uppercase: true
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    }
+  }],
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // System Information
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+journeyTemplateSchema.index({ active: 1, archived: 1 });
+journeyTemplateSchema.index({ 'steps.department': 1 });
+
+// Validation
+journeyTemplateSchema.pre('validate', function(next) {
+  if (this.steps.length < 2) {
+    this.invalidate('steps', 'A journey needs at least two steps');
+  }
+  next();
+});
+
+// Instance methods
+journeyTemplateSchema.methods.checkSteps = async function() {
+  // Every step must name a service type its department offers
+  const Department = require('./Department');
+
+  const departments = await Department.find({
+    _id: { $in: this.steps.map(step => step.department) },
+    archived: false
+  }).select('name serviceTypes');
+
+  return this.steps.reduce((problems, step, index) => {
+    const department = departments.find(item => item._id.equals(step.department));
+
+    if (!department) {
+      problems.push(`Step ${index + 1}: department not found`);
+    } else if (department.serviceTypes.length > 0 && !department.getServiceType(step.serviceType)) {
+      problems.push(`Step ${index + 1}: ${department.name} does not offer service type ${step.serviceType}`);
+    }
+
+    return problems;
+  }, []);
+};
+
+module.exports = mongoose.model('JourneyTemplate', journeyTemplateSchema);
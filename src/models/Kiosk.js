@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { generateKey, hashKey } = require('../utils/deviceKeys');
+
+const KEY_PREFIX = 'ksk_';
+
+const kioskSchema = new mongoose.Schema({
+  // Basic Information
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: 20
+  },
+  
+  location: {
+    type: String,
+    maxlength: 200
+  },
+  
+  // Departments customers can take tokens for at this kiosk
+  departments: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    }],
+    validate: [list => list.length > 0, 'A kiosk must serve at least one department']
+  },
+  
+  // Offer walk-in registration when a phone number is not on file
+  allowWalkIns: {
+    type: Boolean,
+    default: true
+  },
+  
+  // Device credential: only the SHA-256 hash is stored; the key itself is
+  // returned once, on creation and rotation
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  
+  // First characters of the key, to tell keys apart
+  keyPrefix: String,
+  
+  active: {
+    type: Boolean,
+    default: true
+  },
+  
+  lastSeenAt: Date,
+  lastSeenIp: String,
+  
+  // System Information
+  // Tokens and walk-in customers created at the kiosk are attributed to this user
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+kioskSchema.index({ keyHash: 1 }, { unique: true });
+kioskSchema.index({ departments: 1 });
+
+// Instance methods
+kioskSchema.methods.generateKey = function() {
+  const { key, keyHash, keyPrefix } = generateKey(KEY_PREFIX);
+  
+  this.keyHash = keyHash;
+  this.keyPrefix = keyPrefix;
+  
+  return key;
+};
+
+kioskSchema.methods.servesDepartment = function(departmentId) {
+  return this.departments.some(department => String(department._id || department) === String(departmentId));
+};
+
+// Static methods
+kioskSchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashKey(key), active: true, archived: false });
+};
+
+module.exports = mongoose.model('Kiosk', kioskSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const notificationLogSchema = new mongoose.Schema({
+  // Message
+  event: {
+    type: String,
+    required: true
+  },
+
+  channel: {
+    type: String,
+    required: true
+  },
+
+  recipient: {
+    type: String,
+    required: true
+  },
+
+  subject: String,
+
+  body: {
+    type: String,
+    required: true
+  },
+
+  // Structured payload (used by the webhook channel)
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Related Records
+  token: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token'
+  },
+
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Delivery State
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'dead'],
+    default: 'pending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastError: String,
+
+  providerMessageId: String,
+
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationLogSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationLogSchema.index({ token: 1, event: 1 });
+notificationLogSchema.index({ customer: 1, createdAt: -1 });
+notificationLogSchema.index({ createdAt: -1 });
+
+// Instance methods
+notificationLogSchema.methods.markSent = function(providerMessageId) {
+  this.status = 'sent';
+  this.sentAt = new Date();
+  this.providerMessageId = providerMessageId;
+  this.lastError = undefined;
+
+  return this.save();
+};
+
+notificationLogSchema.methods.markFailed = function(error, retryDelays) {
+  this.lastError = error.message;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'dead';
+  } else {
+    const delay = retryDelays[Math.min(this.attempts, retryDelays.length) - 1];
+    this.status = 'failed';
+    this.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  return this.save();
+};
+
+// Static methods
+notificationLogSchema.statics.claimDue = function() {
+  // Atomically take one due message so concurrent workers never double-send
+  return this.findOneAndUpdate(
+    {
+      status: { $in: ['pending', 'failed'] },
+      nextAttemptAt: { $lte: new Date() }
+    },
+    { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const NotificationLog = mongoose.model('NotificationLog', notificationLogSchema);
+
+module.exports = NotificationLog;
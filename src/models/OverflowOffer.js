@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const overflowOfferSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OverflowRule',
+    required: true
+  },
+
+  token: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    required: true
+  },
+
+  sourceDepartment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+
+  targetDepartment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+
+  targetCounter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Counter'
+  },
+
+  targetServiceType: String,
+
+  // Why the rule fired
+  reason: String,
+
+  // Workflow
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'expired', 'withdrawn'],
+    default: 'pending'
+  },
+
+  // Offers not decided by then lapse; the queue has moved on
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  decidedAt: Date,
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+overflowOfferSchema.index({ status: 1, sourceDepartment: 1, createdAt: -1 });
+overflowOfferSchema.index({ status: 1, expiresAt: 1 });
+// A token has at most one pending offer
+overflowOfferSchema.index(
+  { token: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Static methods
+overflowOfferSchema.statics.claim = function(offerId, status, userId, note) {
+  // Atomically decide a pending offer so it is acted on exactly once
+  return this.findOneAndUpdate(
+    { _id: offerId, status: 'pending', expiresAt: { $gt: new Date() } },
+    { $set: { status, decidedAt: new Date(), decidedBy: userId, note } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('OverflowOffer', overflowOfferSchema);
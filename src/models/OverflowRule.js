@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+const overflowRuleSchema = new mongoose.Schema({
+  // Basic Information
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // Where tokens move from and to
+  sourceDepartment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+
+  targetDepartment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+
+  // Counter in the target department to pre-assign moved tokens to (optional)
+  targetCounter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Counter'
+  },
+
+  // Source service types the rule moves; empty moves every service type
+  serviceTypes: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+
+  // Service type tokens take in the target department; defaults to their own
+  targetServiceType: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+
+  // Triggers: the rule fires when any enabled condition holds (0 disables)
+  conditions: {
+    minWaiting: {
+      type: Number, // more than this many matching tokens waiting
+      min: 0,
+      default: 0
+    },
+    minEtaMinutes: {
+      type: Number, // the longest matching ETA is over this many minutes
+      min: 0,
+      default: 0
+    },
+    targetMaxWaiting: {
+      type: Number, // only while the target has fewer than this many waiting (0: no limit)
+      min: 0,
+      default: 0
+    }
+  },
+
+  // 'auto' transfers straight away; 'confirm' offers tokens to a supervisor
+  mode: {
+    type: String,
+    enum: ['auto', 'confirm'],
+    default: 'confirm'
+  },
+
+  batchSize: {
+    type: Number, // most tokens moved or offered each time the rule fires
+    min: 1,
+    max: 50,
+    default: 5
+  },
+
+  cooldownMinutes: {
+    type: Number, // quiet time after the rule fires
+    min: 0,
+    default: 5
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  lastTriggeredAt: Date,
+
+  // System Information
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+overflowRuleSchema.index({ active: 1, archived: 1 });
+overflowRuleSchema.index({ sourceDepartment: 1 });
+
+// Validation
+overflowRuleSchema.pre('validate', function(next) {
+  if (this.sourceDepartment && this.targetDepartment && this.sourceDepartment.equals(this.targetDepartment)) {
+    this.invalidate('targetDepartment', 'Target department must differ from the source');
+  }
+  if (!this.conditions.minWaiting && !this.conditions.minEtaMinutes) {
+    this.invalidate('conditions', 'Set minWaiting, minEtaMinutes or both');
+  }
+  next();
+});
+
+// Instance methods
+overflowRuleSchema.methods.isCoolingDown = function(now = new Date()) {
+  return Boolean(this.lastTriggeredAt) &&
+    now - this.lastTriggeredAt < this.cooldownMinutes * 60 * 1000;
+};
+
+overflowRuleSchema.methods.matchesServiceType = function(serviceType) {
+  return this.serviceTypes.length === 0 || this.serviceTypes.includes(String(serviceType).toUpperCase());
+};
+
+module.exports = mongoose.model('OverflowRule', overflowRuleSchema);
@@ -51,7 +51,13 @@ const paymentSchema = new mongoose.Schema({
       vpa: String, // Virtual Payment Address
       pspName: String, // Payment Service Provider (PhonePe, Paytm, GPay, etc.)
       merchantId: String,
-      merchantTransactionId: String
+      merchantTransactionId: String,
+      flow: {
+        type: String,
+        enum: ['collect', 'intent', 'qr']
+      },
+      intentUri: String, // upi://pay link, also encoded in the QR code
+      expiresAt: Date
     },
     
     // Cash Details
@@ -149,7 +155,14 @@ const paymentSchema = new mongoose.Schema({
     gatewayResponse: {
       type: Map,
       of: mongoose.Schema.Types.Mixed
-    }
+    },
+    callbackReceivedAt: Date,
+    lastCheckedAt: Date,
+    statusChecks: {
+      type: Number,
+      default: 0
+    },
+    failureReason: String
   },
   
   // Refund Information
@@ -255,6 +268,8 @@ paymentSchema.index({ customer: 1, businessDate: -1 });
 paymentSchema.index({ status: 1, paymentMethod: 1 });
 paymentSchema.index({ businessDate: -1, status: 1 });
 paymentSchema.index({ 'gateway.gatewayTransactionId': 1 });
+paymentSchema.index({ 'gateway.gatewayName': 1, 'gateway.gatewayOrderId': 1 });
+paymentSchema.index({ status: 1, 'gateway.lastCheckedAt': 1 });
 paymentSchema.index({ 'paymentDetails.upi.transactionId': 1 });
 
 // Virtual properties
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const printJobSchema = new mongoose.Schema({
+  printer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Printer',
+    required: true
+  },
+  
+  token: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token'
+  },
+  
+  kind: {
+    type: String,
+    enum: ['ticket', 'reprint', 'test'],
+    required: true
+  },
+  
+  // Rendered ESC/POS bytes
+  data: {
+    type: Buffer,
+    required: true,
+    select: false
+  },
+  
+  // Delivery State
+  status: {
+    type: String,
+    enum: ['pending', 'printing', 'printed', 'failed', 'dead'],
+    default: 'pending'
+  },
+  
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  lastError: String,
+  printedAt: Date,
+  
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+printJobSchema.index({ status: 1, nextAttemptAt: 1 });
+printJobSchema.index({ printer: 1, createdAt: -1 });
+printJobSchema.index({ token: 1, createdAt: -1 });
+
+// Static methods
+printJobSchema.statics.claim = function(jobId) {
+  return this.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['pending', 'failed'] } },
+    { $set: { status: 'printing' }, $inc: { attempts: 1 } },
+    { new: true }
+  ).select('+data');
+};
+
+printJobSchema.statics.claimDue = function() {
+  // Atomically take one due job so concurrent workers never print twice
+  return this.findOneAndUpdate(
+    {
+      status: { $in: ['pending', 'failed'] },
+      nextAttemptAt: { $lte: new Date() }
+    },
+    { $set: { status: 'printing' }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  ).select('+data');
+};
+
+module.exports = mongoose.model('PrintJob', printJobSchema);
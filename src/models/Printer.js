@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const printerSchema = new mongoose.Schema({
+  // Basic Information
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  
+  // Referenced from Counter.hardware.ticketPrinterId
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: 20
+  },
+  
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+  
+  // Print a ticket for every token issued in the department
+  autoPrint: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Connection
+  driver: {
+    type: String,
+    enum: ['tcp', 'file'],
+    required: true
+  },
+  
+  connection: {
+    host: String, // tcp
+    port: {
+      type: Number, // tcp
+      default: 9100
+    },
+    path: String // file: device node, spool file or folder
+  },
+  
+  paperWidth: {
+    type: Number, // mm
+    enum: [58, 80],
+    default: 80
+  },
+  
+  active: {
+    type: Boolean,
+    default: true
+  },
+  
+  // Health, updated after every job
+  status: {
+    type: String,
+    enum: ['unknown', 'online', 'offline'],
+    default: 'unknown'
+  },
+  
+  lastError: String,
+  lastPrintedAt: Date,
+  
+  // System Information
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+printerSchema.index({ department: 1, active: 1, autoPrint: 1 });
+
+// Validation
+printerSchema.pre('validate', function(next) {
+  if (this.driver === 'tcp' && !this.connection.host) {
+    this.invalidate('connection.host', 'TCP printers need a host');
+  }
+  if (this.driver === 'file' && !this.connection.path) {
+    this.invalidate('connection.path', 'File printers need a path');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Printer', printerSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const logger = require('../utils/logger');
 
 const projectSchema = new mongoose.Schema({
   // Basic Information
@@ -253,9 +254,30 @@ projectSchema.pre('save', function(next) {
     this.archivedAt = new Date();
   }
   
+  // Remember the transition so queue webhooks fire after the save succeeds
+  this.$locals.statusChanged = this.isModified('status');
+  
   next();
 });
 
+// Post-save middleware
+projectSchema.post('save', function(doc) {
+  if (!doc.$locals.statusChanged || !doc.queueId) return;
+  doc.$locals.statusChanged = false;
+  
+  const events = { completed: 'queue.project_completed', failed: 'queue.project_failed' };
+  if (!events[doc.status]) return;
+  
+  const webhookService = require('../services/webhookService');
+  mongoose.model('Queue').findById(doc.queueId)
+    .then(queue => queue && webhookService.publishQueueEvent(events[doc.status], queue, {
+      project: webhookService.summarizeProject(doc)
+    }))
+    .catch(error => {
+      logger.error(`Error publishing ${events[doc.status]} webhook:`, error);
+    });
+});
+
 // Static methods
 projectSchema.statics.findByStatus = function(status) {
   return this.find({ status, archived: false }).populate('assignedTo createdBy queueId');
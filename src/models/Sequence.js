@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const DUPLICATE_KEY = 11000;
+
+const sequenceSchema = new mongoose.Schema({
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+
+  // Numbering series within the department, e.g. 'ALL', 'LOAN', 'LOAN-P'
+  series: {
+    type: String,
+    required: true
+  },
+
+  // Business day (YYYYMMDD) for daily series, 'ALL' for series that never reset
+  period: {
+    type: String,
+    required: true
+  },
+
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sequenceSchema.index({ department: 1, series: 1, period: 1 }, { unique: true });
+
+// Static methods
+sequenceSchema.statics.next = async function(department, series, period, session) {
+  const query = { department, series, period };
+  const options = { new: true, upsert: true, session };
+
+  try {
+    const sequence = await this.findOneAndUpdate(query, { $inc: { value: 1 } }, options);
+    return sequence.value;
+  } catch (error) {
+    // Two first-of-the-day upserts raced; the loser's retry finds the
+    // document the winner created. Inside a transaction the conflict aborts
+    // it instead and the whole transaction is retried.
+    if (error.code !== DUPLICATE_KEY || session) throw error;
+
+    const sequence = await this.findOneAndUpdate(query, { $inc: { value: 1 } }, options);
+    return sequence.value;
+  }
+};
+
+module.exports = mongoose.model('Sequence', sequenceSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const surveySchema = new mongoose.Schema({
+  // One survey per completed token
+  token: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    required: true
+  },
+
+  // Who and what the feedback is about, copied from the token for reporting
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+
+  counter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Counter'
+  },
+
+  servedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  serviceType: String,
+
+  // Credential of the one-time survey link
+  code: {
+    type: String,
+    unique: true
+  },
+
+  // Questions as configured when the survey was sent
+  questions: [{
+    _id: false,
+    key: String,
+    type: {
+      type: String,
+      enum: ['nps', 'rating', 'choice', 'text']
+    },
+    label: String,
+    options: [String],
+    required: Boolean
+  }],
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'expired'],
+    default: 'pending'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Responses
+  answers: [{
+    _id: false,
+    key: String,
+    value: mongoose.Schema.Types.Mixed
+  }],
+
+  nps: {
+    type: Number, // answer to the first NPS question (0-10)
+    min: 0,
+    max: 10
+  },
+
+  rating: {
+    type: Number, // answer to the first rating question (1-5)
+    min: 1,
+    max: 5
+  },
+
+  comment: String,
+
+  // Where the customer answered
+  channel: {
+    type: String,
+    enum: ['link', 'kiosk']
+  },
+
+  completedAt: Date,
+
+  // At or below the department's alert thresholds
+  lowScore: {
+    type: Boolean,
+    default: false
+  },
+
+  // Managers who were alerted about a low score
+  notified: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  businessDate: {
+    type: Date,
+    required: true,
+    default: () => {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      return today;
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+surveySchema.index({ token: 1 }, { unique: true });
+surveySchema.index({ department: 1, businessDate: -1, status: 1 });
+surveySchema.index({ customer: 1, status: 1, createdAt: -1 });
+surveySchema.index({ status: 1, expiresAt: 1 });
+
+// Pre-save middleware
+surveySchema.pre('save', function(next) {
+  if (this.isNew && !this.code) {
+    this.code = crypto.randomBytes(18).toString('base64url');
+  }
+  next();
+});
+
+// Virtual fields
+surveySchema.virtual('isOpen').get(function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Survey', surveySchema);
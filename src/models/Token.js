@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const tokenEvents = require('../services/tokenEvents');
 
 const tokenSchema = new mongoose.Schema({
   // Token Information
@@ -14,6 +16,11 @@ const tokenSchema = new mongoose.Schema({
     required: true
   },
   
+  // Unguessable code customers use to track their own token
+  trackingCode: {
+    type: String
+  },
+  
   // Customer Information
   customer: {
     type: mongoose.Schema.Types.ObjectId,
@@ -46,6 +53,27 @@ const tokenSchema = new mongoose.Schema({
     max: 10,
     default: 5
   },
+
+  // Why the token got its priority, deciding reason first
+  priorityReasons: [{
+    _id: false,
+    source: {
+      type: String,
+      enum: ['rule', 'service_type', 'customer', 'appointment', 'manual']
+    },
+    rule: String, // name of the department priority rule
+    priority: Number,
+    explanation: String
+  }],
+
+  // Priority the queue is ordered by: the base priority plus what the token
+  // gained by waiting (see the department's agingPolicy). 11 marks tokens
+  // past the department's maximum wait.
+  effectivePriority: {
+    type: Number,
+    min: 1,
+    max: 11
+  },
   
   queuePosition: {
     type: Number,
@@ -55,7 +83,7 @@ const tokenSchema = new mongoose.Schema({
   // Status and Timing
   status: {
     type: String,
-    enum: ['waiting', 'called', 'in_service', 'completed', 'cancelled', 'no_show', 'transferred'],
+    enum: ['waiting', 'called', 'in_service', 'parked', 'completed', 'cancelled', 'no_show', 'transferred'],
     default: 'waiting'
   },
   
@@ -77,7 +105,7 @@ const tokenSchema = new mongoose.Schema({
   },
   
   serviceTime: {
-    type: Number, // in minutes
+    type: Number, // in minutes, excluding time parked
     default: 0
   },
   
@@ -145,6 +173,86 @@ const tokenSchema = new mongoose.Schema({
     paymentNotes: String
   },
   
+  // Appointment this token was issued from (on check-in)
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  
+  scheduledTime: Date,
+  
+  // Customer reported they are running late; not called before expectedAt
+  lateArrival: {
+    reportedAt: Date,
+    expectedAt: Date,
+    minutes: Number
+  },
+  
+  // Absent customer handling (see the department's recallPolicy)
+  recall: {
+    count: {
+      type: Number, // recalls since the token was last called
+      default: 0
+    },
+    requeues: {
+      type: Number, // times moved back in the queue after going unanswered
+      default: 0
+    },
+    // Last requeue: the token ages from the priority of the slot it was put
+    // back in, starting at this time
+    requeuedAt: Date,
+    requeuedPriority: Number,
+    noShowAt: Date, // skipped with no requeues left; marked no_show at this time
+    noShowMarkedAt: Date,
+    history: [{
+      action: {
+        type: String,
+        enum: ['recalled', 'requeued', 'skipped', 'no_show', 'reinstated']
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      counter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Counter'
+      },
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      queuePosition: Number,
+      reason: String
+    }]
+  },
+  
+  // Service paused mid-way, e.g. while the customer fetches a document.
+  // The token keeps its counter and is offered to it first on return.
+  parking: {
+    parkedAt: Date, // current pause; cleared when service resumes
+    reason: String,
+    returnedAt: Date, // customer back and waiting; cleared when called
+    pausedMs: {
+      type: Number, // time parked during the current service
+      default: 0
+    },
+    history: [{
+      parkedAt: Date,
+      reason: String,
+      counter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Counter'
+      },
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      returnedAt: Date,
+      resumedAt: Date,
+      transferredAt: Date // left parked or returned for another queue
+    }]
+  },
+  
   // Staff Information
   servedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -170,6 +278,7 @@ const tokenSchema = new mongoose.Schema({
       ref: 'Counter'
     },
     reason: String,
+    journeyStep: Number, // step entered, for automatic journey moves
     transferredAt: {
       type: Date,
       default: Date.now
@@ -180,6 +289,53 @@ const tokenSchema = new mongoose.Schema({
     }
   }],
   
+  // Multi-department journey; department and serviceType follow the current step
+  journey: {
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JourneyTemplate'
+    },
+    name: String,
+    currentStep: {
+      type: Number,
+      default: 0
+    },
+    steps: [{
+      department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department'
+      },
+      serviceType: String,
+      name: String,
+      status: {
+        type: String,
+        enum: ['pending', 'active', 'completed'],
+        default: 'pending'
+      },
+      enteredAt: Date,
+      calledAt: Date,
+      serviceStartedAt: Date,
+      completedAt: Date,
+      waitTime: {
+        type: Number, // in minutes
+        default: 0
+      },
+      serviceTime: {
+        type: Number, // in minutes
+        default: 0
+      },
+      counter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Counter'
+      },
+      servedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      notes: String
+    }]
+  },
+  
   // Notification Status
   notifications: {
     issued: {
@@ -218,6 +374,12 @@ const tokenSchema = new mongoose.Schema({
     required: true
   },
   
+  // Self-service kiosk the token was taken at
+  kiosk: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kiosk'
+  },
+  
   lastModifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -248,16 +410,20 @@ const tokenSchema = new mongoose.Schema({
 
 // Indexes
 tokenSchema.index({ tokenNumber: 1 }, { unique: true });
+tokenSchema.index({ trackingCode: 1 }, { unique: true, sparse: true });
 tokenSchema.index({ department: 1, status: 1, createdAt: -1 });
 tokenSchema.index({ counter: 1, status: 1 });
 tokenSchema.index({ customer: 1, businessDate: -1 });
 tokenSchema.index({ businessDate: -1, status: 1 });
 tokenSchema.index({ queuePosition: 1, status: 1 });
 tokenSchema.index({ priority: -1, issuedAt: 1 });
+tokenSchema.index({ department: 1, status: 1, effectivePriority: -1, queuePosition: 1 });
+tokenSchema.index({ status: 1, 'recall.noShowAt': 1 });
+tokenSchema.index({ 'journey.template': 1, businessDate: -1 });
 
 // Virtual properties
 tokenSchema.virtual('isActive').get(function() {
-  return ['waiting', 'called', 'in_service'].includes(this.status);
+  return ['waiting', 'called', 'in_service', 'parked'].includes(this.status);
 });
 
 tokenSchema.virtual('totalTime').get(function() {
@@ -269,21 +435,67 @@ tokenSchema.virtual('totalTime').get(function() {
 
 tokenSchema.virtual('currentWaitTime').get(function() {
   if (this.status === 'waiting' && this.issuedAt) {
+    const step = this.currentJourneyStep;
+    if (step) {
+      // Waits at earlier journey steps plus the one at the current step
+      return this.waitTime + Math.round((Date.now() - step.enteredAt) / (1000 * 60));
+    }
     return Math.round((Date.now() - this.issuedAt) / (1000 * 60)); // in minutes
   }
   return this.waitTime;
 });
 
+// When the token joined the queue it is waiting in now
+tokenSchema.virtual('waitingSince').get(function() {
+  const step = this.currentJourneyStep;
+  return step ? step.enteredAt : this.issuedAt;
+});
+
+tokenSchema.virtual('currentJourneyStep').get(function() {
+  if (!this.journey || !this.journey.template) return null;
+  return this.journey.steps[this.journey.currentStep] || null;
+});
+
+tokenSchema.virtual('hasNextJourneyStep').get(function() {
+  return Boolean(this.currentJourneyStep) && this.journey.currentStep < this.journey.steps.length - 1;
+});
+
 // Pre-save middleware
 tokenSchema.pre('save', function(next) {
-  // Calculate wait time when service starts
+  const step = this.currentJourneyStep;
+  const minutesBetween = (from, to) => Math.round((to - from) / (1000 * 60));
+  const serviceMinutes = (to) => Math.round((to - this.serviceStartedAt - this.parking.pausedMs) / (1000 * 60));
+  
+  // Calculate wait time when service starts; journeys add up every step's wait
   if (this.isModified('serviceStartedAt') && this.serviceStartedAt && this.issuedAt) {
-    this.waitTime = Math.round((this.serviceStartedAt - this.issuedAt) / (1000 * 60));
+    if (step) {
+      step.serviceStartedAt = this.serviceStartedAt;
+      step.waitTime = minutesBetween(step.enteredAt, this.serviceStartedAt);
+      this.waitTime = this.journey.steps.reduce((total, item) => total + item.waitTime, 0);
+    } else {
+      this.waitTime = minutesBetween(this.issuedAt, this.serviceStartedAt);
+    }
   }
   
-  // Calculate service time when completed
+  // Calculate service time when completed, leaving out time parked
   if (this.isModified('completedAt') && this.completedAt && this.serviceStartedAt) {
-    this.serviceTime = Math.round((this.completedAt - this.serviceStartedAt) / (1000 * 60));
+    this.serviceTime = serviceMinutes(this.completedAt);
+    
+    if (step) {
+      step.serviceTime = this.serviceTime;
+      this.serviceTime = this.journey.steps.reduce((total, item) => total + item.serviceTime, 0);
+    }
+  }
+  
+  // Aging starts over whenever the base priority is set
+  if (this.isNew || this.isModified('priority')) {
+    this.effectivePriority = this.priority;
+    this.recall.requeuedAt = undefined;
+    this.recall.requeuedPriority = undefined;
+  }
+  
+  if (this.isNew && !this.trackingCode) {
+    this.trackingCode = crypto.randomBytes(18).toString('base64url');
   }
   
   // Set business date if not provided
@@ -293,60 +505,152 @@ tokenSchema.pre('save', function(next) {
     this.businessDate = today;
   }
   
+  // Remember whether the document was new so post-save can announce issuance
+  this.$locals.wasNew = this.isNew;
+  
   next();
 });
 
+// Post-save middleware
+tokenSchema.post('save', function(doc) {
+  // Tokens saved in a transaction are announced by tokenService after commit
+  if (doc.$locals.wasNew && !doc.$session()) {
+    doc.$locals.wasNew = false;
+    tokenEvents.publish('issued', doc);
+  }
+});
+
 // Instance methods
-tokenSchema.methods.callToken = function(counterId, userId) {
+tokenSchema.methods.callToken = async function(counterId, userId) {
   this.status = 'called';
   this.calledAt = new Date();
   this.counter = counterId;
   this.lastModifiedBy = userId;
+  this.recall.count = 0;
+  this.parking.returnedAt = undefined;
+  
+  const step = this.currentJourneyStep;
+  if (step) {
+    step.calledAt = this.calledAt;
+    step.counter = counterId;
+  }
   
   // Trigger notification
   this.notifications.called = true;
   
-  return this.save();
+  await this.save();
+  tokenEvents.publish('called', this);
+  
+  return this;
+};
+
+tokenSchema.methods.recallToken = async function(userId) {
+  if (this.status !== 'called') {
+    throw new Error('Only called tokens can be recalled');
+  }
+  
+  this.lastModifiedBy = userId;
+  this.recall.count += 1;
+  this.recall.history.push({ action: 'recalled', counter: this.counter, by: userId });
+  
+  await this.save();
+  tokenEvents.publish('recalled', this);
+  
+  return this;
 };
 
-tokenSchema.methods.startService = function(userId) {
+tokenSchema.methods.startService = async function(userId) {
+  const now = new Date();
+  
+  // Back from parking the service carries on; the pause is not service time
+  if (this.parking.parkedAt) {
+    const stay = this.parking.history[this.parking.history.length - 1];
+    if (stay) stay.resumedAt = now;
+    
+    this.parking.pausedMs += now - this.parking.parkedAt;
+    this.parking.parkedAt = undefined;
+    this.parking.reason = undefined;
+  } else {
+    this.serviceStartedAt = now;
+    this.parking.pausedMs = 0;
+  }
+  
   this.status = 'in_service';
-  this.serviceStartedAt = new Date();
   this.servedBy = userId;
   this.lastModifiedBy = userId;
   
-  return this.save();
+  await this.save();
+  tokenEvents.publish('serving', this);
+  
+  return this;
 };
 
-tokenSchema.methods.completeService = function(userId, notes, rating) {
+tokenSchema.methods.completeService = async function(userId, notes, rating) {
+  // Mid-journey the token moves on to the next department instead
+  if (this.hasNextJourneyStep) {
+    return this.advanceJourney(userId, notes);
+  }
+  
   this.status = 'completed';
   this.completedAt = new Date();
   this.serviceNotes = notes;
   this.satisfactionRating = rating;
   this.lastModifiedBy = userId;
   
+  const step = this.currentJourneyStep;
+  if (step) {
+    step.status = 'completed';
+    step.completedAt = this.completedAt;
+    step.servedBy = this.servedBy;
+    step.notes = notes;
+  }
+  
   // Trigger notification
   this.notifications.completed = true;
   
-  return this.save();
+  await this.save();
+  tokenEvents.publish('completed', this);
+  
+  return this;
 };
 
-tokenSchema.methods.cancelToken = function(userId, reason) {
+tokenSchema.methods.cancelToken = async function(userId, reason) {
   this.status = 'cancelled';
   this.serviceNotes = reason;
   this.lastModifiedBy = userId;
   
+  await this.save();
+  tokenEvents.publish('cancelled', this);
+  
+  return this;
+};
+
+tokenSchema.methods.reportLate = function(minutes) {
+  const now = new Date();
+  
+  this.lateArrival = {
+    reportedAt: now,
+    expectedAt: new Date(now.getTime() + minutes * 60 * 1000),
+    minutes
+  };
+  
   return this.save();
 };
 
-tokenSchema.methods.markNoShow = function(userId) {
+tokenSchema.methods.markNoShow = async function(userId) {
   this.status = 'no_show';
   this.lastModifiedBy = userId;
+  this.recall.noShowAt = undefined;
+  this.recall.noShowMarkedAt = new Date();
+  this.recall.history.push({ action: 'no_show', counter: this.counter, by: userId });
   
-  return this.save();
+  await this.save();
+  tokenEvents.publish('no_show', this);
+  
+  return this;
 };
 
-tokenSchema.methods.transferToken = function(newDepartment, newCounter, reason, userId) {
+tokenSchema.methods.transferToken = async function(newDepartment, newCounter, reason, userId, options = {}) {
   const transferRecord = {
     fromDepartment: this.department,
     toDepartment: newDepartment,
@@ -362,71 +666,109 @@ tokenSchema.methods.transferToken = function(newDepartment, newCounter, reason,
   this.status = 'transferred';
   this.lastModifiedBy = userId;
   
-  return this.save();
-};
-
-// Static methods
-tokenSchema.statics.generateTokenNumber = async function(department, date = new Date()) {
-  const Department = require('./Department');
-  const dept = await Department.findById(department);
-  
-  if (!dept) {
-    throw new Error('Department not found');
+  if (options.serviceType) {
+    this.serviceType = options.serviceType;
   }
   
-  // Format: DEPT-YYYYMMDD-NNN (e.g., CS-20241201-001)
-  const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
-  const prefix = dept.code + '-' + dateStr + '-';
-  
-  // Find the last token for this department and date
-  const lastToken = await this.findOne({
-    tokenNumber: { $regex: `^${prefix}` },
-    businessDate: {
-      $gte: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
-      $lt: new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
-    }
-  }).sort({ tokenNumber: -1 });
+  const step = this.currentJourneyStep;
+  if (step) {
+    step.department = newDepartment;
+    step.serviceType = this.serviceType;
+  }
   
-  let nextNumber = 1;
-  if (lastToken) {
-    const lastNumber = parseInt(lastToken.tokenNumber.split('-').pop());
-    nextNumber = lastNumber + 1;
+  // Wait in the new department's queue rather than leaving the queue
+  if (options.requeue) {
+    const tokenService = require('../services/tokenService');
+    const waitTimeEstimator = require('../services/waitTimeEstimator');
+    
+    this.status = 'waiting';
+    this.calledAt = undefined;
+    this.recall.noShowAt = undefined;
+    this.recall.requeuedAt = undefined;
+    this.recall.requeuedPriority = undefined;
+    this.notifications.nearTurn = false;
+    
+    // A parked stay ends here; the new queue starts a fresh service
+    const stay = this.parking.history[this.parking.history.length - 1];
+    if (stay && !stay.resumedAt && !stay.transferredAt) stay.transferredAt = new Date();
+    
+    this.parking.parkedAt = undefined;
+    this.parking.reason = undefined;
+    this.parking.returnedAt = undefined;
+    this.parking.pausedMs = 0;
+    this.queuePosition = await tokenService.nextArrival(newDepartment);
+    this.estimatedWaitTime = await waitTimeEstimator.estimateNewToken(newDepartment, this.serviceType, this.priority);
   }
   
-  const tokenNumber = prefix + String(nextNumber).padStart(3, '0');
-  const displayNumber = dept.code + String(nextNumber).padStart(3, '0');
+  await this.save();
+  tokenEvents.publish('transferred', this, {
+    fromDepartment: transferRecord.fromDepartment ? String(transferRecord.fromDepartment) : null,
+    fromCounter: transferRecord.fromCounter ? String(transferRecord.fromCounter) : null,
+    reason
+  });
   
-  return { tokenNumber, displayNumber };
+  return this;
 };
 
-tokenSchema.statics.generateToken = async function(departmentId, counterId, customerId, priority = 5, userId) {
-  const { tokenNumber, displayNumber } = await this.generateTokenNumber(departmentId);
-  
-  // Calculate queue position
-  const queueCount = await this.countDocuments({
-    department: departmentId,
-    status: { $in: ['waiting', 'called'] },
-    businessDate: {
-      $gte: new Date(new Date().setHours(0, 0, 0, 0)),
-      $lt: new Date(new Date().setHours(23, 59, 59, 999))
-    }
-  });
+tokenSchema.methods.advanceJourney = async function(userId, notes) {
+  const tokenService = require('../services/tokenService');
+  const waitTimeEstimator = require('../services/waitTimeEstimator');
+  
+  const now = new Date();
+  const step = this.currentJourneyStep;
   
-  const token = new this({
-    tokenNumber,
-    displayNumber,
-    customer: customerId,
-    department: departmentId,
-    counter: counterId,
-    priority,
-    queuePosition: queueCount + 1,
-    createdBy: userId,
-    serviceType: 'general' // Default service type
+  step.status = 'completed';
+  step.completedAt = now;
+  step.serviceTime = this.serviceStartedAt ? Math.round((now - this.serviceStartedAt - this.parking.pausedMs) / (1000 * 60)) : 0;
+  step.servedBy = this.servedBy;
+  step.notes = notes;
+  
+  this.journey.currentStep += 1;
+  const next = this.currentJourneyStep;
+  next.status = 'active';
+  next.enteredAt = now;
+  
+  const transferRecord = {
+    fromDepartment: this.department,
+    toDepartment: next.department,
+    fromCounter: this.counter,
+    reason: `Journey step ${this.journey.currentStep + 1}: ${next.name || next.serviceType}`,
+    journeyStep: this.journey.currentStep,
+    transferredBy: userId
+  };
+  
+  // Join the back of the next department's queue, keeping the token number
+  this.transferHistory.push(transferRecord);
+  this.department = next.department;
+  this.serviceType = next.serviceType;
+  this.counter = undefined;
+  this.status = 'waiting';
+  this.calledAt = undefined;
+  this.serviceStartedAt = undefined;
+  this.servedBy = undefined;
+  this.parking.pausedMs = 0;
+  this.queuePosition = await tokenService.nextArrival(next.department);
+  this.effectivePriority = this.priority;
+  this.recall.requeuedAt = undefined;
+  this.recall.requeuedPriority = undefined;
+  this.serviceTime = this.journey.steps.reduce((total, item) => total + item.serviceTime, 0);
+  this.estimatedWaitTime = await waitTimeEstimator.estimateNewToken(next.department, next.serviceType, this.priority);
+  this.lastModifiedBy = userId;
+  this.notifications.nearTurn = false;
+  this.notifications.called = false;
+  
+  await this.save();
+  tokenEvents.publish('transferred', this, {
+    fromDepartment: String(transferRecord.fromDepartment),
+    fromCounter: transferRecord.fromCounter ? String(transferRecord.fromCounter) : null,
+    reason: transferRecord.reason,
+    journeyStep: this.journey.currentStep
   });
   
-  return await token.save();
+  return this;
 };
 
+// Static methods
 tokenSchema.statics.getQueueStatus = async function(departmentId, date = new Date()) {
   const startOfDay = new Date(date.setHours(0, 0, 0, 0));
   const endOfDay = new Date(date.setHours(23, 59, 59, 999));
@@ -434,7 +776,7 @@ tokenSchema.statics.getQueueStatus = async function(departmentId, date = new Dat
   const stats = await this.aggregate([
     {
       $match: {
-        department: mongoose.Types.ObjectId(departmentId),
+        department: new mongoose.Types.ObjectId(departmentId),
         businessDate: { $gte: startOfDay, $lte: endOfDay }
       }
     },
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  
+  event: {
+    type: String,
+    required: true
+  },
+  
+  // Envelope sent as the request body
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  
+  // Delivery State
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'succeeded', 'failed', 'dead'],
+    default: 'pending'
+  },
+  
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  attempts: [{
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }],
+  
+  deliveredAt: Date,
+  deadAt: Date,
+  
+  // Set when this delivery replays an earlier one
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, deadAt: -1 });
+
+// Static methods
+webhookDeliverySchema.statics.claimDue = function() {
+  // Atomically take one due delivery so concurrent workers never double-send
+  return this.findOneAndUpdate(
+    {
+      status: { $in: ['pending', 'failed'] },
+      nextAttemptAt: { $lte: new Date() }
+    },
+    { $set: { status: 'delivering' } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
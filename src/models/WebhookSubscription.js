@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  // Basic Information
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^https?:\/\/.+/, 'Webhook URL must be an http(s) URL']
+  },
+  
+  // Signing secret, only returned on creation and rotation
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  
+  // Event names, e.g. 'token.called', or wildcards 'token.*' and '*'
+  events: {
+    type: [String],
+    default: ['*']
+  },
+  
+  // Optional scoping of events
+  filters: {
+    departments: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    }],
+    queues: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Queue'
+    }]
+  },
+  
+  active: {
+    type: Boolean,
+    default: true
+  },
+  
+  // Owner whose subscription plan must include webhook support
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  
+  // Set when managed from a queue's notifications.webhookUrl
+  managedByQueue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Queue'
+  },
+  
+  // Delivery Statistics
+  stats: {
+    lastDeliveryAt: Date,
+    lastSuccessAt: Date,
+    lastFailureAt: Date,
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    }
+  },
+  
+  // System Fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookSubscriptionSchema.index({ active: 1, archived: 1 });
+webhookSubscriptionSchema.index({ managedByQueue: 1 }, { unique: true, sparse: true });
+
+// Instance methods
+webhookSubscriptionSchema.methods.matchesEvent = function(event) {
+  return this.events.some(pattern => {
+    if (pattern === '*' || pattern === event) return true;
+    return pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1));
+  });
+};
+
+webhookSubscriptionSchema.methods.matchesContext = function(context = {}) {
+  const includes = (ids, id) => ids.length === 0 || (id && ids.some(value => value.toString() === id.toString()));
+  
+  return includes(this.filters.departments, context.departmentId) &&
+    includes(this.filters.queues, context.queueId);
+};
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
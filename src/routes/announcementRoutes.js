@@ -0,0 +1,42 @@
+const express = require('express');
+const announcementController = require('../controllers/announcementController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Lobby players receive calls over the public stream; this is for staff
+router.use(protect);
+router.use(authorize(['super_admin', 'admin', 'sub_admin']));
+
+/**
+ * @route   GET /api/announcements
+ * @desc    Get announcements and their playback status
+ * @access  Private (Admin, Sub Admin)
+ * @query   {page, limit, zone, status, department, counter, token, sort}
+ */
+router.get(
+  '/',
+  announcementController.getAnnouncements
+);
+
+/**
+ * @route   GET /api/announcements/:announcementId
+ * @desc    Get an announcement with its playlist
+ * @access  Private (Admin, Sub Admin)
+ */
+router.get(
+  '/:announcementId',
+  announcementController.getAnnouncement
+);
+
+/**
+ * @route   POST /api/announcements/:announcementId/replay
+ * @desc    Queue an announcement again on its audio zone
+ * @access  Private (Admin, Sub Admin)
+ */
+router.post(
+  '/:announcementId/replay',
+  announcementController.replayAnnouncement
+);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const appointmentController = require('../controllers/appointmentController');
+const { protect } = require('../middleware/auth');
+const { appointmentValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Apply authentication to all appointment routes
+router.use(protect);
+
+/**
+ * @route   GET /api/appointments/slots
+ * @desc    Get bookable slots for a department service on a day
+ * @access  Private (All authenticated users)
+ * @query   {departmentId, serviceType, date}
+ */
+router.get(
+  '/slots',
+  appointmentController.getAvailableSlots
+);
+
+/**
+ * @route   POST /api/appointments
+ * @desc    Book an appointment
+ * @access  Private (All authenticated users)
+ * @body    {customerId, departmentId, serviceType, slotStart, notes}
+ */
+router.post(
+  '/',
+  appointmentValidation.bookAppointment,
+  appointmentController.bookAppointment
+);
+
+/**
+ * @route   GET /api/appointments
+ * @desc    Get appointments with filtering and pagination
+ * @access  Private (All authenticated users)
+ * @query   {page, limit, department, customer, status, date, sort}
+ */
+router.get(
+  '/',
+  appointmentController.getAppointments
+);
+
+/**
+ * @route   GET /api/appointments/:appointmentId
+ * @desc    Get appointment by ID
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/:appointmentId',
+  appointmentController.getAppointment
+);
+
+/**
+ * @route   PUT /api/appointments/:appointmentId/reschedule
+ * @desc    Move an appointment to another slot
+ * @access  Private (All authenticated users)
+ * @body    {slotStart}
+ */
+router.put(
+  '/:appointmentId/reschedule',
+  appointmentValidation.rescheduleAppointment,
+  appointmentController.rescheduleAppointment
+);
+
+/**
+ * @route   PUT /api/appointments/:appointmentId/cancel
+ * @desc    Cancel an appointment
+ * @access  Private (All authenticated users)
+ * @body    {reason}
+ */
+router.put(
+  '/:appointmentId/cancel',
+  appointmentValidation.cancelAppointment,
+  appointmentController.cancelAppointment
+);
+
+/**
+ * @route   POST /api/appointments/:appointmentId/check-in
+ * @desc    Check a customer in and issue a queue token
+ * @access  Private (All authenticated users)
+ */
+router.post(
+  '/:appointmentId/check-in',
+  appointmentController.checkInAppointment
+);
+
+module.exports = router;
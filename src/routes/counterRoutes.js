@@ -119,7 +119,7 @@ router.get(
  * @route   PUT /api/counters/:counterId/token/next
  * @desc    Call next token to counter
  * @access  Private (Admin, Sub Admin)
- * @body    {priority, serviceType}
+ * @body    {serviceType}
  */
 router.put(
   '/:counterId/token/next',
@@ -130,7 +130,7 @@ router.put(
 
 /**
  * @route   PUT /api/counters/:counterId/token/recall
- * @desc    Recall current token
+ * @desc    Recall current token (up to the department's recall limit)
  * @access  Private (Admin, Sub Admin)
  */
 router.put(
@@ -139,6 +139,54 @@ router.put(
   counterController.recallToken
 );
 
+/**
+ * @route   PUT /api/counters/:counterId/token/skip
+ * @desc    Skip the called token (customer absent); requeues or holds it per the department's recall policy
+ * @access  Private (Admin, Sub Admin)
+ */
+router.put(
+  '/:counterId/token/skip',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  counterController.skipToken
+);
+
+/**
+ * @route   PUT /api/counters/:counterId/token/start
+ * @desc    Start serving the token called to the counter
+ * @access  Private (Admin, Sub Admin)
+ */
+router.put(
+  '/:counterId/token/start',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  counterController.startTokenService
+);
+
+/**
+ * @route   PUT /api/counters/:counterId/token/complete
+ * @desc    Complete the token being served at the counter
+ * @access  Private (Admin, Sub Admin)
+ * @body    {notes, rating}
+ */
+router.put(
+  '/:counterId/token/complete',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  counterValidation.completeTokenService,
+  counterController.completeTokenService
+);
+
+/**
+ * @route   PUT /api/counters/:counterId/token/park
+ * @desc    Park the token in service while the customer steps away; it returns to this counter
+ * @access  Private (Admin, Sub Admin)
+ * @body    {reason}
+ */
+router.put(
+  '/:counterId/token/park',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  counterValidation.parkToken,
+  counterController.parkToken
+);
+
 /**
  * @route   GET /api/counters/:counterId/current-token
  * @desc    Get currently serving token
@@ -199,9 +247,9 @@ router.get(
 
 /**
  * @route   PUT /api/counters/:counterId/hardware/config
- * @desc    Update hardware configuration
+ * @desc    Assign registered devices to the counter and push their config
  * @access  Private (Super Admin, Admin)
- * @body    {displayConfig, printerConfig, audioConfig, ledConfig}
+ * @body    {ledDisplayId, audioSystemId, callButtonId, statusLedId, ticketPrinterId, config: {ledDisplay, audioSystem, callButton, statusLed}}
  */
 router.put(
   '/:counterId/hardware/config',
@@ -212,9 +260,9 @@ router.put(
 
 /**
  * @route   POST /api/counters/:counterId/hardware/test
- * @desc    Test hardware components
+ * @desc    Send the counter's devices a test command and report their answers
  * @access  Private (Admin, Sub Admin)
- * @body    {components}
+ * @body    {components: [ledDisplay, audioSystem, callButton, statusLed, ticketPrinter]}
  */
 router.post(
   '/:counterId/hardware/test',
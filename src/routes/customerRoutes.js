@@ -3,7 +3,7 @@ const router = express.Router();
 
 // Import middleware
 const { protect: auth } = require('../middleware/auth');
-// const { validateCustomer, validateTokenGeneration } = require('../middleware/validation');
+const { tokenValidation } = require('../middleware/validation');
 
 // Simple validation middleware for now
 const validateCustomer = (req, res, next) => {
@@ -16,16 +16,6 @@ const validateCustomer = (req, res, next) => {
   next();
 };
 
-const validateTokenGeneration = (req, res, next) => {
-  if (!req.body.departmentId) {
-    return res.status(400).json({
-      success: false,
-      message: 'Department ID is required'
-    });
-  }
-  next();
-};
-
 // Import controller
 const customerController = require('../controllers/customerController');
 
@@ -78,8 +68,9 @@ router.delete('/:id', customerController.deleteCustomer);
  * @route   POST /api/v1/customers/:id/tokens
  * @desc    Generate token for customer
  * @access  Private (Admin, Sub-Admin)
+ * @body    {departmentId, serviceType, priority}
  */
-router.post('/:id/tokens', validateTokenGeneration, customerController.generateToken);
+router.post('/:id/tokens', tokenValidation.generateCustomerToken, customerController.generateToken);
 
 /**
  * @route   GET /api/v1/customers/:id/tokens
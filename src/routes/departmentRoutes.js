@@ -5,7 +5,17 @@ const { departmentValidation } = require('../middleware/validation');
 
 const router = express.Router();
 
-// Apply authentication to all department routes
+/**
+ * @route   GET /api/departments/operating/hours
+ * @desc    Get operating hours for all departments
+ * @access  Public
+ */
+router.get(
+  '/operating/hours',
+  departmentController.getAllDepartmentOperatingHours
+);
+
+// Apply authentication to all remaining department routes
 router.use(protect);
 
 /**
@@ -70,9 +80,9 @@ router.delete(
 
 /**
  * @route   PUT /api/departments/:departmentId/status
- * @desc    Update department status (active/inactive)
+ * @desc    Update department status (active/inactive/maintenance/closed)
  * @access  Private (Super Admin, Admin)
- * @body    {status}
+ * @body    {status, reason}
  */
 router.put(
   '/:departmentId/status',
@@ -105,7 +115,7 @@ router.get(
  * @route   POST /api/departments/:departmentId/staff
  * @desc    Assign staff to department
  * @access  Private (Super Admin, Admin)
- * @body    {staffIds, roles}
+ * @body    {staffIds, roles, counterIds}
  */
 router.post(
   '/:departmentId/staff',
@@ -125,6 +135,19 @@ router.delete(
   departmentController.removeStaffFromDepartment
 );
 
+/**
+ * @route   POST /api/departments/:departmentId/service-types
+ * @desc    Add a service type to a department
+ * @access  Private (Super Admin, Admin)
+ * @body    {name, code, estimatedServiceTime, priority}
+ */
+router.post(
+  '/:departmentId/service-types',
+  authorize(['super_admin', 'admin']),
+  departmentValidation.addServiceType,
+  departmentController.addServiceType
+);
+
 /**
  * @route   GET /api/departments/:departmentId/queue/status
  * @desc    Get current queue status for department
@@ -139,7 +162,7 @@ router.get(
  * @route   PUT /api/departments/:departmentId/queue/settings
  * @desc    Update queue settings for department
  * @access  Private (Super Admin, Admin)
- * @body    {maxWaitTime, priorityEnabled, allowBooking, tokenValidityMinutes}
+ * @body    {maxQueueSize, avgServiceTime, maxWaitTime, priorityEnabled, transferEnabled}
  */
 router.put(
   '/:departmentId/queue/settings',
@@ -160,6 +183,18 @@ router.get(
   departmentController.getDepartmentAnalytics
 );
 
+/**
+ * @route   GET /api/departments/:departmentId/sla
+ * @desc    Get SLA breaches and compliance per day
+ * @access  Private (Admin, Sub Admin)
+ * @query   {startDate, endDate}
+ */
+router.get(
+  '/:departmentId/sla',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  departmentController.getDepartmentSla
+);
+
 /**
  * @route   GET /api/departments/:departmentId/performance
  * @desc    Get department performance metrics
@@ -176,7 +211,7 @@ router.get(
  * @route   PUT /api/departments/:departmentId/display/settings
  * @desc    Update display settings for department
  * @access  Private (Super Admin, Admin)
- * @body    {displayName, theme, announcements, tickerText}
+ * @body    {showEstimatedWaitTime, showQueueLength, displayColor, displayOrder}
  */
 router.put(
   '/:departmentId/display/settings',
@@ -185,16 +220,6 @@ router.put(
   departmentController.updateDisplaySettings
 );
 
-/**
- * @route   GET /api/departments/operating/hours
- * @desc    Get operating hours for all departments
- * @access  Public
- */
-router.get(
-  '/operating/hours',
-  departmentController.getAllDepartmentOperatingHours
-);
-
 /**
  * @route   POST /api/departments/bulk/update
  * @desc    Bulk update multiple departments
@@ -0,0 +1,45 @@
+const express = require('express');
+const deviceController = require('../controllers/deviceController');
+const { deviceAuth } = require('../middleware/auth');
+const { deviceValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Called by counter devices, which authenticate with their X-Device-Key
+router.use(deviceAuth);
+
+/**
+ * @route   GET /api/device/channel
+ * @desc    Server-Sent Events stream of commands for this device
+ * @access  Device
+ */
+router.get(
+  '/channel',
+  deviceController.openChannel
+);
+
+/**
+ * @route   POST /api/device/heartbeat
+ * @desc    Check in; returns the config when the device is behind and any queued commands
+ * @access  Device
+ * @body    {firmwareVersion, configVersion}
+ */
+router.post(
+  '/heartbeat',
+  deviceValidation.heartbeat,
+  deviceController.heartbeat
+);
+
+/**
+ * @route   POST /api/device/commands/:commandId/ack
+ * @desc    Report the outcome of a command
+ * @access  Device
+ * @body    {success, result, error}
+ */
+router.post(
+  '/commands/:commandId/ack',
+  deviceValidation.acknowledgeCommand,
+  deviceController.acknowledgeCommand
+);
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const deviceController = require('../controllers/deviceController');
+const { protect, authorize } = require('../middleware/auth');
+const { deviceValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @route   GET /api/devices
+ * @desc    Get all counter devices
+ * @access  Private (Admin, Sub Admin)
+ * @query   {page, limit, department, counter, type, status, sort}
+ */
+router.get(
+  '/',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  deviceController.getDevices
+);
+
+/**
+ * @route   POST /api/devices
+ * @desc    Register a counter device; the response holds its key, shown only once
+ * @access  Private (Super Admin, Admin)
+ * @body    {name, code, type, department, hardwareModel, config, heartbeatIntervalSeconds, active}
+ */
+router.post(
+  '/',
+  authorize(['super_admin', 'admin']),
+  deviceValidation.createDevice,
+  deviceController.createDevice
+);
+
+/**
+ * @route   GET /api/devices/:deviceId
+ * @desc    Get a single device with its health
+ * @access  Private (Admin, Sub Admin)
+ */
+router.get(
+  '/:deviceId',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  deviceController.getDevice
+);
+
+/**
+ * @route   PUT /api/devices/:deviceId
+ * @desc    Update a device; a new config is pushed to it
+ * @access  Private (Super Admin, Admin)
+ * @body    {name, hardwareModel, config, heartbeatIntervalSeconds, active}
+ */
+router.put(
+  '/:deviceId',
+  authorize(['super_admin', 'admin']),
+  deviceValidation.updateDevice,
+  deviceController.updateDevice
+);
+
+/**
+ * @route   DELETE /api/devices/:deviceId
+ * @desc    Archive a device and remove it from its counter
+ * @access  Private (Super Admin, Admin)
+ */
+router.delete(
+  '/:deviceId',
+  authorize(['super_admin', 'admin']),
+  deviceController.deleteDevice
+);
+
+/**
+ * @route   POST /api/devices/:deviceId/rotate-key
+ * @desc    Replace the device's key; the old one stops working
+ * @access  Private (Super Admin, Admin)
+ */
+router.post(
+  '/:deviceId/rotate-key',
+  authorize(['super_admin', 'admin']),
+  deviceController.rotateKey
+);
+
+/**
+ * @route   POST /api/devices/:deviceId/test
+ * @desc    Send the device a test command and report its answer
+ * @access  Private (Admin, Sub Admin)
+ */
+router.post(
+  '/:deviceId/test',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  deviceController.testDevice
+);
+
+/**
+ * @route   GET /api/devices/:deviceId/commands
+ * @desc    Get the commands sent to a device and their answers
+ * @access  Private (Admin, Sub Admin)
+ * @query   {page, limit, type, status}
+ */
+router.get(
+  '/:deviceId/commands',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  deviceController.getDeviceCommands
+);
+
+module.exports = router;
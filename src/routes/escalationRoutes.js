@@ -0,0 +1,54 @@
+const express = require('express');
+const escalationController = require('../controllers/escalationController');
+const { protect, authorize } = require('../middleware/auth');
+const { escalationValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize(['super_admin', 'admin', 'sub_admin']));
+
+/**
+ * @route   GET /api/escalations
+ * @desc    Get SLA escalations
+ * @access  Private (Admin, Sub Admin)
+ * @query   {page, limit, department, type, status, token, sort}
+ */
+router.get(
+  '/',
+  escalationController.getEscalations
+);
+
+/**
+ * @route   GET /api/escalations/:escalationId
+ * @desc    Get a single escalation
+ * @access  Private (Admin, Sub Admin)
+ */
+router.get(
+  '/:escalationId',
+  escalationController.getEscalation
+);
+
+/**
+ * @route   PUT /api/escalations/:escalationId/acknowledge
+ * @desc    Acknowledge an open escalation
+ * @access  Private (Admin, Sub Admin)
+ */
+router.put(
+  '/:escalationId/acknowledge',
+  escalationController.acknowledgeEscalation
+);
+
+/**
+ * @route   PUT /api/escalations/:escalationId/resolve
+ * @desc    Resolve an escalation
+ * @access  Private (Admin, Sub Admin)
+ * @body    {resolution}
+ */
+router.put(
+  '/:escalationId/resolve',
+  escalationValidation.resolveEscalation,
+  escalationController.resolveEscalation
+);
+
+module.exports = router;
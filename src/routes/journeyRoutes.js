@@ -0,0 +1,80 @@
+const express = require('express');
+const journeyController = require('../controllers/journeyController');
+const { protect, authorize } = require('../middleware/auth');
+const { journeyValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @route   GET /api/journeys
+ * @desc    Get all journey templates
+ * @access  Private (All authenticated users)
+ * @query   {page, limit, active, sort}
+ */
+router.get(
+  '/',
+  journeyController.getJourneys
+);
+
+/**
+ * @route   POST /api/journeys
+ * @desc    Create a journey template
+ * @access  Private (Super Admin, Admin)
+ * @body    {name, code, description, steps: [{department, serviceType, name}], active}
+ */
+router.post(
+  '/',
+  authorize(['super_admin', 'admin']),
+  journeyValidation.createJourney,
+  journeyController.createJourney
+);
+
+/**
+ * @route   GET /api/journeys/:journeyId
+ * @desc    Get a single journey template
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/:journeyId',
+  journeyController.getJourney
+);
+
+/**
+ * @route   PUT /api/journeys/:journeyId
+ * @desc    Update a journey template (tokens already on it keep their steps)
+ * @access  Private (Super Admin, Admin)
+ * @body    {name, description, steps, active}
+ */
+router.put(
+  '/:journeyId',
+  authorize(['super_admin', 'admin']),
+  journeyValidation.updateJourney,
+  journeyController.updateJourney
+);
+
+/**
+ * @route   DELETE /api/journeys/:journeyId
+ * @desc    Archive a journey template
+ * @access  Private (Super Admin, Admin)
+ */
+router.delete(
+  '/:journeyId',
+  authorize(['super_admin', 'admin']),
+  journeyController.deleteJourney
+);
+
+/**
+ * @route   GET /api/journeys/:journeyId/report
+ * @desc    Get per-step counts, waits and service times for a journey
+ * @access  Private (Admin, Sub Admin)
+ * @query   {startDate, endDate}
+ */
+router.get(
+  '/:journeyId/report',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  journeyController.getJourneyReport
+);
+
+module.exports = router;
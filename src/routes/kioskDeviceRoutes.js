@@ -0,0 +1,71 @@
+const express = require('express');
+const kioskController = require('../controllers/kioskController');
+const surveyController = require('../controllers/surveyController');
+const { kioskAuth } = require('../middleware/auth');
+const { kioskValidation, surveyValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Called by kiosk devices, which authenticate with their X-Kiosk-Key
+router.use(kioskAuth);
+
+/**
+ * @route   GET /api/kiosk/menu
+ * @desc    Departments and service types this kiosk offers, with live ETAs
+ * @access  Kiosk
+ */
+router.get(
+  '/menu',
+  kioskController.getMenu
+);
+
+/**
+ * @route   POST /api/kiosk/customers/lookup
+ * @desc    Check whether a phone number belongs to a customer
+ * @access  Kiosk
+ * @body    {phone}
+ */
+router.post(
+  '/customers/lookup',
+  kioskValidation.lookupCustomer,
+  kioskController.lookupCustomer
+);
+
+/**
+ * @route   POST /api/kiosk/tokens
+ * @desc    Issue a token, registering a walk-in customer if the phone number is new
+ * @access  Kiosk
+ * @header  Idempotency-Key - unique per issuance; retries with it return the same token
+ * @body    {phone, departmentId, serviceType, firstName, lastName}
+ */
+router.post(
+  '/tokens',
+  kioskValidation.issueToken,
+  kioskController.issueToken
+);
+
+/**
+ * @route   POST /api/kiosk/surveys/lookup
+ * @desc    Find the open feedback survey of the customer with this phone number
+ * @access  Kiosk
+ * @body    {phone}
+ */
+router.post(
+  '/surveys/lookup',
+  kioskValidation.lookupSurvey,
+  surveyController.getKioskSurvey
+);
+
+/**
+ * @route   POST /api/kiosk/surveys/:code
+ * @desc    Answer a survey at the kiosk
+ * @access  Kiosk
+ * @body    {answers: {questionKey: value}}
+ */
+router.post(
+  '/surveys/:code',
+  surveyValidation.submitSurvey,
+  surveyController.submitKioskSurvey
+);
+
+module.exports = router;
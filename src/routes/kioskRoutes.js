@@ -0,0 +1,80 @@
+const express = require('express');
+const kioskController = require('../controllers/kioskController');
+const { protect, authorize } = require('../middleware/auth');
+const { kioskValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @route   GET /api/kiosks
+ * @desc    Get all kiosks
+ * @access  Private (Admin, Sub Admin)
+ * @query   {page, limit, departments, active, sort}
+ */
+router.get(
+  '/',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  kioskController.getKiosks
+);
+
+/**
+ * @route   POST /api/kiosks
+ * @desc    Register a kiosk; the response holds its key, shown only once
+ * @access  Private (Super Admin, Admin)
+ * @body    {name, code, location, departments, allowWalkIns, active}
+ */
+router.post(
+  '/',
+  authorize(['super_admin', 'admin']),
+  kioskValidation.createKiosk,
+  kioskController.createKiosk
+);
+
+/**
+ * @route   GET /api/kiosks/:kioskId
+ * @desc    Get a single kiosk
+ * @access  Private (Admin, Sub Admin)
+ */
+router.get(
+  '/:kioskId',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  kioskController.getKiosk
+);
+
+/**
+ * @route   PUT /api/kiosks/:kioskId
+ * @desc    Update a kiosk
+ * @access  Private (Super Admin, Admin)
+ */
+router.put(
+  '/:kioskId',
+  authorize(['super_admin', 'admin']),
+  kioskValidation.updateKiosk,
+  kioskController.updateKiosk
+);
+
+/**
+ * @route   DELETE /api/kiosks/:kioskId
+ * @desc    Archive a kiosk
+ * @access  Private (Super Admin, Admin)
+ */
+router.delete(
+  '/:kioskId',
+  authorize(['super_admin', 'admin']),
+  kioskController.deleteKiosk
+);
+
+/**
+ * @route   POST /api/kiosks/:kioskId/rotate-key
+ * @desc    Replace the kiosk's key; the old one stops working
+ * @access  Private (Super Admin, Admin)
+ */
+router.post(
+  '/:kioskId/rotate-key',
+  authorize(['super_admin', 'admin']),
+  kioskController.rotateKey
+);
+
+module.exports = router;
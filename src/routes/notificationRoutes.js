@@ -0,0 +1,55 @@
+const express = require('express');
+const notificationController = require('../controllers/notificationController');
+const { protect, authorize } = require('../middleware/auth');
+const { notificationValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Delivery log is for administrators only
+router.use(protect);
+router.use(authorize(['super_admin', 'admin']));
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the notification delivery log
+ * @access  Private (Super Admin, Admin)
+ * @query   {page, limit, status, channel, event, token, customer, sort}
+ */
+router.get(
+  '/',
+  notificationController.getNotifications
+);
+
+/**
+ * @route   POST /api/notifications/test
+ * @desc    Send a test message through a channel
+ * @access  Private (Super Admin, Admin)
+ * @body    {channel, recipient}
+ */
+router.post(
+  '/test',
+  notificationValidation.sendTestNotification,
+  notificationController.sendTestNotification
+);
+
+/**
+ * @route   GET /api/notifications/:notificationId
+ * @desc    Get a delivery log entry
+ * @access  Private (Super Admin, Admin)
+ */
+router.get(
+  '/:notificationId',
+  notificationController.getNotification
+);
+
+/**
+ * @route   POST /api/notifications/:notificationId/retry
+ * @desc    Retry a failed or dead delivery now
+ * @access  Private (Super Admin, Admin)
+ */
+router.post(
+  '/:notificationId/retry',
+  notificationController.retryNotification
+);
+
+module.exports = router;
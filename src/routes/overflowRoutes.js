@@ -0,0 +1,114 @@
+const express = require('express');
+const overflowController = require('../controllers/overflowController');
+const { protect, authorize } = require('../middleware/auth');
+const { overflowValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize(['super_admin', 'admin', 'sub_admin']));
+
+/**
+ * @route   GET /api/overflow/rules
+ * @desc    Get all overflow rules
+ * @access  Private (Admin, Sub Admin)
+ * @query   {page, limit, sourceDepartment, targetDepartment, mode, active, sort}
+ */
+router.get(
+  '/rules',
+  overflowController.getRules
+);
+
+/**
+ * @route   POST /api/overflow/rules
+ * @desc    Create an overflow rule
+ * @access  Private (Super Admin, Admin)
+ * @body    {name, sourceDepartment, targetDepartment, targetCounter, serviceTypes, targetServiceType,
+ *           conditions: {minWaiting, minEtaMinutes, targetMaxWaiting}, mode, batchSize, cooldownMinutes, active}
+ */
+router.post(
+  '/rules',
+  authorize(['super_admin', 'admin']),
+  overflowValidation.createRule,
+  overflowController.createRule
+);
+
+/**
+ * @route   GET /api/overflow/rules/:ruleId
+ * @desc    Get a single overflow rule
+ * @access  Private (Admin, Sub Admin)
+ */
+router.get(
+  '/rules/:ruleId',
+  overflowController.getRule
+);
+
+/**
+ * @route   PUT /api/overflow/rules/:ruleId
+ * @desc    Update an overflow rule
+ * @access  Private (Super Admin, Admin)
+ */
+router.put(
+  '/rules/:ruleId',
+  authorize(['super_admin', 'admin']),
+  overflowValidation.updateRule,
+  overflowController.updateRule
+);
+
+/**
+ * @route   DELETE /api/overflow/rules/:ruleId
+ * @desc    Archive an overflow rule
+ * @access  Private (Super Admin, Admin)
+ */
+router.delete(
+  '/rules/:ruleId',
+  authorize(['super_admin', 'admin']),
+  overflowController.deleteRule
+);
+
+/**
+ * @route   POST /api/overflow/rules/:ruleId/run
+ * @desc    Evaluate a rule now, ignoring its cooldown
+ * @access  Private (Admin, Sub Admin)
+ */
+router.post(
+  '/rules/:ruleId/run',
+  overflowController.runRule
+);
+
+/**
+ * @route   GET /api/overflow/offers
+ * @desc    Get tokens offered for transfer by confirm-mode rules
+ * @access  Private (Admin, Sub Admin)
+ * @query   {page, limit, status, sourceDepartment, targetDepartment, rule, sort}
+ */
+router.get(
+  '/offers',
+  overflowController.getOffers
+);
+
+/**
+ * @route   PUT /api/overflow/offers/:offerId/accept
+ * @desc    Confirm an offer and transfer the token
+ * @access  Private (Admin, Sub Admin)
+ * @body    {note}
+ */
+router.put(
+  '/offers/:offerId/accept',
+  overflowValidation.decideOffer,
+  overflowController.acceptOffer
+);
+
+/**
+ * @route   PUT /api/overflow/offers/:offerId/decline
+ * @desc    Decline an offer
+ * @access  Private (Admin, Sub Admin)
+ * @body    {note}
+ */
+router.put(
+  '/offers/:offerId/decline',
+  overflowValidation.decideOffer,
+  overflowController.declineOffer
+);
+
+module.exports = router;
@@ -6,7 +6,17 @@ const AppError = require('../utils/AppError');
 
 const router = express.Router();
 
-// Apply authentication to all payment routes
+/**
+ * @route   POST /api/payments/callbacks/:gateway
+ * @desc    Receive a signed payment result from a gateway
+ * @access  Public (verified by the gateway's signature)
+ */
+router.post(
+  '/callbacks/:gateway',
+  paymentController.handleGatewayCallback
+);
+
+// Apply authentication to all other payment routes
 router.use(protect);
 
 /**
@@ -46,9 +56,10 @@ router.get(
 
 /**
  * @route   PUT /api/payments/:paymentId/upi/process
- * @desc    Process UPI payment
+ * @desc    Start a UPI payment: a collect request to the payer's VPA, or an
+ *          intent link / QR payload for the payer to scan
  * @access  Private (Admin, Sub Admin)
- * @body    {upiId, transactionId, vpa, pspName, merchantTransactionId, gatewayResponse}
+ * @body    {flow: 'collect'|'intent'|'qr', vpa}
  */
 router.put(
   '/:paymentId/upi/process',
@@ -57,6 +68,29 @@ router.put(
   paymentController.processUpiPayment
 );
 
+/**
+ * @route   GET /api/payments/:paymentId/upi/status
+ * @desc    Check a UPI payment's status with its gateway
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/:paymentId/upi/status',
+  paymentController.getUpiPaymentStatus
+);
+
+/**
+ * @route   POST /api/payments/:paymentId/upi/simulate
+ * @desc    Send a simulated gateway callback for a simulator payment
+ * @access  Private (Super Admin, Admin; not available in production)
+ * @body    {outcome: 'success'|'failure'|'pending'}
+ */
+router.post(
+  '/:paymentId/upi/simulate',
+  authorize(['super_admin', 'admin']),
+  paymentValidation.simulateUpiPayment,
+  paymentController.simulateUpiPayment
+);
+
 /**
  * @route   PUT /api/payments/:paymentId/cash/process
  * @desc    Process cash payment
@@ -0,0 +1,93 @@
+const express = require('express');
+const printerController = require('../controllers/printerController');
+const { protect, authorize } = require('../middleware/auth');
+const { printerValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @route   GET /api/printers
+ * @desc    Get all ticket printers
+ * @access  Private (Admin, Sub Admin)
+ * @query   {page, limit, department, driver, active, status, sort}
+ */
+router.get(
+  '/',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  printerController.getPrinters
+);
+
+/**
+ * @route   POST /api/printers
+ * @desc    Register a ticket printer
+ * @access  Private (Super Admin, Admin)
+ * @body    {name, code, department, autoPrint, driver, connection: {host, port, path}, paperWidth, active}
+ */
+router.post(
+  '/',
+  authorize(['super_admin', 'admin']),
+  printerValidation.createPrinter,
+  printerController.createPrinter
+);
+
+/**
+ * @route   GET /api/printers/:printerId
+ * @desc    Get a single printer
+ * @access  Private (Admin, Sub Admin)
+ */
+router.get(
+  '/:printerId',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  printerController.getPrinter
+);
+
+/**
+ * @route   PUT /api/printers/:printerId
+ * @desc    Update a printer
+ * @access  Private (Super Admin, Admin)
+ * @body    {name, autoPrint, driver, connection, paperWidth, active}
+ */
+router.put(
+  '/:printerId',
+  authorize(['super_admin', 'admin']),
+  printerValidation.updatePrinter,
+  printerController.updatePrinter
+);
+
+/**
+ * @route   DELETE /api/printers/:printerId
+ * @desc    Archive a printer
+ * @access  Private (Super Admin, Admin)
+ */
+router.delete(
+  '/:printerId',
+  authorize(['super_admin', 'admin']),
+  printerController.deletePrinter
+);
+
+/**
+ * @route   POST /api/printers/:printerId/test
+ * @desc    Print a test page
+ * @access  Private (Admin, Sub Admin)
+ */
+router.post(
+  '/:printerId/test',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  printerController.testPrinter
+);
+
+/**
+ * @route   GET /api/printers/:printerId/jobs
+ * @desc    Get a printer's print jobs
+ * @access  Private (Admin, Sub Admin)
+ * @query   {page, limit, status, kind, sort}
+ */
+router.get(
+  '/:printerId/jobs',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  printerController.getPrintJobs
+);
+
+module.exports = router;
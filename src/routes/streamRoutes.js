@@ -0,0 +1,32 @@
+const express = require('express');
+const streamController = require('../controllers/streamController');
+
+const router = express.Router();
+
+// Display boards connect with EventSource, which cannot send an
+// Authorization header, so these read-only streams are public.
+
+/**
+ * @route   GET /api/stream/departments/:departmentId
+ * @desc    Server-Sent Events stream of token events for a department
+ * @access  Public
+ * @events  snapshot, issued, called, recalled, requeued, skipped, reinstated, serving, completed, transferred, no_show,
+ *          announcement (lobby audio: play details.audioUrl or details.playlist)
+ */
+router.get(
+  '/departments/:departmentId',
+  streamController.streamDepartmentEvents
+);
+
+/**
+ * @route   GET /api/stream/counters/:counterId
+ * @desc    Server-Sent Events stream of token events for a counter
+ * @access  Public
+ * @events  snapshot, called, recalled, requeued, skipped, serving, completed, transferred, no_show, announcement
+ */
+router.get(
+  '/counters/:counterId',
+  streamController.streamCounterEvents
+);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const surveyController = require('../controllers/surveyController');
+const { protect, authorize } = require('../middleware/auth');
+const { surveyValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Answering is public: the survey code itself is the credential
+
+/**
+ * @route   GET /api/surveys/respond/:code
+ * @desc    Get the questions of an open survey
+ * @access  Public
+ */
+router.get(
+  '/respond/:code',
+  surveyController.getSurveyByCode
+);
+
+/**
+ * @route   POST /api/surveys/respond/:code
+ * @desc    Answer a survey; each survey can be answered once
+ * @access  Public
+ * @body    {answers: {questionKey: value}}
+ */
+router.post(
+  '/respond/:code',
+  surveyValidation.submitSurvey,
+  surveyController.submitSurvey
+);
+
+router.use(protect);
+router.use(authorize(['super_admin', 'admin', 'sub_admin']));
+
+/**
+ * @route   GET /api/surveys
+ * @desc    Get survey responses
+ * @access  Private (Admin, Sub Admin)
+ * @query   {page, limit, department, counter, servedBy, serviceType, status, lowScore, sort}
+ */
+router.get(
+  '/',
+  surveyController.getSurveys
+);
+
+/**
+ * @route   GET /api/surveys/report
+ * @desc    Responses, average rating and NPS per operator, counter, service type or department
+ * @access  Private (Admin, Sub Admin)
+ * @query   {departmentId, groupBy: operator|counter|serviceType|department, startDate, endDate}
+ */
+router.get(
+  '/report',
+  surveyController.getSurveyReport
+);
+
+/**
+ * @route   GET /api/surveys/:surveyId
+ * @desc    Get a single survey response
+ * @access  Private (Admin, Sub Admin)
+ */
+router.get(
+  '/:surveyId',
+  surveyController.getSurvey
+);
+
+module.exports = router;
@@ -12,7 +12,7 @@ router.use(protect);
  * @route   POST /api/tokens
  * @desc    Generate a new token
  * @access  Private (Admin, Sub Admin)
- * @body    {customerId, departmentId, serviceType, priority, scheduledTime}
+ * @body    {customerId, departmentId, journeyId, serviceType, priority, scheduledTime}
  */
 router.post(
   '/',
@@ -108,6 +108,43 @@ router.put(
   tokenController.transferToken
 );
 
+/**
+ * @route   PUT /api/tokens/:tokenId/reinstate
+ * @desc    Put a skipped or recently no-show token back in the queue
+ * @access  Private (Admin, Sub Admin)
+ * @body    {reason}
+ */
+router.put(
+  '/:tokenId/reinstate',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  tokenValidation.reinstateToken,
+  tokenController.reinstateToken
+);
+
+/**
+ * @route   PUT /api/tokens/:tokenId/resume
+ * @desc    Customer of a parked token is back; it is called next at the counter that parked it
+ * @access  Private (Admin, Sub Admin)
+ */
+router.put(
+  '/:tokenId/resume',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  tokenController.resumeToken
+);
+
+/**
+ * @route   POST /api/tokens/:tokenId/print
+ * @desc    Reprint a token's ticket
+ * @access  Private (Admin, Sub Admin)
+ * @body    {printerId}
+ */
+router.post(
+  '/:tokenId/print',
+  authorize(['super_admin', 'admin', 'sub_admin']),
+  tokenValidation.printToken,
+  tokenController.printToken
+);
+
 /**
  * @route   GET /api/tokens/queue/:departmentId
  * @desc    Get queue status for a department
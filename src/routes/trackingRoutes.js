@@ -0,0 +1,43 @@
+const express = require('express');
+const trackingController = require('../controllers/trackingController');
+const { trackingValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Tracking routes are public: the tracking code itself is the credential
+
+/**
+ * @route   GET /api/track/:trackingCode
+ * @desc    Get position, ETA, status and counter for a token
+ * @access  Public
+ */
+router.get(
+  '/:trackingCode',
+  trackingController.getTrackedToken
+);
+
+/**
+ * @route   PUT /api/track/:trackingCode/cancel
+ * @desc    Cancel a waiting token
+ * @access  Public
+ * @body    {reason}
+ */
+router.put(
+  '/:trackingCode/cancel',
+  trackingValidation.cancelTrackedToken,
+  trackingController.cancelTrackedToken
+);
+
+/**
+ * @route   PUT /api/track/:trackingCode/late
+ * @desc    Report running late; the token keeps its place until then
+ * @access  Public
+ * @body    {minutes}
+ */
+router.put(
+  '/:trackingCode/late',
+  trackingValidation.reportLateArrival,
+  trackingController.reportLateArrival
+);
+
+module.exports = router;
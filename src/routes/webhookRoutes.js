@@ -0,0 +1,129 @@
+const express = require('express');
+const webhookController = require('../controllers/webhookController');
+const { protect, authorize } = require('../middleware/auth');
+const { webhookValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Webhook subscriptions are managed by administrators only
+router.use(protect);
+router.use(authorize(['super_admin', 'admin']));
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Get all webhook subscriptions
+ * @access  Private (Super Admin, Admin)
+ * @query   {page, limit, active, customer, sort}
+ */
+router.get(
+  '/',
+  webhookController.getWebhooks
+);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Create a webhook subscription (the signing secret is returned once)
+ * @access  Private (Super Admin, Admin)
+ * @body    {name, description, url, events, filters: {departments, queues}, active, customer}
+ */
+router.post(
+  '/',
+  webhookValidation.createWebhook,
+  webhookController.createWebhook
+);
+
+/**
+ * @route   GET /api/webhooks/dead-letters
+ * @desc    Get deliveries that exhausted their retries
+ * @access  Private (Super Admin, Admin)
+ * @query   {page, limit, event, subscription, sort}
+ */
+router.get(
+  '/dead-letters',
+  webhookController.getDeadLetters
+);
+
+/**
+ * @route   GET /api/webhooks/:webhookId
+ * @desc    Get a webhook subscription
+ * @access  Private (Super Admin, Admin)
+ */
+router.get(
+  '/:webhookId',
+  webhookController.getWebhook
+);
+
+/**
+ * @route   PUT /api/webhooks/:webhookId
+ * @desc    Update a webhook subscription
+ * @access  Private (Super Admin, Admin)
+ * @body    {name, description, url, events, filters, active, customer}
+ */
+router.put(
+  '/:webhookId',
+  webhookValidation.updateWebhook,
+  webhookController.updateWebhook
+);
+
+/**
+ * @route   DELETE /api/webhooks/:webhookId
+ * @desc    Delete a webhook subscription
+ * @access  Private (Super Admin, Admin)
+ */
+router.delete(
+  '/:webhookId',
+  webhookController.deleteWebhook
+);
+
+/**
+ * @route   POST /api/webhooks/:webhookId/rotate-secret
+ * @desc    Replace the signing secret
+ * @access  Private (Super Admin, Admin)
+ */
+router.post(
+  '/:webhookId/rotate-secret',
+  webhookController.rotateSecret
+);
+
+/**
+ * @route   POST /api/webhooks/:webhookId/test
+ * @desc    Send a ping event to the endpoint
+ * @access  Private (Super Admin, Admin)
+ */
+router.post(
+  '/:webhookId/test',
+  webhookController.testWebhook
+);
+
+/**
+ * @route   GET /api/webhooks/:webhookId/deliveries
+ * @desc    Get a subscription's deliveries and their attempts
+ * @access  Private (Super Admin, Admin)
+ * @query   {page, limit, status, event, sort}
+ */
+router.get(
+  '/:webhookId/deliveries',
+  webhookController.getDeliveries
+);
+
+/**
+ * @route   GET /api/webhooks/:webhookId/deliveries/:deliveryId
+ * @desc    Get a delivery with its payload and attempts
+ * @access  Private (Super Admin, Admin)
+ */
+router.get(
+  '/:webhookId/deliveries/:deliveryId',
+  webhookController.getDelivery
+);
+
+/**
+ * @route   POST /api/webhooks/:webhookId/deliveries/:deliveryId/replay
+ * @desc    Send a delivery's payload again
+ * @access  Private (Super Admin, Admin)
+ */
+router.post(
+  '/:webhookId/deliveries/:deliveryId/replay',
+  webhookController.replayDelivery
+);
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const Token = require('../models/Token');
+const Department = require('../models/Department');
+const logger = require('../utils/logger');
+const { startOfToday } = require('../utils/dates');
+
+const MINUTE = 60 * 1000;
+const MAX_PRIORITY = 10;
+const OVERDUE_PRIORITY = 11; // ahead of every base priority
+
+class AgingService {
+  /**
+   * Priority a waiting token should be ordered by. Tokens gain `step` for
+   * every `intervalMinutes` they have waited, up to `maxBoost` and never
+   * past 10. With enforceMaxWait on, tokens waiting longer than the
+   * department's maxWaitTime jump ahead of everyone. A requeued token
+   * starts over from the priority of the slot it was put back in.
+   * @param {Token} token - Waiting token
+   * @param {Department} department - Department with agingPolicy and queueSettings
+   * @param {Date} now - Reference time (optional)
+   * @returns {Number}
+   */
+  effectivePriorityFor(token, department, now = new Date()) {
+    const requeued = token.recall && token.recall.requeuedAt ? token.recall : null;
+    const base = requeued ? requeued.requeuedPriority : token.priority;
+
+    const policy = department.agingPolicy;
+    if (!policy || !policy.enabled) return base;
+
+    const waited = Math.max(0, (now - (requeued ? requeued.requeuedAt : token.waitingSince)) / MINUTE);
+
+    if (policy.enforceMaxWait && waited >= department.queueSettings.maxWaitTime) {
+      return OVERDUE_PRIORITY;
+    }
+
+    const boost = Math.min(policy.maxBoost, Math.floor(waited / policy.intervalMinutes) * policy.step);
+    return Math.max(base, Math.min(MAX_PRIORITY, base + boost));
+  }
+
+  /**
+   * Recompute and store effectivePriority for every waiting token in a department
+   * @param {String} departmentId - Department ID
+   * @returns {Promise<Number>} number of tokens updated
+   */
+  async refreshDepartment(departmentId) {
+    const [department, waiting] = await Promise.all([
+      Department.findById(departmentId).select('agingPolicy queueSettings'),
+      Token.find({
+        department: departmentId,
+        status: 'waiting',
+        businessDate: { $gte: startOfToday() }
+      }).select('priority effectivePriority issuedAt journey recall.requeuedAt recall.requeuedPriority')
+    ]);
+    if (!department || waiting.length === 0) return 0;
+
+    const now = new Date();
+    const operations = waiting
+      .map(token => ({ token, effectivePriority: this.effectivePriorityFor(token, department, now) }))
+      .filter(({ token, effectivePriority }) => token.effectivePriority !== effectivePriority)
+      .map(({ token, effectivePriority }) => ({
+        updateOne: {
+          filter: { _id: token._id, status: 'waiting', priority: token.priority },
+          update: { $set: { effectivePriority } }
+        }
+      }));
+
+    if (operations.length === 0) return 0;
+
+    const result = await Token.bulkWrite(operations, { ordered: false });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Refresh every department that currently has tokens waiting
+   * @returns {Promise<Number>} number of tokens updated
+   */
+  async refreshAll() {
+    const departmentIds = await Token.distinct('department', {
+      status: 'waiting',
+      businessDate: { $gte: startOfToday() }
+    });
+
+    let updated = 0;
+    for (const departmentId of departmentIds) {
+      try {
+        updated += await this.refreshDepartment(departmentId);
+      } catch (error) {
+        logger.error(`Error aging tokens in department ${departmentId}:`, error);
+      }
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new AgingService();
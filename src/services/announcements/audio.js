@@ -0,0 +1,229 @@
+/**
+ * Minimal WAV and MP3 handling for stitching pre-recorded clips.
+ *
+ * WAV clips must be uncompressed PCM and share channels, sample rate and
+ * bit depth to be joined. MP3 clips are joined frame-for-frame after their
+ * ID3 tags are removed, which players handle as one continuous stream when
+ * every clip shares a sample rate.
+ */
+
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG 1
+  2: [22050, 24000, 16000], // MPEG 2
+  0: [11025, 12000, 8000] // MPEG 2.5
+};
+
+/**
+ * Read the format and PCM data of a WAV file
+ * @param {Buffer} buffer - File contents
+ * @returns {{channels, sampleRate, byteRate, blockAlign, bitsPerSample, data: Buffer}}
+ */
+const parseWav = (buffer) => {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      if (buffer.readUInt16LE(body) !== 1) {
+        throw new Error('Only PCM WAV files can be stitched');
+      }
+      format = {
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        byteRate: buffer.readUInt32LE(body + 8),
+        blockAlign: buffer.readUInt16LE(body + 12),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      data = buffer.subarray(body, Math.min(body + size, buffer.length));
+    }
+
+    offset = body + size + (size % 2); // chunks are word aligned
+  }
+
+  if (!format || !data) {
+    throw new Error('WAV file is missing its fmt or data chunk');
+  }
+
+  return { ...format, data };
+};
+
+/**
+ * Whether two WAV formats can be joined without conversion
+ */
+const sameWavFormat = (a, b) =>
+  a.channels === b.channels && a.sampleRate === b.sampleRate && a.bitsPerSample === b.bitsPerSample;
+
+/**
+ * PCM silence in the given format
+ * @param {Object} format - Parsed WAV format
+ * @param {number} ms - Length in milliseconds
+ * @returns {Buffer}
+ */
+const wavSilence = (format, ms) => {
+  const frames = Math.round(format.sampleRate * ms / 1000);
+  // 8-bit PCM is unsigned, so its midpoint is 128
+  return Buffer.alloc(frames * format.blockAlign, format.bitsPerSample === 8 ? 0x80 : 0);
+};
+
+/**
+ * Write PCM data as a WAV file
+ * @param {Object} format - Parsed WAV format
+ * @param {Buffer} data - PCM data
+ * @returns {Buffer}
+ */
+const buildWav = (format, data) => {
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(format.channels, 22);
+  header.writeUInt32LE(format.sampleRate, 24);
+  header.writeUInt32LE(format.byteRate, 28);
+  header.writeUInt16LE(format.blockAlign, 32);
+  header.writeUInt16LE(format.bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+
+  return Buffer.concat([header, data]);
+};
+
+/**
+ * Remove ID3v2 (leading) and ID3v1 (trailing) tags from an MP3
+ * @param {Buffer} buffer - File contents
+ * @returns {Buffer} audio frames only
+ */
+const stripId3 = (buffer) => {
+  let start = 0;
+  let end = buffer.length;
+
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'ID3') {
+    // Tag size is stored as four 7-bit "syncsafe" bytes
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    const hasFooter = (buffer[5] & 0x10) !== 0;
+    start = 10 + size + (hasFooter ? 10 : 0);
+  }
+
+  if (end - start >= 128 && buffer.toString('ascii', end - 128, end - 125) === 'TAG') {
+    end -= 128;
+  }
+
+  return buffer.subarray(start, end);
+};
+
+/**
+ * Walk the MPEG Layer III frames of an MP3 to find its sample rate and length
+ * @param {Buffer} frames - MP3 data without ID3 tags
+ * @returns {{sampleRate: number, channels: number, durationMs: number}}
+ */
+const parseMp3 = (frames) => {
+  let offset = 0;
+  let samples = 0;
+  let sampleRate = null;
+  let channels = null;
+
+  while (offset + 4 <= frames.length) {
+    const b1 = frames[offset + 1];
+    const b2 = frames[offset + 2];
+
+    if (frames[offset] !== 0xFF || (b1 & 0xE0) !== 0xE0) {
+      offset++;
+      continue;
+    }
+
+    const version = (b1 >> 3) & 0x03;
+    const layer = (b1 >> 1) & 0x03;
+    const bitrate = MP3_BITRATES[version === 3 ? 1 : 2][b2 >> 4];
+    const rate = MP3_SAMPLE_RATES[version] && MP3_SAMPLE_RATES[version][(b2 >> 2) & 0x03];
+
+    // Reserved version, not Layer III, free/bad bitrate or bad sample rate:
+    // not a real frame header, keep scanning
+    if (version === 1 || layer !== 1 || !bitrate || !rate) {
+      offset++;
+      continue;
+    }
+
+    const padding = (b2 >> 1) & 0x01;
+    const coefficient = version === 3 ? 144 : 72;
+
+    sampleRate = sampleRate || rate;
+    channels = channels || (((frames[offset + 3] >> 6) & 0x03) === 3 ? 1 : 2);
+    samples += version === 3 ? 1152 : 576;
+    offset += Math.floor(coefficient * bitrate * 1000 / rate) + padding;
+  }
+
+  if (!sampleRate) {
+    throw new Error('No MP3 frames found');
+  }
+
+  return { sampleRate, channels, durationMs: Math.round(samples * 1000 / sampleRate) };
+};
+
+/**
+ * Load a clip and work out how long it plays
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'wav' or 'mp3'
+ * @returns {Object} parsed clip with durationMs
+ */
+const readClip = (buffer, format) => {
+  if (format === 'wav') {
+    const wav = parseWav(buffer);
+    return { ...wav, durationMs: Math.round(wav.data.length * 1000 / wav.byteRate) };
+  }
+
+  const frames = stripId3(buffer);
+  return { ...parseMp3(frames), data: frames };
+};
+
+/**
+ * Join clips into one file. Gaps (in ms) are inserted before the clip at
+ * the same index; MP3 cannot carry generated silence, so gaps are dropped.
+ * @param {Object[]} clips - Clips from readClip, all in the same format
+ * @param {string} format - 'wav' or 'mp3'
+ * @param {number[]} gaps - Silence before each clip (optional)
+ * @returns {Buffer|null} null when the clips' formats do not match
+ */
+const stitch = (clips, format, gaps = []) => {
+  if (clips.length === 0) return null;
+
+  const first = clips[0];
+
+  if (format === 'wav') {
+    if (!clips.every(clip => sameWavFormat(clip, first))) return null;
+
+    const parts = [];
+    clips.forEach((clip, index) => {
+      if (gaps[index]) parts.push(wavSilence(first, gaps[index]));
+      parts.push(clip.data);
+    });
+
+    return buildWav(first, Buffer.concat(parts));
+  }
+
+  if (!clips.every(clip => clip.sampleRate === first.sampleRate)) return null;
+
+  return Buffer.concat(clips.map(clip => clip.data));
+};
+
+module.exports = {
+  readClip,
+  stitch
+};
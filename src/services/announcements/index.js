@@ -0,0 +1,347 @@
+const fs = require('fs');
+const path = require('path');
+const Announcement = require('../../models/Announcement');
+const Token = require('../../models/Token');
+const Counter = require('../../models/Counter');
+const Department = require('../../models/Department');
+const tokenEvents = require('../tokenEvents');
+const { buildPhrase } = require('./phrases');
+const { readClip, stitch } = require('./audio');
+const logger = require('../../utils/logger');
+
+const MINUTE = 60 * 1000;
+const PUBLIC_DIR = path.join(__dirname, '../../../public');
+const COMMON_CLIPS = 'common'; // language-neutral clips such as the chime
+const LANGUAGE_GAP_MS = 600; // pause before each language after the first
+const PLAYER_MARGIN_MS = 1500; // player start-up time allowed between calls
+const ANNOUNCEMENT_TTL = 2 * MINUTE; // calls not started by then are dropped
+const RETENTION = 24 * 60 * MINUTE;
+
+// Token events that put a call on the lobby speakers
+const ANNOUNCED_EVENTS = ['called', 'recalled'];
+
+class AnnouncementService {
+  constructor() {
+    this.clips = new Map();
+    this.playing = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Folder holding <language>/<clip>.<format> recordings
+   * @returns {string}
+   */
+  getClipsDir() {
+    return path.resolve(process.env.ANNOUNCEMENT_CLIPS_DIR || path.join(PUBLIC_DIR, 'audio/clips'));
+  }
+
+  /**
+   * Folder stitched announcements are written to
+   * @returns {string}
+   */
+  getOutputDir() {
+    return path.resolve(process.env.ANNOUNCEMENT_OUTPUT_DIR || path.join(PUBLIC_DIR, 'audio/announcements'));
+  }
+
+  /**
+   * Start announcing called tokens and resume calls queued before a restart
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    tokenEvents.on('token', (event) => {
+      if (!ANNOUNCED_EVENTS.includes(event.type) || !event.token.counter) return;
+
+      this.announce(event.token.id, event.token.counter).catch(error => {
+        logger.error(`Error announcing token ${event.token.displayNumber}:`, error);
+      });
+    });
+
+    this.resume().catch(error => {
+      logger.error('Error resuming queued announcements:', error);
+    });
+
+    logger.info('Announcements started');
+  }
+
+  /**
+   * Audio zone a counter's calls play in
+   * @param {Counter} counter - Counter document
+   * @returns {string}
+   */
+  getZone(counter) {
+    return counter.hardware && counter.hardware.audioSystemId
+      ? counter.hardware.audioSystemId
+      : `department:${counter.department}`;
+  }
+
+  /**
+   * Location of a clip on disk and as served to lobby players
+   * @param {string} folder - Language code or 'common'
+   * @param {string} name - Clip name
+   * @param {string} format - 'wav' or 'mp3'
+   * @returns {{file: string, url: string}}
+   */
+  locateClip(folder, name, format) {
+    const baseUrl = process.env.ANNOUNCEMENT_CLIPS_URL || '/audio/clips';
+
+    return {
+      file: path.join(this.getClipsDir(), folder, `${name}.${format}`),
+      url: `${baseUrl}/${folder}/${name}.${format}`
+    };
+  }
+
+  /**
+   * Read a clip, caching it for later calls
+   * @returns {Promise<Object|null>} parsed clip with file and url, null when not recorded
+   */
+  async loadClip(folder, name, format) {
+    const { file, url } = this.locateClip(folder, name, format);
+    if (this.clips.has(file)) return this.clips.get(file);
+
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const clip = { ...readClip(buffer, format), file, url };
+    this.clips.set(file, clip);
+    return clip;
+  }
+
+  /**
+   * Build the clip sequence for a call in each of the department's
+   * languages. A language with any clip missing is left out rather than
+   * announced with gaps.
+   * @param {Token} token - Called token
+   * @param {Counter} counter - Counter it was called to
+   * @param {Object} settings - Department announcementSettings
+   * @returns {Promise<{clips: Object[], languages: string[]}>}
+   */
+  async compose(token, counter, settings) {
+    const { format } = settings;
+    const clips = [];
+    const languages = [];
+
+    if (settings.chime) {
+      const chime = await this.loadClip(COMMON_CLIPS, 'chime', format);
+      if (chime) clips.push({ ...chime, language: COMMON_CLIPS, gapMs: 0 });
+    }
+
+    for (const language of settings.languages) {
+      const hasClip = (name) => fs.existsSync(this.locateClip(language, name, format).file);
+      const names = buildPhrase(language, token, counter, hasClip);
+      const loaded = await Promise.all(names.map(name => this.loadClip(language, name, format)));
+
+      const missing = names.filter((name, index) => !loaded[index]);
+      if (missing.length > 0) {
+        logger.warn(`Skipping ${language} announcement for ${token.displayNumber}: no recording for ${missing.join(', ')}`);
+        continue;
+      }
+
+      loaded.forEach((clip, index) => {
+        const gapMs = index === 0 && languages.length > 0 ? LANGUAGE_GAP_MS : 0;
+        clips.push({ ...clip, language, gapMs });
+      });
+      languages.push(language);
+    }
+
+    if (languages.length === 0) {
+      throw new Error(`No complete ${format} clip set for languages ${settings.languages.join(', ')}`);
+    }
+
+    return { clips, languages };
+  }
+
+  /**
+   * Write the stitched call next to the other generated announcements
+   * @param {Announcement} announcement - Announcement being prepared
+   * @param {Object[]} clips - Composed clips
+   * @returns {Promise<void>}
+   */
+  async render(announcement, clips) {
+    const audio = stitch(clips, announcement.format, clips.map(clip => clip.gapMs));
+    if (!audio) {
+      logger.warn(`Clips for announcement ${announcement._id} differ in format; sending the playlist only`);
+      return;
+    }
+
+    const outputDir = this.getOutputDir();
+    const fileName = `${announcement._id}.${announcement.format}`;
+    const baseUrl = process.env.ANNOUNCEMENT_OUTPUT_URL || '/audio/announcements';
+
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    await fs.promises.writeFile(path.join(outputDir, fileName), audio);
+
+    announcement.audioPath = path.join(outputDir, fileName);
+    announcement.audioUrl = `${baseUrl}/${fileName}`;
+  }
+
+  /**
+   * Prepare a call for a token at a counter and queue it on the counter's
+   * audio zone
+   * @param {string} tokenId - Token ID
+   * @param {string} counterId - Counter ID
+   * @param {string} replayOf - Announcement being repeated (optional)
+   * @returns {Promise<Announcement|null>} null when the counter or department has announcements off
+   */
+  async announce(tokenId, counterId, replayOf) {
+    const [token, counter] = await Promise.all([Token.findById(tokenId), Counter.findById(counterId)]);
+    if (!token || !counter || !counter.settings.playAnnouncement) return null;
+
+    const department = await Department.findById(token.department).select('announcementSettings');
+    const settings = department && department.announcementSettings;
+    if (!settings || !settings.enabled) return null;
+
+    const announcement = new Announcement({
+      token: token._id,
+      counter: counter._id,
+      department: token.department,
+      zone: this.getZone(counter),
+      displayNumber: token.displayNumber,
+      format: settings.format,
+      expiresAt: new Date(Date.now() + ANNOUNCEMENT_TTL),
+      replayOf
+    });
+
+    try {
+      const { clips, languages } = await this.compose(token, counter, settings);
+
+      announcement.languages = languages;
+      announcement.playlist = clips.map(({ url, language, durationMs, gapMs }) => ({ url, language, durationMs, gapMs }));
+      announcement.durationMs = clips.reduce((total, clip) => total + clip.gapMs + clip.durationMs, 0);
+
+      await this.render(announcement, clips);
+    } catch (error) {
+      announcement.status = 'failed';
+      announcement.error = error.message;
+      logger.warn(`Announcement for token ${token.displayNumber} failed: ${error.message}`);
+    }
+
+    await announcement.save();
+
+    if (announcement.status === 'queued') {
+      this.pump(announcement.zone);
+    }
+
+    return announcement;
+  }
+
+  /**
+   * Play the next queued call in a zone unless one is already playing.
+   * Calls are paced by their length, so they never talk over each other.
+   * Pacing is kept in this process; run a single app instance per set of zones.
+   * @param {string} zone - Audio zone
+   */
+  pump(zone) {
+    if (this.playing.has(zone)) return;
+    this.playing.set(zone, null);
+
+    this.playNext(zone).catch(error => {
+      this.playing.delete(zone);
+      logger.error(`Error playing announcements in zone ${zone}:`, error);
+    });
+  }
+
+  /**
+   * Claim and broadcast the next call in a zone, then schedule the one after
+   * @param {string} zone - Audio zone
+   * @returns {Promise<void>}
+   */
+  async playNext(zone) {
+    await Announcement.updateMany(
+      { zone, status: 'queued', expiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+
+    const announcement = await Announcement.claimNext(zone);
+    if (!announcement) {
+      this.playing.delete(zone);
+      return;
+    }
+
+    const token = await Token.findById(announcement.token);
+
+    tokenEvents.broadcast({
+      type: 'announcement',
+      token: token ? tokenEvents.serializeToken(token) : { department: String(announcement.department) },
+      details: {
+        announcementId: String(announcement._id),
+        zone,
+        audioUrl: announcement.audioUrl,
+        playlist: announcement.playlist,
+        durationMs: announcement.durationMs,
+        languages: announcement.languages
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    const timer = setTimeout(() => {
+      Announcement.updateOne(
+        { _id: announcement._id, status: 'playing' },
+        { $set: { status: 'played', playedAt: new Date() } }
+      )
+        .catch(error => logger.error(`Error finishing announcement ${announcement._id}:`, error))
+        .finally(() => {
+          this.playing.delete(zone);
+          this.pump(zone);
+        });
+    }, announcement.durationMs + PLAYER_MARGIN_MS);
+    timer.unref();
+
+    this.playing.set(zone, timer);
+  }
+
+  /**
+   * Queue a previous call again
+   * @param {Announcement} announcement - Announcement to repeat
+   * @returns {Promise<Announcement|null>}
+   */
+  replay(announcement) {
+    return this.announce(announcement.token, announcement.counter, announcement._id);
+  }
+
+  /**
+   * Pick up zones with calls queued before a restart. Calls that were
+   * playing when the process stopped are taken as played.
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    await Announcement.updateMany(
+      { status: 'playing' },
+      { $set: { status: 'played', playedAt: new Date() } }
+    );
+
+    const zones = await Announcement.distinct('zone', { status: 'queued' });
+    zones.forEach(zone => this.pump(zone));
+  }
+
+  /**
+   * Delete finished announcements and their audio files after a day
+   * @returns {Promise<number>} number removed
+   */
+  async cleanup() {
+    const finished = await Announcement.find({
+      status: { $in: ['played', 'expired', 'failed'] },
+      createdAt: { $lt: new Date(Date.now() - RETENTION) }
+    }).select('audioPath');
+
+    for (const announcement of finished) {
+      if (!announcement.audioPath) continue;
+
+      await fs.promises.unlink(announcement.audioPath).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+
+    await Announcement.deleteMany({ _id: { $in: finished.map(announcement => announcement._id) } });
+
+    return finished.length;
+  }
+}
+
+module.exports = new AnnouncementService();
@@ -0,0 +1,87 @@
+/**
+ * Call phrases per language, built from pre-recorded clip names.
+ *
+ * Each language folder in the clip library holds the same vocabulary:
+ *   chime                    played once before the first language
+ *   token_number, proceed_to fixed words of the phrase
+ *   letter_a ... letter_z    spelled-out token prefixes
+ *   digit_0 ... digit_9      numbers, read digit by digit
+ *   word_<name>              words used in counter display names, e.g. word_counter
+ *   counter_<CODE>           optional recording of a whole counter name
+ *
+ * `{number}` and `{counter}` in a template expand to the token number and
+ * the counter's name. Languages without a template use the English word order.
+ */
+const templates = {
+  en: ['token_number', '{number}', 'proceed_to', '{counter}'],
+  hi: ['token_number', '{number}', '{counter}', 'proceed_to'],
+  ta: ['token_number', '{number}', '{counter}', 'proceed_to'],
+  bn: ['token_number', '{number}', '{counter}', 'proceed_to']
+};
+
+/**
+ * Clips reading a run of characters: letters spelled out, numbers digit by
+ * digit without leading zeros ("A-042" is "A, four, two")
+ * @param {string} text - e.g. a display number
+ * @returns {string[]}
+ */
+const spell = (text) => {
+  const parts = String(text).toLowerCase().match(/[a-z]|\d+/g) || [];
+
+  return parts.flatMap((part) => {
+    if (/[a-z]/.test(part)) return [`letter_${part}`];
+    return part.replace(/^0+(?=\d)/, '').split('').map(digit => `digit_${digit}`);
+  });
+};
+
+/**
+ * Clips for a counter's name. Prefers a recording of the whole name, then
+ * reads the display name word by word; if a word has no recording, falls
+ * back to "counter <number>".
+ * @param {Counter} counter - Counter document
+ * @param {Function} hasClip - (name) => boolean for the current language
+ * @returns {string[]}
+ */
+const counterClips = (counter, hasClip) => {
+  const whole = `counter_${String(counter.code).toLowerCase().replace(/[^a-z0-9]/g, '')}`;
+  if (hasClip(whole)) return [whole];
+
+  const words = String(counter.displayText || counter.name).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const clips = [];
+
+  for (const word of words) {
+    if (/^\d+$/.test(word) || word.length === 1) {
+      clips.push(...spell(word));
+    } else if (hasClip(`word_${word}`)) {
+      clips.push(`word_${word}`);
+    } else {
+      return ['word_counter', ...spell(counter.number)];
+    }
+  }
+
+  return clips;
+};
+
+/**
+ * Clip names announcing a token at a counter in one language
+ * @param {string} language - Language code, e.g. 'en'
+ * @param {Token} token - Called token
+ * @param {Counter} counter - Counter it was called to
+ * @param {Function} hasClip - (name) => boolean for this language
+ * @returns {string[]}
+ */
+const buildPhrase = (language, token, counter, hasClip) => {
+  const template = templates[language] || templates.en;
+
+  return template.flatMap((part) => {
+    if (part === '{number}') return spell(token.displayNumber || token.tokenNumber);
+    if (part === '{counter}') return counterClips(counter, hasClip);
+    return [part];
+  });
+};
+
+module.exports = {
+  templates,
+  spell,
+  buildPhrase
+};
@@ -0,0 +1,366 @@
+const Appointment = require('../models/Appointment');
+const Department = require('../models/Department');
+const Counter = require('../models/Counter');
+const Customer = require('../models/Customer');
+const routingService = require('./routingService');
+const tokenService = require('./tokenService');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Turn an "HH:MM" string into a Date on the given day
+ */
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+class AppointmentService {
+  /**
+   * Load a department that accepts appointments for a service type
+   * @param {String} departmentId - Department ID
+   * @param {String} serviceTypeCode - Service type code
+   * @returns {Promise<{department: Department, serviceType: Object}>}
+   */
+  async getBookableService(departmentId, serviceTypeCode) {
+    const department = await Department.findById(departmentId);
+    if (!department || department.archived) {
+      throw new AppError('Department not found', 404);
+    }
+
+    if (!department.appointmentSettings.enabled) {
+      throw new AppError('Department does not accept appointments', 400);
+    }
+
+    const serviceType = department.getServiceType(serviceTypeCode);
+    if (!serviceType) {
+      throw new AppError(`Service type ${serviceTypeCode} is not offered by this department`, 400);
+    }
+
+    return { department, serviceType };
+  }
+
+  /**
+   * Number of appointments each slot can hold. Every open counter that can
+   * serve the service type contributes one concurrent customer (counters on
+   * break count, they will be back); only the reserved share of that
+   * capacity is bookable, the rest stays with walk-ins.
+   * @param {Department} department - Department document
+   * @param {Object} serviceType - Department service type
+   * @returns {Promise<Number>}
+   */
+  async getSlotCapacity(department, serviceType) {
+    const counters = await Counter.find({
+      department: department._id,
+      archived: false,
+      status: { $in: ['active', 'busy', 'break'] }
+    }).select('serviceTypes fallbackServiceTypes');
+
+    const eligible = counters.filter(counter => routingService.canServe(counter, serviceType.code)).length;
+    return Math.floor(eligible * department.appointmentSettings.reservedCapacityPercent / 100);
+  }
+
+  /**
+   * Build the slot grid for a day from the department's operating hours
+   * @param {Department} department - Department document
+   * @param {Object} serviceType - Department service type
+   * @param {Date} date - Day to build slots for
+   * @returns {Array<{start: Date, end: Date}>}
+   */
+  buildSlots(department, serviceType, date) {
+    const hours = department.getHoursFor(date);
+    if (!hours) return [];
+
+    const length = (serviceType.estimatedServiceTime || department.queueSettings.avgServiceTime) * MINUTE;
+    const close = atTime(date, hours.end);
+    const slots = [];
+
+    for (let start = atTime(date, hours.start); start.getTime() + length <= close.getTime();) {
+      const end = new Date(start.getTime() + length);
+      slots.push({ start, end });
+      start = end;
+    }
+
+    return slots;
+  }
+
+  /**
+   * Get slots for a day with their remaining capacity
+   * @param {String} departmentId - Department ID
+   * @param {String} serviceTypeCode - Service type code
+   * @param {Date} date - Day to list
+   * @returns {Promise<Array>}
+   */
+  async getAvailableSlots(departmentId, serviceTypeCode, date) {
+    const { department, serviceType } = await this.getBookableService(departmentId, serviceTypeCode);
+    const slots = this.buildSlots(department, serviceType, date);
+    if (slots.length === 0) return [];
+
+    const capacity = await this.getSlotCapacity(department, serviceType);
+    const reserved = await Appointment.aggregate([
+      {
+        $match: {
+          department: department._id,
+          serviceType: serviceType.code,
+          slotStart: { $gte: slots[0].start, $lt: slots[slots.length - 1].end },
+          status: { $in: Appointment.RESERVING_STATUSES }
+        }
+      },
+      { $group: { _id: '$slotStart', count: { $sum: 1 } } }
+    ]);
+
+    const reservedBySlot = new Map(reserved.map(slot => [slot._id.getTime(), slot.count]));
+    const now = Date.now();
+
+    return slots.map(slot => {
+      const booked = reservedBySlot.get(slot.start.getTime()) || 0;
+      return {
+        start: slot.start,
+        end: slot.end,
+        capacity,
+        booked,
+        available: slot.start.getTime() > now ? Math.max(0, capacity - booked) : 0
+      };
+    });
+  }
+
+  /**
+   * Resolve a requested start time to a slot on the grid and check it is bookable
+   * @param {Department} department - Department document
+   * @param {Object} serviceType - Department service type
+   * @param {Date} slotStart - Requested slot start
+   * @param {String} excludeId - Appointment to ignore when counting (for reschedules)
+   * @returns {Promise<{slot: Object, capacity: Number}>}
+   */
+  async reserveSlot(department, serviceType, slotStart, excludeId) {
+    const { bookingWindowDays } = department.appointmentSettings;
+
+    if (slotStart.getTime() <= Date.now()) {
+      throw new AppError('Appointments must be booked in the future', 400);
+    }
+
+    if (slotStart.getTime() > Date.now() + bookingWindowDays * 24 * 60 * MINUTE) {
+      throw new AppError(`Appointments can only be booked ${bookingWindowDays} days ahead`, 400);
+    }
+
+    const slot = this.buildSlots(department, serviceType, slotStart)
+      .find(candidate => candidate.start.getTime() === slotStart.getTime());
+    if (!slot) {
+      throw new AppError('Requested time is not a valid slot for this service', 400);
+    }
+
+    const [capacity, reserved] = await Promise.all([
+      this.getSlotCapacity(department, serviceType),
+      Appointment.countReserved(department._id, serviceType.code, slot.start, excludeId)
+    ]);
+
+    if (reserved >= capacity) {
+      throw new AppError('Requested slot is fully booked', 409);
+    }
+
+    return { slot, capacity };
+  }
+
+  /**
+   * Detect a booking that lost a race for the last place in a slot
+   * @param {Appointment} appointment - Appointment just written
+   * @param {Number} capacity - Slot capacity
+   * @returns {Promise<Boolean>} true if the slot is over capacity
+   */
+  async isOverbooked(appointment, capacity) {
+    const reserved = await Appointment.countDocuments({
+      department: appointment.department,
+      serviceType: appointment.serviceType,
+      slotStart: appointment.slotStart,
+      status: { $in: Appointment.RESERVING_STATUSES },
+      _id: { $lte: appointment._id }
+    });
+
+    return reserved > capacity;
+  }
+
+  /**
+   * Book an appointment
+   * @param {Object} data - {customerId, departmentId, serviceType, slotStart, notes}
+   * @param {String} userId - ID of the user booking
+   * @returns {Promise<Appointment>}
+   */
+  async book(data, userId) {
+    const customer = await Customer.findById(data.customerId);
+    if (!customer || customer.archived) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const { department, serviceType } = await this.getBookableService(data.departmentId, data.serviceType);
+    const { slot, capacity } = await this.reserveSlot(department, serviceType, new Date(data.slotStart));
+
+    const appointment = await Appointment.create({
+      customer: customer._id,
+      department: department._id,
+      serviceType: serviceType.code,
+      slotStart: slot.start,
+      slotEnd: slot.end,
+      notes: data.notes,
+      bookedBy: userId
+    });
+
+    if (await this.isOverbooked(appointment, capacity)) {
+      await Appointment.deleteOne({ _id: appointment._id });
+      throw new AppError('Requested slot is fully booked', 409);
+    }
+
+    logger.info(`Appointment ${appointment._id} booked for ${slot.start.toISOString()} in ${department.code}`);
+    return appointment;
+  }
+
+  /**
+   * Move a booked appointment to another slot
+   * @param {String} appointmentId - Appointment ID
+   * @param {Date} slotStart - New slot start
+   * @param {String} userId - ID of the user rescheduling
+   * @returns {Promise<Appointment>}
+   */
+  async reschedule(appointmentId, slotStart, userId) {
+    const appointment = await this.getBookedAppointment(appointmentId);
+    const { department, serviceType } = await this.getBookableService(appointment.department, appointment.serviceType);
+    const { slot, capacity } = await this.reserveSlot(department, serviceType, new Date(slotStart), appointment._id);
+
+    const previous = { slotStart: appointment.slotStart, slotEnd: appointment.slotEnd };
+    await appointment.reschedule(slot.start, slot.end, userId);
+
+    if (await this.isOverbooked(appointment, capacity)) {
+      appointment.slotStart = previous.slotStart;
+      appointment.slotEnd = previous.slotEnd;
+      appointment.rescheduleHistory.pop();
+      await appointment.save();
+      throw new AppError('Requested slot is fully booked', 409);
+    }
+
+    logger.info(`Appointment ${appointment._id} rescheduled to ${slot.start.toISOString()}`);
+    return appointment;
+  }
+
+  /**
+   * Cancel a booked appointment, releasing its slot
+   * @param {String} appointmentId - Appointment ID
+   * @param {String} userId - ID of the user cancelling
+   * @param {String} reason - Cancellation reason
+   * @returns {Promise<Appointment>}
+   */
+  async cancel(appointmentId, userId, reason) {
+    const appointment = await this.getBookedAppointment(appointmentId);
+    await appointment.cancel(userId, reason);
+
+    logger.info(`Appointment ${appointment._id} cancelled`);
+    return appointment;
+  }
+
+  /**
+   * Check a customer in, turning the appointment into a queue token
+   * @param {String} appointmentId - Appointment ID
+   * @param {String} userId - ID of the user checking in
+   * @returns {Promise<{appointment: Appointment, token: Token}>}
+   */
+  async checkIn(appointmentId, userId) {
+    const appointment = await this.getBookedAppointment(appointmentId);
+    const department = await Department.findById(appointment.department);
+    const settings = department.appointmentSettings;
+    const now = Date.now();
+
+    if (now < appointment.slotStart.getTime() - settings.checkInWindowMinutes * MINUTE) {
+      throw new AppError(`Check-in opens ${settings.checkInWindowMinutes} minutes before the appointment`, 400);
+    }
+
+    if (now > appointment.slotStart.getTime() + settings.gracePeriodMinutes * MINUTE) {
+      throw new AppError('Appointment slot has been missed', 400);
+    }
+
+    let checkedIn;
+    const token = await tokenService.issueToken({
+      customerId: appointment.customer,
+      departmentId: department._id,
+      serviceType: appointment.serviceType,
+      // Priority comes from the appointment bump and the department's priority rules
+      appointmentId: appointment._id,
+      scheduledTime: appointment.slotStart,
+      // The slot was reserved at booking time
+      reserved: true
+    }, userId, {
+      within: async (issued, session) => {
+        checkedIn = await Appointment.findOne({ _id: appointment._id, status: 'booked' }).session(session);
+        if (!checkedIn) {
+          throw new AppError('Appointment has already been checked in or cancelled', 409);
+        }
+        await checkedIn.checkIn(issued._id, userId);
+      }
+    });
+
+    logger.info(`Appointment ${appointment._id} checked in as token ${token.tokenNumber}`);
+    return { appointment: checkedIn, token };
+  }
+
+  /**
+   * Mark booked appointments whose grace period has passed as no-shows
+   * and record them against the customer
+   * @returns {Promise<Number>} number of appointments marked
+   */
+  async recordNoShows() {
+    const departments = await Department.find({ 'appointmentSettings.enabled': true, archived: false })
+      .select('appointmentSettings');
+    let marked = 0;
+
+    for (const department of departments) {
+      const cutoff = new Date(Date.now() - department.appointmentSettings.gracePeriodMinutes * MINUTE);
+      const missed = await Appointment.find({
+        department: department._id,
+        status: 'booked',
+        slotStart: { $lt: cutoff }
+      }).select('_id customer');
+
+      for (const appointment of missed) {
+        // Conditional update so a concurrent check-in wins over the sweep
+        const result = await Appointment.updateOne(
+          { _id: appointment._id, status: 'booked' },
+          { $set: { status: 'no_show', noShowRecordedAt: new Date() } }
+        );
+        if (result.modifiedCount === 0) continue;
+
+        await Customer.updateOne(
+          { _id: appointment.customer },
+          { $inc: { 'stats.noShowCount': 1, 'stats.missedAppointments': 1 } }
+        );
+        marked++;
+      }
+    }
+
+    if (marked > 0) {
+      logger.info(`Recorded ${marked} missed appointments`);
+    }
+
+    return marked;
+  }
+
+  /**
+   * Load an appointment that is still in the booked state
+   * @param {String} appointmentId - Appointment ID
+   * @returns {Promise<Appointment>}
+   */
+  async getBookedAppointment(appointmentId) {
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+      throw new AppError('Appointment not found', 404);
+    }
+
+    if (appointment.status !== 'booked') {
+      throw new AppError(`Appointment is already ${appointment.status.replace('_', ' ')}`, 409);
+    }
+
+    return appointment;
+  }
+}
+
+module.exports = new AppointmentService();
@@ -0,0 +1,137 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // keep proxies from closing idle streams
+
+/**
+ * Push channel to counter devices: each device holds a Server-Sent Events
+ * stream open and receives its commands on it. Devices that cannot hold a
+ * stream pick commands up with their heartbeat instead.
+ */
+class DeviceChannel extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.connections = new Map();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Register a device's SSE response
+   * @param {String} deviceId - Device ID
+   * @param {Response} res - Express response object
+   * @returns {Function} disconnect
+   */
+  connect(deviceId, res) {
+    const key = String(deviceId);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 5000\n\n`);
+
+    if (!this.connections.has(key)) {
+      this.connections.set(key, new Set());
+    }
+    this.connections.get(key).add(res);
+    this.startHeartbeat();
+
+    return () => {
+      const streams = this.connections.get(key);
+      if (streams) {
+        streams.delete(res);
+        if (streams.size === 0) this.connections.delete(key);
+      }
+      if (this.connections.size === 0) {
+        this.stopHeartbeat();
+      }
+    };
+  }
+
+  /**
+   * @param {String} deviceId - Device ID
+   * @returns {Boolean} whether the device has a stream open
+   */
+  isConnected(deviceId) {
+    return this.connections.has(String(deviceId));
+  }
+
+  /**
+   * Write a command to the device's open streams
+   * @param {String} deviceId - Device ID
+   * @param {Object} command - Serialized command
+   * @returns {Boolean} false when the device is not connected
+   */
+  send(deviceId, command) {
+    const streams = this.connections.get(String(deviceId));
+    if (!streams) return false;
+
+    const frame = `event: command\ndata: ${JSON.stringify(command)}\n\n`;
+    for (const res of streams) {
+      res.write(frame);
+    }
+
+    return true;
+  }
+
+  /**
+   * Wake up anyone waiting on a command's acknowledgement
+   * @param {DeviceCommand} command - Command the device answered
+   */
+  acknowledged(command) {
+    try {
+      this.emit(`ack:${command._id}`, command);
+    } catch (error) {
+      logger.error(`Error in device acknowledgement listener for ${command._id}:`, error);
+    }
+  }
+
+  /**
+   * Wait for a device to answer a command
+   * @param {String} commandId - Command ID
+   * @param {Number} timeoutMs - How long to wait
+   * @returns {Promise<DeviceCommand|null>} null when it timed out
+   */
+  waitForAck(commandId, timeoutMs) {
+    const event = `ack:${commandId}`;
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.removeListener(event, onAck);
+        resolve(null);
+      }, timeoutMs);
+
+      const onAck = (command) => {
+        clearTimeout(timer);
+        resolve(command);
+      };
+
+      this.once(event, onAck);
+    });
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      for (const streams of this.connections.values()) {
+        for (const res of streams) {
+          res.write(': heartbeat\n\n');
+        }
+      }
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+}
+
+module.exports = new DeviceChannel();
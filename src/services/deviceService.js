@@ -0,0 +1,285 @@
+const Device = require('../models/Device');
+const DeviceCommand = require('../models/DeviceCommand');
+const Department = require('../models/Department');
+const Escalation = require('../models/Escalation');
+const deviceChannel = require('./deviceChannel');
+const notificationDispatcher = require('./notifications');
+const slaMonitor = require('./slaMonitor');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+const COMMAND_TTL = 10 * MINUTE;
+const TEST_TIMEOUT = 10 * 1000;
+
+/**
+ * What a device receives for a command
+ */
+const serializeCommand = (command) => ({
+  id: String(command._id),
+  type: command.type,
+  payload: command.payload,
+  expiresAt: command.expiresAt
+});
+
+class DeviceService {
+  /**
+   * Record a device check-in. A device that was offline comes back online
+   * and its offline escalation is resolved.
+   * @param {Device} device - Authenticated device
+   * @param {Object} report - { firmwareVersion, configVersion }
+   * @param {String} ip - Remote address
+   * @returns {Promise<Object>} heartbeat interval, config when the device is
+   *   behind, and commands waiting for it
+   */
+  async heartbeat(device, report = {}, ip) {
+    const updates = {
+      status: 'online',
+      lastSeenAt: new Date(),
+      lastSeenIp: ip
+    };
+    if (report.firmwareVersion) updates.firmwareVersion = report.firmwareVersion;
+    if (report.configVersion !== undefined) updates.reportedConfigVersion = report.configVersion;
+
+    const previous = await Device.findOneAndUpdate(
+      { _id: device._id },
+      { $set: updates, $unset: { offlineSince: 1 } }
+    );
+
+    if (previous && previous.status === 'offline') {
+      await this.resolveOffline(previous);
+      logger.info(`Device ${device.code} is back online`);
+    }
+
+    const behind = report.configVersion === undefined || report.configVersion < device.configVersion;
+
+    return {
+      heartbeatIntervalSeconds: device.heartbeatIntervalSeconds,
+      configVersion: device.configVersion,
+      config: behind ? device.config : undefined,
+      commands: (await this.takePending(device)).map(serializeCommand)
+    };
+  }
+
+  /**
+   * Queue a command for a device and push it if the device is connected
+   * @param {Device} device - Target device
+   * @param {String} type - Command type
+   * @param {Object} payload - Command data
+   * @param {String} userId - Requesting user (optional)
+   * @returns {Promise<DeviceCommand>}
+   */
+  async sendCommand(device, type, payload = {}, userId) {
+    const command = await DeviceCommand.create({
+      device: device._id,
+      type,
+      payload,
+      requestedBy: userId,
+      expiresAt: new Date(Date.now() + COMMAND_TTL)
+    });
+
+    if (deviceChannel.send(device._id, serializeCommand(command))) {
+      command.status = 'sent';
+      command.sentAt = new Date();
+      await command.save();
+    }
+
+    return command;
+  }
+
+  /**
+   * Commands a device has not been given yet, marked as sent
+   * @param {Device} device - Device
+   * @returns {Promise<DeviceCommand[]>}
+   */
+  async takePending(device) {
+    const commands = await DeviceCommand.find({
+      device: device._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: 1 });
+
+    if (commands.length > 0) {
+      await DeviceCommand.updateMany(
+        { _id: { $in: commands.map(command => command._id) }, status: 'pending' },
+        { $set: { status: 'sent', sentAt: new Date() } }
+      );
+    }
+
+    return commands;
+  }
+
+  /**
+   * Open the push channel for a device and flush anything queued for it
+   * @param {Device} device - Authenticated device
+   * @param {Request} req - Express request
+   * @param {Response} res - Express response
+   */
+  async openChannel(device, req, res) {
+    const disconnect = deviceChannel.connect(device._id, res);
+    req.on('close', disconnect);
+
+    for (const command of await this.takePending(device)) {
+      deviceChannel.send(device._id, serializeCommand(command));
+    }
+  }
+
+  /**
+   * Record a device's answer to a command
+   * @param {Device} device - Authenticated device
+   * @param {String} commandId - Command ID
+   * @param {Object} answer - { success, result, error }
+   * @returns {Promise<DeviceCommand>}
+   */
+  async acknowledge(device, commandId, answer) {
+    const command = await DeviceCommand.findOneAndUpdate(
+      { _id: commandId, device: device._id, status: { $in: ['pending', 'sent'] } },
+      {
+        $set: {
+          status: answer.success ? 'acknowledged' : 'failed',
+          acknowledgedAt: new Date(),
+          result: answer.result,
+          error: answer.error
+        }
+      },
+      { new: true }
+    );
+
+    if (!command) {
+      throw new AppError('Command not found or already answered', 404);
+    }
+
+    if (command.type === 'apply_config' && answer.success) {
+      await Device.updateOne(
+        { _id: device._id },
+        { $max: { reportedConfigVersion: command.payload.configVersion } }
+      );
+    }
+
+    deviceChannel.acknowledged(command);
+
+    return command;
+  }
+
+  /**
+   * Push a device's new configuration to it
+   * @param {Device} device - Device with its config already saved
+   * @param {String} userId - Requesting user
+   * @returns {Promise<DeviceCommand>}
+   */
+  async pushConfig(device, userId) {
+    return this.sendCommand(device, 'apply_config', {
+      configVersion: device.configVersion,
+      config: device.config
+    }, userId);
+  }
+
+  /**
+   * Send each device a test command and wait briefly for the answers
+   * @param {Device[]} devices - Devices to test
+   * @param {String} userId - Requesting user
+   * @param {Number} timeoutMs - How long to wait for answers
+   * @returns {Promise<Object[]>} one result per device
+   */
+  async testDevices(devices, userId, timeoutMs = TEST_TIMEOUT) {
+    return Promise.all(devices.map(async (device) => {
+      const command = await this.sendCommand(device, 'test', {}, userId);
+      const answered = await deviceChannel.waitForAck(command._id, timeoutMs);
+
+      return {
+        device: { id: device._id, code: device.code, type: device.type, status: device.status },
+        command: String(command._id),
+        delivered: answered ? true : deviceChannel.isConnected(device._id),
+        // 'pending' means no answer yet; it is still recorded when the device answers later
+        outcome: answered ? answered.status : 'pending',
+        result: answered ? answered.result : undefined,
+        error: answered ? answered.error : undefined
+      };
+    }));
+  }
+
+  /**
+   * Mark devices that missed three heartbeats offline and alert managers;
+   * give up on commands nobody answered
+   * @returns {Promise<Number>} devices that went offline
+   */
+  async checkOffline() {
+    const now = Date.now();
+
+    await DeviceCommand.updateMany(
+      { status: { $in: ['pending', 'sent'] }, expiresAt: { $lte: new Date(now) } },
+      { $set: { status: 'expired' } }
+    );
+
+    const online = await Device.find({ status: 'online', active: true, archived: false });
+
+    let offline = 0;
+    for (const device of online) {
+      if (!device.lastSeenAt || now - device.lastSeenAt < device.offlineAfterMs) continue;
+
+      // Claim the transition so the alert is raised once even if a heartbeat races it
+      const claimed = await Device.findOneAndUpdate(
+        { _id: device._id, status: 'online', lastSeenAt: device.lastSeenAt },
+        { $set: { status: 'offline', offlineSince: new Date(now) } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      offline++;
+      try {
+        await this.raiseOffline(claimed);
+      } catch (error) {
+        logger.error(`Error raising offline alert for device ${device.code}:`, error);
+      }
+    }
+
+    return offline;
+  }
+
+  /**
+   * Escalate an offline device to its department's managers
+   * @param {Device} device - Device that went offline
+   * @returns {Promise<Escalation>}
+   */
+  async raiseOffline(device) {
+    const department = await Department.findById(device.department).select('name staff managedBy');
+    const managers = department ? await slaMonitor.getManagers(department) : [];
+    const minutes = Math.round((Date.now() - device.lastSeenAt) / MINUTE);
+
+    const escalation = await Escalation.create({
+      department: device.department,
+      device: device._id,
+      type: 'device_offline',
+      message: `Device ${device.code} (${device.name}) has not checked in for ${minutes} minutes`,
+      notified: managers.map(manager => manager._id)
+    });
+
+    logger.warn(`Device ${device.code} is offline`);
+
+    notificationDispatcher.notifyStaff('device_offline', managers, {
+      departmentName: department ? department.name : '',
+      deviceCode: device.code,
+      deviceName: device.name,
+      deviceType: device.type.replace('_', ' '),
+      lastSeenAt: device.lastSeenAt.toISOString(),
+      escalationId: String(escalation._id)
+    }).catch(error => {
+      logger.error(`Error sending device offline alert for ${device.code}:`, error);
+    });
+
+    return escalation;
+  }
+
+  /**
+   * Close a device's open offline escalations
+   * @param {Device} device - Device that checked in again
+   */
+  async resolveOffline(device) {
+    await Escalation.updateMany(
+      { device: device._id, type: 'device_offline', status: { $ne: 'resolved' } },
+      { $set: { status: 'resolved', resolvedAt: new Date(), resolution: 'Device back online', autoResolved: true } }
+    );
+  }
+}
+
+module.exports = new DeviceService();
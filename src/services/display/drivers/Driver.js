@@ -0,0 +1,24 @@
+/**
+ * Base class for LED display board drivers.
+ *
+ * A driver puts one frame on one board. Subclasses set `name` and
+ * implement `send`, which resolves once the board has taken the frame or
+ * throws so the failure is logged.
+ */
+class Driver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Show a frame on a board
+   * @param {Device} device - LED display device (connection in config)
+   * @param {Object} frame - { columns, lines: [{ text, effect }] }
+   * @returns {Promise<void>}
+   */
+  async send(device, frame) {
+    throw new Error(`${this.name} driver does not implement send()`);
+  }
+}
+
+module.exports = Driver;
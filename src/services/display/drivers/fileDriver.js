@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const Driver = require('./Driver');
+
+/**
+ * Loopback driver for testing without a board: every frame is appended to
+ * a file as one JSON line
+ */
+class FileDriver extends Driver {
+  constructor() {
+    super('file');
+  }
+
+  async send(device, frame) {
+    const { path: file } = device.config.connection || {};
+    if (!file) {
+      throw new Error(`Display ${device.code} has no file path configured`);
+    }
+
+    const target = path.resolve(file);
+    const record = JSON.stringify({ device: device.code, at: new Date().toISOString(), ...frame });
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.appendFile(target, `${record}\n`);
+  }
+}
+
+module.exports = FileDriver;
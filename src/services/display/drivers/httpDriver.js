@@ -0,0 +1,35 @@
+const Driver = require('./Driver');
+const httpClient = require('../../../utils/httpClient');
+
+const TIMEOUT = 5000;
+
+/**
+ * Network LED boards with an HTTP interface. The board receives a JSON POST
+ * of { columns, lines: [{ text, effect }] } at its configured URL,
+ * authenticated with the configured token as a bearer token when set.
+ */
+class HttpDriver extends Driver {
+  constructor() {
+    super('http');
+  }
+
+  async send(device, frame) {
+    const { url, token } = device.config.connection || {};
+    if (!url) {
+      throw new Error(`Display ${device.code} has no URL configured`);
+    }
+
+    const headers = {};
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    await httpClient.post(url, {
+      headers,
+      json: { columns: frame.columns, lines: frame.lines },
+      timeout: TIMEOUT
+    });
+  }
+}
+
+module.exports = HttpDriver;
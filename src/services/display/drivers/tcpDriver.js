@@ -0,0 +1,44 @@
+const net = require('net');
+const Driver = require('./Driver');
+const { encodeSerial } = require('../frame');
+
+const CONNECT_TIMEOUT = 5000;
+const DEFAULT_PORT = 4001; // usual raw port of serial device servers
+
+/**
+ * Serial LED boards behind a serial-to-TCP device server. The frame is
+ * written as the board's serial protocol (see encodeSerial).
+ */
+class TcpDriver extends Driver {
+  constructor() {
+    super('tcp');
+  }
+
+  send(device, frame) {
+    const { host, port, address } = device.config.connection || {};
+    const data = encodeSerial(frame, address);
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port: port || DEFAULT_PORT });
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) reject(error);
+        else resolve();
+      };
+
+      socket.setTimeout(CONNECT_TIMEOUT, () => {
+        finish(new Error(`Display ${host}:${port || DEFAULT_PORT} did not respond`));
+      });
+      socket.once('error', finish);
+      socket.once('connect', () => {
+        socket.end(data, () => finish());
+      });
+    });
+  }
+}
+
+module.exports = TcpDriver;
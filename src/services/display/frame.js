@@ -0,0 +1,113 @@
+// Board models by Device.hardwareModel. Character boards only have an
+// ASCII font; matrix boards can draw the arrow.
+const BOARD_MODELS = {
+  'generic-16x1': { columns: 16, lines: 1, unicode: false },
+  'generic-16x2': { columns: 16, lines: 2, unicode: false },
+  'generic-20x4': { columns: 20, lines: 4, unicode: false },
+  'matrix-32x4': { columns: 32, lines: 4, unicode: true },
+  'matrix-64x8': { columns: 64, lines: 8, unicode: true }
+};
+
+const DEFAULT_MODEL = 'generic-16x2';
+const DEFAULT_BLINK_SECONDS = 10;
+
+const STX = 0x02;
+const ETX = 0x03;
+const EFFECT_CODES = { static: 'S', blink: 'B', scroll: 'R' };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Size and behaviour of a board: its model's layout, overridden by the
+ * device config (columns, lines, arrow, blinkSeconds)
+ * @param {Device} device - LED display device
+ * @returns {{columns: number, lines: number, arrow: string, blinkSeconds: number}}
+ */
+const resolveLayout = (device) => {
+  const config = device.config || {};
+  const model = BOARD_MODELS[device.hardwareModel] || BOARD_MODELS[DEFAULT_MODEL];
+
+  return {
+    columns: config.columns || model.columns,
+    lines: config.lines || model.lines,
+    arrow: config.arrow || (model.unicode ? '→' : '>'),
+    blinkSeconds: config.blinkSeconds !== undefined ? config.blinkSeconds : DEFAULT_BLINK_SECONDS
+  };
+};
+
+/**
+ * One call as a board line: token on the left, counter on the right.
+ * A line that does not fit is returned unpadded for the board to scroll.
+ */
+const formatCall = (call, layout) => {
+  const counter = `${layout.arrow} ${call.counterLabel}`;
+  const gap = layout.columns - call.displayNumber.length - counter.length;
+
+  if (gap >= 1) {
+    return { text: call.displayNumber + ' '.repeat(gap) + counter, fits: true };
+  }
+
+  return { text: `${call.displayNumber} ${counter}`, fits: false };
+};
+
+/**
+ * Lay calls out on a board, one "token → counter" call per line
+ * @param {Object[]} calls - { displayNumber, counterLabel, calledAt }, newest first
+ * @param {Object} layout - Board layout (see resolveLayout)
+ * @param {Date} now - Current time; calls younger than blinkSeconds blink
+ * @returns {{columns: number, lines: Array<{text: string, effect: string}>}}
+ *   effect is 'static', 'blink' or 'scroll' (lines wider than the board)
+ */
+const renderFrame = (calls, layout, now = new Date()) => {
+  const lines = [];
+
+  for (let index = 0; index < layout.lines; index++) {
+    const call = calls[index];
+
+    if (!call) {
+      lines.push({ text: ' '.repeat(layout.columns), effect: 'static' });
+      continue;
+    }
+
+    const { text, fits } = formatCall(call, layout);
+    const fresh = now - call.calledAt < layout.blinkSeconds * 1000;
+
+    lines.push({ text, effect: !fits ? 'scroll' : (fresh ? 'blink' : 'static') });
+  }
+
+  return { columns: layout.columns, lines };
+};
+
+/**
+ * Encode a frame in the STX/ETX protocol common to serial LED boards.
+ * Each line is one packet: STX, two-digit bus address, 'L', line number,
+ * effect code (S static, B blink, R scroll), text, ETX, then the XOR of
+ * the bytes between STX and ETX as two hex digits. Characters outside
+ * printable ASCII are sent as '?'.
+ * @param {Object} frame - Frame from renderFrame
+ * @param {number} address - Board address on the serial bus
+ * @returns {Buffer}
+ */
+const encodeSerial = (frame, address = 1) => {
+  const packets = frame.lines.map((line, index) => {
+    const text = line.text.replace(/[^\x20-\x7e]/g, '?');
+    const body = Buffer.from(`${pad(address)}L${index + 1}${EFFECT_CODES[line.effect]}${text}`, 'ascii');
+    const checksum = body.reduce((sum, byte) => sum ^ byte, 0);
+
+    return Buffer.concat([
+      Buffer.from([STX]),
+      body,
+      Buffer.from([ETX]),
+      Buffer.from(checksum.toString(16).toUpperCase().padStart(2, '0'), 'ascii')
+    ]);
+  });
+
+  return Buffer.concat(packets);
+};
+
+module.exports = {
+  BOARD_MODELS,
+  resolveLayout,
+  renderFrame,
+  encodeSerial
+};
@@ -0,0 +1,202 @@
+const Device = require('../../models/Device');
+const Counter = require('../../models/Counter');
+const tokenEvents = require('../tokenEvents');
+const { resolveLayout, renderFrame } = require('./frame');
+const TcpDriver = require('./drivers/tcpDriver');
+const HttpDriver = require('./drivers/httpDriver');
+const FileDriver = require('./drivers/fileDriver');
+const logger = require('../../utils/logger');
+
+// Token events that put a call on the boards
+const CALL_EVENTS = ['called', 'recalled'];
+// Token events that take a call off the boards
+const CLEAR_EVENTS = ['completed', 'parked', 'no_show', 'cancelled', 'skipped', 'requeued', 'transferred'];
+
+/**
+ * Drives LED display boards (led_display devices). A board assigned to a
+ * counter shows that counter's calls; an unassigned board shows the calls
+ * of every counter in its department that has showOnDisplay set. The
+ * board's config picks the driver ('tcp', 'http' or 'file') and its
+ * connection; boards without a driver are left alone.
+ */
+class DisplayService {
+  constructor() {
+    this.drivers = new Map();
+    this.boards = new Map(); // device id -> calls on the board, newest first
+    this.lines = new Map();
+    this.timers = new Map();
+    this.started = false;
+
+    [new TcpDriver(), new HttpDriver(), new FileDriver()].forEach(driver => this.registerDriver(driver));
+  }
+
+  /**
+   * Register (or replace) a display driver
+   * @param {Driver} driver - Driver instance
+   */
+  registerDriver(driver) {
+    this.drivers.set(driver.name, driver);
+  }
+
+  /**
+   * Start putting calls on the boards
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    tokenEvents.on('token', (event) => {
+      if (CALL_EVENTS.includes(event.type) && event.token.counter) {
+        this.showCall(event.token).catch(error => {
+          logger.error(`Error displaying token ${event.token.displayNumber}:`, error);
+        });
+      } else if (CLEAR_EVENTS.includes(event.type)) {
+        this.clearCall(event.token.id).catch(error => {
+          logger.error(`Error clearing token ${event.token.displayNumber} from displays:`, error);
+        });
+      }
+    });
+
+    logger.info('LED displays started');
+  }
+
+  /**
+   * Boards a counter's calls appear on
+   * @param {Counter} counter - Counter document
+   * @returns {Promise<Device[]>}
+   */
+  async findBoards(counter) {
+    const boards = await Device.find({
+      type: 'led_display',
+      department: counter.department,
+      counter: { $in: [counter._id, null] },
+      active: true,
+      archived: false
+    });
+
+    const showOnDisplay = !counter.displaySettings || counter.displaySettings.showOnDisplay !== false;
+    return boards.filter(board => board.counter || showOnDisplay);
+  }
+
+  /**
+   * Put a called token at the top of its boards; it blinks for a while
+   * @param {Object} token - Serialized token from a token event
+   * @returns {Promise<number>} boards updated
+   */
+  async showCall(token) {
+    const counter = await Counter.findById(token.counter).select('number department displaySettings');
+    if (!counter) return 0;
+
+    const call = {
+      tokenId: token.id,
+      displayNumber: token.displayNumber,
+      counterLabel: (counter.displaySettings && counter.displaySettings.displayName) || counter.number,
+      calledAt: new Date()
+    };
+
+    const boards = await this.findBoards(counter);
+
+    for (const board of boards) {
+      const key = String(board._id);
+      const earlier = (this.boards.get(key) || []).filter(shown => shown.tokenId !== call.tokenId);
+
+      this.boards.set(key, [call, ...earlier].slice(0, resolveLayout(board).lines));
+      this.refresh(board);
+    }
+
+    return boards.length;
+  }
+
+  /**
+   * Take a token off every board showing it
+   * @param {string} tokenId - Token ID
+   */
+  async clearCall(tokenId) {
+    const affected = [];
+
+    for (const [key, calls] of this.boards) {
+      if (!calls.some(call => call.tokenId === tokenId)) continue;
+
+      this.boards.set(key, calls.filter(call => call.tokenId !== tokenId));
+      affected.push(key);
+    }
+
+    if (affected.length === 0) return;
+
+    const boards = await Device.find({ _id: { $in: affected }, active: true, archived: false });
+    boards.forEach(board => this.refresh(board));
+  }
+
+  /**
+   * Render a board's calls and send the frame. While a call blinks, the
+   * board is refreshed again when the blinking should stop.
+   * @param {Device} board - LED display device
+   * @returns {Promise<void>}
+   */
+  refresh(board) {
+    const key = String(board._id);
+    const layout = resolveLayout(board);
+    const frame = renderFrame(this.boards.get(key) || [], layout);
+
+    clearTimeout(this.timers.get(key));
+    this.timers.delete(key);
+
+    if (frame.lines.some(line => line.effect === 'blink')) {
+      const timer = setTimeout(() => {
+        this.timers.delete(key);
+        Device.findById(board._id)
+          .then(current => current && current.active && !current.archived && this.refresh(current))
+          .catch(error => logger.error(`Error refreshing display ${board.code}:`, error));
+      }, layout.blinkSeconds * 1000);
+      timer.unref();
+      this.timers.set(key, timer);
+    }
+
+    return this.send(board, frame);
+  }
+
+  /**
+   * Send a frame. Frames for one board go out one at a time so a slow
+   * board never shows an older frame last.
+   * @param {Device} board - LED display device
+   * @param {Object} frame - Frame from renderFrame
+   * @returns {Promise<void>}
+   */
+  send(board, frame) {
+    const key = String(board._id);
+    const previous = this.lines.get(key) || Promise.resolve();
+    const current = previous.then(() => this.deliver(board, frame));
+
+    this.lines.set(key, current);
+    current.then(() => {
+      if (this.lines.get(key) === current) this.lines.delete(key);
+    });
+
+    return current;
+  }
+
+  /**
+   * Hand a frame to the board's driver; failures are logged, as the next
+   * call replaces the frame anyway
+   * @param {Device} board - LED display device
+   * @param {Object} frame - Frame from renderFrame
+   */
+  async deliver(board, frame) {
+    const name = board.config && board.config.driver;
+    if (!name) return;
+
+    const driver = this.drivers.get(name);
+    if (!driver) {
+      logger.warn(`Display ${board.code} uses unknown driver: ${name}`);
+      return;
+    }
+
+    try {
+      await driver.send(board, frame);
+    } catch (error) {
+      logger.warn(`Display ${board.code} did not take the frame: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new DisplayService();
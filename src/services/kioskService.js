@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const Customer = require('../models/Customer');
+const Department = require('../models/Department');
+const Token = require('../models/Token');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const tokenService = require('./tokenService');
+const waitTimeEstimator = require('./waitTimeEstimator');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const DUPLICATE_KEY = 11000;
+const DEFAULT_SERVICE_TYPE = 'general';
+// Long enough to cover any retry from a kiosk; the TTL index removes them after
+const IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000;
+
+const fingerprint = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+class KioskService {
+  /**
+   * Strip what people type between digits so '+1 (555) 010-2000' matches '+15550102000'
+   * @param {String} phone - Phone number as entered
+   * @returns {String}
+   */
+  normalizePhone(phone) {
+    return String(phone).replace(/[\s\-()]/g, '');
+  }
+
+  /**
+   * Departments a kiosk issues for, with each service type's live ETA
+   * @param {Kiosk} kiosk - Authenticated kiosk
+   * @returns {Promise<Object[]>}
+   */
+  async getMenu(kiosk) {
+    const departments = await Department.find({
+      _id: { $in: kiosk.departments },
+      status: 'active',
+      archived: false
+    }).select('name code description location serviceTypes queueSettings operatingHours');
+
+    return Promise.all(departments.map(async (department) => {
+      const open = department.isOpen;
+      const priorityFor = (type) => (department.queueSettings.priorityEnabled ? type.priority : 5);
+
+      const serviceTypes = department.serviceTypes.length > 0
+        ? department.serviceTypes.map(type => ({ code: type.code, name: type.name, priority: priorityFor(type) }))
+        : [{ code: DEFAULT_SERVICE_TYPE, name: department.name, priority: 5 }];
+
+      // Closed departments get no ETA rather than one nobody can act on
+      await Promise.all(serviceTypes.map(async (type) => {
+        type.estimatedWaitTime = open
+          ? await waitTimeEstimator.estimateNewToken(department._id, type.code, type.priority)
+          : null;
+        delete type.priority;
+      }));
+
+      return {
+        id: department._id,
+        name: department.name,
+        code: department.code,
+        description: department.description,
+        location: department.location,
+        isOpen: open,
+        serviceTypes
+      };
+    }));
+  }
+
+  /**
+   * Find the customer with a phone number
+   * @param {String} phone - Phone number as entered
+   * @returns {Promise<Customer|null>}
+   */
+  async lookupCustomer(phone) {
+    return Customer.findByPhone(this.normalizePhone(phone));
+  }
+
+  /**
+   * Issue a token at a kiosk. Requests are idempotent per kiosk: repeating an
+   * Idempotency-Key returns the token the first request issued instead of a
+   * new one, so a double tap or a retried request never queues twice.
+   * @param {Kiosk} kiosk - Authenticated kiosk
+   * @param {Object} request - { phone, departmentId, serviceType, firstName, lastName }
+   * @param {String} idempotencyKey - Client-chosen key for this issuance
+   * @returns {Promise<{token: Token, customerCreated: Boolean, replayed: Boolean}>}
+   */
+  async issueToken(kiosk, request, idempotencyKey) {
+    const scope = `kiosk:${kiosk._id}`;
+    const requestHash = fingerprint({
+      phone: this.normalizePhone(request.phone),
+      departmentId: String(request.departmentId),
+      serviceType: request.serviceType ? String(request.serviceType).toUpperCase() : null
+    });
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        scope,
+        key: idempotencyKey,
+        requestHash,
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL)
+      });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+      return this.replay(scope, idempotencyKey, requestHash);
+    }
+
+    try {
+      const { token, customerCreated } = await this.issue(kiosk, request);
+
+      record.status = 'completed';
+      record.token = token._id;
+      record.customerCreated = customerCreated;
+      await record.save();
+
+      return { token, customerCreated, replayed: false };
+    } catch (error) {
+      // Nothing was issued, so the same key may be retried
+      await IdempotencyKey.deleteOne({ _id: record._id });
+      throw error;
+    }
+  }
+
+  /**
+   * Answer a repeated Idempotency-Key with the original result
+   */
+  async replay(scope, key, requestHash) {
+    const record = await IdempotencyKey.findOne({ scope, key });
+    if (!record) {
+      // The first request failed and released the key in the meantime
+      throw new AppError('Request could not be completed, please try again', 409);
+    }
+
+    if (record.requestHash !== requestHash) {
+      throw new AppError('Idempotency-Key was already used for a different request', 422);
+    }
+
+    if (record.status !== 'completed') {
+      throw new AppError('A request with this Idempotency-Key is still being processed', 409);
+    }
+
+    const token = await Token.findById(record.token);
+    if (!token) {
+      throw new AppError('Token not found', 404);
+    }
+
+    return { token, customerCreated: Boolean(record.customerCreated), replayed: true };
+  }
+
+  /**
+   * Find or register the customer and issue their token
+   */
+  async issue(kiosk, request) {
+    if (!kiosk.servesDepartment(request.departmentId)) {
+      throw new AppError('This kiosk does not issue tokens for that department', 403);
+    }
+
+    const phone = this.normalizePhone(request.phone);
+    const customer = await this.lookupCustomer(phone);
+    let register;
+
+    if (!customer) {
+      if (!kiosk.allowWalkIns) {
+        throw new AppError('No customer found with this phone number', 404);
+      }
+
+      // Registered with the token, so a refused token leaves no customer behind
+      register = async (session) => {
+        const [created] = await Customer.create([{
+          firstName: request.firstName || 'Walk-in',
+          lastName: request.lastName || 'Customer',
+          phone,
+          tags: ['walk_in'],
+          notes: `Registered at kiosk ${kiosk.code}`,
+          createdBy: kiosk.createdBy
+        }], { session });
+
+        return created;
+      };
+    }
+
+    const token = await tokenService.issueToken({
+      customerId: customer ? customer._id : undefined,
+      departmentId: request.departmentId,
+      serviceType: request.serviceType,
+      kioskId: kiosk._id
+    }, kiosk.createdBy, { customer: register });
+
+    if (register) {
+      logger.info(`Walk-in customer ${token.customer} registered at kiosk ${kiosk.code}`);
+    }
+
+    return { token, customerCreated: Boolean(register) };
+  }
+}
+
+module.exports = new KioskService();
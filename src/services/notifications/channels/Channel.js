@@ -0,0 +1,31 @@
+/**
+ * Base class for notification channels.
+ *
+ * A channel delivers one rendered message to one recipient. Subclasses set
+ * `name`, report whether they are configured, and implement `send`, which
+ * resolves with an optional provider message id or throws to trigger a retry.
+ */
+class Channel {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the channel has the configuration it needs to deliver
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - { recipient, subject, body, payload, event }
+   * @returns {Promise<{providerMessageId: string}|void>}
+   */
+  async send(message) {
+    throw new Error(`${this.name} channel does not implement send()`);
+  }
+}
+
+module.exports = Channel;
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const Channel = require('./Channel');
+const logger = require('../../../utils/logger');
+
+/**
+ * Development channel: logs each message, and appends it as a JSON line
+ * to NOTIFICATION_LOG_FILE when set
+ */
+class ConsoleChannel extends Channel {
+  constructor() {
+    super('console');
+  }
+
+  async send(message) {
+    logger.info(`[notification:${message.event}] to ${message.recipient}: ${message.body}`);
+
+    if (process.env.NOTIFICATION_LOG_FILE) {
+      const file = path.resolve(process.env.NOTIFICATION_LOG_FILE);
+      const line = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${line}\n`);
+    }
+  }
+}
+
+module.exports = ConsoleChannel;
@@ -0,0 +1,46 @@
+const nodemailer = require('nodemailer');
+const Channel = require('./Channel');
+
+/**
+ * Email over SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, EMAIL_FROM)
+ */
+class EmailChannel extends Channel {
+  constructor() {
+    super('email');
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.SMTP_HOST);
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const port = parseInt(process.env.SMTP_PORT) || 587;
+
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    return this.transporter;
+  }
+
+  async send(message) {
+    const info = await this.getTransporter().sendMail({
+      from: process.env.EMAIL_FROM,
+      to: message.recipient,
+      subject: message.subject,
+      text: message.body
+    });
+
+    return { providerMessageId: info.messageId };
+  }
+}
+
+module.exports = EmailChannel;
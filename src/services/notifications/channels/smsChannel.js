@@ -0,0 +1,38 @@
+const Channel = require('./Channel');
+const httpClient = require('../../../utils/httpClient');
+
+/**
+ * SMS through a generic HTTP gateway. The gateway receives a JSON POST of
+ * { to, from, message } at SMS_GATEWAY_URL, authenticated with
+ * SMS_GATEWAY_API_KEY as a bearer token when set.
+ */
+class SmsChannel extends Channel {
+  constructor() {
+    super('sms');
+  }
+
+  isConfigured() {
+    return Boolean(process.env.SMS_GATEWAY_URL);
+  }
+
+  async send(message) {
+    const headers = {};
+    if (process.env.SMS_GATEWAY_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.SMS_GATEWAY_API_KEY}`;
+    }
+
+    const response = await httpClient.post(process.env.SMS_GATEWAY_URL, {
+      headers,
+      json: {
+        to: message.recipient,
+        from: process.env.SMS_SENDER_ID,
+        message: message.body
+      }
+    });
+
+    const data = response.data || {};
+    return { providerMessageId: data.messageId || data.id };
+  }
+}
+
+module.exports = SmsChannel;
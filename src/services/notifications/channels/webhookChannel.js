@@ -0,0 +1,29 @@
+const Channel = require('./Channel');
+const httpClient = require('../../../utils/httpClient');
+
+/**
+ * POSTs the event payload as JSON to the recipient URL
+ * (NOTIFICATION_WEBHOOK_URL by default)
+ */
+class WebhookChannel extends Channel {
+  constructor() {
+    super('webhook');
+  }
+
+  isConfigured() {
+    return Boolean(process.env.NOTIFICATION_WEBHOOK_URL);
+  }
+
+  async send(message) {
+    await httpClient.post(message.recipient, {
+      json: {
+        event: message.event,
+        subject: message.subject,
+        message: message.body,
+        data: message.payload
+      }
+    });
+  }
+}
+
+module.exports = WebhookChannel;
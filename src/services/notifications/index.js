@@ -0,0 +1,381 @@
+const NotificationLog = require('../../models/NotificationLog');
+const Token = require('../../models/Token');
+const Department = require('../../models/Department');
+const tokenEvents = require('../tokenEvents');
+const routingService = require('../routingService');
+const { render } = require('./templates');
+const EmailChannel = require('./channels/emailChannel');
+const SmsChannel = require('./channels/smsChannel');
+const WebhookChannel = require('./channels/webhookChannel');
+const ConsoleChannel = require('./channels/consoleChannel');
+const logger = require('../../utils/logger');
+
+const MINUTE = 60 * 1000;
+const RETRY_DELAYS = [1, 5, 15, 60].map(minutes => minutes * MINUTE);
+const STALE_SENDING_AFTER = 10 * MINUTE; // a worker died mid-send
+const RETRY_BATCH_SIZE = 50;
+const NEAR_TURN_DELAY = 1000; // debounce bursts of queue events
+
+// Token lifecycle events that notify the customer
+const TOKEN_EVENT_TEMPLATES = {
+  issued: 'token_issued',
+  called: 'token_called',
+  recalled: 'token_called',
+  completed: 'token_completed'
+};
+
+// Events customers opt into with their "token ready" SMS preference
+const TOKEN_READY_EVENTS = ['token_near_turn', 'token_called'];
+
+class NotificationDispatcher {
+  constructor() {
+    this.channels = new Map();
+    this.pendingNearTurnChecks = new Map();
+    this.started = false;
+
+    [new EmailChannel(), new SmsChannel(), new WebhookChannel(), new ConsoleChannel()]
+      .forEach(channel => this.registerChannel(channel));
+  }
+
+  /**
+   * Register (or replace) a delivery channel
+   * @param {Channel} channel - Channel instance
+   */
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+  }
+
+  /**
+   * Channels enabled through NOTIFICATION_CHANNELS that are also configured
+   * @returns {Set<string>}
+   */
+  getEnabledChannels() {
+    const names = (process.env.NOTIFICATION_CHANNELS || 'email,sms,webhook')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    return new Set(names.filter(name => {
+      const channel = this.channels.get(name);
+      return channel && channel.isConfigured();
+    }));
+  }
+
+  /**
+   * Render, log and deliver a notification to each recipient.
+   * Failed deliveries stay in the log and are retried by the scheduler.
+   * @param {string} event - Template name
+   * @param {Array<{channel: string, recipient: string}>} recipients
+   * @param {Object} data - Template data (also sent as the webhook payload)
+   * @param {Object} refs - { token, customer, user } ids to link the log entry to
+   * @returns {Promise<NotificationLog[]>}
+   */
+  async notify(event, recipients, data = {}, refs = {}) {
+    const logs = [];
+
+    for (const { channel, recipient } of recipients) {
+      const { subject, body } = render(event, channel, data);
+
+      const log = await NotificationLog.create({
+        event,
+        channel,
+        recipient,
+        subject,
+        body,
+        payload: data,
+        token: refs.token,
+        customer: refs.customer,
+        user: refs.user,
+        status: 'sending',
+        attempts: 1
+      });
+
+      await this.deliver(log);
+      logs.push(log);
+    }
+
+    return logs;
+  }
+
+  /**
+   * Attempt delivery of a claimed log entry
+   * @param {NotificationLog} log - Log entry in the 'sending' state
+   * @returns {Promise<NotificationLog>}
+   */
+  async deliver(log) {
+    const channel = this.channels.get(log.channel);
+
+    try {
+      if (!channel) {
+        throw new Error(`Unknown notification channel: ${log.channel}`);
+      }
+
+      const result = await channel.send({
+        event: log.event,
+        recipient: log.recipient,
+        subject: log.subject,
+        body: log.body,
+        payload: log.payload
+      });
+
+      await log.markSent(result && result.providerMessageId);
+    } catch (error) {
+      logger.warn(`Notification ${log._id} via ${log.channel} failed (attempt ${log.attempts}): ${error.message}`);
+      await log.markFailed(error, RETRY_DELAYS);
+    }
+
+    return log;
+  }
+
+  /**
+   * Retry failed deliveries that are due
+   * @returns {Promise<number>} number of deliveries attempted
+   */
+  async processRetryQueue() {
+    await NotificationLog.updateMany(
+      { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_AFTER) } },
+      { $set: { status: 'failed', nextAttemptAt: new Date(), lastError: 'Delivery interrupted' } }
+    );
+
+    let processed = 0;
+    while (processed < RETRY_BATCH_SIZE) {
+      const log = await NotificationLog.claimDue();
+      if (!log) break;
+
+      await this.deliver(log);
+      processed++;
+    }
+
+    if (processed > 0) {
+      logger.info(`Retried ${processed} notifications`);
+    }
+
+    return processed;
+  }
+
+  /**
+   * Manually retry a failed or dead delivery
+   * @param {NotificationLog} log - Log entry
+   * @returns {Promise<NotificationLog>}
+   */
+  async retry(log) {
+    log.status = 'sending';
+    log.attempts += 1;
+    log.maxAttempts = Math.max(log.maxAttempts, log.attempts);
+    await log.save();
+
+    return this.deliver(log);
+  }
+
+  /**
+   * Start listening for token lifecycle events
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    tokenEvents.on('token', (event) => {
+      const template = TOKEN_EVENT_TEMPLATES[event.type];
+
+      if (template) {
+        this.notifyToken(template, event.token.id).catch(error => {
+          logger.error(`Error sending ${template} notification:`, error);
+        });
+      }
+
+      if (event.token.department) {
+        this.scheduleNearTurnCheck(event.token.department);
+      }
+    });
+
+    const enabled = Array.from(this.getEnabledChannels());
+    logger.info(`Notification dispatcher started (channels: ${enabled.join(', ') || 'none'})`);
+  }
+
+  /**
+   * Work out who should hear about a token event, honouring the
+   * customer's notification preferences
+   * @param {string} event - Template name
+   * @param {Customer} customer - Customer document
+   * @returns {Array<{channel: string, recipient: string}>}
+   */
+  getCustomerRecipients(event, customer) {
+    const enabled = this.getEnabledChannels();
+    const preferences = customer.notifications || {};
+    const sms = preferences.sms || {};
+    const email = preferences.email || {};
+    const recipients = [];
+
+    if (enabled.has('sms') && customer.phone && sms.enabled &&
+      (!TOKEN_READY_EVENTS.includes(event) || sms.tokenReady)) {
+      recipients.push({ channel: 'sms', recipient: customer.phone });
+    }
+
+    if (enabled.has('email') && customer.email && email.enabled) {
+      recipients.push({ channel: 'email', recipient: customer.email });
+    }
+
+    if (enabled.has('webhook')) {
+      recipients.push({ channel: 'webhook', recipient: process.env.NOTIFICATION_WEBHOOK_URL });
+    }
+
+    if (enabled.has('console')) {
+      recipients.push({ channel: 'console', recipient: customer.phone || customer.email || String(customer._id) });
+    }
+
+    return recipients;
+  }
+
+  /**
+   * Channels and addresses to reach a staff member on
+   * @param {User} user - User document with email and profile.phone
+   * @returns {Array<{channel: string, recipient: string}>}
+   */
+  getStaffRecipients(user) {
+    const enabled = this.getEnabledChannels();
+    const phone = user.profile && user.profile.phone;
+    const recipients = [];
+
+    if (enabled.has('email') && user.email) {
+      recipients.push({ channel: 'email', recipient: user.email });
+    }
+
+    if (enabled.has('sms') && phone) {
+      recipients.push({ channel: 'sms', recipient: phone });
+    }
+
+    if (enabled.has('console')) {
+      recipients.push({ channel: 'console', recipient: user.email || String(user._id) });
+    }
+
+    return recipients;
+  }
+
+  /**
+   * Send an operational alert to staff members
+   * @param {string} event - Template name
+   * @param {User[]} users - Recipients
+   * @param {Object} data - Template data
+   * @param {Object} refs - { token } id to link the log entries to
+   * @returns {Promise<NotificationLog[]>}
+   */
+  async notifyStaff(event, users, data = {}, refs = {}) {
+    const logs = [];
+
+    for (const user of users) {
+      const sent = await this.notify(event, this.getStaffRecipients(user), data, { ...refs, user: user._id });
+      logs.push(...sent);
+    }
+
+    return logs;
+  }
+
+  /**
+   * Send a token notification to its customer
+   * @param {string} event - Template name
+   * @param {string} tokenId - Token ID
+   * @param {Object} extra - Extra template data (e.g. position)
+   * @returns {Promise<NotificationLog[]>}
+   */
+  async notifyToken(event, tokenId, extra = {}) {
+    const token = await Token.findById(tokenId).populate([
+      { path: 'customer', select: 'firstName lastName phone email notifications' },
+      { path: 'department', select: 'name code' },
+      { path: 'counter', select: 'name number displaySettings.displayName' }
+    ]);
+
+    if (!token || !token.customer) return [];
+
+    // Issued is announced once even if the token is saved again
+    if (event === 'token_issued') {
+      const claimed = await Token.updateOne(
+        { _id: token._id, 'notifications.issued': false },
+        { $set: { 'notifications.issued': true } }
+      );
+      if (claimed.modifiedCount === 0) return [];
+    }
+
+    const recipients = this.getCustomerRecipients(event, token.customer);
+    if (recipients.length === 0) return [];
+
+    const baseUrl = process.env.APP_BASE_URL || '';
+    const data = {
+      tokenNumber: token.tokenNumber,
+      displayNumber: token.displayNumber,
+      status: token.status,
+      customerName: token.customer.firstName,
+      departmentName: token.department ? token.department.name : '',
+      counterName: token.counter
+        ? (token.counter.displaySettings && token.counter.displaySettings.displayName) || token.counter.name
+        : '',
+      estimatedWaitTime: token.estimatedWaitTime,
+      trackingUrl: token.trackingCode ? `${baseUrl}/track.html?code=${token.trackingCode}` : '',
+      ...extra
+    };
+
+    return this.notify(event, recipients, data, { token: token._id, customer: token.customer._id });
+  }
+
+  /**
+   * Debounced near-turn check for a department
+   * @param {string} departmentId - Department ID
+   */
+  scheduleNearTurnCheck(departmentId) {
+    const key = String(departmentId);
+    if (this.pendingNearTurnChecks.has(key)) return;
+
+    const timer = setTimeout(() => {
+      this.pendingNearTurnChecks.delete(key);
+      this.checkNearTurn(key).catch(error => {
+        logger.error(`Error checking near-turn tokens for department ${key}:`, error);
+      });
+    }, NEAR_TURN_DELAY);
+    timer.unref();
+
+    this.pendingNearTurnChecks.set(key, timer);
+  }
+
+  /**
+   * Notify customers whose token is within the department's
+   * near-turn threshold of the front of the queue
+   * @param {string} departmentId - Department ID
+   * @returns {Promise<number>} number of tokens notified
+   */
+  async checkNearTurn(departmentId) {
+    const department = await Department.findById(departmentId).select('queueSettings');
+    const threshold = department ? department.queueSettings.nearTurnThreshold : 0;
+    if (!threshold) return 0;
+
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const front = await Token.find({
+      department: departmentId,
+      status: 'waiting',
+      businessDate: { $gte: startOfDay }
+    })
+      .sort(routingService.QUEUE_ORDER)
+      .limit(threshold)
+      .select('notifications.nearTurn');
+
+    let notified = 0;
+
+    for (const [index, token] of front.entries()) {
+      if (token.notifications.nearTurn) continue;
+
+      // Claim the flag first so concurrent checks notify only once
+      const claimed = await Token.updateOne(
+        { _id: token._id, 'notifications.nearTurn': false },
+        { $set: { 'notifications.nearTurn': true } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      await this.notifyToken('token_near_turn', token._id, { position: index + 1 });
+      notified++;
+    }
+
+    return notified;
+  }
+}
+
+module.exports = new NotificationDispatcher();
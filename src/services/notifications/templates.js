@@ -0,0 +1,111 @@
+/**
+ * Message templates per notification event.
+ *
+ * `body` is used by every channel; a channel-specific key (e.g. `sms`)
+ * overrides it for that channel. Placeholders use {{name}} and are filled
+ * from the data passed to the dispatcher; unknown placeholders render empty.
+ */
+const templates = {
+  token_issued: {
+    subject: 'Your token {{displayNumber}} for {{departmentName}}',
+    body: 'Your token {{displayNumber}} for {{departmentName}} has been issued. ' +
+      'Estimated wait: {{estimatedWaitTime}} minutes. Track your place in the queue: {{trackingUrl}}',
+    sms: 'Token {{displayNumber}} ({{departmentName}}). Approx. wait {{estimatedWaitTime}} min. Track: {{trackingUrl}}'
+  },
+
+  token_near_turn: {
+    subject: 'Token {{displayNumber}}: your turn is coming up',
+    body: 'Token {{displayNumber}}: you are number {{position}} in line at {{departmentName}}. ' +
+      'Please make your way back so you do not miss your turn.',
+    sms: 'Token {{displayNumber}}: you are number {{position}} in line at {{departmentName}}. Please be ready.'
+  },
+
+  token_called: {
+    subject: 'Token {{displayNumber}}: please proceed to {{counterName}}',
+    body: 'Token {{displayNumber}} is now being called. Please proceed to {{counterName}}.',
+    sms: 'Token {{displayNumber}}: please proceed to {{counterName}} now.'
+  },
+
+  token_completed: {
+    subject: 'Thank you for visiting {{departmentName}}',
+    body: 'Your visit for token {{displayNumber}} at {{departmentName}} is complete. Thank you!'
+  },
+
+  sla_warning: {
+    subject: '{{departmentName}}: token {{displayNumber}} close to the wait limit',
+    body: 'Token {{displayNumber}} has been waiting {{waitMinutes}} minutes at {{departmentName}}. ' +
+      'The wait limit is {{slaMinutes}} minutes.',
+    sms: '{{departmentName}}: token {{displayNumber}} waiting {{waitMinutes}}/{{slaMinutes}} min.'
+  },
+
+  sla_breach: {
+    subject: '{{departmentName}}: token {{displayNumber}} is over the wait limit',
+    body: 'Token {{displayNumber}} has been waiting {{waitMinutes}} minutes at {{departmentName}}, ' +
+      'past the {{slaMinutes}} minute limit. Please act now.',
+    sms: '{{departmentName}}: token {{displayNumber}} over wait limit ({{waitMinutes}}/{{slaMinutes}} min).'
+  },
+
+  sla_queue_length: {
+    subject: '{{departmentName}}: {{queueLength}} tokens waiting',
+    body: '{{queueLength}} tokens are waiting at {{departmentName}}, above the alert threshold of {{threshold}}.',
+    sms: '{{departmentName}}: {{queueLength}} tokens waiting (threshold {{threshold}}).'
+  },
+
+  survey_invitation: {
+    subject: 'How was your visit to {{departmentName}}?',
+    body: 'Thank you for visiting {{departmentName}}. Please tell us how it went, it takes a minute: {{surveyUrl}}',
+    sms: 'How was your visit to {{departmentName}}? Tell us: {{surveyUrl}}'
+  },
+
+  survey_low_score: {
+    subject: '{{departmentName}}: low feedback score for token {{displayNumber}}',
+    body: 'Token {{displayNumber}} ({{serviceType}}) served by {{operatorName}} at {{counterName}} ' +
+      'left a low score in {{departmentName}}. NPS: {{nps}}, rating: {{rating}}. Comment: {{comment}}',
+    sms: '{{departmentName}}: low feedback for {{displayNumber}} at {{counterName}} (NPS {{nps}}, rating {{rating}}).'
+  },
+
+  device_offline: {
+    subject: '{{departmentName}}: device {{deviceCode}} is offline',
+    body: 'The {{deviceType}} {{deviceName}} ({{deviceCode}}) in {{departmentName}} stopped checking in. ' +
+      'It was last seen at {{lastSeenAt}}.',
+    sms: '{{departmentName}}: {{deviceType}} {{deviceCode}} offline since {{lastSeenAt}}.'
+  },
+
+  project_overdue: {
+    subject: '{{count}} overdue project(s)',
+    body: 'The following projects assigned to you are past their deadline: {{projectNames}}'
+  },
+
+  test: {
+    subject: 'Test notification',
+    body: 'This is a test notification from the queue management system.'
+  }
+};
+
+/**
+ * Render an event template for a channel
+ * @param {string} event - Template name
+ * @param {string} channel - Channel name
+ * @param {Object} data - Placeholder values
+ * @returns {{subject: string, body: string}}
+ */
+const render = (event, channel, data = {}) => {
+  const template = templates[event];
+  if (!template) {
+    throw new Error(`No notification template for event: ${event}`);
+  }
+
+  const fill = (text) => text.replace(/{{\s*(\w+)\s*}}/g, (match, key) => (
+    data[key] === undefined || data[key] === null ? '' : String(data[key])
+  ));
+
+  return {
+    subject: fill(template.subject),
+    body: fill(template[channel] || template.body)
+  };
+};
+
+module.exports = {
+  templates,
+  render
+};
@@ -0,0 +1,297 @@
+const OverflowRule = require('../models/OverflowRule');
+const OverflowOffer = require('../models/OverflowOffer');
+const Token = require('../models/Token');
+const Department = require('../models/Department');
+const Counter = require('../models/Counter');
+const routingService = require('./routingService');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { startOfToday } = require('../utils/dates');
+
+const MINUTE = 60 * 1000;
+const DUPLICATE_KEY = 11000;
+const OFFER_TTL = 10 * MINUTE;
+
+class OverflowService {
+  /**
+   * Evaluate every active rule and lapse stale offers
+   * @returns {Promise<Number>} rules that fired
+   */
+  async runAll() {
+    await this.expireOffers();
+
+    const rules = await OverflowRule.find({ active: true, archived: false });
+
+    let fired = 0;
+    for (const rule of rules) {
+      try {
+        const result = await this.evaluate(rule);
+        if (result.fired) fired++;
+      } catch (error) {
+        logger.error(`Error evaluating overflow rule ${rule.name}:`, error);
+      }
+    }
+
+    return fired;
+  }
+
+  /**
+   * Check a rule's conditions and, when they hold, move tokens from the back
+   * of the source queue to the target department or offer them to a
+   * supervisor, depending on the rule's mode
+   * @param {OverflowRule} rule - Overflow rule
+   * @param {Object} options - { force } to ignore the cooldown, { userId } running it by hand
+   * @returns {Promise<{fired: Boolean, reason: String, transferred: Token[], offers: OverflowOffer[]}>}
+   */
+  async evaluate(rule, options = {}) {
+    const result = { fired: false, reason: null, transferred: [], offers: [] };
+
+    if (!options.force && rule.isCoolingDown()) {
+      result.reason = 'Cooling down';
+      return result;
+    }
+
+    const waiting = await Token.find({
+      department: rule.sourceDepartment,
+      status: 'waiting',
+      businessDate: { $gte: startOfToday() }
+    })
+      .sort(routingService.QUEUE_ORDER)
+      .select('serviceType estimatedWaitTime');
+
+    const matching = waiting.filter(token => rule.matchesServiceType(token.serviceType));
+    const trigger = this.checkConditions(rule, matching);
+    if (!trigger) {
+      result.reason = 'Conditions not met';
+      return result;
+    }
+
+    const target = await this.checkTarget(rule);
+    if (!target.available) {
+      result.reason = target.reason;
+      return result;
+    }
+
+    const pending = await OverflowOffer.distinct('token', { status: 'pending' });
+    const pendingIds = new Set(pending.map(String));
+
+    // The back of the queue has the longest to wait, so gains most from moving
+    const candidates = matching
+      .slice()
+      .reverse()
+      .filter(token => !pendingIds.has(String(token._id)))
+      .filter(token => target.serves(rule.targetServiceType || token.serviceType))
+      .slice(0, Math.min(rule.batchSize, target.capacity));
+
+    if (candidates.length === 0) {
+      result.reason = 'No tokens the target can serve';
+      return result;
+    }
+
+    result.fired = true;
+    result.reason = trigger;
+
+    for (const candidate of candidates) {
+      if (rule.mode === 'auto') {
+        const token = await this.moveToken(candidate._id, rule, options.userId, `Overflow (${rule.name}): ${trigger}`);
+        if (token) result.transferred.push(token);
+      } else {
+        const offer = await this.offerToken(candidate, rule, trigger);
+        if (offer) result.offers.push(offer);
+      }
+    }
+
+    rule.lastTriggeredAt = new Date();
+    await rule.save();
+
+    logger.info(`Overflow rule ${rule.name} fired (${trigger}): ` +
+      `${result.transferred.length} transferred, ${result.offers.length} offered`);
+
+    return result;
+  }
+
+  /**
+   * Which condition holds, if any
+   * @param {OverflowRule} rule - Overflow rule
+   * @param {Token[]} matching - Waiting tokens the rule applies to
+   * @returns {String|null} description of the trigger
+   */
+  checkConditions(rule, matching) {
+    const { minWaiting, minEtaMinutes } = rule.conditions;
+
+    if (minWaiting > 0 && matching.length > minWaiting) {
+      return `${matching.length} waiting (limit ${minWaiting})`;
+    }
+
+    const longestEta = matching.reduce((longest, token) => Math.max(longest, token.estimatedWaitTime || 0), 0);
+    if (minEtaMinutes > 0 && longestEta > minEtaMinutes) {
+      return `ETA ${longestEta} min (limit ${minEtaMinutes})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the target department can take tokens now, how many, and which
+   * service types it serves
+   * @param {OverflowRule} rule - Overflow rule
+   * @returns {Promise<{available: Boolean, reason: String, capacity: Number, serves: Function}>}
+   */
+  async checkTarget(rule) {
+    const unavailable = (reason) => ({ available: false, reason, capacity: 0, serves: () => false });
+
+    const department = await Department.findById(rule.targetDepartment);
+    if (!department || department.archived || department.status !== 'active' || !department.isOpen) {
+      return unavailable('Target department is not open');
+    }
+
+    const [counters, targetWaiting] = await Promise.all([
+      Counter.find({ department: department._id, archived: false, status: { $ne: 'maintenance' } })
+        .select('serviceTypes fallbackServiceTypes'),
+      Token.countDocuments({
+        department: department._id,
+        status: 'waiting',
+        businessDate: { $gte: startOfToday() }
+      })
+    ]);
+
+    const limit = rule.conditions.targetMaxWaiting;
+    const capacity = Math.min(
+      limit > 0 ? limit - targetWaiting : Infinity,
+      department.queueSettings.maxQueueSize - targetWaiting
+    );
+
+    if (capacity <= 0) {
+      return unavailable('Target department queue is full');
+    }
+
+    const serves = (serviceType) => {
+      if (department.serviceTypes.length > 0 && !department.getServiceType(serviceType)) return false;
+      return counters.some(counter => routingService.canServe(counter, serviceType));
+    };
+
+    return { available: true, reason: null, capacity, serves };
+  }
+
+  /**
+   * Transfer a waiting token to the rule's target, joining its queue
+   * @param {String} tokenId - Token ID
+   * @param {OverflowRule} rule - Overflow rule
+   * @param {String} userId - User moving it (absent for automatic moves)
+   * @param {String} reason - Recorded in the transfer history
+   * @returns {Promise<Token|null>} null when the token is no longer waiting at the source
+   */
+  async moveToken(tokenId, rule, userId, reason) {
+    // Counters claim through routingService.claim, which also matches on
+    // status 'waiting', so exactly one of a call and a move gets the token
+    const token = await Token.findOneAndUpdate(
+      { _id: tokenId, department: rule.sourceDepartment, status: 'waiting' },
+      { $set: { status: 'transferred' } },
+      { new: true }
+    );
+    if (!token) return null;
+
+    try {
+      return await token.transferToken(rule.targetDepartment, rule.targetCounter, reason, userId, {
+        requeue: true,
+        serviceType: rule.targetServiceType
+      });
+    } catch (error) {
+      // Nothing was saved; put the token back in the source queue
+      await Token.updateOne(
+        { _id: tokenId, department: rule.sourceDepartment, status: 'transferred' },
+        { $set: { status: 'waiting' } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Offer a token to a supervisor for transfer
+   * @param {Token} token - Waiting token
+   * @param {OverflowRule} rule - Overflow rule
+   * @param {String} trigger - Why the rule fired
+   * @returns {Promise<OverflowOffer|null>} null when the token already has a pending offer
+   */
+  async offerToken(token, rule, trigger) {
+    try {
+      return await OverflowOffer.create({
+        rule: rule._id,
+        token: token._id,
+        sourceDepartment: rule.sourceDepartment,
+        targetDepartment: rule.targetDepartment,
+        targetCounter: rule.targetCounter,
+        targetServiceType: rule.targetServiceType || token.serviceType,
+        reason: trigger,
+        expiresAt: new Date(Date.now() + OFFER_TTL)
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * A supervisor confirmed an offer: transfer the token
+   * @param {String} offerId - Offer ID
+   * @param {String} userId - Supervisor
+   * @param {String} note - Optional note
+   * @returns {Promise<{offer: OverflowOffer, token: Token}>}
+   */
+  async acceptOffer(offerId, userId, note) {
+    const offer = await OverflowOffer.claim(offerId, 'accepted', userId, note);
+    if (!offer) {
+      throw new AppError('Offer is no longer pending', 409);
+    }
+
+    const rule = await OverflowRule.findById(offer.rule);
+    const reason = `Overflow (${rule ? rule.name : 'rule removed'}): ${offer.reason}`;
+
+    const token = await this.moveToken(offer.token, {
+      sourceDepartment: offer.sourceDepartment,
+      targetDepartment: offer.targetDepartment,
+      targetCounter: offer.targetCounter,
+      targetServiceType: offer.targetServiceType
+    }, userId, reason);
+
+    if (!token) {
+      offer.status = 'withdrawn';
+      offer.note = 'Token was no longer waiting';
+      await offer.save();
+      throw new AppError('Token is no longer waiting in the source department', 409);
+    }
+
+    return { offer, token };
+  }
+
+  /**
+   * A supervisor turned an offer down; the token stays where it is
+   * @param {String} offerId - Offer ID
+   * @param {String} userId - Supervisor
+   * @param {String} note - Optional note
+   * @returns {Promise<OverflowOffer>}
+   */
+  async declineOffer(offerId, userId, note) {
+    const offer = await OverflowOffer.claim(offerId, 'declined', userId, note);
+    if (!offer) {
+      throw new AppError('Offer is no longer pending', 409);
+    }
+
+    return offer;
+  }
+
+  /**
+   * Lapse offers nobody decided in time
+   * @returns {Promise<Number>} offers expired
+   */
+  async expireOffers() {
+    const result = await OverflowOffer.updateMany(
+      { status: 'pending', expiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new OverflowService();
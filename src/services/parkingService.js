@@ -0,0 +1,105 @@
+const Token = require('../models/Token');
+const tokenEvents = require('./tokenEvents');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { startOfToday } = require('../utils/dates');
+
+class ParkingService {
+  /**
+   * Pause the token being served, e.g. while the customer fetches a
+   * missing document. The token keeps its counter, which is freed for
+   * the next customer.
+   * @param {Token} token - Token in service
+   * @param {Counter} counter - Counter serving the token
+   * @param {String} userId - Operator
+   * @param {String} reason - Why the service was paused
+   * @returns {Promise<Token>}
+   */
+  async park(token, counter, userId, reason) {
+    if (token.status !== 'in_service') {
+      throw new AppError('Only tokens in service can be parked', 409);
+    }
+
+    const now = new Date();
+
+    token.status = 'parked';
+    token.lastModifiedBy = userId;
+    token.parking.parkedAt = now;
+    token.parking.reason = reason;
+    token.parking.history.push({ parkedAt: now, reason, counter: counter._id, by: userId });
+
+    await token.save();
+    await counter.releaseCurrentToken();
+    tokenEvents.publish('parked', token, { reason });
+
+    logger.info(`Token ${token.tokenNumber} parked at counter ${counter.code}: ${reason}`);
+    return token;
+  }
+
+  /**
+   * The customer of a parked token is back. The token waits again, ahead
+   * of everyone else for the counter that parked it, and only that counter
+   * can call it (see routingService.nextTokenFor).
+   * @param {Token} token - Parked token
+   * @param {String} userId - Staff member
+   * @returns {Promise<Token>}
+   */
+  async resume(token, userId) {
+    if (token.status !== 'parked') {
+      throw new AppError('Only parked tokens can be resumed', 409);
+    }
+
+    if (token.businessDate < startOfToday()) {
+      throw new AppError('Tokens from an earlier day cannot be resumed', 409);
+    }
+
+    const now = new Date();
+    const stay = token.parking.history[token.parking.history.length - 1];
+    if (stay) stay.returnedAt = now;
+
+    token.status = 'waiting';
+    token.calledAt = undefined;
+    token.lastModifiedBy = userId;
+    token.notifications.nearTurn = false;
+    token.notifications.called = false;
+    token.parking.returnedAt = now;
+
+    await token.save();
+    tokenEvents.publish('resumed', token, { counter: String(token.counter) });
+
+    logger.info(`Token ${token.tokenNumber} back from parking`);
+    return token;
+  }
+
+  /**
+   * Cancel tokens still parked at the end of the day; their customers did
+   * not come back. Earlier days' leftovers are picked up too.
+   * @returns {Promise<Number>} number of tokens expired
+   */
+  async expireParked() {
+    const parked = await Token.find({ status: 'parked' }).select('_id');
+
+    let expired = 0;
+
+    for (const { _id } of parked) {
+      // Claim first so a resume at the same moment wins or loses cleanly
+      const token = await Token.findOneAndUpdate(
+        { _id, status: 'parked' },
+        { $set: { status: 'cancelled' } },
+        { new: true }
+      );
+      if (!token) continue;
+
+      await token.cancelToken(token.lastModifiedBy, `Parked (${token.parking.reason}) and not resumed by end of day`);
+      expired++;
+    }
+
+    if (expired > 0) {
+      logger.info(`Expired ${expired} parked tokens`);
+    }
+
+    return expired;
+  }
+}
+
+module.exports = new ParkingService();
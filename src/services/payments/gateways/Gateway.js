@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+/**
+ * Base class for UPI payment gateways.
+ *
+ * A gateway starts a payment for a Payment document, reports its status on
+ * request, and verifies and parses the callbacks it sends. Statuses are
+ * normalised to 'processing', 'completed' or 'failed'; amounts are reported
+ * in major units (rupees) so they compare directly with Payment amounts.
+ */
+class Gateway {
+  constructor(name) {
+    this.name = name;
+    // Whether intent/QR payments get a link from the gateway rather than
+    // one built locally for UPI_MERCHANT_VPA
+    this.issuesIntentLinks = false;
+    // Settles payments without real money; refused in production
+    this.testOnly = false;
+  }
+
+  /**
+   * Whether the gateway has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Start a UPI payment
+   * @param {Payment} payment - Payment document
+   * @param {Object} options - { flow: 'collect'|'intent'|'qr', vpa, amount, customer, callbackUrl }
+   * @returns {Promise<{orderId: string, transactionId: string, intentUri: string, response: Object}>}
+   *   `intentUri` is returned for intent and QR flows when the gateway issues its own link
+   */
+  async createUpiPayment(payment, options) {
+    throw new Error(`${this.name} gateway does not implement createUpiPayment()`);
+  }
+
+  /**
+   * Ask the gateway for the current status of a payment
+   * @param {Payment} payment - Payment document with gateway.gatewayOrderId set
+   * @returns {Promise<GatewayResult>}
+   */
+  async fetchStatus(payment) {
+    throw new Error(`${this.name} gateway does not implement fetchStatus()`);
+  }
+
+  /**
+   * Check a callback's signature
+   * @param {Object} callback - { headers, rawBody, body }
+   * @returns {boolean}
+   */
+  verifyCallback(callback) {
+    return false;
+  }
+
+  /**
+   * Extract the payment result from a verified callback
+   * @param {Object} callback - { headers, rawBody, body }
+   * @returns {GatewayResult|null} null for callbacks that carry no payment result
+   */
+  parseCallback(callback) {
+    throw new Error(`${this.name} gateway does not implement parseCallback()`);
+  }
+
+  /**
+   * Constant-time string comparison for signatures
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  safeEqual(a, b) {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  /**
+   * Convert rupees to paise
+   * @param {number} amount - Amount in rupees
+   * @returns {number}
+   */
+  toMinorUnits(amount) {
+    return Math.round(amount * 100);
+  }
+}
+
+/**
+ * @typedef {Object} GatewayResult
+ * @property {string} orderId - Gateway order / merchant transaction reference
+ * @property {string} status - 'processing', 'completed' or 'failed'
+ * @property {string} transactionId - Gateway payment ID
+ * @property {string} utr - Bank reference (UTR/RRN) once paid
+ * @property {string} vpa - Payer VPA when known
+ * @property {string} pspName - Payer app when known
+ * @property {number} amount - Amount paid in rupees
+ * @property {string} reason - Failure reason
+ * @property {Object} response - Raw gateway data
+ */
+
+module.exports = Gateway;
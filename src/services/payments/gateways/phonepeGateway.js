@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const Gateway = require('./Gateway');
+const httpClient = require('../../../utils/httpClient');
+
+const DEFAULT_BASE_URL = 'https://api-preprod.phonepe.com/apis/pg-sandbox';
+
+// PhonePe response codes mapped to ours
+const STATUS_MAP = {
+  PAYMENT_SUCCESS: 'completed',
+  PAYMENT_ERROR: 'failed',
+  PAYMENT_DECLINED: 'failed',
+  TIMED_OUT: 'failed',
+  PAYMENT_PENDING: 'processing',
+  PAYMENT_INITIATED: 'processing'
+};
+
+/**
+ * PhonePe PG (v1) UPI collect and QR payments. Needs PHONEPE_MERCHANT_ID,
+ * PHONEPE_SALT_KEY and PHONEPE_SALT_INDEX; PHONEPE_BASE_URL switches from the
+ * sandbox to production. Requests and callbacks are signed with
+ * SHA256(payload + salt key) + '###' + salt index in the X-VERIFY header.
+ * Intent and QR flows both use the UPI_QR instrument, whose qrData is a
+ * upi://pay link.
+ */
+class PhonePeGateway extends Gateway {
+  constructor() {
+    super('phonepe');
+    this.issuesIntentLinks = true;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.PHONEPE_MERCHANT_ID && process.env.PHONEPE_SALT_KEY);
+  }
+
+  getBaseUrl() {
+    return process.env.PHONEPE_BASE_URL || DEFAULT_BASE_URL;
+  }
+
+  checksum(payload) {
+    const hash = crypto.createHash('sha256').update(payload + process.env.PHONEPE_SALT_KEY).digest('hex');
+    return `${hash}###${process.env.PHONEPE_SALT_INDEX || '1'}`;
+  }
+
+  async createUpiPayment(payment, options) {
+    const path = '/pg/v1/pay';
+    const request = Buffer.from(JSON.stringify({
+      merchantId: process.env.PHONEPE_MERCHANT_ID,
+      merchantTransactionId: payment.paymentId,
+      merchantUserId: String(payment.customer),
+      amount: this.toMinorUnits(options.amount),
+      callbackUrl: options.callbackUrl,
+      mobileNumber: options.customer && options.customer.phone,
+      paymentInstrument: options.flow === 'collect'
+        ? { type: 'UPI_COLLECT', vpa: options.vpa }
+        : { type: 'UPI_QR' }
+    })).toString('base64');
+
+    const response = await httpClient.post(`${this.getBaseUrl()}${path}`, {
+      headers: { 'X-VERIFY': this.checksum(request + path) },
+      json: { request }
+    });
+
+    const data = (response.data && response.data.data) || {};
+    const instrument = data.instrumentResponse || {};
+
+    return {
+      orderId: data.merchantTransactionId || payment.paymentId,
+      transactionId: data.transactionId,
+      intentUri: instrument.qrData || instrument.intentUrl,
+      response: response.data
+    };
+  }
+
+  async fetchStatus(payment) {
+    const merchantId = process.env.PHONEPE_MERCHANT_ID;
+    const path = `/pg/v1/status/${merchantId}/${payment.gateway.gatewayOrderId}`;
+
+    const response = await httpClient.get(`${this.getBaseUrl()}${path}`, {
+      headers: {
+        'X-VERIFY': this.checksum(path),
+        'X-MERCHANT-ID': merchantId
+      }
+    });
+
+    return this.toResult(response.data);
+  }
+
+  verifyCallback(callback) {
+    const encoded = callback.body && callback.body.response;
+    if (!this.isConfigured() || !encoded) return false;
+
+    return this.safeEqual(this.checksum(encoded), callback.headers['x-verify']);
+  }
+
+  parseCallback(callback) {
+    const decoded = JSON.parse(Buffer.from(callback.body.response, 'base64').toString('utf8'));
+    return this.toResult(decoded);
+  }
+
+  toResult(body) {
+    const data = body.data || {};
+    const instrument = data.paymentInstrument || {};
+
+    return {
+      orderId: data.merchantTransactionId,
+      status: STATUS_MAP[body.code] || 'processing',
+      transactionId: data.transactionId,
+      utr: instrument.utr,
+      vpa: instrument.vpa,
+      amount: data.amount !== undefined ? data.amount / 100 : undefined,
+      reason: body.code !== 'PAYMENT_SUCCESS' ? body.message : undefined,
+      response: body
+    };
+  }
+}
+
+module.exports = PhonePeGateway;
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const Gateway = require('./Gateway');
+const httpClient = require('../../../utils/httpClient');
+
+const API_URL = 'https://api.razorpay.com/v1';
+const COLLECT_EXPIRY_MINUTES = 15;
+
+// Razorpay payment statuses mapped to ours
+const STATUS_MAP = {
+  created: 'processing',
+  authorized: 'processing',
+  captured: 'completed',
+  refunded: 'completed',
+  failed: 'failed'
+};
+
+/**
+ * Razorpay UPI through orders and S2S UPI payments. Needs RAZORPAY_KEY_ID and
+ * RAZORPAY_KEY_SECRET; callbacks are the account's webhooks, signed with
+ * RAZORPAY_WEBHOOK_SECRET. Intent and QR flows share Razorpay's intent link.
+ */
+class RazorpayGateway extends Gateway {
+  constructor() {
+    super('razorpay');
+    this.issuesIntentLinks = true;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
+  }
+
+  getHeaders() {
+    const credentials = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+    return { Authorization: `Basic ${credentials}` };
+  }
+
+  async createUpiPayment(payment, options) {
+    const amount = this.toMinorUnits(options.amount);
+
+    const order = await httpClient.post(`${API_URL}/orders`, {
+      headers: this.getHeaders(),
+      json: {
+        amount,
+        currency: payment.currency,
+        receipt: payment.paymentId,
+        notes: { paymentId: String(payment._id) }
+      }
+    });
+
+    const upi = options.flow === 'collect'
+      ? { flow: 'collect', vpa: options.vpa, expiry_time: COLLECT_EXPIRY_MINUTES }
+      : { flow: 'intent' };
+
+    const created = await httpClient.post(`${API_URL}/payments/create/upi`, {
+      headers: this.getHeaders(),
+      json: {
+        amount,
+        currency: payment.currency,
+        order_id: order.data.id,
+        method: 'upi',
+        contact: options.customer && options.customer.phone,
+        email: options.customer && options.customer.email,
+        description: payment.description,
+        callback_url: options.callbackUrl,
+        upi
+      }
+    });
+
+    return {
+      orderId: order.data.id,
+      transactionId: created.data.razorpay_payment_id,
+      intentUri: created.data.link,
+      response: { order: order.data, payment: created.data }
+    };
+  }
+
+  async fetchStatus(payment) {
+    const orderId = payment.gateway.gatewayOrderId;
+    const response = await httpClient.get(`${API_URL}/orders/${orderId}/payments`, {
+      headers: this.getHeaders()
+    });
+
+    const attempts = (response.data && response.data.items) || [];
+    const paid = attempts.find(entity => STATUS_MAP[entity.status] === 'completed');
+    const latest = paid || attempts[0];
+
+    if (!latest) {
+      return { orderId, status: 'processing', response: response.data };
+    }
+
+    return this.toResult(latest);
+  }
+
+  verifyCallback(callback) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret || !callback.rawBody) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(callback.rawBody).digest('hex');
+    return this.safeEqual(expected, callback.headers['x-razorpay-signature']);
+  }
+
+  parseCallback(callback) {
+    const payload = callback.body.payload || {};
+    const entity = payload.payment && payload.payment.entity;
+
+    return entity && entity.order_id ? this.toResult(entity) : null;
+  }
+
+  toResult(entity) {
+    return {
+      orderId: entity.order_id,
+      status: STATUS_MAP[entity.status] || 'processing',
+      transactionId: entity.id,
+      utr: entity.acquirer_data && (entity.acquirer_data.rrn || entity.acquirer_data.upi_transaction_id),
+      vpa: entity.vpa,
+      amount: entity.amount / 100,
+      reason: entity.error_description,
+      response: entity
+    };
+  }
+}
+
+module.exports = RazorpayGateway;
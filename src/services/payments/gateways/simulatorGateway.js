@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const Gateway = require('./Gateway');
+
+/**
+ * Local gateway for development and testing; nothing leaves the server.
+ *
+ * The payer VPA decides what a status check reports: `success@...` pays,
+ * `failure@...` is declined and anything else stays pending until a callback
+ * is sent with `buildCallback`. Callbacks are signed with
+ * PAYMENT_SIMULATOR_SECRET like a real gateway's; without it the simulator
+ * is off. It is never available in production.
+ */
+class SimulatorGateway extends Gateway {
+  constructor() {
+    super('simulator');
+    this.testOnly = true;
+  }
+
+  isConfigured() {
+    return Boolean(this.getSecret());
+  }
+
+  getSecret() {
+    return process.env.PAYMENT_SIMULATOR_SECRET;
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.getSecret()).update(rawBody).digest('hex');
+  }
+
+  async createUpiPayment(payment, options) {
+    const orderId = `sim_${payment.paymentId}`;
+
+    return {
+      orderId,
+      transactionId: `simpay_${crypto.randomBytes(6).toString('hex')}`,
+      response: { orderId, flow: options.flow, vpa: options.vpa, amount: options.amount }
+    };
+  }
+
+  async fetchStatus(payment) {
+    const vpa = payment.paymentDetails.upi.vpa || '';
+    const outcome = vpa.startsWith('success@') ? 'success' : vpa.startsWith('failure@') ? 'failure' : 'pending';
+
+    return this.toResult(this.buildResult(payment, outcome));
+  }
+
+  /**
+   * Build a signed callback as the gateway would send it
+   * @param {Payment} payment - Payment document
+   * @param {string} outcome - 'success', 'failure' or 'pending'
+   * @returns {{headers: Object, rawBody: Buffer, body: Object}}
+   */
+  buildCallback(payment, outcome) {
+    const body = this.buildResult(payment, outcome);
+    const rawBody = Buffer.from(JSON.stringify(body));
+
+    return {
+      headers: { 'x-simulator-signature': this.sign(rawBody) },
+      rawBody,
+      body
+    };
+  }
+
+  buildResult(payment, outcome) {
+    const states = { success: 'SUCCESS', failure: 'FAILED', pending: 'PENDING' };
+
+    return {
+      orderId: payment.gateway.gatewayOrderId,
+      paymentId: payment.gateway.gatewayTransactionId,
+      state: states[outcome],
+      amount: payment.totalAmount,
+      vpa: payment.paymentDetails.upi.vpa || 'payer@sim',
+      utr: outcome === 'success' ? String(Date.now()).slice(-12) : undefined,
+      reason: outcome === 'failure' ? 'Declined by payer' : undefined
+    };
+  }
+
+  verifyCallback(callback) {
+    return this.isConfigured() && Boolean(callback.rawBody) &&
+      this.safeEqual(this.sign(callback.rawBody), callback.headers['x-simulator-signature']);
+  }
+
+  parseCallback(callback) {
+    return this.toResult(callback.body);
+  }
+
+  toResult(body) {
+    const statuses = { SUCCESS: 'completed', FAILED: 'failed', PENDING: 'processing' };
+
+    return {
+      orderId: body.orderId,
+      status: statuses[body.state] || 'processing',
+      transactionId: body.paymentId,
+      utr: body.utr,
+      vpa: body.vpa,
+      pspName: 'simulator',
+      amount: body.amount,
+      reason: body.reason,
+      response: body
+    };
+  }
+}
+
+module.exports = SimulatorGateway;
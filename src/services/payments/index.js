@@ -0,0 +1,363 @@
+const Payment = require('../../models/Payment');
+const Customer = require('../../models/Customer');
+const Token = require('../../models/Token');
+const RazorpayGateway = require('./gateways/razorpayGateway');
+const PhonePeGateway = require('./gateways/phonepeGateway');
+const SimulatorGateway = require('./gateways/simulatorGateway');
+const AppError = require('../../utils/AppError');
+const logger = require('../../utils/logger');
+
+const MINUTE = 60 * 1000;
+const UPI_REQUEST_TTL = 15 * MINUTE; // collect requests and QR codes expire
+const RECONCILE_AFTER = 2 * MINUTE; // give the callback a chance to arrive first
+const RECONCILE_BATCH_SIZE = 50;
+
+class PaymentGatewayService {
+  constructor() {
+    this.gateways = new Map();
+
+    [new RazorpayGateway(), new PhonePeGateway(), new SimulatorGateway()]
+      .forEach(gateway => this.registerGateway(gateway));
+  }
+
+  /**
+   * Register (or replace) a gateway
+   * @param {Gateway} gateway - Gateway instance
+   */
+  registerGateway(gateway) {
+    this.gateways.set(gateway.name, gateway);
+  }
+
+  /**
+   * Look up a gateway by name
+   * @param {string} name - Gateway name
+   * @returns {Gateway}
+   */
+  getGateway(name) {
+    const gateway = this.gateways.get(name);
+    if (!gateway) {
+      throw new AppError(`Unknown payment gateway: ${name}`, 404);
+    }
+    return gateway;
+  }
+
+  /**
+   * Refuse test-only gateways (the simulator) in production
+   * @param {Gateway} gateway - Gateway instance
+   */
+  ensureAllowed(gateway) {
+    if (gateway.testOnly && process.env.NODE_ENV === 'production') {
+      throw new AppError(`Payment gateway ${gateway.name} is disabled in production`, 403);
+    }
+  }
+
+  /**
+   * The gateway new UPI payments go through (PAYMENT_GATEWAY)
+   * @returns {Gateway}
+   */
+  getActiveGateway() {
+    if (!process.env.PAYMENT_GATEWAY) {
+      throw new AppError('No payment gateway configured; set PAYMENT_GATEWAY', 503);
+    }
+
+    const gateway = this.getGateway(process.env.PAYMENT_GATEWAY);
+    this.ensureAllowed(gateway);
+
+    if (!gateway.isConfigured()) {
+      throw new AppError(`Payment gateway ${gateway.name} is not configured`, 503);
+    }
+    return gateway;
+  }
+
+  /**
+   * Public URL gateways post their callbacks to
+   * @param {string} name - Gateway name
+   * @returns {string}
+   */
+  getCallbackUrl(name) {
+    const base = process.env.APP_BASE_URL || '';
+    const apiBase = process.env.API_BASE_PATH || '/api';
+    const apiVersion = process.env.API_VERSION || 'v1';
+    return `${base}${apiBase}/${apiVersion}/payments/callbacks/${name}`;
+  }
+
+  /**
+   * Build a upi://pay link to the merchant VPA. The same string is the
+   * payload of the payment's QR code.
+   * @param {Payment} payment - Payment document
+   * @param {number} amount - Amount in rupees
+   * @returns {string}
+   */
+  buildUpiIntent(payment, amount) {
+    const params = {
+      pa: process.env.UPI_MERCHANT_VPA,
+      pn: process.env.UPI_MERCHANT_NAME || 'Queue Management System',
+      mc: process.env.UPI_MERCHANT_CODE,
+      tr: payment.paymentId,
+      tn: payment.description || `Payment ${payment.paymentId}`,
+      am: amount.toFixed(2),
+      cu: payment.currency
+    };
+
+    const query = Object.keys(params)
+      .filter(key => params[key])
+      .map(key => `${key}=${encodeURIComponent(params[key]).replace(/%40/g, '@')}`)
+      .join('&');
+
+    return `upi://pay?${query}`;
+  }
+
+  /**
+   * Start a UPI payment with the active gateway and move it to processing
+   * @param {Payment} payment - Pending UPI payment
+   * @param {Object} options - { flow: 'collect'|'intent'|'qr', vpa }
+   * @param {string} userId - User starting the payment
+   * @returns {Promise<Payment>}
+   */
+  async initiateUpiPayment(payment, options, userId) {
+    const { flow, vpa } = options;
+    const gateway = this.getActiveGateway();
+
+    if (payment.currency !== 'INR') {
+      throw new AppError('UPI payments must be in INR', 400);
+    }
+
+    if (flow !== 'collect' && !gateway.issuesIntentLinks && !process.env.UPI_MERCHANT_VPA) {
+      throw new AppError('UPI_MERCHANT_VPA must be configured for intent and QR payments', 503);
+    }
+
+    const amount = payment.totalAmount;
+    const customer = await Customer.findById(payment.customer).select('phone email');
+
+    let result;
+    try {
+      result = await gateway.createUpiPayment(payment, {
+        flow,
+        vpa,
+        amount,
+        customer,
+        callbackUrl: this.getCallbackUrl(gateway.name)
+      });
+    } catch (error) {
+      logger.error(`Error starting ${gateway.name} UPI payment ${payment.paymentId}:`, error);
+      throw new AppError(`Payment gateway error: ${error.message}`, 502);
+    }
+
+    payment.gateway.gatewayName = gateway.name;
+    payment.gateway.gatewayOrderId = result.orderId;
+    payment.gateway.gatewayTransactionId = result.transactionId;
+    payment.gateway.gatewayResponse = result.response;
+
+    const upi = payment.paymentDetails.upi;
+    upi.flow = flow;
+    upi.vpa = vpa || upi.vpa;
+    upi.merchantTransactionId = result.orderId;
+    upi.intentUri = flow === 'collect' ? undefined : result.intentUri || this.buildUpiIntent(payment, amount);
+    upi.expiresAt = new Date(Date.now() + UPI_REQUEST_TTL);
+
+    payment.lastModifiedBy = userId;
+    await payment.processPayment(userId);
+
+    if (payment.token) {
+      await Token.updateOne(
+        { _id: payment.token },
+        { $set: { 'payment.status': 'processing', 'payment.method': 'upi', 'payment.paymentId': payment._id } }
+      );
+    }
+
+    logger.info(`UPI ${flow} payment ${payment.paymentId} started with ${gateway.name}`);
+    return payment;
+  }
+
+  /**
+   * Verify a gateway callback and settle the payment it refers to
+   * @param {string} gatewayName - Gateway the callback claims to come from
+   * @param {Object} callback - { headers, rawBody, body }
+   * @returns {Promise<Payment|null>} null when the callback is not about one of our payments
+   */
+  async handleCallback(gatewayName, callback) {
+    const gateway = this.getGateway(gatewayName);
+    this.ensureAllowed(gateway);
+
+    if (!gateway.verifyCallback(callback)) {
+      logger.warn(`Rejected ${gatewayName} payment callback with an invalid signature`);
+      throw new AppError('Invalid callback signature', 401);
+    }
+
+    const result = gateway.parseCallback(callback);
+    if (!result || !result.orderId) return null;
+
+    const payment = await Payment.findOne({
+      'gateway.gatewayName': gatewayName,
+      'gateway.gatewayOrderId': result.orderId
+    });
+
+    if (!payment) {
+      logger.warn(`${gatewayName} callback for unknown order ${result.orderId}`);
+      return null;
+    }
+
+    await Payment.updateOne({ _id: payment._id }, { $set: { 'gateway.callbackReceivedAt': new Date() } });
+
+    return this.settle(payment, result);
+  }
+
+  /**
+   * Ask the gateway where a processing payment stands and settle it if final.
+   * Requests still unpaid after they expire are failed.
+   * @param {Payment} payment - Processing payment
+   * @returns {Promise<Payment>}
+   */
+  async checkStatus(payment) {
+    const gateway = this.getGateway(payment.gateway.gatewayName);
+    let result = await gateway.fetchStatus(payment);
+
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { 'gateway.lastCheckedAt': new Date() }, $inc: { 'gateway.statusChecks': 1 } }
+    );
+
+    const expiresAt = payment.paymentDetails.upi.expiresAt;
+    if (result.status === 'processing' && expiresAt && expiresAt.getTime() + RECONCILE_AFTER < Date.now()) {
+      result = { ...result, status: 'failed', reason: 'UPI request expired before payment' };
+    }
+
+    return this.settle(payment, result);
+  }
+
+  /**
+   * Apply a final gateway result. Only the first result for a payment wins,
+   * so a callback and the reconciliation job can race safely.
+   * @param {Payment} payment - Payment document
+   * @param {GatewayResult} result - Normalised gateway result
+   * @returns {Promise<Payment>}
+   */
+  async settle(payment, result) {
+    if (result.status === 'processing') return payment;
+
+    const expected = payment.totalAmount;
+    if (result.status === 'completed' && result.amount !== undefined &&
+      Math.round(result.amount * 100) !== Math.round(expected * 100)) {
+      logger.error(`Payment ${payment.paymentId} amount mismatch: gateway reported ${result.amount}, expected ${expected}`);
+      result = { ...result, status: 'failed', reason: `Amount mismatch: paid ${result.amount}, expected ${expected}` };
+    }
+
+    const now = new Date();
+    const update = {
+      'gateway.gatewayTransactionId': result.transactionId || payment.gateway.gatewayTransactionId,
+      'gateway.gatewayResponse': result.response
+    };
+
+    if (result.status === 'completed') {
+      Object.assign(update, {
+        status: 'completed',
+        completedAt: now,
+        'paymentDetails.upi.transactionId': result.utr || result.transactionId,
+        'paymentDetails.upi.vpa': result.vpa || payment.paymentDetails.upi.vpa,
+        'paymentDetails.upi.pspName': result.pspName || payment.paymentDetails.upi.pspName,
+        'receipt.receiptNumber': payment.receipt.receiptNumber || `RCP${Date.now()}`
+      });
+    } else {
+      Object.assign(update, {
+        status: 'failed',
+        failedAt: now,
+        notes: result.reason || 'Payment failed',
+        'gateway.failureReason': result.reason || 'Payment failed'
+      });
+    }
+
+    Object.keys(update).forEach(key => update[key] === undefined && delete update[key]);
+
+    const settled = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: ['pending', 'processing'] } },
+      { $set: update },
+      { new: true }
+    );
+
+    // Already settled by an earlier callback or status check
+    if (!settled) {
+      return Payment.findById(payment._id);
+    }
+
+    if (settled.status === 'completed') {
+      await this.recordCompletion(settled);
+    } else if (settled.token) {
+      await Token.updateOne({ _id: settled.token }, { $set: { 'payment.status': 'failed' } });
+    }
+
+    logger.info(`UPI payment ${settled.paymentId} ${settled.status} via ${settled.gateway.gatewayName}`);
+    return settled;
+  }
+
+  /**
+   * Update the token and customer once a payment completes
+   * @param {Payment} payment - Completed payment
+   */
+  async recordCompletion(payment) {
+    if (payment.token) {
+      await Token.updateOne(
+        { _id: payment.token },
+        {
+          $set: {
+            'payment.status': 'completed',
+            'payment.paidAt': payment.completedAt,
+            'payment.transactionId': payment.paymentDetails.upi.transactionId,
+            'payment.receiptNumber': payment.receipt.receiptNumber
+          }
+        }
+      );
+    }
+
+    const customer = await Customer.findById(payment.customer);
+    if (customer) {
+      customer.paymentSummary.totalPaid += payment.totalAmount;
+      customer.paymentSummary.totalTransactions += 1;
+      customer.paymentSummary.averageTransactionAmount =
+        customer.paymentSummary.totalPaid / customer.paymentSummary.totalTransactions;
+      customer.paymentSummary.lastTransactionDate = payment.completedAt;
+      customer.paymentSummary.paymentMethodUsage.upi += 1;
+      customer.lastPaymentDate = payment.completedAt;
+      await customer.save();
+    }
+  }
+
+  /**
+   * Settle processing UPI payments whose callbacks never arrived
+   * @returns {Promise<{checked: number, settled: number}>}
+   */
+  async reconcile() {
+    const cutoff = new Date(Date.now() - RECONCILE_AFTER);
+
+    const payments = await Payment.find({
+      status: 'processing',
+      paymentMethod: 'upi',
+      'gateway.gatewayOrderId': { $exists: true },
+      processedAt: { $lte: cutoff },
+      $or: [
+        { 'gateway.lastCheckedAt': { $exists: false } },
+        { 'gateway.lastCheckedAt': { $lte: cutoff } }
+      ]
+    })
+      .sort({ 'gateway.lastCheckedAt': 1 })
+      .limit(RECONCILE_BATCH_SIZE);
+
+    let settled = 0;
+
+    for (const payment of payments) {
+      try {
+        const updated = await this.checkStatus(payment);
+        if (updated.status !== 'processing') settled++;
+      } catch (error) {
+        logger.warn(`Could not reconcile payment ${payment.paymentId}: ${error.message}`);
+      }
+    }
+
+    if (settled > 0) {
+      logger.info(`Reconciled ${settled} of ${payments.length} processing UPI payments`);
+    }
+
+    return { checked: payments.length, settled };
+  }
+}
+
+module.exports = new PaymentGatewayService();
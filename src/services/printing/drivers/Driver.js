@@ -0,0 +1,24 @@
+/**
+ * Base class for printer drivers.
+ *
+ * A driver sends one rendered job to one printer. Subclasses set `name` and
+ * implement `send`, which resolves once the printer has taken the bytes or
+ * throws so the job is retried.
+ */
+class Driver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send a job to a printer
+   * @param {Printer} printer - Printer document (connection settings)
+   * @param {Buffer} data - ESC/POS byte stream
+   * @returns {Promise<void>}
+   */
+  async send(printer, data) {
+    throw new Error(`${this.name} driver does not implement send()`);
+  }
+}
+
+module.exports = Driver;
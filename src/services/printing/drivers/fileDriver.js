@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const Driver = require('./Driver');
+
+/**
+ * Printers reached through a file: a device node such as /dev/usb/lp0, a
+ * shared spool file, or a folder where each job is written as its own file
+ */
+class FileDriver extends Driver {
+  constructor() {
+    super('file');
+  }
+
+  async send(printer, data) {
+    const target = path.resolve(printer.connection.path);
+    const stats = await fs.promises.stat(target).catch(() => null);
+
+    if (stats && stats.isDirectory()) {
+      const name = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.bin`;
+      await fs.promises.writeFile(path.join(target, name), data);
+      return;
+    }
+
+    await fs.promises.appendFile(target, data);
+  }
+}
+
+module.exports = FileDriver;
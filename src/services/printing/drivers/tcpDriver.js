@@ -0,0 +1,41 @@
+const net = require('net');
+const Driver = require('./Driver');
+
+const CONNECT_TIMEOUT = 5000;
+const DEFAULT_PORT = 9100;
+
+/**
+ * Network printers listening on a raw TCP port (JetDirect, usually 9100)
+ */
+class TcpDriver extends Driver {
+  constructor() {
+    super('tcp');
+  }
+
+  send(printer, data) {
+    const { host, port } = printer.connection;
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port: port || DEFAULT_PORT });
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) reject(error);
+        else resolve();
+      };
+
+      socket.setTimeout(CONNECT_TIMEOUT, () => {
+        finish(new Error(`Printer ${host}:${port || DEFAULT_PORT} did not respond`));
+      });
+      socket.once('error', finish);
+      socket.once('connect', () => {
+        socket.end(data, () => finish());
+      });
+    });
+  }
+}
+
+module.exports = TcpDriver;
@@ -0,0 +1,110 @@
+/**
+ * Builder for ESC/POS command streams understood by most thermal receipt
+ * printers (Epson TM series and compatibles).
+ *
+ * Text is printed with the printer's default code page, so it is reduced
+ * to printable ASCII: accents are stripped and other characters print as '?'.
+ */
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const LF = 0x0A;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+const QR_ERROR_LEVELS = { L: 48, M: 49, Q: 50, H: 51 };
+
+/**
+ * Reduce text to what the printer can show
+ * @param {string} text - Any text
+ * @returns {string}
+ */
+const toPrintable = (text) => String(text == null ? '' : text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7E\n]/g, '?');
+
+class EscPosBuilder {
+  constructor() {
+    this.chunks = [];
+    this.raw(ESC, 0x40); // initialise: clears styles left by a previous job
+  }
+
+  raw(...bytes) {
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  align(alignment) {
+    return this.raw(ESC, 0x61, ALIGNMENTS[alignment] || 0);
+  }
+
+  bold(on = true) {
+    return this.raw(ESC, 0x45, on ? 1 : 0);
+  }
+
+  /**
+   * Character size multiplier, 1-8 in each direction
+   */
+  size(width = 1, height = width) {
+    const clamp = (value) => Math.min(8, Math.max(1, value)) - 1;
+    return this.raw(GS, 0x21, (clamp(width) << 4) | clamp(height));
+  }
+
+  text(value) {
+    this.chunks.push(Buffer.from(toPrintable(value), 'ascii'));
+    return this;
+  }
+
+  line(value = '') {
+    return this.text(value).raw(LF);
+  }
+
+  /**
+   * A label on the left and a value on the right of a line `width` characters wide
+   */
+  row(label, value, width) {
+    const left = toPrintable(label);
+    const right = toPrintable(value);
+    const space = Math.max(1, width - left.length - right.length);
+    return this.line(`${left}${' '.repeat(space)}${right}`);
+  }
+
+  rule(width, character = '-') {
+    return this.line(character.repeat(width));
+  }
+
+  feed(lines = 1) {
+    return this.raw(ESC, 0x64, Math.min(255, lines));
+  }
+
+  /**
+   * Print a QR code using the printer's built-in encoder (GS ( k)
+   * @param {string} data - Content, e.g. a URL
+   * @param {Object} options - { size: module size 1-16, errorLevel: L|M|Q|H }
+   */
+  qr(data, options = {}) {
+    const payload = Buffer.from(String(data), 'utf8');
+    const storeLength = payload.length + 3;
+    const moduleSize = Math.min(16, Math.max(1, options.size || 6));
+
+    this.raw(GS, 0x28, 0x6B, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00); // model 2
+    this.raw(GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x43, moduleSize);
+    this.raw(GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x45, QR_ERROR_LEVELS[options.errorLevel] || QR_ERROR_LEVELS.M);
+    this.raw(GS, 0x28, 0x6B, storeLength & 0xFF, storeLength >> 8, 0x31, 0x50, 0x30);
+    this.chunks.push(payload);
+    return this.raw(GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x51, 0x30); // print stored symbol
+  }
+
+  /**
+   * Feed past the cutter and make a partial cut
+   */
+  cut() {
+    return this.raw(GS, 0x56, 0x42, 0x03);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+module.exports = EscPosBuilder;
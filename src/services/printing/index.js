@@ -0,0 +1,280 @@
+const Printer = require('../../models/Printer');
+const PrintJob = require('../../models/PrintJob');
+const Token = require('../../models/Token');
+const Counter = require('../../models/Counter');
+const Department = require('../../models/Department');
+const tokenEvents = require('../tokenEvents');
+const waitTimeEstimator = require('../waitTimeEstimator');
+const { renderTicket, renderTestPage } = require('./ticket');
+const TcpDriver = require('./drivers/tcpDriver');
+const FileDriver = require('./drivers/fileDriver');
+const AppError = require('../../utils/AppError');
+const logger = require('../../utils/logger');
+
+const SECOND = 1000;
+// Tickets are only useful while the customer is at the kiosk, so retry briefly
+const RETRY_DELAYS = [15, 30, 60, 120].map(seconds => seconds * SECOND);
+const STALE_PRINTING_AFTER = 5 * 60 * SECOND; // a worker died mid-job
+const BATCH_SIZE = 50;
+
+class PrintService {
+  constructor() {
+    this.drivers = new Map();
+    this.lines = new Map();
+    this.started = false;
+
+    [new TcpDriver(), new FileDriver()].forEach(driver => this.registerDriver(driver));
+  }
+
+  /**
+   * Register (or replace) a printer driver
+   * @param {Driver} driver - Driver instance
+   */
+  registerDriver(driver) {
+    this.drivers.set(driver.name, driver);
+  }
+
+  /**
+   * Start printing tickets for newly issued tokens
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    tokenEvents.on('issued', (event) => {
+      this.autoPrint(event.token.id).catch(error => {
+        logger.error(`Error printing ticket for token ${event.token.displayNumber}:`, error);
+      });
+    });
+
+    logger.info('Ticket printing started');
+  }
+
+  /**
+   * Printer for a token: its counter's ticket printer when it was issued to
+   * a counter, otherwise the department's auto-print printer. Reprints fall
+   * back to any active printer in the department.
+   * @param {Token} token - Token document
+   * @param {Object} options - { autoOnly } to only consider auto-print printers
+   * @returns {Promise<Printer|null>}
+   */
+  async findPrinterFor(token, options = {}) {
+    const available = { active: true, archived: false };
+
+    if (token.counter) {
+      const counter = await Counter.findById(token.counter).select('hardware.ticketPrinterId');
+      const code = counter && counter.hardware && counter.hardware.ticketPrinterId;
+
+      if (code) {
+        const printer = await Printer.findOne({ ...available, code: code.toUpperCase() });
+        if (printer) return printer;
+      }
+    }
+
+    const printer = await Printer.findOne({ ...available, department: token.department, autoPrint: true });
+    if (printer || options.autoOnly) return printer;
+
+    return Printer.findOne({ ...available, department: token.department });
+  }
+
+  /**
+   * Print the ticket for a newly issued token, if its department has a printer
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<PrintJob|null>}
+   */
+  async autoPrint(tokenId) {
+    const token = await Token.findById(tokenId);
+    if (!token) return null;
+
+    const printer = await this.findPrinterFor(token, { autoOnly: true });
+    if (!printer) return null;
+
+    return this.printToken(token, printer, { kind: 'ticket' });
+  }
+
+  /**
+   * Gather what goes on a token's ticket
+   * @param {Token} token - Token document
+   * @param {boolean} reprint - Mark the ticket as a copy
+   * @returns {Promise<Object>}
+   */
+  async buildTicket(token, reprint) {
+    const department = await Department.findById(token.department).select('name serviceTypes');
+    const serviceType = department && department.getServiceType(token.serviceType);
+    const waiting = token.status === 'waiting';
+    const baseUrl = process.env.APP_BASE_URL || '';
+
+    return {
+      departmentName: department ? department.name : '',
+      displayNumber: token.displayNumber,
+      serviceType: serviceType ? serviceType.name : token.serviceType,
+      issuedAt: token.issuedAt,
+      position: waiting ? await waitTimeEstimator.countTokensAhead(token) + 1 : null,
+      estimatedWaitTime: waiting ? token.estimatedWaitTime : null,
+      trackingUrl: token.trackingCode ? `${baseUrl}/track.html?code=${token.trackingCode}` : null,
+      reprint
+    };
+  }
+
+  /**
+   * Render and print a token's ticket
+   * @param {Token} token - Token document
+   * @param {Printer} printer - Target printer
+   * @param {Object} options - { kind: 'ticket'|'reprint', userId }
+   * @returns {Promise<PrintJob>}
+   */
+  async printToken(token, printer, options = {}) {
+    const kind = options.kind || 'ticket';
+    const ticket = await this.buildTicket(token, kind === 'reprint');
+
+    const job = await PrintJob.create({
+      printer: printer._id,
+      token: token._id,
+      kind,
+      data: renderTicket(ticket, { paperWidth: printer.paperWidth }),
+      requestedBy: options.userId
+    });
+
+    return this.attempt(job._id);
+  }
+
+  /**
+   * Print a test page
+   * @param {Printer} printer - Target printer
+   * @param {string} userId - Requesting user
+   * @returns {Promise<PrintJob>}
+   */
+  async printTestPage(printer, userId) {
+    const job = await PrintJob.create({
+      printer: printer._id,
+      kind: 'test',
+      data: renderTestPage(printer),
+      requestedBy: userId,
+      maxAttempts: 1
+    });
+
+    return this.attempt(job._id);
+  }
+
+  /**
+   * Claim a pending job and print it. If another worker already holds it,
+   * the job is returned as it stands.
+   * @param {string} jobId - Print job ID
+   * @returns {Promise<PrintJob>}
+   */
+  async attempt(jobId) {
+    const job = await PrintJob.claim(jobId);
+    return job ? this.send(job) : PrintJob.findById(jobId);
+  }
+
+  /**
+   * Send a claimed job. Jobs for one printer go out one at a time so
+   * tickets never interleave.
+   * @param {PrintJob} job - Job in the 'printing' state
+   * @returns {Promise<PrintJob>}
+   */
+  send(job) {
+    const key = String(job.printer);
+    const previous = this.lines.get(key) || Promise.resolve();
+    const current = previous.then(() => this.deliver(job));
+    const tail = current.catch(() => {});
+
+    this.lines.set(key, tail);
+    tail.then(() => {
+      if (this.lines.get(key) === tail) this.lines.delete(key);
+    });
+
+    return current;
+  }
+
+  /**
+   * Hand a job to its printer's driver and record the outcome
+   * @param {PrintJob} job - Job in the 'printing' state
+   * @returns {Promise<PrintJob>}
+   */
+  async deliver(job) {
+    const printer = await Printer.findById(job.printer);
+
+    try {
+      if (!printer || printer.archived || !printer.active) {
+        throw new Error('Printer is no longer active');
+      }
+
+      const driver = this.drivers.get(printer.driver);
+      if (!driver) {
+        throw new Error(`Unknown printer driver: ${printer.driver}`);
+      }
+
+      await driver.send(printer, job.data);
+
+      job.status = 'printed';
+      job.printedAt = new Date();
+      job.lastError = undefined;
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (job.attempts >= job.maxAttempts || !printer || !printer.active) {
+        job.status = 'dead';
+        logger.warn(`Print job ${job._id} gave up after ${job.attempts} attempts: ${error.message}`);
+      } else {
+        job.status = 'failed';
+        job.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS[Math.min(job.attempts, RETRY_DELAYS.length) - 1]);
+      }
+    }
+
+    await job.save();
+
+    if (printer) {
+      const printed = job.status === 'printed';
+      await Printer.updateOne({ _id: printer._id }, printed
+        ? { $set: { status: 'online', lastPrintedAt: job.printedAt }, $unset: { lastError: 1 } }
+        : { $set: { status: 'offline', lastError: job.lastError } }
+      );
+    }
+
+    return job;
+  }
+
+  /**
+   * Retry failed jobs that are due
+   * @returns {Promise<number>} number of jobs attempted
+   */
+  async processDueJobs() {
+    await PrintJob.updateMany(
+      { status: 'printing', updatedAt: { $lt: new Date(Date.now() - STALE_PRINTING_AFTER) } },
+      { $set: { status: 'failed', nextAttemptAt: new Date(), lastError: 'Printing interrupted' } }
+    );
+
+    let processed = 0;
+    while (processed < BATCH_SIZE) {
+      const job = await PrintJob.claimDue();
+      if (!job) break;
+
+      await this.send(job);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Reprint a lost ticket
+   * @param {Token} token - Token document
+   * @param {string} printerId - Printer to use (optional)
+   * @param {string} userId - Requesting user
+   * @returns {Promise<PrintJob>}
+   */
+  async reprint(token, printerId, userId) {
+    const printer = printerId
+      ? await Printer.findOne({ _id: printerId, active: true, archived: false })
+      : await this.findPrinterFor(token);
+
+    if (!printer) {
+      throw new AppError('No active printer available for this token', 404);
+    }
+
+    return this.printToken(token, printer, { kind: 'reprint', userId });
+  }
+}
+
+module.exports = new PrintService();
@@ -0,0 +1,107 @@
+const EscPosBuilder = require('./escpos');
+
+// Characters per line in the printer's default font
+const LINE_WIDTHS = { 58: 32, 80: 48 };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Local date and time as "2024-12-01 14:05"
+ */
+const formatIssueTime = (date) => {
+  const time = new Date(date);
+  return `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())} ` +
+    `${pad(time.getHours())}:${pad(time.getMinutes())}`;
+};
+
+/**
+ * Render a token ticket as an ESC/POS byte stream
+ * @param {Object} ticket - Ticket contents
+ * @param {string} ticket.departmentName - Department name
+ * @param {string} ticket.displayNumber - Token display number
+ * @param {string} ticket.serviceType - Service type name or code
+ * @param {Date} ticket.issuedAt - Issue time
+ * @param {number} ticket.position - Place in the queue (optional)
+ * @param {number} ticket.estimatedWaitTime - ETA in minutes (optional)
+ * @param {string} ticket.trackingUrl - Printed as a QR code (optional)
+ * @param {boolean} ticket.reprint - Mark the ticket as a copy
+ * @param {Object} options - { paperWidth: 58|80 }
+ * @returns {Buffer}
+ */
+const renderTicket = (ticket, options = {}) => {
+  const width = LINE_WIDTHS[options.paperWidth] || LINE_WIDTHS[80];
+  const printer = new EscPosBuilder();
+
+  printer
+    .align('center')
+    .bold().size(1, 2).line(ticket.departmentName).size(1).bold(false)
+    .feed(1)
+    .line('Your token number')
+    .bold().size(4).line(ticket.displayNumber).size(1).bold(false);
+
+  if (ticket.serviceType) {
+    printer.line(ticket.serviceType);
+  }
+
+  if (ticket.reprint) {
+    printer.bold().line('** REPRINT **').bold(false);
+  }
+
+  printer
+    .feed(1)
+    .align('left')
+    .rule(width)
+    .row('Issued', formatIssueTime(ticket.issuedAt), width);
+
+  if (ticket.position) {
+    printer.row('Position in queue', ticket.position, width);
+  }
+
+  if (ticket.estimatedWaitTime !== undefined && ticket.estimatedWaitTime !== null) {
+    printer.row('Estimated wait', `~${Math.round(ticket.estimatedWaitTime)} min`, width);
+  }
+
+  printer.rule(width);
+
+  if (ticket.trackingUrl) {
+    printer
+      .align('center')
+      .feed(1)
+      .qr(ticket.trackingUrl, { size: width === LINE_WIDTHS[58] ? 5 : 6 })
+      .line('Scan to follow your place in the queue');
+  }
+
+  return printer
+    .align('center')
+    .feed(1)
+    .line('Please wait for your number to be called')
+    .feed(3)
+    .cut()
+    .toBuffer();
+};
+
+/**
+ * A short page for checking a printer's connection and paper
+ * @param {Printer} printerDoc - Printer document
+ * @returns {Buffer}
+ */
+const renderTestPage = (printerDoc) => {
+  const width = LINE_WIDTHS[printerDoc.paperWidth] || LINE_WIDTHS[80];
+
+  return new EscPosBuilder()
+    .align('center')
+    .bold().line('Printer test').bold(false)
+    .line(printerDoc.name)
+    .line(formatIssueTime(new Date()))
+    .rule(width)
+    .align('left')
+    .line('0123456789'.repeat(Math.ceil(width / 10)).slice(0, width))
+    .feed(3)
+    .cut()
+    .toBuffer();
+};
+
+module.exports = {
+  renderTicket,
+  renderTestPage
+};
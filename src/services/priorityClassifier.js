@@ -0,0 +1,139 @@
+const DEFAULT_PRIORITY = 5;
+const MAX_PRIORITY = 10;
+
+/**
+ * Where a token stands with its appointment: walk_in, on_time or late
+ */
+const appointmentStatus = (request, now) => {
+  if (!request.appointmentId) return 'walk_in';
+  if (!request.scheduledTime) return 'on_time';
+
+  return now <= new Date(request.scheduledTime) ? 'on_time' : 'late';
+};
+
+class PriorityClassifier {
+  /**
+   * Whether every condition a rule sets holds
+   * @param {Object} rule - Department priority rule
+   * @param {Object} facts - { customer, serviceType, appointment }
+   * @returns {Boolean}
+   */
+  matches(rule, facts) {
+    const { customer, serviceType, appointment } = facts;
+    const age = customer.age;
+
+    if (rule.customerTypes && rule.customerTypes.length > 0 && !rule.customerTypes.includes(customer.customerType)) {
+      return false;
+    }
+
+    if (rule.minAge !== undefined && rule.minAge !== null && (age === null || age < rule.minAge)) {
+      return false;
+    }
+
+    if (rule.maxAge !== undefined && rule.maxAge !== null && (age === null || age > rule.maxAge)) {
+      return false;
+    }
+
+    if (rule.accessibilityNeeds && rule.accessibilityNeeds.length > 0 &&
+      !rule.accessibilityNeeds.some(need => (customer.accessibilityNeeds || []).includes(need))) {
+      return false;
+    }
+
+    if (rule.serviceTypes && rule.serviceTypes.length > 0 &&
+      !rule.serviceTypes.some(type => type.toUpperCase() === String(serviceType || '').toUpperCase())) {
+      return false;
+    }
+
+    if (rule.appointment) {
+      const booked = appointment !== 'walk_in';
+      if (rule.appointment === 'booked' ? !booked : rule.appointment !== appointment) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Initial priority of a new token and the reasons for it. The token gets
+   * the highest of its service type's priority, the customer's own
+   * priority, the appointment check-in bump and the department's matching
+   * rules; every reason above the default is kept, deciding reason first.
+   * An explicit priority from staff overrides all of them.
+   * @param {Object} request - Issuance request (priority, appointmentId, scheduledTime)
+   * @param {Customer} customer - Customer document
+   * @param {Department} department - Department with priorityRules and settings
+   * @param {Object} serviceType - Department service type (optional)
+   * @param {Date} now - Reference time (optional)
+   * @returns {{priority: Number, reasons: Object[]}}
+   */
+  classify(request, customer, department, serviceType, now = new Date()) {
+    if (request.priority !== undefined && request.priority !== null) {
+      return {
+        priority: request.priority,
+        reasons: [{ source: 'manual', priority: request.priority, explanation: 'Set by staff when the token was issued' }]
+      };
+    }
+
+    const reasons = [];
+    const basePriority = serviceType ? serviceType.priority : DEFAULT_PRIORITY;
+    const appointment = appointmentStatus(request, now);
+
+    if (serviceType && serviceType.priority > DEFAULT_PRIORITY) {
+      reasons.push({
+        source: 'service_type',
+        priority: serviceType.priority,
+        explanation: `${serviceType.name} is a priority service`
+      });
+    }
+
+    if (customer.priority > DEFAULT_PRIORITY) {
+      reasons.push({
+        source: 'customer',
+        priority: customer.priority,
+        explanation: `Customer has priority ${customer.priority} on their profile`
+      });
+    }
+
+    const bump = department.appointmentSettings ? department.appointmentSettings.priorityBump : 0;
+    if (appointment !== 'walk_in' && bump > 0) {
+      reasons.push({
+        source: 'appointment',
+        priority: Math.min(MAX_PRIORITY, basePriority + bump),
+        explanation: 'Checked in for a booked appointment'
+      });
+    }
+
+    const facts = {
+      customer,
+      serviceType: serviceType ? serviceType.code : request.serviceType,
+      appointment
+    };
+
+    for (const rule of department.priorityRules || []) {
+      if (rule.active === false || !this.matches(rule, facts)) continue;
+
+      reasons.push({
+        source: 'rule',
+        rule: rule.name,
+        priority: rule.priority,
+        explanation: rule.explanation
+      });
+    }
+
+    const priority = reasons.reduce(
+      (highest, reason) => Math.max(highest, reason.priority),
+      Math.max(basePriority, customer.priority || DEFAULT_PRIORITY)
+    );
+
+    // Stable sort keeps the department's rule order among equal priorities
+    return {
+      priority,
+      reasons: reasons
+        .filter(reason => reason.priority > DEFAULT_PRIORITY)
+        .sort((a, b) => b.priority - a.priority)
+    };
+  }
+}
+
+module.exports = new PriorityClassifier();
@@ -1,6 +1,7 @@
 const Queue = require('../models/Queue');
 const Project = require('../models/Project');
 const User = require('../models/User');
+const webhookService = require('./webhookService');
 const logger = require('../utils/logger');
 
 class QueueService {
@@ -22,6 +23,7 @@ class QueueService {
       });
 
       await queue.save();
+      await webhookService.syncQueueSubscription(queue);
       logger.info(`Queue created: ${queue.name} by user ${userId}`);
       return queue;
     } catch (error) {
@@ -118,6 +120,7 @@ class QueueService {
       });
 
       await queue.save();
+      await webhookService.syncQueueSubscription(queue);
       logger.info(`Queue updated: ${queue.name} by user ${userId}`);
       return queue;
     } catch (error) {
@@ -171,6 +174,11 @@ class QueueService {
         await this.processNextProject(queueId);
       }
 
+      this.publishQueueEvent('queue.project_added', queue, { project: webhookService.summarizeProject(project), position });
+      if (queue.stats.currentSize >= queue.capacity) {
+        this.publishQueueEvent('queue.full', queue);
+      }
+
       logger.info(`Project ${project.name} added to queue ${queue.name} at position ${position}`);
       return { queue, project, position };
     } catch (error) {
@@ -205,6 +213,10 @@ class QueueService {
 
       await queue.removeProject(project);
 
+      if (queue.stats.currentSize === 0) {
+        this.publishQueueEvent('queue.empty', queue);
+      }
+
       logger.info(`Project ${project.name} removed from queue ${queue.name}`);
       return { queue, project };
     } catch (error) {
@@ -458,6 +470,7 @@ class QueueService {
       queue.archivedAt = new Date();
       queue.status = 'disabled';
       await queue.save();
+      await webhookService.syncQueueSubscription(queue);
 
       logger.info(`Queue archived: ${queue.name} by user ${userId}`);
       return queue;
@@ -507,6 +520,18 @@ class QueueService {
       throw error;
     }
   }
+
+  /**
+   * Publish a queue webhook event without holding up the queue operation
+   * @param {String} event - Event name
+   * @param {Queue} queue - Queue document
+   * @param {Object} extra - Extra event data
+   */
+  publishQueueEvent(event, queue, extra) {
+    webhookService.publishQueueEvent(event, queue, extra).catch(error => {
+      logger.error(`Error publishing ${event} webhook:`, error);
+    });
+  }
 }
 
 module.exports = new QueueService();
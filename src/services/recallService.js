@@ -0,0 +1,261 @@
+const Token = require('../models/Token');
+const Department = require('../models/Department');
+const routingService = require('./routingService');
+const tokenEvents = require('./tokenEvents');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { startOfToday } = require('../utils/dates');
+
+const MINUTE = 60 * 1000;
+const ACTIVE_STATUSES = ['waiting', 'called', 'in_service', 'parked'];
+const NO_SHOW_BATCH_SIZE = 100;
+
+/**
+ * Whether a counter would call token a before token b (see QUEUE_ORDER)
+ */
+const comesBefore = (a, b) => {
+  if (a.effectivePriority !== b.effectivePriority) return a.effectivePriority > b.effectivePriority;
+  if (a.queuePosition !== b.queuePosition) return a.queuePosition < b.queuePosition;
+  return a.issuedAt < b.issuedAt;
+};
+
+class RecallService {
+  /**
+   * Load the recall policy of a token's department
+   * @param {String} departmentId - Department ID
+   * @returns {Promise<Object>}
+   */
+  async getPolicy(departmentId) {
+    const department = await Department.findById(departmentId).select('recallPolicy');
+    if (!department) {
+      throw new AppError('Department not found', 404);
+    }
+
+    return department.recallPolicy;
+  }
+
+  /**
+   * Announce the token called to a counter again, up to the department's
+   * recall limit
+   * @param {Token} token - Called token
+   * @param {String} userId - Operator
+   * @returns {Promise<Token>}
+   */
+  async recall(token, userId) {
+    const policy = await this.getPolicy(token.department);
+
+    if (token.recall.count >= policy.maxRecalls) {
+      throw new AppError(`Token ${token.displayNumber} has been recalled ${token.recall.count} times; skip it instead`, 409);
+    }
+
+    return token.recallToken(userId);
+  }
+
+  /**
+   * The customer did not answer the call. Free the counter and, while the
+   * department allows it, move the token back in the queue; otherwise hold
+   * it until the no-show timeout runs out.
+   * @param {Token} token - Called token
+   * @param {Counter} counter - Counter the token was called to
+   * @param {String} userId - Operator
+   * @returns {Promise<Token>}
+   */
+  async skip(token, counter, userId) {
+    const policy = await this.getPolicy(token.department);
+    const canRequeue = policy.requeueAction !== 'none' && token.recall.requeues < policy.maxRequeues;
+
+    if (canRequeue) {
+      await this.requeue(token, policy, counter, userId);
+    } else {
+      await this.hold(token, policy, counter, userId);
+    }
+
+    await counter.releaseCurrentToken();
+
+    return token;
+  }
+
+  /**
+   * Put a skipped token back in line, K places behind where it was or at the
+   * end. Places are counted in the order counters call tokens, so the token
+   * takes the effective priority of the slot it lands in and ages again from
+   * there (see agingService).
+   * @param {Token} token - Called token
+   * @param {Object} policy - Department recall policy
+   * @param {Counter} counter - Counter the token was called to
+   * @param {String} userId - Operator
+   * @returns {Promise<Token>}
+   */
+  async requeue(token, policy, counter, userId) {
+    const queue = await Token.find({
+      _id: { $ne: token._id },
+      department: token.department,
+      status: 'waiting',
+      businessDate: { $gte: startOfToday() }
+    })
+      .sort(routingService.QUEUE_ORDER)
+      .select('effectivePriority queuePosition issuedAt');
+
+    // The token's own slot: how many waiting tokens would still come before it
+    const ownSlot = queue.findIndex(peer => !comesBefore(peer, token));
+    const slot = ownSlot === -1 ? queue.length : ownSlot;
+    const target = policy.requeueAction === 'end'
+      ? queue.length
+      : Math.min(slot + policy.requeuePositions, queue.length);
+    const places = target - slot;
+
+    if (places > 0) {
+      const ahead = queue[target - 1];
+      const behind = queue[target];
+      token.effectivePriority = ahead.effectivePriority;
+      token.queuePosition = behind && behind.effectivePriority === ahead.effectivePriority
+        ? (ahead.queuePosition + behind.queuePosition) / 2
+        : ahead.queuePosition + 1;
+    }
+
+    token.status = 'waiting';
+    token.counter = undefined;
+    token.calledAt = undefined;
+    token.lastModifiedBy = userId;
+    token.notifications.nearTurn = false;
+    token.recall.requeues += 1;
+    token.recall.requeuedAt = new Date();
+    token.recall.requeuedPriority = token.effectivePriority;
+    token.recall.history.push({
+      action: 'requeued',
+      counter: counter._id,
+      by: userId,
+      queuePosition: token.queuePosition
+    });
+
+    await token.save();
+    tokenEvents.publish('requeued', token, { fromCounter: String(counter._id), places });
+
+    logger.info(`Token ${token.tokenNumber} requeued ${places} places back`);
+    return token;
+  }
+
+  /**
+   * Take a skipped token off the counter and mark it no_show once the
+   * department's timeout passes, unless staff reinstate it first
+   * @param {Token} token - Called token
+   * @param {Object} policy - Department recall policy
+   * @param {Counter} counter - Counter the token was called to
+   * @param {String} userId - Operator
+   * @returns {Promise<Token>}
+   */
+  async hold(token, policy, counter, userId) {
+    if (policy.noShowTimeoutMinutes === 0) {
+      return token.markNoShow(userId);
+    }
+
+    // The counter moves on; recall.history keeps where the token was called
+    token.counter = undefined;
+    token.lastModifiedBy = userId;
+    token.recall.noShowAt = new Date(Date.now() + policy.noShowTimeoutMinutes * MINUTE);
+    token.recall.history.push({ action: 'skipped', counter: counter._id, by: userId });
+
+    await token.save();
+    tokenEvents.publish('skipped', token, {
+      noShowAt: token.recall.noShowAt.toISOString(),
+      fromCounter: String(counter._id)
+    });
+
+    logger.info(`Token ${token.tokenNumber} skipped; no-show at ${token.recall.noShowAt.toISOString()}`);
+    return token;
+  }
+
+  /**
+   * Put a late customer's token back in the queue at its old place. Works
+   * for held tokens and, within the department's grace window, for tokens
+   * already marked no_show.
+   * @param {Token} token - Held or no_show token
+   * @param {String} userId - Staff member
+   * @param {String} reason - Optional note
+   * @returns {Promise<Token>}
+   */
+  async reinstate(token, userId, reason) {
+    const held = token.status === 'called' && token.recall.noShowAt;
+    const missed = token.status === 'no_show' && token.recall.noShowMarkedAt;
+
+    if (!held && !missed) {
+      throw new AppError('Only skipped or no-show tokens can be reinstated', 409);
+    }
+
+    if (token.businessDate < startOfToday()) {
+      throw new AppError('Tokens from an earlier day cannot be reinstated', 409);
+    }
+
+    if (missed) {
+      const policy = await this.getPolicy(token.department);
+      const graceEndsAt = token.recall.noShowMarkedAt.getTime() + policy.reinstateGraceMinutes * MINUTE;
+
+      if (Date.now() > graceEndsAt) {
+        throw new AppError(`The ${policy.reinstateGraceMinutes} minute reinstate window has passed`, 409);
+      }
+
+      const activeToken = await Token.findOne({
+        _id: { $ne: token._id },
+        customer: token.customer,
+        status: { $in: ACTIVE_STATUSES },
+        businessDate: { $gte: startOfToday() }
+      });
+
+      if (activeToken) {
+        throw new AppError(`Customer already has an active token (${activeToken.displayNumber})`, 409);
+      }
+    }
+
+    token.status = 'waiting';
+    token.counter = undefined;
+    token.calledAt = undefined;
+    token.lastModifiedBy = userId;
+    token.notifications.nearTurn = false;
+    token.recall.count = 0;
+    token.recall.noShowAt = undefined;
+    token.recall.noShowMarkedAt = undefined;
+    token.recall.history.push({ action: 'reinstated', by: userId, queuePosition: token.queuePosition, reason });
+
+    await token.save();
+    tokenEvents.publish('reinstated', token);
+
+    logger.info(`Token ${token.tokenNumber} reinstated`);
+    return token;
+  }
+
+  /**
+   * Mark held tokens whose no-show timeout has passed
+   * @returns {Promise<Number>} number of tokens marked no_show
+   */
+  async processNoShows() {
+    const due = await Token.find({
+      status: 'called',
+      'recall.noShowAt': { $lte: new Date() }
+    })
+      .limit(NO_SHOW_BATCH_SIZE)
+      .select('_id');
+
+    let marked = 0;
+
+    for (const { _id } of due) {
+      // Claim first so a reinstate at the same moment wins or loses cleanly
+      const token = await Token.findOneAndUpdate(
+        { _id, status: 'called', 'recall.noShowAt': { $lte: new Date() } },
+        { $set: { status: 'no_show' } },
+        { new: true }
+      );
+      if (!token) continue;
+
+      await token.markNoShow(token.lastModifiedBy);
+      marked++;
+    }
+
+    if (marked > 0) {
+      logger.info(`Marked ${marked} skipped tokens as no-show`);
+    }
+
+    return marked;
+  }
+}
+
+module.exports = new RecallService();
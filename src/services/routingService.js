@@ -0,0 +1,146 @@
+const Token = require('../models/Token');
+const { startOfToday } = require('../utils/dates');
+
+// Order in which waiting tokens are offered to a counter; effectivePriority
+// includes what a token gained by waiting (see agingService)
+const QUEUE_ORDER = { effectivePriority: -1, queuePosition: 1, issuedAt: 1 };
+
+/**
+ * Build a case-insensitive exact matcher for a service type code
+ */
+const serviceTypeMatcher = (type) => new RegExp(`^${type.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+const normalize = (types = []) => types.map(type => String(type).trim().toUpperCase()).filter(Boolean);
+
+class RoutingService {
+  /**
+   * Service types a counter serves directly and as a fallback.
+   * A counter with no declared service types serves everything.
+   * @param {Counter} counter - Counter document
+   * @returns {{primary: String[], fallback: String[], servesAll: Boolean}}
+   */
+  getServiceTypes(counter) {
+    const primary = normalize(counter.serviceTypes);
+    const fallback = normalize(counter.fallbackServiceTypes).filter(type => !primary.includes(type));
+
+    return { primary, fallback, servesAll: primary.length === 0 };
+  }
+
+  /**
+   * Whether a counter may serve a token of the given service type
+   * @param {Counter} counter - Counter document
+   * @param {String} serviceType - Token service type
+   * @returns {Boolean}
+   */
+  canServe(counter, serviceType) {
+    const { primary, fallback, servesAll } = this.getServiceTypes(counter);
+    if (servesAll) return true;
+
+    const type = String(serviceType || '').toUpperCase();
+    return primary.includes(type) || fallback.includes(type);
+  }
+
+  /**
+   * Mongo filter for today's waiting tokens a counter may serve. Tokens
+   * back from parking wait for the counter that parked them only.
+   * @param {Counter} counter - Counter document
+   * @param {String[]} serviceTypes - Restrict to these service types (omit for no restriction)
+   * @param {Object} options - {readyOnly} to skip customers who said they are running late
+   * @returns {Object}
+   */
+  buildQueueFilter(counter, serviceTypes, options = {}) {
+    const filter = {
+      department: counter.department,
+      status: 'waiting',
+      businessDate: { $gte: startOfToday() },
+      $or: [{ 'parking.returnedAt': null }, { counter: counter._id }]
+    };
+
+    if (serviceTypes) {
+      filter.serviceType = { $in: serviceTypes.map(serviceTypeMatcher) };
+    }
+
+    if (options.readyOnly) {
+      filter['lateArrival.expectedAt'] = { $not: { $gt: new Date() } };
+    }
+
+    return filter;
+  }
+
+  /**
+   * Waiting tokens this counter is eligible for, in call order
+   * @param {Counter} counter - Counter document
+   * @returns {Promise<Token[]>}
+   */
+  async getEligibleQueue(counter) {
+    const { primary, fallback, servesAll } = this.getServiceTypes(counter);
+    const serviceTypes = servesAll ? undefined : [...primary, ...fallback];
+
+    return Token.find(this.buildQueueFilter(counter, serviceTypes))
+      .sort(QUEUE_ORDER)
+      .populate('customer', 'firstName lastName');
+  }
+
+  /**
+   * Take the first waiting token matching a filter for a counter. Finding
+   * and marking it called is one write, so two counters calling at the same
+   * moment never get the same token.
+   * @param {Counter} counter - Counter document
+   * @param {Object} filter - Waiting token filter
+   * @param {Object} sort - Order to pick in
+   * @returns {Promise<Token|null>}
+   */
+  claim(counter, filter, sort) {
+    return Token.findOneAndUpdate(
+      { ...filter, status: 'waiting' },
+      { $set: { status: 'called', counter: counter._id, calledAt: new Date() } },
+      { sort, new: true }
+    );
+  }
+
+  /**
+   * Claim the next token for a counter. Tokens for the counter's own service
+   * types always come first; fallback service types are only offered when
+   * none of those are waiting. Late customers keep their place but are not
+   * called before the time they said they would arrive. Customers back
+   * from parking at this counter come before anyone else. The token comes
+   * back already marked called to the counter; see claim.
+   * @param {Counter} counter - Counter document
+   * @param {Object} options - {serviceType} to only consider one eligible service type
+   * @returns {Promise<Token|null>}
+   */
+  async nextTokenFor(counter, options = {}) {
+    const returned = await this.claim(counter, {
+      counter: counter._id,
+      'parking.returnedAt': { $ne: null },
+      businessDate: { $gte: startOfToday() }
+    }, { 'parking.returnedAt': 1 });
+    if (returned) return returned;
+
+    const { primary, fallback, servesAll } = this.getServiceTypes(counter);
+    const findNext = (serviceTypes) => this.claim(
+      counter,
+      this.buildQueueFilter(counter, serviceTypes, { readyOnly: true }),
+      QUEUE_ORDER
+    );
+
+    if (options.serviceType) {
+      if (!this.canServe(counter, options.serviceType)) return null;
+      return findNext([options.serviceType]);
+    }
+
+    if (servesAll) {
+      return findNext();
+    }
+
+    const token = await findNext(primary);
+    if (token || fallback.length === 0) return token;
+
+    return findNext(fallback);
+  }
+}
+
+const routingService = new RoutingService();
+routingService.QUEUE_ORDER = QUEUE_ORDER;
+
+module.exports = routingService;
@@ -2,6 +2,20 @@ const cron = require('node-cron');
 const Queue = require('../models/Queue');
 const Project = require('../models/Project');
 const User = require('../models/User');
+const appointmentService = require('./appointmentService');
+const recallService = require('./recallService');
+const parkingService = require('./parkingService');
+const waitTimeEstimator = require('./waitTimeEstimator');
+const notificationDispatcher = require('./notifications');
+const webhookService = require('./webhookService');
+const paymentGateway = require('./payments');
+const announcementService = require('./announcements');
+const printService = require('./printing');
+const agingService = require('./agingService');
+const slaMonitor = require('./slaMonitor');
+const overflowService = require('./overflowService');
+const surveyService = require('./surveyService');
+const deviceService = require('./deviceService');
 const logger = require('../utils/logger');
 
 class Scheduler {
@@ -124,6 +138,135 @@ class Scheduler {
       }
     });
 
+    // Record missed appointment slots every 5 minutes
+    this.addTask('appointment-no-shows', '*/5 * * * *', async () => {
+      try {
+        await appointmentService.recordNoShows();
+      } catch (error) {
+        logger.error('Error recording appointment no-shows:', error);
+      }
+    });
+
+    // Mark skipped tokens whose no-show timeout has passed every minute
+    this.addTask('token-no-shows', '* * * * *', async () => {
+      try {
+        await recallService.processNoShows();
+      } catch (error) {
+        logger.error('Error marking token no-shows:', error);
+      }
+    });
+
+    // Raise the priority of tokens that have waited long every minute
+    this.addTask('token-aging', '* * * * *', async () => {
+      try {
+        await agingService.refreshAll();
+      } catch (error) {
+        logger.error('Error aging waiting tokens:', error);
+      }
+    });
+
+    // Escalate waits approaching or past the department SLA every minute
+    this.addTask('sla-monitor', '* * * * *', async () => {
+      try {
+        await slaMonitor.checkAll();
+      } catch (error) {
+        logger.error('Error checking SLAs:', error);
+      }
+    });
+
+    // Move or offer tokens from overloaded departments every minute
+    this.addTask('overflow-rules', '* * * * *', async () => {
+      try {
+        await overflowService.runAll();
+      } catch (error) {
+        logger.error('Error running overflow rules:', error);
+      }
+    });
+
+    // Refresh waiting token ETAs every 2 minutes as service progresses
+    this.addTask('refresh-wait-times', '*/2 * * * *', async () => {
+      try {
+        await waitTimeEstimator.refreshAll();
+      } catch (error) {
+        logger.error('Error refreshing wait times:', error);
+      }
+    });
+
+    // Retry failed notification deliveries every minute
+    this.addTask('notification-retries', '* * * * *', async () => {
+      try {
+        await notificationDispatcher.processRetryQueue();
+      } catch (error) {
+        logger.error('Error retrying notifications:', error);
+      }
+    });
+
+    // Retry due webhook deliveries every minute
+    this.addTask('webhook-deliveries', '* * * * *', async () => {
+      try {
+        await webhookService.processDueDeliveries();
+      } catch (error) {
+        logger.error('Error delivering webhooks:', error);
+      }
+    });
+
+    // Settle UPI payments whose gateway callbacks never arrived
+    this.addTask('payment-reconciliation', '*/2 * * * *', async () => {
+      try {
+        await paymentGateway.reconcile();
+      } catch (error) {
+        logger.error('Error reconciling payments:', error);
+      }
+    });
+
+    // Remove day-old announcements and their audio files every hour
+    this.addTask('announcement-cleanup', '15 * * * *', async () => {
+      try {
+        const removed = await announcementService.cleanup();
+        if (removed > 0) logger.info(`Removed ${removed} old announcements`);
+      } catch (error) {
+        logger.error('Error cleaning up announcements:', error);
+      }
+    });
+
+    // Retry ticket print jobs that failed every minute
+    this.addTask('print-jobs', '* * * * *', async () => {
+      try {
+        await printService.processDueJobs();
+      } catch (error) {
+        logger.error('Error retrying print jobs:', error);
+      }
+    });
+
+    // Close unanswered feedback surveys every hour
+    this.addTask('survey-expiry', '30 * * * *', async () => {
+      try {
+        const expired = await surveyService.expireSurveys();
+        if (expired > 0) logger.info(`Expired ${expired} unanswered surveys`);
+      } catch (error) {
+        logger.error('Error expiring surveys:', error);
+      }
+    });
+
+    // Flag counter devices that stopped sending heartbeats every minute
+    this.addTask('device-health', '* * * * *', async () => {
+      try {
+        const offline = await deviceService.checkOffline();
+        if (offline > 0) logger.warn(`${offline} counter device(s) went offline`);
+      } catch (error) {
+        logger.error('Error checking device health:', error);
+      }
+    });
+
+    // Cancel tokens still parked when the day ends
+    this.addTask('parked-token-expiry', '55 23 * * *', async () => {
+      try {
+        await parkingService.expireParked();
+      } catch (error) {
+        logger.error('Error expiring parked tokens:', error);
+      }
+    });
+
     logger.info('Core scheduled tasks started');
   }
 
@@ -290,6 +433,12 @@ class Scheduler {
    */
   async sendOverdueNotifications() {
     try {
+      // Reminders go by email only; without the channel they could never be delivered
+      if (!notificationDispatcher.getEnabledChannels().has('email')) {
+        logger.debug('Email notifications are not enabled; skipping overdue project reminders');
+        return;
+      }
+
       const overdueProjects = await Project.find({
         deadline: { $lt: new Date() },
         status: { $nin: ['completed', 'cancelled', 'failed'] },
@@ -321,9 +470,16 @@ class Scheduler {
 
       // Send notifications to each user
       for (const [userId, data] of userProjects) {
-        if (data.user.preferences?.notifications?.email?.projectDue) {
-          // TODO: Implement email notification service
-          logger.info(`Would send overdue notification to ${data.user.email} for ${data.projects.length} projects`);
+        if (data.user.preferences?.notifications?.email?.projectDue && data.user.email) {
+          await notificationDispatcher.notify(
+            'project_overdue',
+            [{ channel: 'email', recipient: data.user.email }],
+            {
+              count: data.projects.length,
+              projectNames: data.projects.map(project => project.name).join(', ')
+            },
+            { user: userId }
+          );
         }
       }
 
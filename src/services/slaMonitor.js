@@ -0,0 +1,207 @@
+const Escalation = require('../models/Escalation');
+const Token = require('../models/Token');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const notificationDispatcher = require('./notifications');
+const logger = require('../utils/logger');
+const { startOfToday } = require('../utils/dates');
+
+const MINUTE = 60 * 1000;
+const DUPLICATE_KEY = 11000;
+const TOKEN_TRIGGERS = ['sla_warning', 'sla_breach'];
+
+const TEMPLATES = {
+  sla_warning: 'sla_warning',
+  sla_breach: 'sla_breach',
+  queue_length: 'sla_queue_length'
+};
+
+class SlaMonitor {
+  /**
+   * Check every department with tokens waiting today, and close queue
+   * length escalations in departments whose queue has emptied
+   * @returns {Promise<Number>} escalations raised
+   */
+  async checkAll() {
+    const [waitingIn, escalatedIn] = await Promise.all([
+      Token.distinct('department', { status: 'waiting', businessDate: { $gte: startOfToday() } }),
+      Escalation.distinct('department', { status: { $ne: 'resolved' } })
+    ]);
+
+    const departmentIds = new Set([...waitingIn, ...escalatedIn].map(String));
+
+    let raised = 0;
+    for (const departmentId of departmentIds) {
+      try {
+        raised += await this.checkDepartment(departmentId);
+      } catch (error) {
+        logger.error(`Error checking SLA for department ${departmentId}:`, error);
+      }
+    }
+
+    return raised;
+  }
+
+  /**
+   * Compare a department's waiting tokens against its maxWaitTime and its
+   * queue against the length threshold, raising and clearing escalations
+   * @param {String} departmentId - Department ID
+   * @returns {Promise<Number>} escalations raised
+   */
+  async checkDepartment(departmentId) {
+    const department = await Department.findById(departmentId)
+      .select('name queueSettings slaSettings staff managedBy archived');
+    if (!department) return 0;
+
+    const waiting = await Token.find({
+      department: department._id,
+      status: 'waiting',
+      businessDate: { $gte: startOfToday() }
+    }).select('displayNumber issuedAt journey');
+
+    await this.resolveCleared(department, waiting);
+
+    const settings = department.slaSettings;
+    if (!settings || !settings.enabled || department.archived) return 0;
+
+    const slaMinutes = department.queueSettings.maxWaitTime;
+    const warnAfter = settings.warningPercent > 0 ? slaMinutes * settings.warningPercent / 100 : Infinity;
+    const now = Date.now();
+    let raised = 0;
+
+    for (const token of waiting) {
+      const waitMinutes = Math.floor((now - token.waitingSince) / MINUTE);
+
+      let type = null;
+      if (waitMinutes >= slaMinutes) type = 'sla_breach';
+      else if (waitMinutes >= warnAfter) type = 'sla_warning';
+      if (!type) continue;
+
+      const escalation = await this.raise(department, type, {
+        token: token._id,
+        waitMinutes,
+        slaMinutes,
+        message: `Token ${token.displayNumber} has waited ${waitMinutes} of ${slaMinutes} minutes`
+      }, { displayNumber: token.displayNumber });
+
+      if (!escalation) continue;
+      raised++;
+
+      if (type === 'sla_breach') {
+        await Escalation.updateMany(
+          { token: token._id, type: 'sla_warning', status: { $ne: 'resolved' } },
+          { $set: { status: 'resolved', resolvedAt: new Date(), resolution: 'Escalated to breach', autoResolved: true } }
+        );
+      }
+    }
+
+    const threshold = settings.queueLengthThreshold;
+    if (threshold > 0 && waiting.length > threshold) {
+      const open = await Escalation.exists({
+        department: department._id,
+        type: 'queue_length',
+        status: { $ne: 'resolved' }
+      });
+
+      if (!open) {
+        await this.raise(department, 'queue_length', {
+          queueLength: waiting.length,
+          threshold,
+          message: `${waiting.length} tokens waiting, above the threshold of ${threshold}`
+        });
+        raised++;
+      }
+    }
+
+    return raised;
+  }
+
+  /**
+   * Record an escalation and alert the department's managers. Each token is
+   * escalated once per trigger.
+   * @param {Department} department - Department document
+   * @param {String} type - Escalation type
+   * @param {Object} fields - Measured values and message
+   * @param {Object} extra - Extra template data
+   * @returns {Promise<Escalation|null>} null when the token was already escalated
+   */
+  async raise(department, type, fields, extra = {}) {
+    const managers = await this.getManagers(department);
+
+    let escalation;
+    try {
+      escalation = await Escalation.create({
+        ...fields,
+        department: department._id,
+        type,
+        notified: managers.map(manager => manager._id)
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) return null;
+      throw error;
+    }
+
+    logger.warn(`SLA ${type} in ${department.name}: ${escalation.message}`);
+
+    notificationDispatcher.notifyStaff(TEMPLATES[type], managers, {
+      departmentName: department.name,
+      waitMinutes: fields.waitMinutes,
+      slaMinutes: fields.slaMinutes,
+      queueLength: fields.queueLength,
+      threshold: fields.threshold,
+      escalationId: String(escalation._id),
+      ...extra
+    }, { token: fields.token }).catch(error => {
+      logger.error(`Error alerting managers of escalation ${escalation._id}:`, error);
+    });
+
+    return escalation;
+  }
+
+  /**
+   * Managers listed in the department's staff, or the department's
+   * managing user when none are
+   * @param {Department} department - Department document
+   * @returns {Promise<User[]>}
+   */
+  async getManagers(department) {
+    const ids = department.staff
+      .filter(member => member.role === 'manager' && member.user)
+      .map(member => member.user);
+
+    if (ids.length === 0 && department.managedBy) {
+      ids.push(department.managedBy);
+    }
+
+    if (ids.length === 0) return [];
+
+    return User.find({ _id: { $in: ids }, status: 'active' }).select('email profile.phone');
+  }
+
+  /**
+   * Close escalations whose condition no longer holds: the token left the
+   * queue, or the queue dropped back under the threshold
+   * @param {Department} department - Department document
+   * @param {Token[]} waiting - Tokens waiting now
+   * @returns {Promise<void>}
+   */
+  async resolveCleared(department, waiting) {
+    const now = new Date();
+    const autoResolve = (filter, resolution) => Escalation.updateMany(
+      { ...filter, department: department._id, status: { $ne: 'resolved' } },
+      { $set: { status: 'resolved', resolvedAt: now, resolution, autoResolved: true } }
+    );
+
+    await autoResolve(
+      { type: { $in: TOKEN_TRIGGERS }, token: { $nin: waiting.map(token => token._id) } },
+      'Token left the queue'
+    );
+
+    const threshold = department.slaSettings && department.slaSettings.queueLengthThreshold;
+    if (!threshold || waiting.length <= threshold) {
+      await autoResolve({ type: 'queue_length' }, 'Queue back under the threshold');
+    }
+  }
+}
+
+module.exports = new SlaMonitor();
@@ -0,0 +1,359 @@
+const Survey = require('../models/Survey');
+const Token = require('../models/Token');
+const Department = require('../models/Department');
+const Counter = require('../models/Counter');
+const tokenEvents = require('./tokenEvents');
+const notificationDispatcher = require('./notifications');
+const slaMonitor = require('./slaMonitor');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+const DUPLICATE_KEY = 11000;
+const TEXT_LIMIT = 1000;
+
+// Asked when a department enables surveys without configuring questions
+const DEFAULT_QUESTIONS = [
+  { key: 'nps', type: 'nps', label: 'How likely are you to recommend us to a friend or colleague?', required: true },
+  { key: 'comment', type: 'text', label: 'Is there anything we could have done better?', required: false }
+];
+
+// How the dimensions of the satisfaction report map to survey fields
+const GROUP_FIELDS = {
+  operator: '$servedBy',
+  counter: '$counter',
+  serviceType: '$serviceType',
+  department: '$department'
+};
+
+/**
+ * Token.satisfactionRating is 1-5; surveys without a rating question derive it from NPS
+ */
+const ratingFromNps = (nps) => Math.min(5, Math.floor(nps / 2) + 1);
+
+class SurveyService {
+  constructor() {
+    this.started = false;
+  }
+
+  /**
+   * Send a survey for every token that completes service
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    tokenEvents.on('completed', (event) => {
+      this.createForToken(event.token.id).catch(error => {
+        logger.error(`Error creating survey for token ${event.token.id}:`, error);
+      });
+    });
+
+    logger.info('Survey service started');
+  }
+
+  /**
+   * Create the survey for a completed token and invite its customer
+   * @param {String} tokenId - Token ID
+   * @returns {Promise<Survey|null>} null when surveys are off or one exists
+   */
+  async createForToken(tokenId) {
+    const token = await Token.findById(tokenId).select('customer department counter servedBy serviceType status');
+    if (!token || token.status !== 'completed') return null;
+
+    const department = await Department.findById(token.department).select('name surveySettings');
+    if (!department || !department.surveySettings || !department.surveySettings.enabled) return null;
+
+    const settings = department.surveySettings;
+    const questions = settings.questions.length > 0
+      ? settings.questions.map(({ key, type, label, options, required }) => ({ key, type, label, options, required }))
+      : DEFAULT_QUESTIONS;
+
+    let survey;
+    try {
+      survey = await Survey.create({
+        token: token._id,
+        customer: token.customer,
+        department: department._id,
+        counter: token.counter,
+        servedBy: token.servedBy,
+        serviceType: token.serviceType,
+        questions,
+        expiresAt: new Date(Date.now() + settings.expiresAfterHours * HOUR)
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) return null;
+      throw error;
+    }
+
+    notificationDispatcher.notifyToken('survey_invitation', token._id, {
+      surveyUrl: this.surveyUrl(survey)
+    }).catch(error => {
+      logger.error(`Error sending survey invitation for token ${token._id}:`, error);
+    });
+
+    return survey;
+  }
+
+  /**
+   * Public link to answer a survey
+   * @param {Survey} survey - Survey document
+   * @returns {String}
+   */
+  surveyUrl(survey) {
+    const baseUrl = process.env.APP_BASE_URL || '';
+    return `${baseUrl}/survey.html?code=${survey.code}`;
+  }
+
+  /**
+   * An open survey by its link code; unknown, answered and expired codes
+   * all get the same 404 so codes cannot be probed
+   * @param {String} code - Survey code
+   * @returns {Promise<Survey>}
+   */
+  async findOpen(code) {
+    const survey = await Survey.findOne({ code: String(code) });
+    if (!survey || !survey.isOpen) {
+      throw new AppError('Survey not found or no longer open', 404);
+    }
+
+    return survey;
+  }
+
+  /**
+   * The customer's most recent open survey in one of the given departments,
+   * for kiosks to prompt
+   * @param {String} customerId - Customer ID
+   * @param {String[]} departmentIds - Departments to look in
+   * @returns {Promise<Survey|null>}
+   */
+  async findOpenForCustomer(customerId, departmentIds) {
+    return Survey.findOne({
+      customer: customerId,
+      department: { $in: departmentIds },
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Check answers against the survey's questions
+   * @param {Survey} survey - Survey document
+   * @param {Object} answers - Question key -> answer
+   * @returns {Array<{key: String, value: *}>} answers in question order
+   */
+  validateAnswers(survey, answers) {
+    const keys = new Set(survey.questions.map(question => question.key));
+    const unknown = Object.keys(answers).filter(key => !keys.has(key));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown question: ${unknown.join(', ')}`, 400);
+    }
+
+    const accepted = [];
+
+    for (const question of survey.questions) {
+      let value = answers[question.key];
+      const blank = value === undefined || value === null || value === '';
+
+      if (blank) {
+        if (question.required) {
+          throw new AppError(`Please answer: ${question.label}`, 400);
+        }
+        continue;
+      }
+
+      if (question.type === 'nps' && !(Number.isInteger(value) && value >= 0 && value <= 10)) {
+        throw new AppError(`${question.label}: answer with a whole number from 0 to 10`, 400);
+      }
+
+      if (question.type === 'rating' && !(Number.isInteger(value) && value >= 1 && value <= 5)) {
+        throw new AppError(`${question.label}: answer with a whole number from 1 to 5`, 400);
+      }
+
+      if (question.type === 'choice' && !question.options.includes(value)) {
+        throw new AppError(`${question.label}: choose one of ${question.options.join(', ')}`, 400);
+      }
+
+      if (question.type === 'text') {
+        if (typeof value !== 'string') {
+          throw new AppError(`${question.label}: answer with text`, 400);
+        }
+        value = value.trim().slice(0, TEXT_LIMIT);
+        if (!value) continue;
+      }
+
+      accepted.push({ key: question.key, value });
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Record a customer's answers. The survey is claimed atomically, so a
+   * link can only be answered once.
+   * @param {String} code - Survey code
+   * @param {Object} answers - Question key -> answer
+   * @param {String} channel - 'link' or 'kiosk'
+   * @returns {Promise<Survey>}
+   */
+  async submit(code, answers, channel = 'link') {
+    const survey = await this.findOpen(code);
+    const accepted = this.validateAnswers(survey, answers);
+
+    const answerOf = (type) => {
+      const question = survey.questions.find(candidate => candidate.type === type);
+      const answer = question && accepted.find(candidate => candidate.key === question.key);
+      return answer ? answer.value : undefined;
+    };
+
+    const nps = answerOf('nps');
+    const rating = answerOf('rating');
+    const comment = answerOf('text');
+
+    const department = await Department.findById(survey.department).select('name staff managedBy surveySettings');
+    const settings = department && department.surveySettings;
+    const lowScore = Boolean(settings) && (
+      (nps !== undefined && nps <= settings.lowNpsScore) ||
+      (rating !== undefined && rating <= settings.lowRating)
+    );
+
+    const completed = await Survey.findOneAndUpdate(
+      { _id: survey._id, status: 'pending' },
+      {
+        $set: {
+          status: 'completed',
+          answers: accepted,
+          nps,
+          rating,
+          comment,
+          channel,
+          lowScore,
+          completedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!completed) {
+      throw new AppError('Survey not found or no longer open', 404);
+    }
+
+    const satisfaction = rating !== undefined ? rating : (nps !== undefined ? ratingFromNps(nps) : undefined);
+    await this.applyToToken(completed, satisfaction, comment);
+
+    if (lowScore && settings.alertManagers) {
+      await this.alertLowScore(completed, department);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Copy the result onto the token and refresh the counter's satisfaction
+   */
+  async applyToToken(survey, satisfaction, comment) {
+    const updates = {};
+    if (satisfaction !== undefined) updates.satisfactionRating = satisfaction;
+    if (comment) updates.feedback = comment;
+    if (Object.keys(updates).length === 0) return;
+
+    await Token.updateOne({ _id: survey.token }, { $set: updates });
+
+    if (satisfaction !== undefined && survey.counter) {
+      const counter = await Counter.findById(survey.counter);
+      if (counter) {
+        await counter.updateStats().catch(error => {
+          logger.error(`Error updating stats for counter ${counter._id}:`, error);
+        });
+      }
+    }
+  }
+
+  /**
+   * Tell the department's managers about a low score
+   */
+  async alertLowScore(survey, department) {
+    const managers = await slaMonitor.getManagers(department);
+    if (managers.length === 0) return;
+
+    const token = await Token.findById(survey.token).select('displayNumber tokenNumber')
+      .populate('servedBy', 'firstName lastName')
+      .populate('counter', 'name number');
+
+    await Survey.updateOne({ _id: survey._id }, { $set: { notified: managers.map(manager => manager._id) } });
+
+    logger.warn(`Low survey score in ${department.name} for token ${token ? token.displayNumber : survey.token}`);
+
+    notificationDispatcher.notifyStaff('survey_low_score', managers, {
+      departmentName: department.name,
+      displayNumber: token ? token.displayNumber : '',
+      counterName: token && token.counter ? token.counter.name : '',
+      operatorName: token && token.servedBy ? token.servedBy.fullName : '',
+      serviceType: survey.serviceType,
+      nps: survey.nps,
+      rating: survey.rating,
+      comment: survey.comment || '',
+      surveyId: String(survey._id)
+    }, { token: survey.token }).catch(error => {
+      logger.error(`Error sending low score alert for survey ${survey._id}:`, error);
+    });
+  }
+
+  /**
+   * Close surveys nobody answered in time
+   * @returns {Promise<Number>} surveys expired
+   */
+  async expireSurveys() {
+    const result = await Survey.updateMany(
+      { status: 'pending', expiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired' } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Satisfaction per operator, counter, service type or department, or
+   * overall when not grouped.
+   * NPS is the share of promoters (9-10) minus the share of detractors (0-6).
+   * @param {Object} match - Survey filter (department, businessDate range)
+   * @param {String} groupBy - operator | counter | serviceType | department (optional)
+   * @returns {Promise<Object[]>}
+   */
+  async report(match, groupBy) {
+    const field = groupBy ? GROUP_FIELDS[groupBy] : null;
+    if (groupBy && !field) {
+      throw new AppError(`Cannot group surveys by ${groupBy}`, 400);
+    }
+
+    const isNps = { $isNumber: '$nps' };
+    const groups = await Survey.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: field,
+          sent: { $sum: 1 },
+          responses: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          avgRating: { $avg: '$rating' },
+          npsResponses: { $sum: { $cond: [isNps, 1, 0] } },
+          promoters: { $sum: { $cond: [{ $and: [isNps, { $gte: ['$nps', 9] }] }, 1, 0] } },
+          detractors: { $sum: { $cond: [{ $and: [isNps, { $lte: ['$nps', 6] }] }, 1, 0] } },
+          lowScores: { $sum: { $cond: ['$lowScore', 1, 0] } }
+        }
+      },
+      { $sort: { responses: -1 } }
+    ]);
+
+    return groups.map(({ _id, ...group }) => ({
+      key: _id,
+      ...group,
+      responseRate: group.sent > 0 ? Math.round((group.responses / group.sent) * 100) : 0,
+      avgRating: group.avgRating !== null ? Math.round(group.avgRating * 10) / 10 : null,
+      npsScore: group.npsResponses > 0
+        ? Math.round(((group.promoters - group.detractors) / group.npsResponses) * 100)
+        : null
+    }));
+  }
+}
+
+module.exports = new SurveyService();
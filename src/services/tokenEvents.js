@@ -0,0 +1,159 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+const TOKEN_EVENTS = [
+  'issued', 'called', 'recalled', 'requeued', 'skipped', 'reinstated',
+  'serving', 'parked', 'resumed', 'completed', 'transferred', 'no_show', 'cancelled'
+];
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // keep proxies from closing idle streams
+
+/**
+ * Publishes token lifecycle events and fans them out to
+ * Server-Sent Events subscribers scoped per department or counter.
+ */
+class TokenEventService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.subscribers = new Set();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Publish a token lifecycle event
+   * @param {String} type - One of TOKEN_EVENTS
+   * @param {Token} token - Token document the event refers to
+   * @param {Object} details - Extra event data (e.g. previous department)
+   */
+  publish(type, token, details = {}) {
+    if (!TOKEN_EVENTS.includes(type)) {
+      logger.warn(`Ignoring unknown token event: ${type}`);
+      return;
+    }
+
+    const event = {
+      type,
+      token: this.serializeToken(token),
+      details,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      this.emit('token', event);
+      this.emit(type, event);
+    } catch (error) {
+      logger.error(`Error in token event listener for ${type}:`, error);
+    }
+
+    this.broadcast(event);
+  }
+
+  /**
+   * Reduce a token document to the fields display boards need
+   * @param {Token} token - Token document
+   * @returns {Object}
+   */
+  serializeToken(token) {
+    const idOf = (value) => (value && value._id ? value._id : value);
+
+    return {
+      id: String(token._id),
+      tokenNumber: token.tokenNumber,
+      displayNumber: token.displayNumber,
+      department: idOf(token.department) ? String(idOf(token.department)) : null,
+      counter: idOf(token.counter) ? String(idOf(token.counter)) : null,
+      serviceType: token.serviceType,
+      status: token.status,
+      priority: token.priority,
+      effectivePriority: token.effectivePriority,
+      queuePosition: token.queuePosition,
+      estimatedWaitTime: token.estimatedWaitTime
+    };
+  }
+
+  /**
+   * Register an SSE response as a subscriber
+   * @param {Object} scope - { departmentId } or { counterId }
+   * @param {Response} res - Express response object
+   * @returns {Function} unsubscribe
+   */
+  subscribe(scope, res) {
+    const subscriber = { scope, res };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 5000\n\n`);
+
+    this.subscribers.add(subscriber);
+    this.startHeartbeat();
+
+    return () => {
+      this.subscribers.delete(subscriber);
+      if (this.subscribers.size === 0) {
+        this.stopHeartbeat();
+      }
+    };
+  }
+
+  /**
+   * Check whether an event falls inside a subscriber's scope
+   * @param {Object} scope - Subscriber scope
+   * @param {Object} event - Published event
+   * @returns {boolean}
+   */
+  matchesScope(scope, event) {
+    if (scope.counterId) {
+      return event.token.counter === String(scope.counterId) ||
+        event.details.fromCounter === String(scope.counterId);
+    }
+
+    if (scope.departmentId) {
+      return event.token.department === String(scope.departmentId) ||
+        event.details.fromDepartment === String(scope.departmentId);
+    }
+
+    return true;
+  }
+
+  /**
+   * Write an event to every matching subscriber
+   * @param {Object} event - Published event
+   */
+  broadcast(event) {
+    const frame = `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+    for (const subscriber of this.subscribers) {
+      if (this.matchesScope(subscriber.scope, event)) {
+        subscriber.res.write(frame);
+      }
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      for (const subscriber of this.subscribers) {
+        subscriber.res.write(': heartbeat\n\n');
+      }
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+}
+
+const tokenEvents = new TokenEventService();
+tokenEvents.TOKEN_EVENTS = TOKEN_EVENTS;
+
+module.exports = tokenEvents;
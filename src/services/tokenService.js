@@ -0,0 +1,350 @@
+const mongoose = require('mongoose');
+const Token = require('../models/Token');
+const Customer = require('../models/Customer');
+const Department = require('../models/Department');
+const Counter = require('../models/Counter');
+const Sequence = require('../models/Sequence');
+const JourneyTemplate = require('../models/JourneyTemplate');
+const routingService = require('./routingService');
+const waitTimeEstimator = require('./waitTimeEstimator');
+const priorityClassifier = require('./priorityClassifier');
+const tokenEvents = require('./tokenEvents');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { startOfDay, endOfDay } = require('../utils/dates');
+
+const ACTIVE_STATUSES = ['waiting', 'called', 'in_service', 'parked'];
+const DEFAULT_SERVICE_TYPE = 'general';
+
+// Reserved series names; service type codes are uppercase so never clash
+const ARRIVAL_SERIES = 'arrivals';
+const SHARED_SERIES = 'all';
+const PRIORITY_SERIES = 'priority';
+
+const formatBusinessDay = (date = new Date()) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('');
+
+class TokenService {
+  /**
+   * Run work inside a MongoDB transaction, retrying on transient errors.
+   * Requires a replica set (a single-node one is enough).
+   * @param {Function} work - async (session) => result
+   * @returns {Promise<*>} the work's result
+   */
+  async withTransaction(work) {
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Issue a token. Validation, numbering, the token itself, the customer's
+   * token history and department stats are written in one transaction; the
+   * 'issued' event is published only once it commits.
+   * @param {Object} request - Issuance request
+   * @param {String} request.customerId - Customer ID
+   * @param {String} request.departmentId - Department ID
+   * @param {String} request.serviceType - Department service type code (optional)
+   * @param {Number} request.priority - Priority 1-10, overriding the department's
+   *   priority rules (optional)
+   * @param {String} request.counterId - Pre-assigned counter (optional)
+   * @param {Date} request.scheduledTime - Scheduled time (optional)
+   * @param {String} request.appointmentId - Appointment being checked in (optional)
+   * @param {String} request.journeyId - Journey template; the token starts at its
+   *   first step, which sets the department and service type (optional)
+   * @param {String} request.kioskId - Kiosk the customer took the token at (optional)
+   * @param {Boolean} request.reserved - Capacity was reserved in advance (appointment
+   *   check-in): skip the opening hours and queue size checks (optional)
+   * @param {String} userId - ID of the user issuing the token
+   * @param {Object} options - { customer: async (session) => Customer registers
+   *   the customer in the same transaction, in place of request.customerId;
+   *   within: async (token, session) => {} extra writes that must commit or
+   *   roll back with the token }
+   * @returns {Promise<Token>}
+   */
+  async issueToken(request, userId, options = {}) {
+    const token = await this.withTransaction(async (session) => {
+      if (options.customer) {
+        const customer = await options.customer(session);
+        request = { ...request, customerId: customer._id };
+      }
+
+      const issued = await this.createToken(request, userId, session);
+
+      if (options.within) {
+        await options.within(issued, session);
+      }
+
+      return issued;
+    });
+
+    tokenEvents.publish('issued', token);
+    logger.info(`Token ${token.tokenNumber} issued in department ${token.department}`);
+
+    return token;
+  }
+
+  /**
+   * Validate the request and write the token inside the given session
+   * @param {Object} request - See issueToken
+   * @param {String} userId - Issuing user
+   * @param {ClientSession} session - Transaction session
+   * @returns {Promise<Token>}
+   */
+  async createToken(request, userId, session) {
+    let journey = null;
+    if (request.journeyId) {
+      journey = await this.loadJourney(request, session);
+      const [first] = journey.steps;
+      request = { ...request, departmentId: first.department, serviceType: first.serviceType };
+    }
+
+    const { customer, department, serviceType } = await this.validateRequest(request, session);
+
+    const code = serviceType ? serviceType.code : (request.serviceType || DEFAULT_SERVICE_TYPE);
+    const { priority, reasons } = this.resolvePriority(request, customer, department, serviceType);
+    const { tokenNumber, displayNumber, queuePosition } =
+      await this.nextTokenNumber(department, serviceType, priority, session);
+
+    const [token] = await Token.create([{
+      tokenNumber,
+      displayNumber,
+      customer: customer._id,
+      department: department._id,
+      counter: request.counterId,
+      serviceType: code,
+      priority,
+      priorityReasons: reasons,
+      queuePosition,
+      estimatedServiceTime: serviceType ? serviceType.estimatedServiceTime : department.queueSettings.avgServiceTime,
+      estimatedWaitTime: await waitTimeEstimator.estimateNewToken(department._id, code, priority),
+      appointment: request.appointmentId,
+      scheduledTime: request.scheduledTime,
+      journey: journey ? this.buildJourney(journey) : undefined,
+      kiosk: request.kioskId,
+      createdBy: userId
+    }], { session });
+
+    await Customer.updateOne(
+      { _id: customer._id },
+      {
+        $push: {
+          tokenHistory: {
+            tokenNumber: token.tokenNumber,
+            department: department._id,
+            counter: request.counterId,
+            issueTime: token.issuedAt,
+            status: 'waiting'
+          }
+        }
+      },
+      { session }
+    );
+
+    await Department.updateOne(
+      { _id: department._id },
+      { $inc: { 'stats.totalTokensIssued': 1 } },
+      { session }
+    );
+
+    return token;
+  }
+
+  /**
+   * Load the journey template a token is issued for
+   * @param {Object} request - See issueToken
+   * @param {ClientSession} session - Transaction session
+   * @returns {Promise<JourneyTemplate>}
+   */
+  async loadJourney(request, session) {
+    const journey = await JourneyTemplate.findOne({
+      _id: request.journeyId,
+      active: true,
+      archived: false
+    }).session(session);
+
+    if (!journey) {
+      throw new AppError('Journey not found', 404);
+    }
+
+    if (request.departmentId && String(request.departmentId) !== String(journey.steps[0].department)) {
+      throw new AppError('Journey does not start in this department', 400);
+    }
+
+    return journey;
+  }
+
+  /**
+   * Snapshot of a journey template for a new token, positioned at its first step
+   * @param {JourneyTemplate} journey - Journey template
+   * @returns {Object}
+   */
+  buildJourney(journey) {
+    const now = new Date();
+
+    return {
+      template: journey._id,
+      name: journey.name,
+      currentStep: 0,
+      steps: journey.steps.map((step, index) => ({
+        department: step.department,
+        serviceType: step.serviceType,
+        name: step.name,
+        status: index === 0 ? 'active' : 'pending',
+        enteredAt: index === 0 ? now : undefined
+      }))
+    };
+  }
+
+  /**
+   * Check that a token may be issued
+   * @param {Object} request - See issueToken
+   * @param {ClientSession} session - Transaction session
+   * @returns {Promise<{customer: Customer, department: Department, serviceType: Object|null}>}
+   */
+  async validateRequest(request, session) {
+    const customer = await Customer.findById(request.customerId).session(session);
+    if (!customer || customer.archived) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    if (customer.status === 'blocked') {
+      throw new AppError('Customer is blocked and cannot be issued tokens', 403);
+    }
+
+    const department = await Department.findById(request.departmentId).session(session);
+    if (!department || department.archived) {
+      throw new AppError('Department not found', 404);
+    }
+
+    if (department.status !== 'active') {
+      throw new AppError('Department is not accepting tokens', 400);
+    }
+
+    if (!request.reserved && !department.isOpen) {
+      throw new AppError('Department is currently closed', 400);
+    }
+
+    let serviceType = null;
+    if (request.serviceType && department.serviceTypes.length > 0) {
+      serviceType = department.getServiceType(request.serviceType);
+      if (!serviceType) {
+        throw new AppError(`Department does not offer service type ${request.serviceType}`, 400);
+      }
+    }
+
+    const code = serviceType ? serviceType.code : (request.serviceType || DEFAULT_SERVICE_TYPE);
+    const counters = await Counter.find({
+      department: department._id,
+      archived: false,
+      status: { $ne: 'maintenance' }
+    })
+      .select('serviceTypes fallbackServiceTypes')
+      .session(session);
+
+    if (!counters.some(counter => routingService.canServe(counter, code))) {
+      throw new AppError(`No counter in this department serves ${code}`, 400);
+    }
+
+    if (request.counterId && !counters.some(counter => counter._id.equals(request.counterId))) {
+      throw new AppError('Counter not found in this department', 400);
+    }
+
+    const today = { $gte: startOfDay(), $lte: endOfDay() };
+
+    const activeToken = await Token.findOne({
+      customer: customer._id,
+      status: { $in: ACTIVE_STATUSES },
+      businessDate: today
+    }).session(session);
+
+    if (activeToken) {
+      throw new AppError(`Customer already has an active token (${activeToken.displayNumber || activeToken.tokenNumber})`, 409);
+    }
+
+    const queueLength = await Token.countDocuments({
+      department: department._id,
+      status: { $in: ['waiting', 'called'] },
+      businessDate: today
+    }).session(session);
+
+    if (!request.reserved && queueLength >= department.queueSettings.maxQueueSize) {
+      throw new AppError('Department queue is full', 400);
+    }
+
+    return { customer, department, serviceType };
+  }
+
+  /**
+   * Initial priority and the reasons for it (see priorityClassifier).
+   * Departments with priority disabled queue everyone equally.
+   * @returns {{priority: Number, reasons: Object[]}}
+   */
+  resolvePriority(request, customer, department, serviceType) {
+    if (!department.queueSettings.priorityEnabled) return { priority: 5, reasons: [] };
+
+    return priorityClassifier.classify(request, customer, department, serviceType);
+  }
+
+  /**
+   * Number a new token. The display number comes from the department's
+   * tokenNumbering settings (e.g. A-042); the internal token number is
+   * DEPT-YYYYMMDD-NNN from the department's arrival sequence, which also
+   * gives the queue position. Each series is an atomic counter, so tokens
+   * issued at the same moment never share a number.
+   * @param {Department} department - Department document
+   * @param {Object} serviceType - Department service type (optional)
+   * @param {Number} priority - Resolved token priority
+   * @param {ClientSession} session - Transaction session
+   * @returns {Promise<{tokenNumber: String, displayNumber: String, queuePosition: Number}>}
+   */
+  async nextTokenNumber(department, serviceType, priority, session) {
+    const numbering = department.tokenNumbering;
+    const businessDay = formatBusinessDay();
+
+    let series = SHARED_SERIES;
+    let prefix = numbering.prefix || department.code;
+
+    if (numbering.priorityPrefix && priority >= numbering.priorityThreshold) {
+      series = PRIORITY_SERIES;
+      prefix = numbering.priorityPrefix;
+    } else if (numbering.perServiceType && serviceType) {
+      series = serviceType.code;
+      prefix = serviceType.prefix || serviceType.code;
+    }
+
+    const period = numbering.reset === 'never' ? 'ALL' : businessDay;
+    const number = await Sequence.next(department._id, series, period, session);
+    const arrival = await this.nextArrival(department._id, session);
+
+    return {
+      tokenNumber: `${department.code}-${businessDay}-${String(arrival).padStart(3, '0')}`,
+      displayNumber: `${prefix}${numbering.separator}${String(number).padStart(numbering.padding, '0')}`,
+      queuePosition: arrival
+    };
+  }
+
+  /**
+   * Next place in a department's arrival order for today. Tokens moving in
+   * from another department take one too, so they join the back of the queue.
+   * @param {String} departmentId - Department ID
+   * @param {ClientSession} session - Transaction session (optional)
+   * @returns {Promise<Number>}
+   */
+  nextArrival(departmentId, session) {
+    return Sequence.next(departmentId, ARRIVAL_SERIES, formatBusinessDay(), session);
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,296 @@
+const Token = require('../models/Token');
+const Counter = require('../models/Counter');
+const Department = require('../models/Department');
+const routingService = require('./routingService');
+const tokenEvents = require('./tokenEvents');
+const logger = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+const HISTORY_DAYS = 7; // rolling window for service time averages
+const HISTORY_LIMIT = 500; // most recent completed tokens considered
+const MIN_SAMPLES = 3; // below this an average is not trusted
+const PROFILE_TTL = 60 * 1000;
+const REFRESH_DELAY = 1000; // debounce bursts of queue events
+
+const OPEN_STATUSES = ['active', 'busy'];
+
+const keyOf = (value) => String(value || '').toUpperCase();
+
+class WaitTimeEstimator {
+  constructor() {
+    this.profiles = new Map();
+    this.pendingRefreshes = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Start refreshing ETAs whenever the token queue changes
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    tokenEvents.on('token', (event) => {
+      if (event.token.department) this.scheduleRefresh(event.token.department);
+      if (event.details && event.details.fromDepartment) this.scheduleRefresh(event.details.fromDepartment);
+    });
+
+    logger.info('Wait time estimator started');
+  }
+
+  /**
+   * Rolling average service times for a department, per service type and
+   * per counter/service type pair
+   * @param {String} departmentId - Department ID
+   * @returns {Promise<Object>}
+   */
+  async getServiceTimeProfile(departmentId) {
+    const cacheKey = String(departmentId);
+    const cached = this.profiles.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.profile;
+    }
+
+    const department = await Department.findById(departmentId).select('serviceTypes queueSettings');
+    if (!department) {
+      return { byServiceType: new Map(), byCounter: new Map(), configured: new Map(), fallback: 15 };
+    }
+
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * MINUTE);
+
+    const samples = await Token.aggregate([
+      {
+        $match: {
+          department: department._id,
+          status: 'completed',
+          serviceTime: { $gt: 0 },
+          completedAt: { $gte: since }
+        }
+      },
+      { $sort: { completedAt: -1 } },
+      { $limit: HISTORY_LIMIT },
+      {
+        $group: {
+          _id: { serviceType: '$serviceType', counter: '$counter' },
+          total: { $sum: '$serviceTime' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const byServiceType = new Map();
+    const byCounter = new Map();
+
+    samples.forEach(({ _id, total, count }) => {
+      const type = keyOf(_id.serviceType);
+      const typeStats = byServiceType.get(type) || { total: 0, count: 0 };
+      typeStats.total += total;
+      typeStats.count += count;
+      byServiceType.set(type, typeStats);
+
+      if (_id.counter) {
+        byCounter.set(`${_id.counter}:${type}`, { total, count });
+      }
+    });
+
+    const configured = new Map(department.serviceTypes.map(type => [keyOf(type.code), type.estimatedServiceTime]));
+
+    const profile = {
+      byServiceType,
+      byCounter,
+      configured,
+      fallback: department.queueSettings.avgServiceTime
+    };
+
+    this.profiles.set(cacheKey, { profile, expiresAt: Date.now() + PROFILE_TTL });
+    return profile;
+  }
+
+  /**
+   * Expected service time in minutes for a service type, preferring what
+   * the given counter has actually been taking
+   * @param {Object} profile - Result of getServiceTimeProfile
+   * @param {String} serviceType - Token service type
+   * @param {String} counterId - Counter ID (optional)
+   * @returns {Number}
+   */
+  serviceTimeFor(profile, serviceType, counterId) {
+    const type = keyOf(serviceType);
+    const average = (stats) => (stats && stats.count >= MIN_SAMPLES ? stats.total / stats.count : null);
+
+    return (counterId && average(profile.byCounter.get(`${counterId}:${type}`))) ||
+      average(profile.byServiceType.get(type)) ||
+      profile.configured.get(type) ||
+      profile.fallback;
+  }
+
+  /**
+   * Simulate the department queue across its open counters and return
+   * each waiting token's expected wait in minutes
+   * @param {String} departmentId - Department ID
+   * @param {Object} extraToken - Hypothetical token to place in the queue (optional)
+   * @returns {Promise<Map<String, Number>>} token id -> minutes
+   */
+  async simulate(departmentId, extraToken) {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const [profile, counters, active, waiting] = await Promise.all([
+      this.getServiceTimeProfile(departmentId),
+      Counter.find({ department: departmentId, archived: false, status: { $in: OPEN_STATUSES } })
+        .select('serviceTypes fallbackServiceTypes status'),
+      Token.find({
+        department: departmentId,
+        status: { $in: ['called', 'in_service'] },
+        'recall.noShowAt': { $exists: false },
+        businessDate: { $gte: startOfDay }
+      }).select('counter serviceType calledAt serviceStartedAt'),
+      Token.find({
+        department: departmentId,
+        status: 'waiting',
+        businessDate: { $gte: startOfDay }
+      }).sort(routingService.QUEUE_ORDER).select('serviceType priority effectivePriority queuePosition issuedAt lateArrival')
+    ]);
+
+    const queue = waiting.slice();
+    if (extraToken) {
+      // New tokens join behind everyone of equal or higher priority
+      const index = queue.findIndex(token => token.effectivePriority < extraToken.effectivePriority);
+      queue.splice(index === -1 ? queue.length : index, 0, extraToken);
+    }
+
+    const now = Date.now();
+
+    // When each open counter is expected to be free again
+    const lanes = counters.map(counter => {
+      const current = active.find(token => token.counter && String(token.counter) === String(counter._id));
+      let freeAt = now;
+
+      if (current) {
+        const startedAt = (current.serviceStartedAt || current.calledAt || new Date(now)).getTime();
+        const expected = this.serviceTimeFor(profile, current.serviceType, counter._id) * MINUTE;
+        freeAt = Math.max(now, startedAt + expected);
+      }
+
+      return { counter, freeAt };
+    });
+
+    const estimates = new Map();
+
+    queue.forEach((token, index) => {
+      const eligible = lanes.filter(lane => routingService.canServe(lane.counter, token.serviceType));
+
+      if (eligible.length === 0) {
+        // Nobody open can serve this token: assume a single counter works through the queue
+        const ahead = queue.slice(0, index)
+          .reduce((sum, other) => sum + this.serviceTimeFor(profile, other.serviceType), 0);
+        estimates.set(String(token._id), Math.round(ahead));
+        return;
+      }
+
+      const lane = eligible.reduce((best, candidate) => (candidate.freeAt < best.freeAt ? candidate : best));
+      // Late customers are skipped until they arrive, so they never hold up the lane
+      const readyAt = token.lateArrival && token.lateArrival.expectedAt ? token.lateArrival.expectedAt.getTime() : now;
+
+      estimates.set(String(token._id), Math.round((Math.max(lane.freeAt, readyAt) - now) / MINUTE));
+      lane.freeAt += this.serviceTimeFor(profile, token.serviceType, lane.counter._id) * MINUTE;
+    });
+
+    return estimates;
+  }
+
+  /**
+   * Estimate the wait for a token that is about to be issued
+   * @param {String} departmentId - Department ID
+   * @param {String} serviceType - Service type of the new token
+   * @param {Number} priority - Priority of the new token (1-10)
+   * @returns {Promise<Number>} minutes
+   */
+  async estimateNewToken(departmentId, serviceType, priority = 5) {
+    const extraToken = { _id: 'new', serviceType, priority, effectivePriority: priority };
+    const estimates = await this.simulate(departmentId, extraToken);
+    return estimates.get('new') || 0;
+  }
+
+  /**
+   * Recompute and store estimatedWaitTime for every waiting token in a department
+   * @param {String} departmentId - Department ID
+   * @returns {Promise<Number>} number of tokens updated
+   */
+  async refreshDepartment(departmentId) {
+    const estimates = await this.simulate(departmentId);
+    if (estimates.size === 0) return 0;
+
+    const operations = Array.from(estimates, ([tokenId, minutes]) => ({
+      updateOne: {
+        filter: { _id: tokenId, status: 'waiting', estimatedWaitTime: { $ne: minutes } },
+        update: { $set: { estimatedWaitTime: minutes } }
+      }
+    }));
+
+    const result = await Token.bulkWrite(operations, { ordered: false });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Debounced refresh so a burst of queue changes triggers one recalculation
+   * @param {String} departmentId - Department ID
+   */
+  scheduleRefresh(departmentId) {
+    const key = String(departmentId);
+    if (this.pendingRefreshes.has(key)) return;
+
+    const timer = setTimeout(() => {
+      this.pendingRefreshes.delete(key);
+      this.refreshDepartment(key).catch(error => {
+        logger.error(`Error refreshing wait times for department ${key}:`, error);
+      });
+    }, REFRESH_DELAY);
+    timer.unref();
+
+    this.pendingRefreshes.set(key, timer);
+  }
+
+  /**
+   * Refresh every department that currently has tokens waiting
+   * @returns {Promise<void>}
+   */
+  async refreshAll() {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const departmentIds = await Token.distinct('department', {
+      status: 'waiting',
+      businessDate: { $gte: startOfDay }
+    });
+
+    for (const departmentId of departmentIds) {
+      await this.refreshDepartment(departmentId);
+    }
+  }
+
+  /**
+   * Number of waiting tokens that will be called before this one
+   * @param {Token} token - Waiting token
+   * @returns {Promise<Number>}
+   */
+  async countTokensAhead(token) {
+    return Token.countDocuments({
+      department: token.department,
+      status: 'waiting',
+      businessDate: token.businessDate,
+      _id: { $ne: token._id },
+      $or: [
+        { effectivePriority: { $gt: token.effectivePriority } },
+        { effectivePriority: token.effectivePriority, queuePosition: { $lt: token.queuePosition } },
+        {
+          effectivePriority: token.effectivePriority,
+          queuePosition: token.queuePosition,
+          issuedAt: { $lt: token.issuedAt }
+        }
+      ]
+    });
+  }
+}
+
+module.exports = new WaitTimeEstimator();
@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Customer = require('../models/Customer');
+const tokenEvents = require('./tokenEvents');
+const httpClient = require('../utils/httpClient');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000;
+const STALE_DELIVERING_AFTER = 10 * 60 * 1000; // a worker died mid-send
+const DELIVERY_TIMEOUT = 10 * 1000;
+const BATCH_SIZE = 50;
+
+// Queue notification flags and the webhook events they enable
+const QUEUE_EVENT_FLAGS = {
+  onProjectAdded: 'queue.project_added',
+  onProjectCompleted: 'queue.project_completed',
+  onProjectFailed: 'queue.project_failed',
+  onQueueEmpty: 'queue.empty',
+  onQueueFull: 'queue.full'
+};
+
+class WebhookService {
+  constructor() {
+    this.started = false;
+  }
+
+  /**
+   * Start forwarding token lifecycle events to subscribers
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    tokenEvents.on('token', (event) => {
+      this.publish(`token.${event.type}`, { token: event.token, details: event.details }, {
+        departmentId: event.token.department
+      }).catch(error => {
+        logger.error(`Error publishing webhook for token.${event.type}:`, error);
+      });
+    });
+
+    logger.info('Webhook delivery started');
+  }
+
+  /**
+   * Generate a signing secret
+   * @returns {String}
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * HMAC-SHA256 signature over "<timestamp>.<body>". Receivers recompute it
+   * with their secret and compare against the v1 value of X-Webhook-Signature,
+   * rejecting stale timestamps to prevent replays.
+   * @param {String} secret - Subscription secret
+   * @param {Number} timestamp - Unix seconds
+   * @param {String} body - Raw request body
+   * @returns {String} hex digest
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Delay before the next attempt: 30s doubling per attempt, capped at 6h
+   * @param {Number} attemptCount - Attempts made so far
+   * @returns {Number} milliseconds
+   */
+  getRetryDelay(attemptCount) {
+    return Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * Math.pow(2, attemptCount - 1));
+  }
+
+  /**
+   * Queue an event for every active subscriber interested in it
+   * @param {String} event - Event name, e.g. 'token.called'
+   * @param {Object} data - Event data
+   * @param {Object} context - { departmentId, queueId } used by subscriber filters
+   * @returns {Promise<WebhookDelivery[]>}
+   */
+  async publish(event, data, context = {}) {
+    const subscriptions = await WebhookSubscription.find({ active: true, archived: false });
+    const interested = subscriptions.filter(subscription =>
+      subscription.matchesEvent(event) && subscription.matchesContext(context)
+    );
+
+    const deliveries = [];
+    for (const subscription of interested) {
+      deliveries.push(await this.enqueue(subscription, event, data));
+    }
+
+    // Send right away; failures are picked up by the retry task
+    deliveries.forEach(delivery => {
+      this.attempt(delivery._id).catch(error => {
+        logger.error(`Error delivering webhook ${delivery._id}:`, error);
+      });
+    });
+
+    return deliveries;
+  }
+
+  /**
+   * Create a pending delivery for a subscription
+   * @param {WebhookSubscription} subscription - Subscriber
+   * @param {String} event - Event name
+   * @param {Object} data - Event data
+   * @param {String} replayOf - Delivery being replayed (optional)
+   * @returns {Promise<WebhookDelivery>}
+   */
+  async enqueue(subscription, event, data, replayOf) {
+    const delivery = new WebhookDelivery({
+      subscription: subscription._id,
+      event,
+      replayOf
+    });
+
+    delivery.payload = {
+      id: String(delivery._id),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    return delivery.save();
+  }
+
+  /**
+   * Claim a pending delivery and send it. If another worker already holds
+   * it, the delivery is returned as it stands.
+   * @param {String} deliveryId - Delivery ID
+   * @returns {Promise<WebhookDelivery>}
+   */
+  async attempt(deliveryId) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: { $in: ['pending', 'failed'] } },
+      { $set: { status: 'delivering' } },
+      { new: true }
+    );
+
+    return delivery ? this.send(delivery) : WebhookDelivery.findById(deliveryId);
+  }
+
+  /**
+   * Send a claimed delivery, recording the attempt and scheduling a retry
+   * or dead-lettering it on failure
+   * @param {WebhookDelivery} delivery - Delivery in the 'delivering' state
+   * @returns {Promise<WebhookDelivery>}
+   */
+  async send(delivery) {
+    const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+    const startedAt = Date.now();
+    const attempt = { attemptedAt: new Date(startedAt) };
+
+    try {
+      if (!subscription || subscription.archived || !subscription.active) {
+        throw new Error('Subscription is no longer active');
+      }
+
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(startedAt / 1000);
+
+      const response = await httpClient.post(subscription.url, {
+        body,
+        timeout: DELIVERY_TIMEOUT,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'QueueManagementSystem-Webhooks/1.0',
+          'X-Webhook-Id': String(delivery._id),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `t=${timestamp},v1=${this.sign(subscription.secret, timestamp, body)}`
+        }
+      });
+
+      attempt.statusCode = response.statusCode;
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+    } catch (error) {
+      attempt.statusCode = error.statusCode;
+      attempt.error = error.message;
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+    delivery.attemptCount += 1;
+
+    if (delivery.status !== 'succeeded') {
+      if (delivery.attemptCount >= delivery.maxAttempts || !subscription) {
+        delivery.status = 'dead';
+        delivery.deadAt = new Date();
+        logger.warn(`Webhook ${delivery._id} (${delivery.event}) moved to dead-letter list: ${attempt.error}`);
+      } else {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(delivery.attemptCount));
+      }
+    }
+
+    await delivery.save();
+
+    if (subscription) {
+      const succeeded = delivery.status === 'succeeded';
+      await WebhookSubscription.updateOne({ _id: subscription._id }, succeeded
+        ? { $set: { 'stats.lastDeliveryAt': new Date(), 'stats.lastSuccessAt': new Date(), 'stats.consecutiveFailures': 0 } }
+        : { $set: { 'stats.lastDeliveryAt': new Date(), 'stats.lastFailureAt': new Date() }, $inc: { 'stats.consecutiveFailures': 1 } }
+      );
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Send every delivery whose retry time has come
+   * @returns {Promise<Number>} number of deliveries attempted
+   */
+  async processDueDeliveries() {
+    await WebhookDelivery.updateMany(
+      { status: 'delivering', updatedAt: { $lt: new Date(Date.now() - STALE_DELIVERING_AFTER) } },
+      { $set: { status: 'failed', nextAttemptAt: new Date() } }
+    );
+
+    let processed = 0;
+    while (processed < BATCH_SIZE) {
+      const delivery = await WebhookDelivery.claimDue();
+      if (!delivery) break;
+
+      await this.send(delivery);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Send an earlier delivery's payload again as a new delivery
+   * @param {WebhookDelivery} original - Delivery to replay
+   * @returns {Promise<WebhookDelivery>}
+   */
+  async replay(original) {
+    const subscription = await WebhookSubscription.findById(original.subscription);
+    if (!subscription || subscription.archived) {
+      throw new AppError('Subscription not found', 404);
+    }
+
+    const delivery = await this.enqueue(subscription, original.event, original.payload.data, original._id);
+    return this.attempt(delivery._id);
+  }
+
+  /**
+   * Ensure a customer's subscription plan includes webhook support
+   * @param {String} customerId - Customer ID
+   * @returns {Promise<void>}
+   */
+  async assertWebhooksAllowed(customerId) {
+    const customer = await Customer.findById(customerId).populate('subscription.planId');
+    if (!customer || customer.archived) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const plan = customer.subscription && customer.subscription.planId;
+    const active = customer.subscription && customer.subscription.status === 'active';
+
+    if (!plan || !active || !plan.features || !plan.features.webhookSupport) {
+      throw new AppError('Webhooks are not included in this customer\'s subscription plan', 403);
+    }
+  }
+
+  /**
+   * Keep the subscription behind a queue's notifications.webhookUrl in step
+   * with the queue's notification flags
+   * @param {Queue} queue - Queue document
+   * @returns {Promise<WebhookSubscription|null>}
+   */
+  async syncQueueSubscription(queue) {
+    const settings = queue.notifications || {};
+    const events = Object.keys(QUEUE_EVENT_FLAGS)
+      .filter(flag => settings[flag])
+      .map(flag => QUEUE_EVENT_FLAGS[flag]);
+
+    const existing = await WebhookSubscription.findOne({ managedByQueue: queue._id });
+
+    if (!settings.webhookUrl || queue.archived) {
+      if (existing) {
+        existing.active = false;
+        await existing.save();
+      }
+      return null;
+    }
+
+    const subscription = existing || new WebhookSubscription({
+      managedByQueue: queue._id,
+      secret: this.generateSecret(),
+      createdBy: queue.createdBy
+    });
+
+    subscription.name = `Queue: ${queue.name}`;
+    subscription.url = settings.webhookUrl;
+    subscription.events = events;
+    subscription.filters = { departments: [], queues: [queue._id] };
+    subscription.active = events.length > 0;
+
+    return subscription.save();
+  }
+
+  /**
+   * Fields of a project included in queue event payloads
+   * @param {Project} project - Project document
+   * @returns {Object}
+   */
+  summarizeProject(project) {
+    return {
+      id: String(project._id),
+      name: project.name,
+      status: project.status,
+      priority: project.priority,
+      queuePosition: project.queuePosition
+    };
+  }
+
+  /**
+   * Publish a queue event with the queue and project summary
+   * @param {String} event - Event name, e.g. 'queue.project_added'
+   * @param {Queue} queue - Queue document
+   * @param {Object} extra - Extra event data (e.g. project)
+   * @returns {Promise<WebhookDelivery[]>}
+   */
+  publishQueueEvent(event, queue, extra = {}) {
+    return this.publish(event, {
+      queue: {
+        id: String(queue._id),
+        name: queue.name,
+        status: queue.status,
+        currentSize: queue.stats ? queue.stats.currentSize : undefined,
+        capacity: queue.capacity
+      },
+      ...extra
+    }, { queueId: queue._id });
+  }
+}
+
+const webhookService = new WebhookService();
+webhookService.QUEUE_EVENT_FLAGS = QUEUE_EVENT_FLAGS;
+
+module.exports = webhookService;
@@ -0,0 +1,33 @@
+/**
+ * Calendar day helpers, in the server's local time zone
+ */
+
+/**
+ * Midnight at the start of a day
+ * @param {Date} date - Any moment in the day (default: now)
+ * @returns {Date}
+ */
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * The last millisecond of a day
+ * @param {Date} date - Any moment in the day (default: now)
+ * @returns {Date}
+ */
+const endOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+/**
+ * Midnight today; tokens with an earlier businessDate belong to a past day
+ * @returns {Date}
+ */
+const startOfToday = () => startOfDay();
+
+module.exports = { startOfDay, endOfDay, startOfToday };
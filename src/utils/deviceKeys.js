@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+/**
+ * SHA-256 of a device key; only the hash is stored
+ * @param {string} key - Device key
+ * @returns {string} hex digest
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Generate a device key with a recognisable prefix
+ * @param {string} prefix - e.g. 'ksk_'
+ * @returns {{key: string, keyHash: string, keyPrefix: string}} keyPrefix is
+ *   the first characters of the key, to tell keys apart without storing them
+ */
+const generateKey = (prefix) => {
+  const key = `${prefix}${crypto.randomBytes(24).toString('hex')}`;
+
+  return {
+    key,
+    keyHash: hashKey(key),
+    keyPrefix: key.slice(0, prefix.length + 6)
+  };
+};
+
+module.exports = {
+  hashKey,
+  generateKey
+};
@@ -0,0 +1,95 @@
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+const DEFAULT_TIMEOUT = 10000; // 10 seconds
+
+/**
+ * Error raised for failed or non-2xx HTTP requests
+ */
+class HttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - Response status (undefined for network errors)
+   * @param {string} body - Raw response body
+   */
+  constructor(message, statusCode, body) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+}
+
+/**
+ * Minimal promise-based HTTP client for outbound integrations
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute URL
+ * @param {Object} options - { headers, body, json, timeout }
+ *   `json` is serialised and sent with a JSON content type; `body` is sent as-is
+ * @returns {Promise<{statusCode: number, headers: Object, body: string, data: *}>}
+ *   `data` is the parsed JSON body when the response is JSON
+ * @throws {HttpError} - On network errors, timeouts and non-2xx responses
+ */
+const request = (method, url, options = {}) => {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  const headers = { ...options.headers };
+  let payload = options.body;
+
+  if (options.json !== undefined) {
+    payload = JSON.stringify(options.json);
+    headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+  }
+
+  if (payload !== undefined) {
+    headers['Content-Length'] = Buffer.byteLength(payload);
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, { method, headers }, (res) => {
+      const chunks = [];
+
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        let data;
+
+        if ((res.headers['content-type'] || '').includes('application/json')) {
+          try {
+            data = JSON.parse(body);
+          } catch (error) {
+            data = undefined;
+          }
+        }
+
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          return reject(new HttpError(`${method} ${target.host} responded ${res.statusCode}`, res.statusCode, body));
+        }
+
+        resolve({ statusCode: res.statusCode, headers: res.headers, body, data });
+      });
+    });
+
+    req.setTimeout(options.timeout || DEFAULT_TIMEOUT, () => {
+      req.destroy(new HttpError(`${method} ${target.host} timed out`));
+    });
+
+    req.on('error', (error) => {
+      reject(error instanceof HttpError ? error : new HttpError(error.message));
+    });
+
+    if (payload !== undefined) {
+      req.write(payload);
+    }
+    req.end();
+  });
+};
+
+module.exports = {
+  request,
+  get: (url, options) => request('GET', url, options),
+  post: (url, options) => request('POST', url, options),
+  HttpError
+};
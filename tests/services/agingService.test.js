@@ -0,0 +1,75 @@
+const agingService = require('../../src/services/agingService');
+
+const MINUTE = 60 * 1000;
+const now = new Date(2024, 11, 2, 12, 0);
+
+const waitingToken = (priority, minutesWaited) => ({
+  priority,
+  waitingSince: new Date(now - minutesWaited * MINUTE)
+});
+
+const department = (agingPolicy, maxWaitTime = 120) => ({
+  agingPolicy,
+  queueSettings: { maxWaitTime }
+});
+
+const policy = { enabled: true, intervalMinutes: 10, step: 1, maxBoost: 3, enforceMaxWait: false };
+
+describe('agingService.effectivePriorityFor', () => {
+  it('keeps the base priority when aging is off', () => {
+    const token = waitingToken(4, 90);
+
+    expect(agingService.effectivePriorityFor(token, department({ ...policy, enabled: false }), now)).toBe(4);
+    expect(agingService.effectivePriorityFor(token, department(undefined), now)).toBe(4);
+  });
+
+  it('adds a step for every full interval waited', () => {
+    expect(agingService.effectivePriorityFor(waitingToken(4, 9), department(policy), now)).toBe(4);
+    expect(agingService.effectivePriorityFor(waitingToken(4, 10), department(policy), now)).toBe(5);
+    expect(agingService.effectivePriorityFor(waitingToken(4, 25), department(policy), now)).toBe(6);
+  });
+
+  it('stops at the maximum boost', () => {
+    expect(agingService.effectivePriorityFor(waitingToken(4, 90), department(policy), now)).toBe(7);
+  });
+
+  it('never goes past priority 10', () => {
+    expect(agingService.effectivePriorityFor(waitingToken(9, 90), department(policy), now)).toBe(10);
+  });
+
+  it('never drops below the base priority', () => {
+    const token = waitingToken(6, -5); // clock skew: waiting since the future
+
+    expect(agingService.effectivePriorityFor(token, department(policy), now)).toBe(6);
+  });
+
+  it('puts tokens past the maximum wait ahead of everyone when enforced', () => {
+    const enforced = department({ ...policy, enforceMaxWait: true }, 60);
+
+    expect(agingService.effectivePriorityFor(waitingToken(1, 60), enforced, now)).toBe(11);
+    expect(agingService.effectivePriorityFor(waitingToken(1, 59), enforced, now)).toBe(4);
+    expect(agingService.effectivePriorityFor(waitingToken(1, 60), department(policy, 60), now)).toBe(4);
+  });
+});
+
+describe('agingService.effectivePriorityFor on requeued tokens', () => {
+  const requeued = (minutesAgo, requeuedPriority) => ({
+    ...waitingToken(4, 90),
+    recall: { requeuedAt: new Date(now - minutesAgo * MINUTE), requeuedPriority }
+  });
+
+  it('ages from the slot it was put back in, not from when it joined', () => {
+    expect(agingService.effectivePriorityFor(requeued(0, 3), department(policy), now)).toBe(3);
+    expect(agingService.effectivePriorityFor(requeued(20, 3), department(policy), now)).toBe(5);
+  });
+
+  it('keeps the requeued priority when aging is off', () => {
+    expect(agingService.effectivePriorityFor(requeued(20, 3), department({ ...policy, enabled: false }), now)).toBe(3);
+  });
+
+  it('counts the maximum wait from the requeue', () => {
+    const enforced = department({ ...policy, enforceMaxWait: true }, 60);
+
+    expect(agingService.effectivePriorityFor(requeued(30, 3), enforced, now)).toBe(6);
+  });
+});
@@ -0,0 +1,82 @@
+const { resolveLayout, renderFrame, encodeSerial } = require('../../../src/services/display/frame');
+
+const now = new Date(2024, 11, 2, 12, 0, 0);
+const secondsAgo = (seconds) => new Date(now - seconds * 1000);
+
+const call = (displayNumber, counterLabel, seconds) => ({ displayNumber, counterLabel, calledAt: secondsAgo(seconds) });
+
+describe('resolveLayout', () => {
+  it('uses the board model', () => {
+    expect(resolveLayout({ hardwareModel: 'generic-20x4' })).toEqual({
+      columns: 20, lines: 4, arrow: '>', blinkSeconds: 10
+    });
+    expect(resolveLayout({ hardwareModel: 'matrix-32x4' }).arrow).toBe('→');
+  });
+
+  it('falls back to the default model', () => {
+    expect(resolveLayout({ hardwareModel: 'unknown' })).toMatchObject({ columns: 16, lines: 2 });
+    expect(resolveLayout({})).toMatchObject({ columns: 16, lines: 2 });
+  });
+
+  it('lets the device config override the model', () => {
+    const layout = resolveLayout({
+      hardwareModel: 'generic-16x2',
+      config: { columns: 24, lines: 3, arrow: '=', blinkSeconds: 0 }
+    });
+
+    expect(layout).toEqual({ columns: 24, lines: 3, arrow: '=', blinkSeconds: 0 });
+  });
+});
+
+describe('renderFrame', () => {
+  const layout = { columns: 16, lines: 2, arrow: '>', blinkSeconds: 10 };
+
+  it('puts the token on the left and the counter on the right', () => {
+    const frame = renderFrame([call('A-042', '3', 60)], layout, now);
+
+    expect(frame.columns).toBe(16);
+    expect(frame.lines[0]).toEqual({ text: 'A-042        > 3', effect: 'static' });
+  });
+
+  it('blanks unused lines and drops calls beyond the board', () => {
+    const single = renderFrame([call('A-042', '3', 60)], layout, now);
+    const crowded = renderFrame([call('A-3', '1', 60), call('A-2', '2', 60), call('A-1', '3', 60)], layout, now);
+
+    expect(single.lines[1]).toEqual({ text: ' '.repeat(16), effect: 'static' });
+    expect(crowded.lines.map(line => line.text.slice(0, 3))).toEqual(['A-3', 'A-2']);
+  });
+
+  it('blinks calls younger than blinkSeconds', () => {
+    const frame = renderFrame([call('A-043', '1', 9), call('A-042', '2', 10)], layout, now);
+
+    expect(frame.lines.map(line => line.effect)).toEqual(['blink', 'static']);
+  });
+
+  it('scrolls lines wider than the board', () => {
+    const frame = renderFrame([call('PRIORITY-0042', 'Loans desk', 1)], layout, now);
+
+    expect(frame.lines[0]).toEqual({ text: 'PRIORITY-0042 > Loans desk', effect: 'scroll' });
+  });
+});
+
+describe('encodeSerial', () => {
+  it('frames each line with address, line number, effect and checksum', () => {
+    const frame = { columns: 4, lines: [{ text: 'A-1 ', effect: 'blink' }, { text: 'B→2 ', effect: 'static' }] };
+    const bytes = encodeSerial(frame, 3);
+
+    const first = Buffer.from('03L1BA-1 ', 'ascii');
+    const second = Buffer.from('03L2SB?2 ', 'ascii');
+    const checksum = (body) => body.reduce((sum, byte) => sum ^ byte, 0).toString(16).toUpperCase().padStart(2, '0');
+
+    expect(bytes).toEqual(Buffer.concat([
+      Buffer.from([0x02]), first, Buffer.from([0x03]), Buffer.from(checksum(first), 'ascii'),
+      Buffer.from([0x02]), second, Buffer.from([0x03]), Buffer.from(checksum(second), 'ascii')
+    ]));
+  });
+
+  it('addresses board 1 by default', () => {
+    const bytes = encodeSerial({ columns: 1, lines: [{ text: 'X', effect: 'scroll' }] });
+
+    expect(bytes.subarray(1, 6).toString('ascii')).toBe('01L1R');
+  });
+});
@@ -0,0 +1,88 @@
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const Token = require('../../src/models/Token');
+const kioskService = require('../../src/services/kioskService');
+
+const kiosk = { _id: '5f00000000000000000000a1' };
+const request = { phone: '+1 (555) 010-2000', departmentId: '5f0000000000000000000001', serviceType: 'loan' };
+
+describe('kioskService.normalizePhone', () => {
+  it('strips spaces, dashes and brackets', () => {
+    expect(kioskService.normalizePhone('+1 (555) 010-2000')).toBe('+15550102000');
+    expect(kioskService.normalizePhone(' 555 010 2000 ')).toBe('5550102000');
+  });
+
+  it('keeps numbers that are already clean', () => {
+    expect(kioskService.normalizePhone('+15550102000')).toBe('+15550102000');
+    expect(kioskService.normalizePhone(5550102000)).toBe('5550102000');
+  });
+});
+
+describe('kioskService.issueToken', () => {
+  const token = { _id: '5f00000000000000000000b1', displayNumber: 'LN-001' };
+  let stored;
+
+  beforeEach(() => {
+    stored = null;
+
+    // One record per key, as the unique index on { scope, key } enforces
+    jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (fields) => {
+      if (stored) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      stored = { ...fields, _id: 'record', status: 'pending', save: jest.fn() };
+      return stored;
+    });
+    jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async () => stored);
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Token, 'findById').mockResolvedValue(token);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const issueOnce = () => {
+    jest.spyOn(kioskService, 'issue').mockResolvedValue({ token, customerCreated: true });
+    return kioskService.issueToken(kiosk, request, 'key-1');
+  };
+
+  it('issues once and records the token against the key', async () => {
+    expect(await issueOnce()).toEqual({ token, customerCreated: true, replayed: false });
+    expect(stored).toMatchObject({ scope: `kiosk:${kiosk._id}`, key: 'key-1', status: 'completed', token: token._id });
+    expect(stored.save).toHaveBeenCalled();
+  });
+
+  it('replays the original token for the same request, however the phone is typed', async () => {
+    await issueOnce();
+
+    const repeat = { ...request, phone: '+15550102000', serviceType: 'LOAN' };
+    expect(await kioskService.issueToken(kiosk, repeat, 'key-1'))
+      .toEqual({ token, customerCreated: true, replayed: true });
+    expect(kioskService.issue).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects the key with 422 when it comes with a different request', async () => {
+    await issueOnce();
+
+    await expect(kioskService.issueToken(kiosk, { ...request, serviceType: 'CARD' }, 'key-1'))
+      .rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  it('answers 409 while the first request is still being processed', async () => {
+    let finish;
+    jest.spyOn(kioskService, 'issue').mockReturnValue(new Promise(resolve => { finish = resolve; }));
+
+    const first = kioskService.issueToken(kiosk, request, 'key-1');
+    await expect(kioskService.issueToken(kiosk, request, 'key-1'))
+      .rejects.toMatchObject({ statusCode: 409, message: 'A request with this Idempotency-Key is still being processed' });
+
+    finish({ token, customerCreated: false });
+    await first;
+  });
+
+  it('releases the key when issuing fails so it can be retried', async () => {
+    const failure = new Error('Department is closed');
+    jest.spyOn(kioskService, 'issue').mockRejectedValue(failure);
+
+    await expect(kioskService.issueToken(kiosk, request, 'key-1')).rejects.toBe(failure);
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'record' });
+  });
+});
@@ -0,0 +1,82 @@
+const Token = require('../../src/models/Token');
+const overflowService = require('../../src/services/overflowService');
+
+const rule = {
+  sourceDepartment: '5f0000000000000000000001',
+  targetDepartment: '5f0000000000000000000002',
+  targetCounter: null,
+  targetServiceType: 'LOAN'
+};
+
+describe('overflowService.moveToken', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims the token while it is still waiting at the source', async () => {
+    const token = { transferToken: jest.fn().mockResolvedValue('moved') };
+    const claim = jest.spyOn(Token, 'findOneAndUpdate').mockResolvedValue(token);
+
+    expect(await overflowService.moveToken('t1', rule, 'u1', 'Overflow')).toBe('moved');
+    expect(claim).toHaveBeenCalledWith(
+      { _id: 't1', department: rule.sourceDepartment, status: 'waiting' },
+      { $set: { status: 'transferred' } },
+      { new: true }
+    );
+    expect(token.transferToken).toHaveBeenCalledWith(rule.targetDepartment, null, 'Overflow', 'u1', {
+      requeue: true,
+      serviceType: 'LOAN'
+    });
+  });
+
+  it('returns null when a counter claimed the token first', async () => {
+    jest.spyOn(Token, 'findOneAndUpdate').mockResolvedValue(null);
+    const revert = jest.spyOn(Token, 'updateOne');
+
+    expect(await overflowService.moveToken('t1', rule, 'u1', 'Overflow')).toBeNull();
+    expect(revert).not.toHaveBeenCalled();
+  });
+
+  it('puts the token back in the source queue when the transfer fails', async () => {
+    const failure = new Error('Target department not found');
+    const token = { transferToken: jest.fn().mockRejectedValue(failure) };
+    jest.spyOn(Token, 'findOneAndUpdate').mockResolvedValue(token);
+    const revert = jest.spyOn(Token, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(overflowService.moveToken('t1', rule, 'u1', 'Overflow')).rejects.toBe(failure);
+    expect(revert).toHaveBeenCalledWith(
+      { _id: 't1', department: rule.sourceDepartment, status: 'transferred' },
+      { $set: { status: 'waiting' } }
+    );
+  });
+});
+
+describe('overflowService.checkConditions', () => {
+  const withConditions = (conditions) => ({ conditions: { minWaiting: 0, minEtaMinutes: 0, ...conditions } });
+  const waiting = (...etas) => etas.map(estimatedWaitTime => ({ estimatedWaitTime }));
+
+  it('fires when more tokens wait than the limit', () => {
+    const rule = withConditions({ minWaiting: 3 });
+
+    expect(overflowService.checkConditions(rule, waiting(5, 5, 5))).toBeNull();
+    expect(overflowService.checkConditions(rule, waiting(5, 5, 5, 5))).toBe('4 waiting (limit 3)');
+  });
+
+  it('fires when the longest ETA is over the limit', () => {
+    const rule = withConditions({ minEtaMinutes: 30 });
+
+    expect(overflowService.checkConditions(rule, waiting(10, 30))).toBeNull();
+    expect(overflowService.checkConditions(rule, waiting(10, 45, undefined))).toBe('ETA 45 min (limit 30)');
+  });
+
+  it('reports the queue length first when both conditions hold', () => {
+    const rule = withConditions({ minWaiting: 1, minEtaMinutes: 30 });
+
+    expect(overflowService.checkConditions(rule, waiting(40, 50))).toBe('2 waiting (limit 1)');
+  });
+
+  it('ignores conditions left at zero', () => {
+    expect(overflowService.checkConditions(withConditions({}), waiting(90, 90, 90))).toBeNull();
+    expect(overflowService.checkConditions(withConditions({ minEtaMinutes: 30 }), [])).toBeNull();
+  });
+});
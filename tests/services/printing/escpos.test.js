@@ -0,0 +1,54 @@
+const EscPosBuilder = require('../../../src/services/printing/escpos');
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const INIT = Buffer.from([ESC, 0x40]);
+
+describe('EscPosBuilder', () => {
+  it('starts every job by initialising the printer', () => {
+    expect(new EscPosBuilder().toBuffer()).toEqual(INIT);
+  });
+
+  it('encodes alignment, bold and size commands', () => {
+    const bytes = new EscPosBuilder().align('center').bold().size(2, 3).bold(false).toBuffer();
+
+    expect(bytes).toEqual(Buffer.concat([
+      INIT,
+      Buffer.from([ESC, 0x61, 1]),
+      Buffer.from([ESC, 0x45, 1]),
+      Buffer.from([GS, 0x21, 0x12]),
+      Buffer.from([ESC, 0x45, 0])
+    ]));
+  });
+
+  it('clamps sizes to the supported range', () => {
+    const bytes = new EscPosBuilder().size(12, 0).toBuffer();
+
+    expect(bytes.subarray(INIT.length)).toEqual(Buffer.from([GS, 0x21, 0x70]));
+  });
+
+  it('reduces text to printable ASCII', () => {
+    const bytes = new EscPosBuilder().line('Café → Nº1').toBuffer();
+
+    expect(bytes.subarray(INIT.length).toString('ascii')).toBe('Cafe ? No1\n');
+  });
+
+  it('spreads a row across the line width', () => {
+    const bytes = new EscPosBuilder().row('Issued', '14:05', 20).toBuffer();
+
+    expect(bytes.subarray(INIT.length).toString('ascii')).toBe('Issued         14:05\n');
+  });
+
+  it('stores and prints a QR code with the payload length', () => {
+    const data = 'https://queue.example/t/abc';
+    const bytes = new EscPosBuilder().qr(data, { size: 5, errorLevel: 'H' }).toBuffer().subarray(INIT.length);
+    const storeLength = data.length + 3;
+
+    expect(bytes.subarray(0, 9)).toEqual(Buffer.from([GS, 0x28, 0x6B, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]));
+    expect(bytes.subarray(9, 17)).toEqual(Buffer.from([GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x43, 5]));
+    expect(bytes.subarray(17, 25)).toEqual(Buffer.from([GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x45, 51]));
+    expect(bytes.subarray(25, 33)).toEqual(Buffer.from([GS, 0x28, 0x6B, storeLength, 0x00, 0x31, 0x50, 0x30]));
+    expect(bytes.subarray(33, 33 + data.length).toString('utf8')).toBe(data);
+    expect(bytes.subarray(33 + data.length)).toEqual(Buffer.from([GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x51, 0x30]));
+  });
+});
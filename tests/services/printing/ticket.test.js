@@ -0,0 +1,94 @@
+const { renderTicket, renderTestPage } = require('../../../src/services/printing/ticket');
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const INIT = Buffer.from([ESC, 0x40]);
+const CUT = Buffer.from([GS, 0x56, 0x42, 0x03]);
+
+const ticket = {
+  departmentName: 'Loans',
+  displayNumber: 'A-042',
+  serviceType: 'Loan closure',
+  issuedAt: new Date(2024, 11, 1, 14, 5),
+  position: 3,
+  estimatedWaitTime: 12.4,
+  trackingUrl: 'https://queue.example/t/abc'
+};
+
+/**
+ * The printed text of an ESC/POS stream, one entry per line: commands the
+ * builder emits are skipped by their length
+ */
+const printedLines = (buffer) => {
+  let text = '';
+  let index = 0;
+
+  while (index < buffer.length) {
+    const [byte, command] = [buffer[index], buffer[index + 1]];
+
+    if (byte === ESC) {
+      index += command === 0x40 ? 2 : 3;
+    } else if (byte === GS && command === 0x28) {
+      index += 5 + buffer[index + 3] + buffer[index + 4] * 256;
+    } else if (byte === GS) {
+      index += command === 0x56 ? 4 : 3;
+    } else {
+      text += String.fromCharCode(byte);
+      index += 1;
+    }
+  }
+
+  return text.split('\n');
+};
+
+describe('renderTicket', () => {
+  it('prints the token, queue details and a QR code, then cuts', () => {
+    const bytes = renderTicket(ticket, { paperWidth: 80 });
+    const lines = printedLines(bytes);
+
+    expect(bytes.subarray(0, INIT.length)).toEqual(INIT);
+    expect(bytes.subarray(-CUT.length)).toEqual(CUT);
+    expect(lines).toEqual(expect.arrayContaining([
+      'Loans',
+      'A-042',
+      'Loan closure',
+      `Issued${' '.repeat(48 - 'Issued'.length - '2024-12-01 14:05'.length)}2024-12-01 14:05`,
+      `Position in queue${' '.repeat(48 - 'Position in queue'.length - 1)}3`,
+      `Estimated wait${' '.repeat(48 - 'Estimated wait'.length - '~12 min'.length)}~12 min`,
+      'Please wait for your number to be called'
+    ]));
+    expect(bytes.includes(Buffer.from(ticket.trackingUrl))).toBe(true);
+    expect(lines).not.toContain('** REPRINT **');
+  });
+
+  it('fits rules and rows to 58 mm paper', () => {
+    const lines = printedLines(renderTicket(ticket, { paperWidth: 58 }));
+
+    expect(lines).toContain('-'.repeat(32));
+    expect(lines.find(line => line.startsWith('Issued'))).toHaveLength(32);
+  });
+
+  it('leaves out what the ticket does not have and marks reprints', () => {
+    const bytes = renderTicket({
+      departmentName: 'Loans',
+      displayNumber: 'A-042',
+      issuedAt: ticket.issuedAt,
+      reprint: true
+    });
+    const lines = printedLines(bytes);
+
+    expect(lines).toContain('** REPRINT **');
+    expect(lines.some(line => line.startsWith('Position in queue'))).toBe(false);
+    expect(lines.some(line => line.startsWith('Estimated wait'))).toBe(false);
+    expect(bytes.includes(Buffer.from([GS, 0x28, 0x6B]))).toBe(false);
+  });
+});
+
+describe('renderTestPage', () => {
+  it('prints the printer name and a full-width ruler', () => {
+    const lines = printedLines(renderTestPage({ name: 'Lobby printer', paperWidth: 58 }));
+
+    expect(lines).toContain('Lobby printer');
+    expect(lines).toContain('01234567890123456789012345678901');
+  });
+});
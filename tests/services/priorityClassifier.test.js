@@ -0,0 +1,111 @@
+const priorityClassifier = require('../../src/services/priorityClassifier');
+
+const now = new Date(2024, 11, 2, 10, 0);
+
+const customer = (overrides = {}) => ({
+  customerType: 'individual',
+  age: 40,
+  accessibilityNeeds: [],
+  priority: 5,
+  ...overrides
+});
+
+const department = (priorityRules = [], priorityBump = 2) => ({
+  priorityRules,
+  appointmentSettings: { priorityBump }
+});
+
+const rule = (overrides) => ({
+  name: 'Rule',
+  priority: 8,
+  explanation: 'Matched',
+  active: true,
+  ...overrides
+});
+
+const loan = { name: 'Loan closure', code: 'LOAN', priority: 5 };
+
+describe('priorityClassifier.classify', () => {
+  it('gives the default priority and no reasons when nothing applies', () => {
+    expect(priorityClassifier.classify({}, customer(), department(), loan, now))
+      .toEqual({ priority: 5, reasons: [] });
+  });
+
+  it('lets staff override everything', () => {
+    const result = priorityClassifier.classify(
+      { priority: 2 },
+      customer({ priority: 9 }),
+      department([rule({ minAge: 0 })]),
+      loan,
+      now
+    );
+
+    expect(result).toEqual({
+      priority: 2,
+      reasons: [{ source: 'manual', priority: 2, explanation: 'Set by staff when the token was issued' }]
+    });
+  });
+
+  it('takes the highest priority and lists reasons highest first', () => {
+    const result = priorityClassifier.classify(
+      {},
+      customer({ age: 70, priority: 6 }),
+      department([
+        rule({ name: 'Seniors', minAge: 65, priority: 7, explanation: 'Senior citizen' }),
+        rule({ name: 'Disabled', accessibilityNeeds: ['wheelchair'], priority: 9 })
+      ]),
+      { name: 'Pension', code: 'PEN', priority: 6 },
+      now
+    );
+
+    expect(result.priority).toBe(7);
+    expect(result.reasons.map(reason => [reason.source, reason.priority])).toEqual([
+      ['rule', 7],
+      ['service_type', 6],
+      ['customer', 6]
+    ]);
+    expect(result.reasons[0]).toMatchObject({ rule: 'Seniors', explanation: 'Senior citizen' });
+  });
+
+  it('bumps booked appointments from the service type priority', () => {
+    const result = priorityClassifier.classify(
+      { appointmentId: 'appt', scheduledTime: new Date(now.getTime() + 60000) },
+      customer(),
+      department([], 3),
+      { ...loan, priority: 8 },
+      now
+    );
+
+    expect(result.priority).toBe(10);
+    expect(result.reasons[0]).toMatchObject({ source: 'appointment', priority: 10 });
+  });
+
+  it('matches rules on appointment timing', () => {
+    const rules = [rule({ name: 'On time', appointment: 'on_time', priority: 7 })];
+    const late = { appointmentId: 'appt', scheduledTime: new Date(now.getTime() - 60000) };
+    const onTime = { appointmentId: 'appt', scheduledTime: now };
+
+    expect(priorityClassifier.classify(late, customer(), department(rules, 0), loan, now).priority).toBe(5);
+    expect(priorityClassifier.classify(onTime, customer(), department(rules, 0), loan, now).priority).toBe(7);
+  });
+
+  it('skips inactive rules and rules whose conditions fail', () => {
+    const rules = [
+      rule({ name: 'Off', minAge: 0, active: false }),
+      rule({ name: 'Business', customerTypes: ['business'] }),
+      rule({ name: 'Young', maxAge: 25 }),
+      rule({ name: 'Age unknown', minAge: 18 })
+    ];
+
+    expect(priorityClassifier.classify({}, customer({ age: null }), department(rules), loan, now))
+      .toEqual({ priority: 5, reasons: [] });
+  });
+
+  it('matches rule service types regardless of case', () => {
+    const rules = [rule({ name: 'Loans', serviceTypes: ['loan'], priority: 6 })];
+
+    expect(priorityClassifier.classify({}, customer(), department(rules), loan, now).priority).toBe(6);
+    expect(priorityClassifier.classify({ serviceType: 'Loan' }, customer(), department(rules), null, now).priority)
+      .toBe(6);
+  });
+});
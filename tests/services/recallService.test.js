@@ -0,0 +1,172 @@
+const Token = require('../../src/models/Token');
+const Department = require('../../src/models/Department');
+const recallService = require('../../src/services/recallService');
+const tokenEvents = require('../../src/services/tokenEvents');
+const logger = require('../../src/utils/logger');
+
+const counter = { _id: '5f00000000000000000000c1' };
+const policy = { requeueAction: 'back', requeuePositions: 3, maxRequeues: 1, noShowTimeoutMinutes: 10 };
+
+const issuedAt = new Date(2024, 11, 2, 9, 0);
+
+const peer = (effectivePriority, queuePosition) => ({ effectivePriority, queuePosition, issuedAt });
+
+const calledToken = (overrides = {}) => {
+  const token = new Token({
+    department: '5f0000000000000000000001',
+    status: 'called',
+    counter: counter._id,
+    priority: 5,
+    effectivePriority: 5,
+    queuePosition: 4,
+    issuedAt,
+    ...overrides
+  });
+  jest.spyOn(token, 'save').mockResolvedValue(token);
+  return token;
+};
+
+describe('recallService.requeue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = [];
+    jest.spyOn(Token, 'find').mockImplementation(() => ({
+      sort: () => ({ select: async () => queue })
+    }));
+    jest.spyOn(tokenEvents, 'publish').mockImplementation(() => {});
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts places from the token\'s own slot even when it has aged past its peers', async () => {
+    queue = [peer(7, 1), peer(5, 2), peer(5, 3), peer(5, 5), peer(4, 6)];
+    const token = calledToken({ priority: 4, effectivePriority: 6 });
+
+    await recallService.requeue(token, policy, counter, 'u1');
+
+    expect(token.effectivePriority).toBe(5);
+    expect(token.queuePosition).toBe(6);
+    expect(token.recall.requeuedPriority).toBe(5);
+    expect(token.recall.requeuedAt).toBeInstanceOf(Date);
+    expect(tokenEvents.publish).toHaveBeenCalledWith('requeued', token, { fromCounter: counter._id, places: 3 });
+  });
+
+  it('moves the token K places back among tokens of its priority', async () => {
+    queue = [peer(5, 1), peer(5, 2), peer(5, 5), peer(5, 6), peer(5, 7), peer(5, 8)];
+    const token = calledToken();
+
+    await recallService.requeue(token, policy, counter, 'u1');
+
+    expect(token.status).toBe('waiting');
+    expect(token.counter).toBeUndefined();
+    expect(token.effectivePriority).toBe(5);
+    expect(token.queuePosition).toBe(7.5);
+    expect(token.recall.requeues).toBe(1);
+    expect(token.recall.history[0]).toMatchObject({ action: 'requeued', queuePosition: 7.5 });
+  });
+
+  it('moves the token to the end when the policy says so', async () => {
+    queue = [peer(5, 1), peer(5, 5), peer(5, 6), peer(5, 7), peer(5, 8), peer(3, 9)];
+    const token = calledToken();
+
+    await recallService.requeue(token, { ...policy, requeueAction: 'end' }, counter, 'u1');
+
+    expect(token.effectivePriority).toBe(3);
+    expect(token.queuePosition).toBe(10);
+    expect(tokenEvents.publish).toHaveBeenCalledWith('requeued', token, expect.objectContaining({ places: 5 }));
+  });
+
+  it('stops at the end of the queue when fewer than K tokens are behind it', async () => {
+    queue = [peer(5, 1), peer(5, 5)];
+    const token = calledToken();
+
+    await recallService.requeue(token, policy, counter, 'u1');
+
+    expect(token.queuePosition).toBe(6);
+    expect(tokenEvents.publish).toHaveBeenCalledWith('requeued', token, expect.objectContaining({ places: 1 }));
+  });
+
+  it('keeps the token\'s place when nobody is behind it', async () => {
+    queue = [peer(5, 1)];
+    const token = calledToken();
+
+    await recallService.requeue(token, policy, counter, 'u1');
+
+    expect(token.queuePosition).toBe(4);
+    expect(tokenEvents.publish).toHaveBeenCalledWith('requeued', token, expect.objectContaining({ places: 0 }));
+  });
+});
+
+describe('recallService.skip', () => {
+  const releasingCounter = () => ({ ...counter, releaseCurrentToken: jest.fn().mockResolvedValue() });
+
+  beforeEach(() => {
+    jest.spyOn(Department, 'findById').mockImplementation(() => ({
+      select: async () => ({ recallPolicy: policy })
+    }));
+    jest.spyOn(Token, 'find').mockImplementation(() => ({
+      sort: () => ({ select: async () => [] })
+    }));
+    jest.spyOn(tokenEvents, 'publish').mockImplementation(() => {});
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('requeues while the token has requeues left', async () => {
+    const token = calledToken();
+    const skippingCounter = releasingCounter();
+
+    await recallService.skip(token, skippingCounter, 'u1');
+
+    expect(token.status).toBe('waiting');
+    expect(token.recall.requeues).toBe(1);
+    expect(skippingCounter.releaseCurrentToken).toHaveBeenCalled();
+  });
+
+  it('holds the token for no-show once its requeues are used up', async () => {
+    const token = calledToken({ recall: { requeues: 1 } });
+    const skippingCounter = releasingCounter();
+
+    await recallService.skip(token, skippingCounter, 'u1');
+
+    expect(token.status).toBe('called');
+    expect(token.counter).toBeUndefined();
+    expect(token.recall.requeues).toBe(1);
+    expect(token.recall.noShowAt.getTime()).toBeGreaterThan(Date.now() + 9 * 60 * 1000);
+    expect(token.recall.history[0]).toMatchObject({ action: 'skipped' });
+    expect(tokenEvents.publish).toHaveBeenCalledWith('skipped', token, expect.objectContaining({
+      fromCounter: counter._id
+    }));
+    expect(skippingCounter.releaseCurrentToken).toHaveBeenCalled();
+  });
+});
+
+describe('recallService.reinstate', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses no-show tokens once the grace window has passed', async () => {
+    jest.spyOn(Department, 'findById').mockImplementation(() => ({
+      select: async () => ({ recallPolicy: { ...policy, reinstateGraceMinutes: 30 } })
+    }));
+    const token = calledToken({
+      status: 'no_show',
+      businessDate: new Date(),
+      recall: { noShowMarkedAt: new Date(Date.now() - 31 * 60 * 1000) }
+    });
+
+    await expect(recallService.reinstate(token, 'u1')).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'The 30 minute reinstate window has passed'
+    });
+    expect(token.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,74 @@
+const Token = require('../../src/models/Token');
+const Counter = require('../../src/models/Counter');
+const routingService = require('../../src/services/routingService');
+
+const counter = new Counter({
+  name: 'Counter 1',
+  number: '1',
+  code: 'C1',
+  department: '5f0000000000000000000001',
+  serviceTypes: ['LOAN'],
+  fallbackServiceTypes: ['GEN']
+});
+
+describe('routingService.nextTokenFor', () => {
+  let claims;
+
+  const respondWith = (...results) => {
+    jest.spyOn(Token, 'findOneAndUpdate').mockImplementation(async (filter, update, options) => {
+      claims.push({ filter, update, options });
+      return results.shift() || null;
+    });
+  };
+
+  beforeEach(() => {
+    claims = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims a waiting token for the counter in one write', async () => {
+    const token = { displayNumber: 'L-001' };
+    respondWith(null, token);
+
+    expect(await routingService.nextTokenFor(counter)).toBe(token);
+
+    const { filter, update, options } = claims[1];
+    expect(filter.status).toBe('waiting');
+    expect(filter.serviceType.$in.map(String)).toEqual(['/^LOAN$/i']);
+    expect(update.$set).toMatchObject({ status: 'called', counter: counter._id });
+    expect(update.$set.calledAt).toBeInstanceOf(Date);
+    expect(options).toEqual({ sort: routingService.QUEUE_ORDER, new: true });
+  });
+
+  it('offers customers back from parking at this counter first', async () => {
+    const returned = { displayNumber: 'L-007' };
+    respondWith(returned);
+
+    expect(await routingService.nextTokenFor(counter)).toBe(returned);
+    expect(claims).toHaveLength(1);
+    expect(claims[0].filter).toMatchObject({
+      counter: counter._id,
+      status: 'waiting',
+      'parking.returnedAt': { $ne: null }
+    });
+    expect(claims[0].options.sort).toEqual({ 'parking.returnedAt': 1 });
+  });
+
+  it('falls back to fallback service types when none of its own are waiting', async () => {
+    respondWith(null, null, null);
+
+    expect(await routingService.nextTokenFor(counter)).toBeNull();
+    expect(claims.map(claim => claim.filter.serviceType && claim.filter.serviceType.$in.map(String)))
+      .toEqual([undefined, ['/^LOAN$/i'], ['/^GEN$/i']]);
+  });
+
+  it('returns nothing when another counter claimed the token first', async () => {
+    respondWith(null, null, null);
+
+    expect(await routingService.nextTokenFor(counter, { serviceType: 'LOAN' })).toBeNull();
+    expect(claims).toHaveLength(2);
+  });
+});
@@ -0,0 +1,116 @@
+const Survey = require('../../src/models/Survey');
+const surveyService = require('../../src/services/surveyService');
+
+const survey = {
+  questions: [
+    { key: 'nps', type: 'nps', label: 'Would you recommend us?', required: true },
+    { key: 'rating', type: 'rating', label: 'How was the service?', required: false },
+    { key: 'visit', type: 'choice', label: 'Why did you visit?', required: false, options: ['loan', 'card'] },
+    { key: 'comment', type: 'text', label: 'Anything else?', required: false }
+  ]
+};
+
+describe('surveyService.validateAnswers', () => {
+  it('returns answers in question order and skips blank optional ones', () => {
+    const answers = { comment: '  Quick and friendly  ', visit: 'card', rating: null, nps: 9 };
+
+    expect(surveyService.validateAnswers(survey, answers)).toEqual([
+      { key: 'nps', value: 9 },
+      { key: 'visit', value: 'card' },
+      { key: 'comment', value: 'Quick and friendly' }
+    ]);
+  });
+
+  it('rejects unknown questions and missing required answers', () => {
+    expect(() => surveyService.validateAnswers(survey, { nps: 9, mood: 'happy' }))
+      .toThrow('Unknown question: mood');
+    expect(() => surveyService.validateAnswers(survey, { comment: 'Hi' }))
+      .toThrow('Please answer: Would you recommend us?');
+  });
+
+  it('checks answers against the question type', () => {
+    const invalid = [
+      [{ nps: 11 }, 'Would you recommend us?: answer with a whole number from 0 to 10'],
+      [{ nps: 7.5 }, 'Would you recommend us?: answer with a whole number from 0 to 10'],
+      [{ nps: 9, rating: 0 }, 'How was the service?: answer with a whole number from 1 to 5'],
+      [{ nps: 9, visit: 'mortgage' }, 'Why did you visit?: choose one of loan, card'],
+      [{ nps: 9, comment: 42 }, 'Anything else?: answer with text']
+    ];
+
+    for (const [answers, message] of invalid) {
+      expect(() => surveyService.validateAnswers(survey, answers)).toThrow(message);
+    }
+  });
+
+  it('trims long text and drops text that is only whitespace', () => {
+    const accepted = surveyService.validateAnswers(survey, { nps: 0, comment: 'x'.repeat(1200) });
+
+    expect(accepted[1].value).toHaveLength(1000);
+    expect(surveyService.validateAnswers(survey, { nps: 0, comment: '   ' })).toEqual([{ key: 'nps', value: 0 }]);
+  });
+});
+
+describe('surveyService.report', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const group = (overrides) => ({
+    _id: null,
+    sent: 10,
+    responses: 4,
+    avgRating: 4.25,
+    npsResponses: 4,
+    promoters: 2,
+    detractors: 1,
+    lowScores: 1,
+    ...overrides
+  });
+
+  it('derives response rate, average rating and NPS per group', async () => {
+    jest.spyOn(Survey, 'aggregate').mockResolvedValue([group({ _id: 'LOAN' })]);
+
+    expect(await surveyService.report({}, 'serviceType')).toEqual([{
+      key: 'LOAN',
+      sent: 10,
+      responses: 4,
+      responseRate: 40,
+      avgRating: 4.3,
+      npsResponses: 4,
+      promoters: 2,
+      detractors: 1,
+      npsScore: 25,
+      lowScores: 1
+    }]);
+  });
+
+  it('groups by the survey field for the dimension', async () => {
+    const aggregate = jest.spyOn(Survey, 'aggregate').mockResolvedValue([]);
+    const match = { department: 'd1' };
+
+    await surveyService.report(match, 'operator');
+    await surveyService.report(match);
+
+    const [byOperator, overall] = aggregate.mock.calls.map(([pipeline]) => pipeline);
+    expect(byOperator[0]).toEqual({ $match: match });
+    expect(byOperator[1].$group._id).toBe('$servedBy');
+    expect(overall[1].$group._id).toBeNull();
+  });
+
+  it('leaves averages empty when nobody answered', async () => {
+    jest.spyOn(Survey, 'aggregate').mockResolvedValue([
+      group({ sent: 0, responses: 0, avgRating: null, npsResponses: 0, promoters: 0, detractors: 0 })
+    ]);
+
+    expect(await surveyService.report({})).toEqual([
+      expect.objectContaining({ responseRate: 0, avgRating: null, npsScore: null })
+    ]);
+  });
+
+  it('refuses dimensions it cannot group by', async () => {
+    await expect(surveyService.report({}, 'weather')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Cannot group surveys by weather'
+    });
+  });
+});
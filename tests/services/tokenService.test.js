@@ -0,0 +1,102 @@
+const Department = require('../../src/models/Department');
+const Sequence = require('../../src/models/Sequence');
+const tokenService = require('../../src/services/tokenService');
+
+const buildDepartment = (tokenNumbering = {}) => new Department({
+  name: 'Loans',
+  code: 'LN',
+  tokenNumbering,
+  serviceTypes: [
+    { name: 'Loan closure', code: 'CLOSE', prefix: 'C' },
+    { name: 'New loan', code: 'NEW' }
+  ]
+});
+
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+};
+
+describe('tokenService.nextTokenNumber', () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    const values = {};
+
+    jest.spyOn(Sequence, 'next').mockImplementation(async (department, series, period) => {
+      calls.push({ series, period });
+      values[series] = (values[series] || 0) + 1;
+      return values[series];
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('numbers from the shared series with the department code as prefix', async () => {
+    const department = buildDepartment();
+
+    const first = await tokenService.nextTokenNumber(department, null, 5);
+    const second = await tokenService.nextTokenNumber(department, null, 5);
+
+    expect(first).toEqual({
+      tokenNumber: `LN-${today()}-001`,
+      displayNumber: 'LN-001',
+      queuePosition: 1
+    });
+    expect(second.displayNumber).toBe('LN-002');
+    expect(second.queuePosition).toBe(2);
+    expect(calls.filter(call => call.series === 'all')).toHaveLength(2);
+  });
+
+  it('applies the configured prefix, separator and padding', async () => {
+    const department = buildDepartment({ prefix: 'a', separator: '', padding: 5 });
+
+    const { displayNumber } = await tokenService.nextTokenNumber(department, null, 5);
+
+    expect(displayNumber).toBe('A00001');
+  });
+
+  it('gives each service type its own series and prefix', async () => {
+    const department = buildDepartment({ perServiceType: true });
+    const [closure, newLoan] = department.serviceTypes;
+
+    const first = await tokenService.nextTokenNumber(department, closure, 5);
+    const second = await tokenService.nextTokenNumber(department, newLoan, 5);
+    const third = await tokenService.nextTokenNumber(department, closure, 5);
+
+    expect([first.displayNumber, second.displayNumber, third.displayNumber])
+      .toEqual(['C-001', 'NEW-001', 'C-002']);
+    expect(third.queuePosition).toBe(3);
+  });
+
+  it('uses the priority series at or above the threshold', async () => {
+    const department = buildDepartment({ perServiceType: true, priorityPrefix: 'p', priorityThreshold: 8 });
+    const [closure] = department.serviceTypes;
+
+    const urgent = await tokenService.nextTokenNumber(department, closure, 8);
+    const regular = await tokenService.nextTokenNumber(department, closure, 7);
+
+    expect(urgent.displayNumber).toBe('P-001');
+    expect(regular.displayNumber).toBe('C-001');
+  });
+
+  it('shares the regular series for priority tokens without a priority prefix', async () => {
+    const department = buildDepartment();
+
+    const { displayNumber } = await tokenService.nextTokenNumber(department, null, 10);
+
+    expect(displayNumber).toBe('LN-001');
+  });
+
+  it('keeps counting across days when numbering never resets', async () => {
+    await tokenService.nextTokenNumber(buildDepartment({ reset: 'never' }), null, 5);
+    await tokenService.nextTokenNumber(buildDepartment(), null, 5);
+
+    const periods = calls.filter(call => call.series === 'all').map(call => call.period);
+    expect(periods).toEqual(['ALL', today()]);
+    expect(calls.filter(call => call.series === 'arrivals').every(call => call.period === today())).toBe(true);
+  });
+});